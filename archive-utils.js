@@ -0,0 +1,298 @@
+/**
+ * Project Archive Utilities
+ * Exports a project to a portable ZIP file and imports it back
+ *
+ * Archive layout:
+ * - manifest.json              Format/version, project metadata and content objects
+ *                              (tables stay inline as media entries with "data")
+ * - media/<item>-<n>-<name>    One file per image/audio/video blob, referenced by
+ *                              the media entry's "file" property
+ *
+ * Depends on DBUtils and ZipUtils.
+ */
+
+const ArchiveUtils = {
+  ARCHIVE_FORMAT: 'content-writing-assistant-archive',
+  ARCHIVE_VERSION: 1,
+  MANIFEST_NAME: 'manifest.json',
+  MEDIA_FOLDER: 'media/',
+
+  // File extensions for common MIME types (used when a media name has none)
+  MIME_EXTENSIONS: {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg',
+    'image/avif': 'avif',
+    'audio/mpeg': 'mp3',
+    'audio/ogg': 'ogg',
+    'audio/wav': 'wav',
+    'video/mp4': 'mp4',
+    'video/webm': 'webm'
+  },
+
+  /**
+   * Make a string safe to use as a file name
+   * @param {string} name - Raw name
+   * @param {string} [fallback] - Used when nothing is left after sanitizing
+   * @returns {string}
+   */
+  sanitizeFileName(name, fallback = 'file') {
+    const safe = String(name || '')
+      .replace(/[<>:"/\\|?*\u0000-\u001f]/g, '')
+      .replace(/\s+/g, '-')
+      .replace(/^[.-]+|[.-]+$/g, '')
+      .substring(0, 80);
+    return safe || fallback;
+  },
+
+  /**
+   * Build the archive path for a media blob
+   * @param {Object} media - Media entry
+   * @param {number} itemIndex - Index of the content item in the manifest
+   * @param {number} mediaIndex - Index of the media entry in the item
+   * @param {string} [folder] - Folder prefix (with trailing slash)
+   * @returns {string} Path inside the archive
+   */
+  getMediaPath(media, itemIndex, mediaIndex, folder = this.MEDIA_FOLDER) {
+    let fileName = this.sanitizeFileName(media.name, media.type || 'media');
+    const extension = this.MIME_EXTENSIONS[media.mimeType];
+    if (extension && !/\.[a-z0-9]{2,5}$/i.test(fileName)) {
+      fileName += `.${extension}`;
+    }
+    // The index prefix keeps paths unique when names repeat
+    return `${folder}${itemIndex + 1}-${mediaIndex + 1}-${fileName}`;
+  },
+
+  /**
+   * Check whether a MIME type is already compressed (stored without deflate)
+   * @param {string} mimeType - MIME type
+   * @returns {boolean}
+   */
+  isCompressedMimeType(mimeType) {
+    return /^(image\/(png|jpeg|gif|webp|avif)|audio\/|video\/)/.test(mimeType || '');
+  },
+
+  /**
+   * Export a project as a ZIP archive
+   * @param {string} projectId - Project ID
+   * @returns {Promise<{blob: Blob, fileName: string, itemCount: number}>}
+   */
+  async exportProject(projectId) {
+    const project = await DBUtils.getProject(projectId);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    const contentItems = await DBUtils.getContentByProject(projectId);
+    const files = [];
+
+    const items = contentItems.map((content, itemIndex) => {
+      const { projectId: _projectId, type: _type, ...item } = content;
+
+      item.media = (content.media || []).map((media, mediaIndex) => {
+        if (media.type === 'table' || !media.blob) {
+          return { ...media };
+        }
+
+        const { blob, ...mediaMeta } = media;
+        const path = this.getMediaPath(media, itemIndex, mediaIndex);
+        files.push({
+          name: path,
+          data: blob,
+          compress: !this.isCompressedMimeType(media.mimeType)
+        });
+        return { ...mediaMeta, file: path };
+      });
+
+      return item;
+    });
+
+    const manifest = {
+      format: this.ARCHIVE_FORMAT,
+      version: this.ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      project: {
+        key: project.key,
+        name: project.name,
+        created: project.created,
+        modified: project.modified
+      },
+      itemCount: items.length,
+      items
+    };
+
+    // Manifest first so readers can inspect it without scanning media
+    files.unshift({ name: this.MANIFEST_NAME, data: JSON.stringify(manifest, null, 2) });
+
+    const blob = await ZipUtils.createZip(files);
+    const date = new Date().toISOString().slice(0, 10);
+
+    return {
+      blob,
+      fileName: `${this.sanitizeFileName(project.name, 'project')}-${date}.zip`,
+      itemCount: items.length
+    };
+  },
+
+  /**
+   * Read and validate a project archive
+   * @param {Blob} file - ZIP file
+   * @returns {Promise<{manifest: Object, files: Map<string, Uint8Array>}>}
+   */
+  async readArchive(file) {
+    const files = await ZipUtils.readZip(file);
+    const manifestBytes = files.get(this.MANIFEST_NAME);
+    if (!manifestBytes) {
+      throw new Error('Not a project archive (manifest.json missing)');
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(new TextDecoder().decode(manifestBytes));
+    } catch {
+      throw new Error('Archive manifest is not valid JSON');
+    }
+
+    if (manifest.format !== this.ARCHIVE_FORMAT || !Array.isArray(manifest.items)) {
+      throw new Error('Not a project archive');
+    }
+    if (manifest.version > this.ARCHIVE_VERSION) {
+      throw new Error('Archive was created by a newer version of the extension');
+    }
+
+    return { manifest, files };
+  },
+
+  /**
+   * Pick a project name that isn't used yet ("Name", "Name (2)", ...)
+   * @param {string} name - Desired name
+   * @param {Object[]} projects - Existing projects
+   * @returns {string}
+   */
+  getUniqueProjectName(name, projects) {
+    const baseName = (name || 'Imported project').trim().substring(0, 44);
+    const taken = new Set(projects.map(p => p.name.toLowerCase()));
+    let candidate = baseName;
+    for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+      candidate = `${baseName} (${n})`;
+    }
+    return candidate;
+  },
+
+  /**
+   * Import an archive into a new project or merge it into an existing one
+   * Content always gets new keys and remembers the key of its original item ("importedFrom").
+   * When merging, items whose original is already in the target project (as itself or as an
+   * earlier import) are skipped, so merging the same backup again adds nothing.
+   * Nothing is written if a media file is missing from the archive, and if saving an item
+ * fails, the new project (or the items already merged into the target) is removed again.
+   * @param {{manifest: Object, files: Map<string, Uint8Array>}} archive - Result of readArchive
+   * @param {Object} [options]
+   * @param {string} [options.targetProjectId] - Merge into this project (omit to create a new one)
+   * @returns {Promise<{projectId: string, projectName: string, imported: number, skipped: number}>}
+   */
+  async importArchive(archive, { targetProjectId = null } = {}) {
+    const { manifest, files } = archive;
+
+    // Check the whole archive before creating the project or writing any item
+    for (const item of manifest.items) {
+      for (const entry of item.media || []) {
+        if (entry.file && !files.has(entry.file)) {
+          throw new Error(`Archive is missing ${entry.file}`);
+        }
+      }
+    }
+
+    let projectId = targetProjectId;
+    let projectName;
+    let nextOrder = 0;
+    const existingOrigins = new Set();
+
+    if (projectId) {
+      const project = await DBUtils.getProject(projectId);
+      if (!project) {
+        throw new Error('Target project not found');
+      }
+      projectName = project.name;
+
+      // Append after the items already in the project
+      const existing = await DBUtils.getContentByProject(projectId);
+      nextOrder = existing.reduce((max, c) => Math.max(max, (c.order ?? -1) + 1), existing.length);
+      existing.forEach(c => existingOrigins.add(c.importedFrom || c.key));
+    } else {
+      const projects = await DBUtils.getAllProjects();
+      projectName = this.getUniqueProjectName(manifest.project?.name, projects);
+      projectId = await DBUtils.saveProject(null, {
+        name: projectName,
+        created: manifest.project?.created,
+        itemCount: 0
+      });
+    }
+
+    let skipped = 0;
+    const importedIds = [];
+
+    try {
+      for (const item of manifest.items) {
+        // Items exported from an imported copy still point at the first original
+        const origin = item.importedFrom || item.key;
+        if (origin && existingOrigins.has(origin)) {
+          skipped++;
+          continue;
+        }
+
+        // Media get new IDs; article blocks are pointed at them
+        const mediaIds = new Map();
+        const media = (item.media || []).map(entry => {
+          const id = DBUtils.generateMediaId(entry.type);
+          if (entry.id) mediaIds.set(entry.id, id);
+
+          if (!entry.file) {
+            return { ...entry, id };
+          }
+
+          const bytes = files.get(entry.file);
+          const { file, ...mediaMeta } = entry;
+          return {
+            ...mediaMeta,
+            id,
+            blob: new Blob([bytes], { type: entry.mimeType || 'application/octet-stream' })
+          };
+        });
+
+        importedIds.push(await DBUtils.saveContent(null, {
+          ...item,
+          media,
+          blocks: item.blocks && item.blocks.map(block =>
+            (block.mediaId ? { ...block, mediaId: mediaIds.get(block.mediaId) } : block)),
+          importedFrom: origin,
+          projectId,
+          order: nextOrder++
+        }));
+      }
+    } catch (error) {
+      // Leave no half-imported project behind (e.g. when storage runs out)
+      try {
+        if (targetProjectId) {
+          for (const id of importedIds) {
+            await DBUtils.purgeContent(id);
+          }
+        } else {
+          await DBUtils.purgeProject(projectId);
+        }
+      } catch (cleanupError) {
+        console.error('Could not remove partly imported items:', cleanupError);
+      }
+      throw error;
+    }
+
+    return { projectId, projectName, imported: importedIds.length, skipped };
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ArchiveUtils;
+}
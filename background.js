@@ -6,6 +6,7 @@
 // Import database utilities
 importScripts('db-utils.js');
 importScripts('undo-redo-utils.js');
+importScripts('trash-utils.js');
 
 // Listen for messages from content script
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -71,6 +72,55 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     // Return true to indicate async response
     return true;
   }
+
+  if (request.action === 'getTags') {
+    DBUtils.getAllTags()
+      .then(tags => {
+        sendResponse({ success: true, tags });
+      })
+      .catch(error => {
+        console.error('Get tags failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+
+    // Return true to indicate async response
+    return true;
+  }
+
+  if (request.action === 'getPageCaptures') {
+    // Text captured on the page the content script runs in (to highlight it again)
+    getPageCaptures(request.url)
+      .then(captures => {
+        sendResponse({ success: true, captures });
+      })
+      .catch(error => {
+        console.error('Get page captures failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+
+    // Return true to indicate async response
+    return true;
+  }
+
+  if (request.action === 'openAtSource') {
+    openAtSource(request.contentId)
+      .then(() => {
+        sendResponse({ success: true });
+      })
+      .catch(error => {
+        console.error('Open at source failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+
+    // Return true to indicate async response
+    return true;
+  }
+
+  if (request.action === 'projectsChanged') {
+    // Projects were created, renamed, deleted or restored in the popup
+    rebuildContextMenus();
+    return false;
+  }
 });
 
 /**
@@ -90,24 +140,103 @@ function generateUniqueImageName(mediaArray) {
   return imageName;
 }
 
+/**
+ * Screenshot the visible part of a tab and crop it to a rectangle
+ * @param {number} [windowId] - Window whose active tab is captured
+ * @param {Object|null} rect - {x, y, width, height} in CSS pixels of the viewport, or null for everything
+ * @param {number} [viewportWidth] - Viewport width in CSS pixels (to convert to screenshot pixels)
+ * @returns {Promise<Blob>} PNG image
+ */
+async function captureVisibleRegion(windowId, rect, viewportWidth) {
+  const dataUrl = await chrome.tabs.captureVisibleTab(windowId, { format: 'png' });
+  const screenshot = await (await fetch(dataUrl)).blob();
+  if (!rect) {
+    return screenshot;
+  }
+
+  const bitmap = await createImageBitmap(screenshot);
+  // The screenshot is in device pixels (depends on screen density and zoom)
+  const scale = viewportWidth ? bitmap.width / viewportWidth : 1;
+  const x = Math.max(0, Math.round(rect.x * scale));
+  const y = Math.max(0, Math.round(rect.y * scale));
+  const width = Math.min(bitmap.width - x, Math.round(rect.width * scale));
+  const height = Math.min(bitmap.height - y, Math.round(rect.height * scale));
+  if (width <= 0 || height <= 0) {
+    bitmap.close();
+    throw new Error('Selected region is outside the visible page');
+  }
+
+  const canvas = new OffscreenCanvas(width, height);
+  canvas.getContext('2d').drawImage(bitmap, x, y, width, height, 0, 0, width, height);
+  bitmap.close();
+  return canvas.convertToBlob({ type: 'image/png' });
+}
+
+/**
+ * Decode base64 image data sent by the content script
+ * @param {Object} imageData - {arrayBuffer: base64 string, mimeType}
+ * @returns {Blob} Image blob
+ */
+function decodeImageData(imageData) {
+  const binaryString = atob(imageData.arrayBuffer);
+  const bytes = new Uint8Array(binaryString.length);
+  for (let i = 0; i < binaryString.length; i++) {
+    bytes[i] = binaryString.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: imageData.mimeType });
+}
+
+/**
+ * Render article blocks as plain text (stored as the item's text for previews and search)
+ * @param {Object[]} blocks - Article blocks
+ * @param {Object[]} media - Media of the article (tables are looked up by block mediaId)
+ * @returns {string} Text with one block per paragraph
+ */
+function getArticleText(blocks, media) {
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'list':
+        return block.items.map((item, i) => `${block.ordered ? `${i + 1}.` : '-'} ${item}`).join('\n');
+      case 'quote':
+        return block.text.split('\n').map(line => `> ${line}`).join('\n');
+      case 'image':
+        return block.caption ? `[Image: ${block.caption}]` : '';
+      case 'table': {
+        const table = media.find(m => m.id === block.mediaId);
+        if (!table) return '';
+        return [table.data.headers, ...table.data.rows]
+          .filter(row => row && row.length > 0)
+          .map(row => row.map(cell => cell.replace(/\{\{img:\d+\}\}/g, '').trim()).join(' | '))
+          .join('\n');
+      }
+      default:
+        return block.text;
+    }
+  }).filter(Boolean).join('\n\n');
+}
+
 /**
  * Save selected text, image, or table and metadata to IndexedDB
  */
 async function handleSaveSelection(data, sender) {
   try {
-    const { type, url, title, projectId } = data;
+    const { type, url, title, projectId, note, tags, citation } = data;
+
+    // Structured capture metadata shared by every capture type
+    const captureFields = {
+      note: note || undefined,
+      tags: tags || [],
+      sourceTitle: title || undefined,
+      sourceUrl: url,
+      pageUrl: url,
+      citation: citation || undefined
+    };
 
     let contentId;
 
     if (type === 'table') {
       // Handle table saving with embedded images
-      const { tableData, tableImages, note } = data;
-
-      // Build text with optional note
-      let tableText = title ? `Table from: ${title}` : 'Saved table';
-      if (note) {
-        tableText += '\n\nNote: ' + note;
-      }
+      const { tableData, tableImages } = data;
 
       // Process embedded images
       const mediaArray = [
@@ -122,16 +251,7 @@ async function handleSaveSelection(data, sender) {
       if (tableImages && tableImages.length > 0) {
         for (let i = 0; i < tableImages.length; i++) {
           const imageData = tableImages[i];
-
-          // Decode base64 string back to ArrayBuffer
-          const binaryString = atob(imageData.arrayBuffer);
-          const bytes = new Uint8Array(binaryString.length);
-          for (let j = 0; j < binaryString.length; j++) {
-            bytes[j] = binaryString.charCodeAt(j);
-          }
-
-          // Convert ArrayBuffer back to Blob
-          const blob = new Blob([bytes], { type: imageData.mimeType });
+          const blob = decodeImageData(imageData);
 
           // Generate fallback filename if imageData.name is undefined
           let imageName;
@@ -153,14 +273,12 @@ async function handleSaveSelection(data, sender) {
             height: imageData.height
           });
         }
-
-        // Update text to indicate images were captured
-        tableText += `\n\n(Includes ${tableImages.length} embedded image${tableImages.length > 1 ? 's' : ''})`;
       }
 
       // Create content entry with the table and its embedded images
       contentId = await DBUtils.saveContent(null, {
-        text: tableText,
+        ...captureFields,
+        text: '',
         links: url ? [url] : [],
         media: mediaArray,
         projectId: projectId
@@ -168,27 +286,13 @@ async function handleSaveSelection(data, sender) {
 
     } else if (type === 'image') {
       // Handle image saving
-      const { imageData, note } = data;
-
-      // Decode base64 string back to ArrayBuffer
-      const binaryString = atob(imageData.arrayBuffer);
-      const bytes = new Uint8Array(binaryString.length);
-      for (let i = 0; i < binaryString.length; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
-      }
-
-      // Convert ArrayBuffer back to Blob
-      const blob = new Blob([bytes], { type: imageData.mimeType });
-
-      // Build text with optional note
-      let imageText = title ? `Image from: ${title}` : 'Saved image';
-      if (note) {
-        imageText += '\n\nNote: ' + note;
-      }
+      const { imageData } = data;
+      const blob = decodeImageData(imageData);
 
       // Create content entry with the image
       contentId = await DBUtils.saveContent(null, {
-        text: imageText,
+        ...captureFields,
+        text: '',
         links: url ? [url] : [],
         media: [
           {
@@ -203,29 +307,75 @@ async function handleSaveSelection(data, sender) {
         projectId: projectId
       });
 
-    } else if (type === 'imagelink') {
-      // Handle combined image + link saving
-      const { imageData, linkUrl, note } = data;
+    } else if (type === 'region') {
+      // Handle region screenshots (rect is null for a screenshot of the whole visible tab)
+      const { rect, viewportWidth } = data;
+      const blob = await captureVisibleRegion(sender?.tab?.windowId, rect, viewportWidth);
 
-      // Decode base64 string back to ArrayBuffer
-      const binaryString = atob(imageData.arrayBuffer);
-      const bytes = new Uint8Array(binaryString.length);
-      for (let i = 0; i < binaryString.length; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
-      }
+      contentId = await DBUtils.saveContent(null, {
+        ...captureFields,
+        text: '',
+        links: url ? [url] : [],
+        media: [
+          {
+            type: 'image',
+            mimeType: 'image/png',
+            blob: blob,
+            name: `screenshot-${new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-')}.png`
+          }
+        ],
+        projectId: projectId
+      });
 
-      // Convert ArrayBuffer back to Blob
-      const blob = new Blob([bytes], { type: imageData.mimeType });
+    } else if (type === 'media') {
+      // Handle video/audio saving: the shown frame, a link to the current time and optionally the file
+      const { mediaKind, text, fileUrl, deepLink, timestamp, frameData, includeFile } = data;
+      const mediaArray = [];
+
+      if (frameData) {
+        mediaArray.push({
+          type: 'image',
+          mimeType: frameData.mimeType,
+          blob: decodeImageData(frameData),
+          name: frameData.name,
+          width: frameData.width,
+          height: frameData.height
+        });
+      }
 
-      // Build text with optional note
-      let contentText = title ? `Image from: ${title}` : 'Saved image';
-      if (note) {
-        contentText += '\n\nNote: ' + note;
+      if (includeFile && fileUrl) {
+        try {
+          const blob = await fetchMediaFile(fileUrl, mediaKind);
+          const fileName = decodeURIComponent(new URL(fileUrl).pathname.split('/').pop() || '') || mediaKind;
+          mediaArray.push({ type: mediaKind, mimeType: blob.type, blob: blob, name: fileName });
+        } catch (error) {
+          // The capture is still useful without the file
+          console.warn(`[BG] Could not download ${mediaKind} file:`, error);
+          notifyTab(sender?.tab?.id, `Saved without the ${mediaKind} file: ${error.message}`, true);
+        }
       }
 
+      contentId = await DBUtils.saveContent(null, {
+        ...captureFields,
+        sourceUrl: deepLink || url,
+        text: text || '',
+        links: [...new Set([deepLink, fileUrl, url].filter(Boolean))],
+        media: mediaArray,
+        contentType: mediaKind,
+        mediaTimestamp: timestamp,
+        projectId: projectId
+      });
+
+    } else if (type === 'imagelink') {
+      // Handle combined image + link saving
+      const { imageData, linkUrl } = data;
+      const blob = decodeImageData(imageData);
+
       // Create content entry with both image AND link
       contentId = await DBUtils.saveContent(null, {
-        text: contentText,
+        ...captureFields,
+        sourceUrl: linkUrl || url,
+        text: '',
         links: [linkUrl, url].filter(Boolean),
         media: [
           {
@@ -245,38 +395,100 @@ async function handleSaveSelection(data, sender) {
       // Handle link saving
       const { text, linkUrl } = data;
 
-      // Format the text to include source information
-      const formattedText = title
-        ? `${text}\n\n---\nSource: ${title}`
-        : text;
-
       // Create content entry with the link
       // The linkUrl is the actual link being saved, url is the page where it was found
       contentId = await DBUtils.saveContent(null, {
-        text: formattedText,
-        links: linkUrl ? [linkUrl, url].filter(Boolean) : (url ? [url] : []),
+        ...captureFields,
+        sourceUrl: linkUrl || url,
+        text: text,
+        links: linkUrl ? [...new Set([linkUrl, url].filter(Boolean))] : (url ? [url] : []),
         media: [],
         contentType: 'link',  // Mark as link item
         projectId: projectId
       });
 
-    } else {
-      // Handle text saving
-      const { text } = data;
+    } else if (type === 'article') {
+      // Handle readable article saving (blocks reference their images and tables by media ID)
+      const { blocks, articleImages, articleTables, tableImages } = data;
+      const mediaArray = [];
+
+      const imageIds = (articleImages || []).map(imageData => {
+        const id = DBUtils.generateMediaId('image');
+        mediaArray.push({
+          id,
+          type: 'image',
+          mimeType: imageData.mimeType,
+          blob: decodeImageData(imageData),
+          name: imageData.name || generateUniqueImageName(mediaArray),
+          width: imageData.width,
+          height: imageData.height
+        });
+        return id;
+      });
 
-      // Format the text to include source information
-      const formattedText = title
-        ? `${text}\n\n---\nSource: ${title}`
-        : text;
+      const tableIds = (articleTables || []).map((tableData, i) => {
+        const id = DBUtils.generateMediaId('table');
+        mediaArray.push({
+          id,
+          type: 'table',
+          data: tableData,
+          name: title ? `${title} - table ${i + 1}` : `table ${i + 1}`
+        });
+        return id;
+      });
+
+      // Images inside tables, matched to their {{img:N}} placeholders
+      (tableImages || []).forEach((imageData, i) => {
+        mediaArray.push({
+          type: 'image',
+          mimeType: imageData.mimeType,
+          blob: decodeImageData(imageData),
+          name: imageData.name ? `table-${i + 1}-${imageData.name}` : generateUniqueImageName(mediaArray),
+          tableImageIndex: i,
+          width: imageData.width,
+          height: imageData.height
+        });
+      });
+
+      const articleBlocks = (blocks || []).map(block => {
+        if (block.type === 'image') {
+          const { image, ...rest } = block;
+          return { ...rest, mediaId: imageIds[image] };
+        }
+        if (block.type === 'table') {
+          const { table, ...rest } = block;
+          return { ...rest, mediaId: tableIds[table] };
+        }
+        return block;
+      });
+
+      contentId = await DBUtils.saveContent(null, {
+        ...captureFields,
+        text: getArticleText(articleBlocks, mediaArray),
+        blocks: articleBlocks,
+        links: url ? [url] : [],
+        media: mediaArray,
+        contentType: 'article',
+        projectId: projectId
+      });
+
+    } else {
+      // Handle text saving (html is the selection's sanitized formatting, anchor its position on the page)
+      const { text, html, anchor } = data;
 
       // Create content entry with the selected text
       contentId = await DBUtils.saveContent(null, {
-        text: formattedText,
+        ...captureFields,
+        text: text,
+        html: html,
+        anchor: anchor,
         links: url ? [url] : [],
         media: [],
         projectId: projectId
       });
 
+      refreshPageHighlights(sender?.tab?.id, sender?.frameId);
+
     }
 
     // Record undo action for popover saves
@@ -297,6 +509,70 @@ async function handleSaveSelection(data, sender) {
   }
 }
 
+/**
+ * Fetch a URL, aborting if the server doesn't answer in time
+ * The timeout also covers reading the body; call done() once the body has been read.
+ * @param {string} url - URL to fetch
+ * @param {number} timeout - Milliseconds before the request is aborted
+ * @returns {Promise<{response: Response, done: Function}>} Successful response and a function clearing the timeout
+ */
+async function fetchWithTimeout(url, timeout) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const done = () => clearTimeout(timeoutId);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    return { response, done };
+  } catch (error) {
+    done();
+    if (error.name === 'AbortError') {
+      throw new Error(`Fetch timeout (${timeout / 1000} seconds) - server not responding`);
+    }
+    throw error;
+  }
+}
+
+// Largest video/audio file downloaded with a media capture
+const MAX_MEDIA_FILE_SIZE = 25 * 1024 * 1024;
+
+/**
+ * Download a video or audio file for a media capture
+ * Stops as soon as the file turns out to be larger than MAX_MEDIA_FILE_SIZE.
+ * @param {string} url - Media file URL
+ * @param {string} kind - 'video' or 'audio'
+ * @returns {Promise<Blob>} File contents
+ */
+async function fetchMediaFile(url, kind) {
+  const { response, done } = await fetchWithTimeout(url, 120000);
+  try {
+    const tooLarge = new Error(`The ${kind} file is larger than ${MAX_MEDIA_FILE_SIZE / 1024 / 1024} MB`);
+    if (Number(response.headers.get('content-length')) > MAX_MEDIA_FILE_SIZE) {
+      throw tooLarge;
+    }
+
+    const chunks = [];
+    let size = 0;
+    const reader = response.body.getReader();
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+      size += chunk.value.length;
+      if (size > MAX_MEDIA_FILE_SIZE) {
+        reader.cancel();
+        throw tooLarge;
+      }
+      chunks.push(chunk.value);
+    }
+
+    const type = (response.headers.get('content-type') || '').split(';')[0].trim();
+    return new Blob(chunks, { type: type.startsWith(`${kind}/`) ? type : `${kind}/mp4` });
+  } finally {
+    done();
+  }
+}
+
 /**
  * Fetch image from URL using background worker context
  * This bypasses CORS restrictions that content scripts face
@@ -306,31 +582,18 @@ async function handleFetchImageFromUrl(data) {
     const { url, mimeType, name } = data;
 
     // Fetch the image using background worker (has broader permissions)
-    // Add timeout to prevent indefinite hanging
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
+    const { response, done } = await fetchWithTimeout(url, 30000);
 
-    let response;
+    // Get the blob
+    let blob;
     try {
-      response = await fetch(url, { signal: controller.signal });
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-    } catch (fetchError) {
-      clearTimeout(timeoutId);
-      if (fetchError.name === 'AbortError') {
-        throw new Error('Image fetch timeout (30 seconds) - server not responding');
-      }
-      throw fetchError;
+      blob = await response.blob();
+    } finally {
+      done();
     }
 
-    // Get the blob
-    const blob = await response.blob();
-
-    // Use provided mimeType or fall back to response type
-    const finalMimeType = mimeType || blob.type;
+    // The response type is the real format; the type guessed from the file extension is the fallback
+    const finalMimeType = blob.type && blob.type !== 'application/octet-stream' ? blob.type : mimeType || blob.type;
 
     // Convert blob to ArrayBuffer
     const arrayBuffer = await blob.arrayBuffer();
@@ -354,6 +617,342 @@ async function handleFetchImageFromUrl(data) {
   }
 }
 
+// Context menu capture: top-level menu items and the capture they trigger (saved to the active project)
+const CONTEXT_MENU_ITEMS = [
+  { id: 'save-selection', title: 'Save selection', contexts: ['selection'], kind: 'selection' },
+  { id: 'save-image', title: 'Save image', contexts: ['image'], kind: 'image' },
+  { id: 'save-link', title: 'Save link', contexts: ['link'], kind: 'link' },
+  { id: 'save-page', title: 'Save page', contexts: ['page'], kind: 'page' },
+  { id: 'save-article', title: 'Save page as article', contexts: ['page'], kind: 'article' },
+  { id: 'capture-region', title: 'Capture screen region', contexts: ['page', 'frame', 'image', 'video'], kind: 'region' }
+];
+const SAVE_TO_PROJECT_MENU_ID = 'save-to-project';
+const SAVE_TO_PROJECT_PREFIX = 'save-to-project:';
+
+// Serializes rebuilds (removeAll and create calls must not interleave)
+let contextMenuRebuild = Promise.resolve();
+
+/**
+ * Recreate the context menu, including one "Save to project" entry per project
+ * @returns {Promise<void>}
+ */
+function rebuildContextMenus() {
+  contextMenuRebuild = contextMenuRebuild.then(async () => {
+    try {
+      const projects = await DBUtils.getAllProjects();
+      await chrome.contextMenus.removeAll();
+
+      CONTEXT_MENU_ITEMS.forEach(({ id, title, contexts }) => {
+        chrome.contextMenus.create({ id, title, contexts });
+      });
+
+      const allContexts = CONTEXT_MENU_ITEMS.flatMap(item => item.contexts);
+      chrome.contextMenus.create({ id: SAVE_TO_PROJECT_MENU_ID, title: 'Save to project', contexts: allContexts });
+      projects.forEach(project => {
+        chrome.contextMenus.create({
+          id: SAVE_TO_PROJECT_PREFIX + project.key,
+          parentId: SAVE_TO_PROJECT_MENU_ID,
+          title: project.name,
+          contexts: allContexts
+        });
+      });
+    } catch (error) {
+      console.error('[BG] Error building context menus:', error);
+    }
+  });
+  return contextMenuRebuild;
+}
+
+/**
+ * Pick what a "Save to project" click captures (most specific first)
+ * @param {Object} info - chrome.contextMenus OnClickData
+ * @returns {string} 'selection', 'image', 'link' or 'page'
+ */
+function getContextCaptureKind(info) {
+  if (info.selectionText) return 'selection';
+  if (info.mediaType === 'image' && info.srcUrl) return 'image';
+  if (info.linkUrl) return 'link';
+  return 'page';
+}
+
+/**
+ * Build saveSelection data from the menu click alone
+ * Used when the content script isn't available (e.g. the page was open before the extension loaded).
+ * @param {string} kind - Capture kind
+ * @param {Object} info - chrome.contextMenus OnClickData
+ * @param {chrome.tabs.Tab} tab - Tab the menu was opened in
+ * @returns {Promise<Object>} Data for handleSaveSelection (without projectId)
+ */
+async function getFallbackCaptureData(kind, info, tab) {
+  const pageFields = { url: info.frameUrl || info.pageUrl, title: tab?.title };
+
+  if (kind === 'selection') {
+    return { ...pageFields, type: 'text', text: info.selectionText };
+  }
+  if (kind === 'image') {
+    const name = new URL(info.srcUrl).pathname.split('/').pop() || 'image';
+    const imageData = await handleFetchImageFromUrl({ url: info.srcUrl, name });
+    return { ...pageFields, type: 'image', imageData };
+  }
+  if (kind === 'link') {
+    return { ...pageFields, type: 'link', text: info.linkUrl, linkUrl: info.linkUrl };
+  }
+  if (kind === 'region') {
+    // Without the content script there is no rectangle to drag: keep the whole visible tab
+    return { ...pageFields, type: 'region', rect: null };
+  }
+  // Pages (and articles, which need the content script to read the page) are saved as a link
+  return { ...pageFields, type: 'link', text: tab?.title || info.pageUrl, linkUrl: info.pageUrl };
+}
+
+/**
+ * Briefly show the result of a capture on the toolbar icon
+ * @param {number} [tabId] - Tab the capture was made in
+ * @param {boolean} success - Whether the capture was saved
+ */
+function showCaptureBadge(tabId, success) {
+  chrome.action.setBadgeBackgroundColor({ color: success ? '#16a34a' : '#dc2626', tabId });
+  chrome.action.setBadgeText({ text: success ? '✓' : '!', tabId });
+  setTimeout(() => chrome.action.setBadgeText({ text: '', tabId }), 2000);
+}
+
+/**
+ * Tell the user about a capture or project switch
+ * Shows a toast on the page, or a badge on the toolbar icon where the content script can't run.
+ * @param {number} [tabId] - Tab to notify
+ * @param {string} message - Message for the toast
+ * @param {boolean} [isError=false] - Whether something went wrong
+ */
+async function notifyTab(tabId, message, isError = false) {
+  try {
+    await chrome.tabs.sendMessage(tabId, { action: 'showToast', message, isError }, { frameId: 0 });
+  } catch (error) {
+    showCaptureBadge(tabId, !isError);
+  }
+}
+
+/**
+ * Ask the content script to highlight a newly saved selection
+ * @param {number} [tabId] - Tab the selection was saved from
+ * @param {number} [frameId] - Frame the selection was saved from (all frames if unknown, e.g. context menu saves)
+ */
+function refreshPageHighlights(tabId, frameId) {
+  if (tabId === undefined) return;
+  chrome.tabs.sendMessage(tabId, { action: 'refreshHighlights' }, frameId !== undefined ? { frameId } : {})
+    .catch(() => {
+      // The page has no content script (e.g. chrome:// pages)
+    });
+}
+
+/**
+ * Get the text selections saved from a page, with what a highlight card shows
+ * @param {string} url - Page URL
+ * @returns {Promise<Object[]>} Captures ({id, text, anchor, note, tags, projectName, created})
+ */
+async function getPageCaptures(url) {
+  const [contents, projects] = await Promise.all([
+    DBUtils.getContentByPage(url),
+    DBUtils.getAllProjects()
+  ]);
+  const projectNames = new Map(projects.map(project => [project.key, project.name]));
+
+  // Only text selections have a passage to highlight
+  return contents
+    .filter(content => content.text && !content.contentType && content.media.length === 0)
+    .map(content => ({
+      id: content.key,
+      text: content.text,
+      anchor: content.anchor || null,
+      note: content.note || '',
+      tags: content.tags || [],
+      projectName: projectNames.get(content.projectId) || 'Untitled',
+      created: content.created
+    }));
+}
+
+/**
+ * Open the page an item was captured on, scrolled to its quote
+ * The text fragment lets the browser scroll right away; the content script then
+ * re-anchors the quote (which also works when the page has changed a little).
+ * @param {string} contentId - Content ID
+ */
+async function openAtSource(contentId) {
+  const content = await DBUtils.getContent(contentId);
+  const pageUrl = content && (content.pageUrl || content.links[0]);
+  if (!pageUrl) {
+    throw new Error('Item has no source page');
+  }
+
+  const anchor = content.anchor;
+  const url = anchor && anchor.textFragment
+    ? `${pageUrl}${pageUrl.includes('#') ? '' : '#'}:~:${anchor.textFragment}`
+    : pageUrl;
+  const tab = await chrome.tabs.create({ url });
+
+  if (anchor) {
+    // Don't hold the popup's response until the page has loaded
+    revealQuoteWhenLoaded(tab.id, anchor);
+  }
+}
+
+/**
+ * Ask the content script of a newly opened tab to highlight a quote
+ * @param {number} tabId - Tab that is loading the source page
+ * @param {Object} anchor - Text anchor of the item
+ */
+async function revealQuoteWhenLoaded(tabId, anchor) {
+  const loaded = await new Promise(resolve => {
+    const timeout = setTimeout(() => finish(false), 30000);
+    function finish(result) {
+      clearTimeout(timeout);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      chrome.tabs.onRemoved.removeListener(onRemoved);
+      resolve(result);
+    }
+    function onUpdated(updatedTabId, changeInfo) {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') finish(true);
+    }
+    function onRemoved(removedTabId) {
+      if (removedTabId === tabId) finish(false);
+    }
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.tabs.onRemoved.addListener(onRemoved);
+  });
+  if (!loaded) return;
+
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, { action: 'revealQuote', anchor }, { frameId: 0 });
+    if (!response || !response.found) {
+      await notifyTab(tabId, "Couldn't find the quote on this page", true);
+    }
+  } catch (error) {
+    // Pages the content script can't run on (e.g. PDFs) only get the text fragment
+    console.warn('Could not reveal quote:', error);
+  }
+}
+
+/**
+ * Describe where a capture was saved ('Saved to "Thesis"')
+ * @param {string} projectId - Project the capture was saved to
+ * @returns {Promise<string>} Message
+ */
+async function describeSavedTo(projectId) {
+  const project = await DBUtils.getProject(projectId || DBUtils.DEFAULT_PROJECT_ID);
+  return project ? `Saved to "${project.name}"` : 'Saved';
+}
+
+/**
+ * Save whatever a context menu item was opened on
+ * The content script builds the capture like the popover does; the menu data is the fallback.
+ * @param {Object} info - chrome.contextMenus OnClickData
+ * @param {chrome.tabs.Tab} tab - Tab the menu was opened in
+ */
+async function handleContextMenuClick(info, tab) {
+  const menuItemId = String(info.menuItemId);
+  let kind;
+  let projectId;
+
+  if (menuItemId.startsWith(SAVE_TO_PROJECT_PREFIX)) {
+    kind = getContextCaptureKind(info);
+    projectId = menuItemId.substring(SAVE_TO_PROJECT_PREFIX.length);
+  } else {
+    const item = CONTEXT_MENU_ITEMS.find(menuItem => menuItem.id === menuItemId);
+    if (!item) return;
+    kind = item.kind;
+    const result = await chrome.storage.local.get('activeProjectId');
+    projectId = result.activeProjectId || DBUtils.DEFAULT_PROJECT_ID;
+  }
+
+  try {
+    let data = null;
+    try {
+      const response = await chrome.tabs.sendMessage(tab.id, {
+        action: 'getContextCapture',
+        data: { kind, srcUrl: info.srcUrl, linkUrl: info.linkUrl, selectionText: info.selectionText }
+      }, { frameId: kind === 'region' ? 0 : info.frameId }); // Regions are dragged over the whole tab
+      if (response?.cancelled) return;
+      if (response?.success) data = response.data;
+    } catch (error) {
+      console.warn('[BG] Content script unavailable, using context menu data:', error.message);
+    }
+
+    if (!data) {
+      data = await getFallbackCaptureData(kind, info, tab);
+    }
+
+    await handleSaveSelection({ ...data, projectId }, { tab });
+    notifyTab(tab?.id, await describeSavedTo(projectId));
+  } catch (error) {
+    console.error('[BG] Context menu capture failed:', error);
+    notifyTab(tab?.id, 'Could not save', true);
+  }
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  handleContextMenuClick(info, tab);
+});
+
+/**
+ * Run a keyboard shortcut capture in the active tab
+ * The content script saves through the regular saveSelection message.
+ * @param {string} command - 'save-selection', 'save-page-article' or 'capture-region'
+ * @param {chrome.tabs.Tab} tab - Active tab
+ */
+async function handleCaptureCommand(command, tab) {
+  try {
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'runCaptureCommand', command });
+    if (response?.cancelled) return;
+    if (!response?.success) {
+      throw new Error(response.error || 'Failed to save');
+    }
+
+    const { activeProjectId } = await chrome.storage.local.get('activeProjectId');
+    notifyTab(tab.id, await describeSavedTo(activeProjectId));
+  } catch (error) {
+    if (error.message.includes('Receiving end does not exist')) {
+      // No content script on this page (browser pages, or tabs opened before the extension loaded)
+      showCaptureBadge(tab.id, false);
+    } else if (error.message.includes('message port closed')) {
+      // No frame had a selection, so none of them answered
+      notifyTab(tab.id, 'Select some text to save first', true);
+    } else {
+      console.error('[BG] Shortcut capture failed:', error);
+      notifyTab(tab.id, 'Could not save', true);
+    }
+  }
+}
+
+/**
+ * Make the next project the active capture project
+ * @param {chrome.tabs.Tab} [tab] - Active tab (for the confirmation)
+ */
+async function cycleActiveProject(tab) {
+  try {
+    const [projects, result] = await Promise.all([
+      DBUtils.getAllProjects(),
+      chrome.storage.local.get('activeProjectId')
+    ]);
+    if (projects.length === 0) return;
+
+    const index = projects.findIndex(project => project.key === result.activeProjectId);
+    const next = projects[(index + 1) % projects.length];
+    await chrome.storage.local.set({ activeProjectId: next.key });
+
+    notifyTab(tab?.id, `Capturing to "${next.name}"`);
+  } catch (error) {
+    console.error('[BG] Error switching project:', error);
+  }
+}
+
+// Keyboard shortcuts (opening the popup is the built-in _execute_action command)
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === 'save-selection' || command === 'save-page-article' || command === 'capture-region') {
+    handleCaptureCommand(command, tab);
+  } else if (command === 'cycle-project') {
+    cycleActiveProject(tab);
+  }
+});
+
 // Initialize database on installation (pre-warm connection)
 chrome.runtime.onInstalled.addListener(async () => {
   console.log('Extension installed, initializing database...');
@@ -363,6 +962,31 @@ chrome.runtime.onInstalled.addListener(async () => {
   } catch (error) {
     console.error('Error initializing database:', error);
   }
+  rebuildContextMenus();
+  scheduleTrashPurge();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  rebuildContextMenus();
+  scheduleTrashPurge();
+});
+
+/**
+ * Purge expired Trash entries now and once a day from then on
+ */
+async function scheduleTrashPurge() {
+  await TrashUtils.purgeExpired();
+
+  const alarm = await chrome.alarms.get(TrashUtils.PURGE_ALARM);
+  if (!alarm) {
+    chrome.alarms.create(TrashUtils.PURGE_ALARM, { periodInMinutes: TrashUtils.PURGE_INTERVAL_MINUTES });
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === TrashUtils.PURGE_ALARM) {
+    TrashUtils.purgeExpired();
+  }
 });
 
 // Clean up when service worker is about to terminate
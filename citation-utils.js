@@ -0,0 +1,444 @@
+/**
+ * Citation Utilities
+ * Formats captured sources as APA (7th), MLA (9th), Chicago (17th, bibliography) and BibTeX
+ *
+ * Citation Object (content.citation, extracted by the content script):
+ * {
+ *   "authors": ["Jane Doe", "Smith, John"],
+ *   "title": "Article headline",
+ *   "siteName": "The Example Times",
+ *   "publisher": "Example Media (optional)",
+ *   "journal": "Journal name (optional, scholarly articles)",
+ *   "publishedDate": "2024-03-05",
+ *   "doi": "10.1000/xyz123",
+ *   "canonicalUrl": "https://example.com/article"
+ * }
+ */
+
+const CitationUtils = {
+  STYLES: {
+    apa: { label: 'APA', heading: 'References' },
+    mla: { label: 'MLA', heading: 'Works Cited' },
+    chicago: { label: 'Chicago', heading: 'Bibliography' },
+    bibtex: { label: 'BibTeX', heading: null }
+  },
+
+  MONTHS: ['January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'],
+
+  // MLA abbreviates months longer than four letters
+  MLA_MONTHS: ['Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'June',
+    'July', 'Aug.', 'Sept.', 'Oct.', 'Nov.', 'Dec.'],
+
+  /**
+   * Escape HTML special characters
+   * @param {string} text - Text
+   * @returns {string}
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  },
+
+  /**
+   * Collect the fields a citation needs from a content item
+   * Falls back to the capture's source title/URL when no metadata was extracted.
+   * @param {Object} content - Content object
+   * @returns {{authors: Array<{given: string, family: string}>, title: string, container: string,
+   *   publisher: string, journal: string, date: Object|null, doi: string, url: string, accessed: Date}}
+   */
+  getCitationData(content) {
+    // Link captures cite the linked URL; the page metadata describes the page it was found on
+    const isLinkCapture = !!(content.sourceUrl && content.pageUrl && content.sourceUrl !== content.pageUrl);
+    const citation = (!isLinkCapture && content.citation) || {};
+    const url = citation.canonicalUrl || content.sourceUrl || content.pageUrl ||
+      (content.links && content.links[0]) || '';
+    const fallbackTitle = isLinkCapture ? content.text : content.sourceTitle;
+
+    let hostname = '';
+    try {
+      hostname = new URL(url).hostname.replace(/^www\./, '');
+    } catch {}
+
+    return {
+      authors: (citation.authors || []).map(name => this.parseAuthorName(name)).filter(a => a.family),
+      title: (citation.title || fallbackTitle || hostname || 'Untitled').trim(),
+      container: citation.siteName || hostname,
+      publisher: citation.publisher || '',
+      journal: citation.journal || '',
+      date: this.parseDate(citation.publishedDate),
+      doi: citation.doi || '',
+      url,
+      accessed: new Date(content.created || Date.now())
+    };
+  },
+
+  /**
+   * Split a personal name into given and family names
+   * "Doe, Jane" and "Jane Doe" both give {given: "Jane", family: "Doe"};
+   * single-word names (organizations) keep everything as the family name.
+   * @param {string} name - Author name
+   * @returns {{given: string, family: string}}
+   */
+  parseAuthorName(name) {
+    const clean = String(name || '').replace(/\s+/g, ' ').replace(/^by\s+/i, '').trim();
+    if (clean.includes(',')) {
+      const [family, given] = clean.split(',').map(part => part.trim());
+      return { given: given || '', family };
+    }
+
+    const words = clean.split(' ');
+    if (words.length === 1) {
+      return { given: '', family: clean };
+    }
+
+    // Keep particles like "van", "de" with the family name
+    let familyStart = words.length - 1;
+    while (familyStart > 1 && /^(van|von|de|der|den|da|di|du|la|le)$/i.test(words[familyStart - 1])) {
+      familyStart--;
+    }
+    return {
+      given: words.slice(0, familyStart).join(' '),
+      family: words.slice(familyStart).join(' ')
+    };
+  },
+
+  /**
+   * Parse a publication date, keeping track of how precise it is
+   * @param {string} value - ISO date/date-time or any Date-parsable string
+   * @returns {{year: number, month: number|null, day: number|null}|null}
+   */
+  parseDate(value) {
+    if (!value) return null;
+
+    const isoMatch = String(value).match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?/);
+    if (isoMatch) {
+      return {
+        year: Number(isoMatch[1]),
+        month: isoMatch[2] ? Number(isoMatch[2]) : null,
+        day: isoMatch[3] ? Number(isoMatch[3]) : null
+      };
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+  },
+
+  /**
+   * Convert a Date to the {year, month, day} shape used by the formatters
+   */
+  toDateParts(date) {
+    return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+  },
+
+  /**
+   * Get a DOI link if present, otherwise the URL
+   */
+  getLink(data) {
+    return data.doi ? `https://doi.org/${data.doi}` : data.url;
+  },
+
+  /**
+   * Get given-name initials ("Jane Marie" -> "J. M.")
+   */
+  getInitials(given) {
+    return given.split(/[\s-]+/).filter(Boolean).map(part => `${part[0].toUpperCase()}.`).join(' ');
+  },
+
+  /**
+   * Join names as "A, B, & C" (APA) or "A, B, and C"
+   */
+  joinNames(names, conjunction) {
+    if (names.length <= 1) return names.join('');
+    if (names.length === 2) {
+      return conjunction === '&' ? `${names[0]}, & ${names[1]}` : `${names[0]} ${conjunction} ${names[1]}`;
+    }
+    return `${names.slice(0, -1).join(', ')}, ${conjunction} ${names[names.length - 1]}`;
+  },
+
+  /**
+   * Ensure a citation element ends with a period (without doubling "?" or "!")
+   */
+  withPeriod(text) {
+    return /[.?!]$/.test(text) ? text : `${text}.`;
+  },
+
+  /**
+   * Build plain-text and HTML output from parts; {italic: text} parts are italicized in HTML
+   * @param {Array<string|{italic: string}>} parts - Citation pieces
+   * @returns {{text: string, html: string}}
+   */
+  render(parts) {
+    return {
+      text: parts.map(part => (typeof part === 'string' ? part : part.italic)).join(''),
+      html: parts.map(part => (typeof part === 'string' ? this.escapeHtml(part) : `<i>${this.escapeHtml(part.italic)}</i>`)).join('')
+    };
+  },
+
+  /**
+   * APA 7th edition reference (web page / article)
+   */
+  formatAPA(data) {
+    const parts = [];
+
+    if (data.authors.length > 0) {
+      const names = data.authors.slice(0, 20).map(a =>
+        a.given ? `${a.family}, ${this.getInitials(a.given)}` : a.family
+      );
+      parts.push(`${this.withPeriod(this.joinNames(names, '&'))} `);
+    }
+
+    let dateText = 'n.d.';
+    if (data.date) {
+      dateText = String(data.date.year);
+      if (data.date.month) {
+        dateText += `, ${this.MONTHS[data.date.month - 1]}${data.date.day ? ` ${data.date.day}` : ''}`;
+      }
+    }
+    const datePart = `(${dateText}). `;
+
+    if (data.authors.length > 0) {
+      parts.push(datePart, { italic: data.title }, '. ');
+    } else {
+      // Without an author the title moves to the author position
+      parts.push({ italic: data.title }, `. ${datePart}`);
+    }
+
+    if (data.journal) {
+      parts.push({ italic: data.journal }, '. ');
+    } else if (data.container && data.container.toLowerCase() !== data.authors.map(a => a.family).join(' ').toLowerCase()) {
+      parts.push(`${this.withPeriod(data.container)} `);
+    }
+
+    parts.push(this.getLink(data));
+    return this.render(parts);
+  },
+
+  /**
+   * MLA 9th edition works-cited entry
+   */
+  formatMLA(data) {
+    const parts = [];
+    const formatDate = date => [date.day, date.month ? this.MLA_MONTHS[date.month - 1] : null, date.year]
+      .filter(Boolean).join(' ');
+
+    if (data.authors.length > 0) {
+      const [first, ...rest] = data.authors;
+      const firstName = first.given ? `${first.family}, ${first.given}` : first.family;
+      let authorText = firstName;
+      if (data.authors.length === 2) {
+        const second = rest[0];
+        authorText = `${firstName}, and ${[second.given, second.family].filter(Boolean).join(' ')}`;
+      } else if (data.authors.length > 2) {
+        authorText = `${firstName}, et al`;
+      }
+      parts.push(`${this.withPeriod(authorText)} `);
+    }
+
+    parts.push(`"${this.withPeriod(data.title)}" `);
+
+    const container = data.journal || data.container;
+    if (container) {
+      parts.push({ italic: container }, ', ');
+    }
+    if (data.publisher && data.publisher !== container) {
+      parts.push(`${data.publisher}, `);
+    }
+    if (data.date) {
+      parts.push(`${formatDate(data.date)}, `);
+    }
+
+    // MLA drops the protocol from URLs
+    const link = data.doi ? `https://doi.org/${data.doi}` : data.url.replace(/^https?:\/\//, '');
+    parts.push(`${link}. Accessed ${formatDate(this.toDateParts(data.accessed))}.`);
+    return this.render(parts);
+  },
+
+  /**
+   * Chicago 17th edition bibliography entry (notes-bibliography, web page)
+   */
+  formatChicago(data) {
+    const parts = [];
+    const formatDate = date => {
+      if (!date.month) return String(date.year);
+      return `${this.MONTHS[date.month - 1]}${date.day ? ` ${date.day},` : ''} ${date.year}`;
+    };
+
+    if (data.authors.length > 0) {
+      const [first, ...rest] = data.authors;
+      const names = [first.given ? `${first.family}, ${first.given}` : first.family,
+        ...rest.slice(0, 9).map(a => [a.given, a.family].filter(Boolean).join(' '))];
+      const authorText = data.authors.length > 10
+        ? `${names.slice(0, 7).join(', ')}, et al`
+        : this.joinNames(names, 'and');
+      parts.push(`${this.withPeriod(authorText)} `);
+    }
+
+    parts.push(`"${this.withPeriod(data.title)}" `);
+
+    if (data.journal) {
+      parts.push({ italic: data.journal }, '. ');
+    } else if (data.container) {
+      parts.push(`${this.withPeriod(data.container)} `);
+    }
+
+    if (data.date) {
+      parts.push(`${formatDate(data.date)}. `);
+    } else {
+      parts.push(`Accessed ${formatDate(this.toDateParts(data.accessed))}. `);
+    }
+
+    parts.push(`${this.getLink(data)}.`);
+    return this.render(parts);
+  },
+
+  /**
+   * Escape BibTeX special characters in a field value
+   */
+  escapeBibTeX(text) {
+    return String(text).replace(/([{}%&$#_])/g, '\\$1');
+  },
+
+  /**
+   * Build a BibTeX citation key ("doe2024climate")
+   */
+  getBibTeXKey(data) {
+    const ascii = text => text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    const author = data.authors.length > 0 ? ascii(data.authors[0].family) : ascii(data.container || 'source');
+    const titleWord = data.title.split(/\s+/).map(ascii).find(word => word.length > 3) || '';
+    return `${author || 'source'}${data.date ? data.date.year : ''}${titleWord}`;
+  },
+
+  /**
+   * Suffix for the nth source sharing a BibTeX key: a, b, ... z, aa, ab, ...
+   * @param {number} n - Zero-based index
+   * @returns {string}
+   */
+  getKeySuffix(n) {
+    const letter = String.fromCharCode(97 + (n % 26));
+    return n < 26 ? letter : this.getKeySuffix(Math.floor(n / 26) - 1) + letter;
+  },
+
+  /**
+   * BibTeX entry (@article for journal articles, @misc otherwise)
+   * @param {Object} data - Citation data
+   * @param {string} [key] - Citation key (defaults to getBibTeXKey)
+   */
+  formatBibTeX(data, key = this.getBibTeXKey(data)) {
+    const pad = n => String(n).padStart(2, '0');
+    const accessed = this.toDateParts(data.accessed);
+    const fields = [];
+
+    if (data.authors.length > 0) {
+      // Braces around single-name authors keep organizations intact
+      fields.push(['author', data.authors.map(a =>
+        a.given ? `${this.escapeBibTeX(a.family)}, ${this.escapeBibTeX(a.given)}` : `{${this.escapeBibTeX(a.family)}}`
+      ).join(' and ')]);
+    }
+    fields.push(['title', `{${this.escapeBibTeX(data.title)}}`]);
+    if (data.journal) {
+      fields.push(['journal', this.escapeBibTeX(data.journal)]);
+    } else if (data.container) {
+      fields.push(['howpublished', this.escapeBibTeX(data.container)]);
+    }
+    if (data.publisher) fields.push(['publisher', this.escapeBibTeX(data.publisher)]);
+    if (data.date) {
+      fields.push(['year', String(data.date.year)]);
+      if (data.date.month) fields.push(['month', this.MONTHS[data.date.month - 1].substring(0, 3).toLowerCase()]);
+    }
+    if (data.doi) fields.push(['doi', data.doi]);
+    if (data.url) fields.push(['url', data.url]);
+    fields.push(['urldate', `${accessed.year}-${pad(accessed.month)}-${pad(accessed.day)}`]);
+
+    const entryType = data.journal ? 'article' : 'misc';
+    const body = fields.map(([name, value]) =>
+      name === 'month' ? `  ${name} = ${value}` : `  ${name} = {${value}}`
+    ).join(',\n');
+    const text = `@${entryType}{${key},\n${body}\n}`;
+
+    return { text, html: `<pre>${this.escapeHtml(text)}</pre>` };
+  },
+
+  /**
+   * Format one content item's citation
+   * @param {Object} content - Content object
+   * @param {string} style - apa, mla, chicago or bibtex
+   * @returns {{text: string, html: string}}
+   */
+  formatCitation(content, style) {
+    const data = this.getCitationData(content);
+    switch (style) {
+      case 'apa': return this.formatAPA(data);
+      case 'mla': return this.formatMLA(data);
+      case 'chicago': return this.formatChicago(data);
+      case 'bibtex': return this.formatBibTeX(data);
+      default: throw new Error(`Unknown citation style: ${style}`);
+    }
+  },
+
+  /**
+   * Check whether an item has a source worth citing
+   * @param {Object} content - Content object
+   * @returns {boolean}
+   */
+  hasSource(content) {
+    return !!(content.citation || content.sourceUrl || content.pageUrl || (content.links && content.links.length > 0));
+  },
+
+  /**
+   * Format a bibliography for several items (one entry per distinct source)
+   * BibTeX keys shared by several sources get a, b, c... suffixes ("smith2023climatea").
+   * @param {Object[]} contents - Content objects
+   * @param {string} style - apa, mla, chicago or bibtex
+   * @returns {{text: string, html: string, count: number}}
+   */
+  formatBibliography(contents, style) {
+    const seen = new Set();
+    const sources = [];
+
+    for (const content of contents) {
+      if (!this.hasSource(content)) continue;
+      const data = this.getCitationData(content);
+      const sourceKey = data.doi || data.url;
+      if (seen.has(sourceKey)) continue;
+      seen.add(sourceKey);
+      sources.push({ content, data });
+    }
+
+    let entries;
+    if (style === 'bibtex') {
+      const keys = sources.map(({ data }) => this.getBibTeXKey(data));
+      const counts = new Map();
+      keys.forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+      const used = new Map();
+      entries = sources.map(({ data }, i) => {
+        const key = keys[i];
+        if (counts.get(key) === 1) return this.formatBibTeX(data, key);
+        const n = used.get(key) || 0;
+        used.set(key, n + 1);
+        return this.formatBibTeX(data, `${key}${this.getKeySuffix(n)}`);
+      });
+    } else {
+      entries = sources.map(({ content }) => this.formatCitation(content, style));
+      entries.sort((a, b) => a.text.localeCompare(b.text));
+    }
+
+    const heading = this.STYLES[style].heading;
+    const separator = style === 'bibtex' ? '\n\n' : '\n';
+    const text = (heading ? `${heading}\n\n` : '') + entries.map(e => e.text).join(separator);
+    const html = (heading ? `<h3>${heading}</h3>` : '') + entries.map(e =>
+      style === 'bibtex' ? e.html : `<p style="padding-left: 2em; text-indent: -2em;">${e.html}</p>`
+    ).join('');
+
+    return { text, html, count: entries.length };
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CitationUtils;
+}
@@ -5,6 +5,7 @@
 
 let popover = null;
 let selectedText = '';
+let selectedHtml = ''; // Formatting of the selection (see RichTextUtils)
 let selectedImage = null;
 let selectedTable = null;
 let selectedLink = null;
@@ -12,26 +13,35 @@ let hoverTimer = null;
 let hoveredImage = null;
 let hoveredTable = null;
 let hoveredLink = null;
+let selectedMedia = null;
+let hoveredMedia = null;
 let prewarmSent = false;
 let extensionContextValid = true;
 let savedSelectionRange = null; // Store selection range for restoration
+let contextMenuTarget = null; // Element last right-clicked (for context menu captures)
 
 /**
  * Clear all capture states except the specified type
- * @param {string} keepType - Type to preserve ('text'|'image'|'table'|'link'|'all')
+ * @param {string} keepType - Type to preserve ('text'|'image'|'table'|'link'|'media'|'all')
  */
 function clearCaptureStates(keepType = 'all') {
-  if (keepType !== 'text') selectedText = '';
+  if (keepType !== 'text') {
+    selectedText = '';
+    selectedHtml = '';
+  }
   if (keepType !== 'image') selectedImage = null;
   if (keepType !== 'table') selectedTable = null;
   if (keepType !== 'link') selectedLink = null;
+  if (keepType !== 'media') selectedMedia = null;
 }
 
 // Track multiple detected elements for nested scenarios (e.g., image inside link)
+// media is read once by the next showPopover call
 let detectedElements = {
   image: null,
   link: null,
-  table: null
+  table: null,
+  media: null
 };
 
 /**
@@ -72,6 +82,93 @@ document.addEventListener('mouseout', handleTableHoverEnd, true);
 document.addEventListener('mouseover', handleLinkHover, true);
 document.addEventListener('mouseout', handleLinkHoverEnd, true);
 
+// Show the note of a highlighted saved selection; hide the card on the next click, Escape or scroll
+document.addEventListener('click', handleHighlightClick);
+document.addEventListener('mousedown', (event) => {
+  if (highlightCard && !event.composedPath().includes(highlightCard)) hideHighlightCard();
+}, true);
+document.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape') hideHighlightCard();
+}, true);
+window.addEventListener('scroll', hideHighlightCard, { passive: true });
+
+// Pick up captures changed in the popup when coming back to the tab
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible') refreshSavedHighlights();
+});
+
+// Listen for video/audio hover (registered last so it wins over images and links in player controls)
+document.addEventListener('mouseover', handleMediaHover, true);
+document.addEventListener('mouseout', handleMediaHoverEnd, true);
+
+// Remember the right-clicked element so context menu captures can read it
+document.addEventListener('contextmenu', (event) => {
+  contextMenuTarget = event.target;
+}, true);
+
+// Answer capture requests from the context menu and keyboard shortcuts (handled in background.js)
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'runCaptureCommand') {
+    // Only the focused frame answers if it holds a selection, so one key press saves one item;
+    // pages are saved from the top frame
+    const isSelectionFrame = isFocusedFrame() && !!window.getSelection().toString().trim();
+    if (request.command === 'save-selection' ? !isSelectionFrame : window !== window.top) {
+      return false;
+    }
+
+    runCaptureCommand(request.command)
+      .then(response => {
+        sendResponse(response);
+      })
+      .catch(error => {
+        console.error('[CWA] Shortcut capture failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+
+    // Return true to indicate async response
+    return true;
+  }
+
+  if (request.action === 'revealQuote') {
+    revealTextAnchor(request.anchor)
+      .then(found => {
+        sendResponse({ success: true, found });
+      })
+      .catch(error => {
+        console.error('[CWA] Could not show quote:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+
+    // Return true to indicate async response
+    return true;
+  }
+
+  if (request.action === 'refreshHighlights') {
+    refreshSavedHighlights();
+    return false;
+  }
+
+  if (request.action === 'showToast') {
+    showCaptureToast(request.message, request.isError);
+    return false;
+  }
+
+  if (request.action === 'getContextCapture') {
+    buildContextCapture(request.data)
+      .then(data => {
+        // No data: the user cancelled a region capture
+        sendResponse(data ? { success: true, data } : { success: false, cancelled: true });
+      })
+      .catch(error => {
+        console.error('[CWA] Context menu capture failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+
+    // Return true to indicate async response
+    return true;
+  }
+});
+
 /**
  * Handle text selection event
  */
@@ -161,25 +258,21 @@ function handleTextSelection(event) {
     // Store selected text AFTER showPopover (which calls hidePopover that clears state)
     clearCaptureStates('text');
     selectedText = text;
+    selectedHtml = RichTextUtils.fromSelection(selection);
   }, 10);
 }
 
 /**
- * Handle image hover event
+ * Handle image hover event (images, inline SVG graphics and CSS background images)
  */
 function handleImageHover(event) {
-  if (event.target.tagName !== 'IMG') return;
-
-  const img = event.target;
-  const width = img.naturalWidth || img.width;
-  const height = img.naturalHeight || img.height;
-
-  // Filter out tiny images (icons, UI elements, etc.)
-  if (width < 50 || height < 50) return;
-
   // Don't show if popover already visible
   if (popover) return;
 
+  // Filters out tiny images (icons, UI elements, etc.)
+  const img = getCapturableImage(event.target);
+  if (!img || img === hoveredImage) return;
+
   hoveredImage = img;
   if (hoverTimer) clearTimeout(hoverTimer);
 
@@ -188,10 +281,10 @@ function handleImageHover(event) {
   const hasValidParentLink = parentLink && parentLink.href &&
     !parentLink.href.startsWith('javascript:') && parentLink.href !== '#';
 
-  // Check if image is inside a table
-  const parentTable = img.closest('table');
+  // Check if image is inside a table (or a grid or list captured as one)
+  const parentTable = TableUtils.findTableElement(img.parentElement);
   const hasValidParentTable = parentTable &&
-    parentTable.querySelectorAll('tr').length >= 2;
+    TableUtils.countRows(parentTable) >= 2;
 
   // Wait 1 second before showing popover
   hoverTimer = setTimeout(() => {
@@ -213,7 +306,8 @@ function handleImageHover(event) {
  * Handle image hover end event
  */
 function handleImageHoverEnd(event) {
-  if (event.target === hoveredImage) {
+  // Moving between the shapes of an SVG graphic (or the children of a background image) isn't leaving it
+  if (hoveredImage && hoveredImage.contains(event.target) && !hoveredImage.contains(event.relatedTarget)) {
     if (hoverTimer) clearTimeout(hoverTimer);
     hoveredImage = null;
   }
@@ -221,20 +315,21 @@ function handleImageHoverEnd(event) {
 
 /**
  * Handle table hover event
+ * Also covers ARIA grids, definition lists and CSS grid/flex tables (see TableUtils.findTableElement).
  */
 function handleTableHover(event) {
   // Don't trigger if hovering an image inside the table (handleImageHover will handle it)
   if (event.target.tagName === 'IMG') return;
 
-  // Check if element is a table or inside a table
-  const table = event.target.tagName === 'TABLE' ? event.target : event.target.closest('table');
-  if (!table) return;
-
   // Don't show if popover already visible
   if (popover) return;
 
+  // Check if element is a table or inside a table
+  const table = TableUtils.findTableElement(event.target);
+  if (!table) return;
+
   // Filter out very small tables (likely UI elements)
-  const rowCount = table.querySelectorAll('tr').length;
+  const rowCount = TableUtils.countRows(table);
   if (rowCount < 2) return;
 
   hoveredTable = table;
@@ -254,8 +349,8 @@ function handleTableHover(event) {
  * Handle table hover end event
  */
 function handleTableHoverEnd(event) {
-  const table = event.target.tagName === 'TABLE' ? event.target : event.target.closest('table');
-  if (table === hoveredTable) {
+  // Moving between the cells of the table isn't leaving it
+  if (hoveredTable && hoveredTable.contains(event.target) && !hoveredTable.contains(event.relatedTarget)) {
     if (hoverTimer) clearTimeout(hoverTimer);
     hoveredTable = null;
   }
@@ -277,7 +372,8 @@ function handleLinkHover(event) {
   if (popover) return;
 
   // If we're hovering an image inside a link, let image handler take over
-  if (event.target.tagName === 'IMG') return;
+  const image = getCapturableImage(event.target);
+  if (image && link.contains(image)) return;
 
   hoveredLink = link;
   if (hoverTimer) clearTimeout(hoverTimer);
@@ -309,6 +405,45 @@ function handleLinkHover(event) {
   }, 1000);
 }
 
+/**
+ * Handle video/audio hover event
+ */
+function handleMediaHover(event) {
+  // Don't show if popover already visible
+  if (popover) return;
+
+  const media = getMediaElement(event.target, event.clientX, event.clientY);
+  if (!media || media === hoveredMedia) return;
+
+  hoveredMedia = media;
+  if (hoverTimer) clearTimeout(hoverTimer);
+
+  // Wait 1 second before showing popover
+  hoverTimer = setTimeout(() => {
+    detectedElements.media = media;
+    detectedElements.image = null;
+    detectedElements.link = null;
+    detectedElements.table = null;
+
+    const rect = media.getBoundingClientRect();
+    showPopover(rect.right - 10, rect.top + 10);
+
+    // Set selected state AFTER showPopover
+    clearCaptureStates('media');
+    selectedMedia = media;
+  }, 1000);
+}
+
+/**
+ * Handle video/audio hover end event
+ */
+function handleMediaHoverEnd(event) {
+  if (hoveredMedia && getMediaElement(event.relatedTarget, event.clientX, event.clientY) !== hoveredMedia) {
+    if (hoverTimer) clearTimeout(hoverTimer);
+    hoveredMedia = null;
+  }
+}
+
 /**
  * Handle link hover end event
  */
@@ -355,6 +490,42 @@ async function loadProjectsToDropdown() {
   }
 }
 
+/**
+ * Load existing tags into the tags input's suggestions
+ */
+async function loadTagSuggestions() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getTags' });
+
+    if (!response.success) {
+      console.error('Failed to load tags:', response.error);
+      return;
+    }
+
+    const datalist = document.getElementById('cwa-tags-datalist');
+    if (!datalist) return;
+
+    datalist.innerHTML = '';
+    response.tags.forEach(tag => {
+      const option = document.createElement('option');
+      option.value = tag.name;
+      datalist.appendChild(option);
+    });
+  } catch (error) {
+    console.error('Error loading tags:', error);
+  }
+}
+
+/**
+ * Get the comma-separated tags typed into the popover
+ * @returns {string[]} Tag names (normalized by the background on save)
+ */
+function getPopoverTags() {
+  const tagsInput = popover ? popover.querySelector('.cwa-tags-input') : null;
+  if (!tagsInput) return [];
+  return tagsInput.value.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
 /**
  * Get selected project ID from dropdown
  */
@@ -378,8 +549,13 @@ function showPopover(x, y) {
   let previewContent = '';
   let charCount = 0;
   let contentType = '';
+  const media = detectedElements.media;
+  detectedElements.media = null;
 
-  if (selectedText) {
+  if (media) {
+    previewContent = `${media.tagName === 'VIDEO' ? 'Video' : 'Audio'} at ${formatMediaTime(media.currentTime)}`;
+    contentType = 'media';
+  } else if (selectedText) {
     charCount = selectedText.length;
     previewContent = selectedText.substring(0, 80) + (selectedText.length > 80 ? '...' : '');
     contentType = 'text';
@@ -488,6 +664,8 @@ function showPopover(x, y) {
         <option value="">Loading projects...</option>
       </select>
       <input type="text" class="cwa-note-input" placeholder="Add a note (optional)..." />
+      <input type="text" class="cwa-tags-input" list="cwa-tags-datalist" placeholder="Tags, comma separated (optional)..." autocomplete="off" />
+      <datalist id="cwa-tags-datalist"></datalist>
       <div class="cwa-multi-save-buttons">
         ${imageButton}
         ${hasImageAndLink ? linkButton : ''}
@@ -502,6 +680,14 @@ function showPopover(x, y) {
         <option value="">Loading projects...</option>
       </select>
       <input type="text" class="cwa-note-input" placeholder="Add a note (optional)..." />
+      <input type="text" class="cwa-tags-input" list="cwa-tags-datalist" placeholder="Tags, comma separated (optional)..." autocomplete="off" />
+      <datalist id="cwa-tags-datalist"></datalist>
+      ${media && getMediaFileUrl(media) ? `
+        <label class="cwa-media-file-option">
+          <input type="checkbox" class="cwa-media-file-checkbox" />
+          <span>Also save the ${media.tagName === 'VIDEO' ? 'video' : 'audio'} file (up to 25 MB)</span>
+        </label>
+      ` : ''}
       <button class="cwa-save-btn" title="Save to Content Assistant">
         <svg width="14" height="14" viewBox="0 0 16 16" fill="none">
           <path d="M12 2H4C3.46957 2 2.96086 2.21071 2.58579 2.58579C2.21071 2.96086 2 3.46957 2 4V14L5 12L8 14L11 12L14 14V4C14 3.46957 13.7893 2.96086 13.4142 2.58579C13.0391 2.21071 12.5304 2 12 2Z" stroke="currentColor" stroke-width="1.5"/>
@@ -565,6 +751,7 @@ function showPopover(x, y) {
 
   // Load projects and populate dropdown
   loadProjectsToDropdown();
+  loadTagSuggestions();
 
   // Add event listeners for save buttons
   if (hasMultipleElements) {
@@ -626,6 +813,7 @@ function hidePopover() {
   hoveredImage = null;
   hoveredTable = null;
   hoveredLink = null;
+  hoveredMedia = null;
   savedSelectionRange = null;
   if (hoverTimer) {
     clearTimeout(hoverTimer);
@@ -673,105 +861,48 @@ function handlePopoverKeydown(event) {
 
 /**
  * Extract table data into JSON structure, including embedded images with position info
+ * Works for every element TableUtils.findTableElement finds (tables, ARIA grids, lists, CSS grids).
+ * Cells keep their spans, links and numeric values (see TableUtils); images are replaced
+ * by {{img:N}} placeholders that point into the returned images array.
  */
 function extractTableData(table) {
-  const headers = [];
-  const rows = [];
   const images = [];
 
-  // Extract headers from thead or first row
-  const headerCells = table.querySelectorAll('thead th');
-  if (headerCells.length > 0) {
-    headerCells.forEach(th => headers.push(th.textContent.trim()));
-  } else {
-    // If no thead, use first row as headers
-    const firstRow = table.querySelector('tr');
-    if (firstRow) {
-      const cells = firstRow.querySelectorAll('th, td');
-      cells.forEach(cell => headers.push(cell.textContent.trim()));
-    }
-  }
-
-  // Extract data rows from tbody or all rows (skip header row if we used it)
-  const bodyRows = table.querySelectorAll('tbody tr');
-  const rowsToExtract = bodyRows.length > 0 ? bodyRows : table.querySelectorAll('tr');
-
-  let startIndex = 0;
-  // If we used first row as headers and tbody doesn't exist, skip first row
-  if (bodyRows.length === 0 && headerCells.length === 0 && table.querySelector('tr')) {
-    startIndex = 1;
-  }
-
-  // Track image index across all cells for placeholder replacement
-  let imageIndex = 0;
-
-  Array.from(rowsToExtract).slice(startIndex).forEach((tr, rowIdx) => {
-    const rowData = [];
-    tr.querySelectorAll('td, th').forEach((cell, colIdx) => {
-      // Check for images in this cell
-      const cellImages = cell.querySelectorAll('img');
-      let cellContent = cell.textContent.trim();
-
-      cellImages.forEach(img => {
-        if (img.src && img.src.trim() !== '') {
-          // Add placeholder for this image
-          cellContent += `{{img:${imageIndex}}}`;
-          // Store image with position metadata
-          images.push({
-            element: img,
-            rowIndex: rowIdx,
-            colIndex: colIdx,
-            index: imageIndex
-          });
-          imageIndex++;
-        }
-      });
-
-      // Check for CSS background-image in this cell
-      const computedStyle = window.getComputedStyle(cell);
-      const backgroundImage = computedStyle.backgroundImage;
+  const collectCellImages = (cell, rowIndex, colIndex) => {
+    let placeholders = '';
+    const addImage = element => {
+      // Store image with position metadata
+      images.push({ element, rowIndex, colIndex, index: images.length });
+      placeholders += `{{img:${images.length - 1}}}`;
+    };
 
-      if (backgroundImage && backgroundImage !== 'none') {
-        // Extract all URLs from background-image (can contain multiple images)
-        const urlMatches = backgroundImage.matchAll(/url\(['"]?([^'"()]+)['"]?\)/g);
-        for (const match of urlMatches) {
-          const bgUrl = match[1];
+    // Images of nested tables belong to the nested cells
+    cell.querySelectorAll('img').forEach(img => {
+      if (img.src && img.src.trim() !== '' && TableUtils.isOwnContent(cell, img)) {
+        addImage(img);
+      }
+    });
 
-          try {
-            // Resolve relative URLs to absolute URLs
-            const absoluteUrl = new URL(bgUrl, window.location.href).href;
-
-            // Create a temporary img element for this background image
-            const tempImg = document.createElement('img');
-            tempImg.src = absoluteUrl;
-
-            // Add placeholder for this background image
-            cellContent += `{{img:${imageIndex}}}`;
-
-            // Store image with position metadata
-            images.push({
-              element: tempImg,
-              rowIndex: rowIdx,
-              colIndex: colIdx,
-              index: imageIndex
-            });
-            imageIndex++;
-          } catch (error) {
-            console.warn('[CWA] Failed to process background image URL:', bgUrl, error);
-          }
+    // Check for CSS background-image in this cell (can contain multiple images)
+    const backgroundImage = window.getComputedStyle(cell).backgroundImage;
+    if (backgroundImage && backgroundImage !== 'none') {
+      for (const match of backgroundImage.matchAll(/url\(['"]?([^'"()]+)['"]?\)/g)) {
+        try {
+          // Create a temporary img element for this background image (relative URLs resolved)
+          const tempImg = document.createElement('img');
+          tempImg.src = new URL(match[1], window.location.href).href;
+          addImage(tempImg);
+        } catch (error) {
+          console.warn('[CWA] Failed to process background image URL:', match[1], error);
         }
       }
-
-      rowData.push(cellContent);
-    });
-    if (rowData.length > 0) {
-      rows.push(rowData);
     }
-  });
+
+    return placeholders;
+  };
 
   return {
-    headers,
-    rows,
+    ...TableUtils.extract(table, { onCell: collectCellImages }),
     images  // Array of image objects with position info
   };
 }
@@ -836,222 +967,1198 @@ async function fetchViaBackgroundWorker(img) {
   return response.imageData;
 }
 
+// File extensions of the image formats kept as they are
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/svg+xml': 'svg',
+  'image/bmp': 'bmp',
+  'image/x-icon': 'ico',
+  'image/vnd.microsoft.icon': 'ico'
+};
+
+// SVG styles copied inline, so graphics styled by the page's CSS look the same on their own
+const SVG_STYLE_PROPERTIES = [
+  'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+  'stroke-linecap', 'stroke-linejoin', 'opacity', 'visibility', 'display', 'color',
+  'font-family', 'font-size', 'font-weight', 'font-style', 'text-anchor', 'dominant-baseline'
+];
+const SVG_MAX_STYLED_ELEMENTS = 5000;
+
 /**
- * Fetch image data as ArrayBuffer for message passing
- * Uses Canvas API for same-origin images, background worker for cross-origin
+ * Check whether an element is large enough to be worth capturing (skips icons and UI elements)
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {boolean}
  */
-async function fetchImageData(img) {
-  // Capture original dimensions
-  const width = img.naturalWidth || img.width;
-  const height = img.naturalHeight || img.height;
+function isCapturableSize(width, height) {
+  return width >= 50 && height >= 50;
+}
 
-  // Quick check: if definitely cross-origin, skip canvas and use background fetch directly
-  if (!canUseCanvasExtraction(img)) {
-    const imageData = await fetchViaBackgroundWorker(img);
-    // Add dimensions to background-fetched image
-    imageData.width = width;
-    imageData.height = height;
-    return imageData;
-  }
+/**
+ * Get the URL of an element's CSS background image
+ * For image-set() backgrounds the highest-density candidate is used.
+ * @param {Element} element - Element
+ * @returns {string|null} Absolute URL, or null if the element has no background image (gradients don't count)
+ */
+function getBackgroundImageUrl(element) {
+  const value = getComputedStyle(element).backgroundImage;
+  if (!value || value === 'none') return null;
 
-  // Try canvas for same-origin/data-url/blob-url/CORS images
-  try {
-    // STRATEGY 1: Canvas extraction (works for same-origin or CORS-enabled images)
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
+  const candidates = [...value.matchAll(/url\(\s*(["']?)(.*?)\1\s*\)(?:\s+(\d*\.?\d+)x)?/g)]
+    .map(match => ({ url: new URL(match[2], document.baseURI).href, density: parseFloat(match[3]) || 1 }));
+  if (candidates.length === 0) return null;
 
-    const ctx = canvas.getContext('2d');
-    ctx.drawImage(img, 0, 0);
+  if (!value.startsWith('image-set(')) return candidates[0].url;
+  return candidates.reduce((best, candidate) => (candidate.density > best.density ? candidate : best)).url;
+}
 
-    // Convert canvas to blob
-    const blob = await new Promise((resolve, reject) => {
-      canvas.toBlob(
-        (blob) => {
-          if (blob) resolve(blob);
-          else reject(new Error('Failed to convert canvas to blob'));
-        },
-        'image/png',  // Always use PNG for reliability
-        0.95  // Quality
-      );
-    });
+/**
+ * Find the image under the mouse: an <img>, an inline <svg> graphic or an element with a CSS background image
+ * @param {EventTarget} target - Hovered element
+ * @returns {Element|null} Image element, or null if there's nothing large enough to capture
+ */
+function getCapturableImage(target) {
+  if (!(target instanceof Element) || target.closest('.cwa-save-popover, .cwa-region-overlay')) return null;
 
-    // Determine file name from URL or use default
-    const urlPath = new URL(img.src).pathname;
-    const name = urlPath.split('/').pop() || 'image.png';
+  if (target.tagName === 'IMG') {
+    return isCapturableSize(target.naturalWidth || target.width, target.naturalHeight || target.height) ? target : null;
+  }
 
-    const arrayBuffer = await blob.arrayBuffer();
+  // Shapes inside an SVG graphic belong to its outermost <svg>
+  if (target instanceof SVGElement) {
+    let svg = target.closest('svg');
+    while (svg && svg.ownerSVGElement) svg = svg.ownerSVGElement;
+    if (!svg) return null;
+    const rect = svg.getBoundingClientRect();
+    return isCapturableSize(rect.width, rect.height) ? svg : null;
+  }
 
-    // Convert ArrayBuffer to Base64 string for message passing
-    const bytes = new Uint8Array(arrayBuffer);
-    let binary = '';
-    for (let i = 0; i < bytes.length; i++) {
-      binary += String.fromCharCode(bytes[i]);
+  // CSS background images on the element or a close ancestor (tables capture their own images)
+  let element = target;
+  for (let depth = 0; element && depth < 3; depth++, element = element.parentElement) {
+    if (element === document.body || element === document.documentElement || element.closest('table')) break;
+    if (getBackgroundImageUrl(element)) {
+      const rect = element.getBoundingClientRect();
+      return isCapturableSize(rect.width, rect.height) ? element : null;
     }
-    const base64String = btoa(binary);
-
-    return {
-      arrayBuffer: base64String,  // Now it's a Base64 string, not an ArrayBuffer
-      mimeType: blob.type,
-      name: name.endsWith('.png') ? name : name + '.png',
-      width: width,
-      height: height
-    };
+  }
+  return null;
+}
 
-  } catch (error) {
-    // STRATEGY 2: Background worker fetch (bypasses CORS restrictions)
-    try {
-      const imageData = await fetchViaBackgroundWorker(img);
-      // Add dimensions to background-fetched image
-      imageData.width = width;
-      imageData.height = height;
-      return imageData;
-    } catch (fetchError) {
-      console.error('[CWA] Both canvas and background fetch failed:', fetchError);
-      throw new Error('Unable to save image. It may be protected by CORS restrictions.');
+/**
+ * Parse a srcset attribute
+ * @param {string} srcset - srcset value
+ * @returns {Array<{url: string, width: number, density: number}>} Candidates (width 0 for density descriptors)
+ */
+function parseSrcset(srcset) {
+  const candidates = [];
+  let i = 0;
+  while (i < srcset.length) {
+    while (i < srcset.length && /[\s,]/.test(srcset[i])) i++;
+    let start = i;
+    while (i < srcset.length && !/\s/.test(srcset[i])) i++;
+    let url = srcset.slice(start, i);
+
+    // URLs may contain commas; a trailing one ends the candidate
+    let descriptor = '';
+    if (url.endsWith(',')) {
+      url = url.replace(/,+$/, '');
+    } else {
+      start = i;
+      while (i < srcset.length && srcset[i] !== ',') i++;
+      descriptor = srcset.slice(start, i).trim();
     }
+    if (!url) continue;
+
+    const width = descriptor.match(/^(\d+)w$/);
+    const density = descriptor.match(/^(\d*\.?\d+)x$/);
+    candidates.push({
+      url: new URL(url, document.baseURI).href,
+      width: width ? parseInt(width[1]) : 0,
+      density: density ? parseFloat(density[1]) : 1
+    });
   }
+  return candidates;
 }
 
 /**
- * Handle save for a specific element type (used in multi-element UI)
- * @param {Event} event - Click event
- * @param {string} saveType - 'image', 'link', 'table', or 'both'
+ * Pick the highest-resolution version of an image from its srcset or its <picture> sources
+ * @param {HTMLImageElement} img - Image element
+ * @returns {string} Image URL
  */
-async function handleSaveElement(event, saveType) {
-  event.stopPropagation();
-
-  const btn = event.currentTarget;
-  const originalContent = btn.innerHTML;
-
-  // Read note from the input field (shared across all buttons)
-  const noteInput = popover.querySelector('.cwa-note-input');
-  const noteText = noteInput ? noteInput.value.trim() : '';
-
-  // Get selected project ID
-  const projectId = getSelectedProjectId();
+function getBestImageUrl(img) {
+  // Like the browser, use the first <source> whose media query and type match
+  let srcset = img.getAttribute('srcset') || '';
+  if (img.parentElement && img.parentElement.tagName === 'PICTURE') {
+    const source = [...img.parentElement.querySelectorAll('source[srcset]')].find(candidate =>
+      (!candidate.media || window.matchMedia(candidate.media).matches) &&
+      (!candidate.type || candidate.type in IMAGE_EXTENSIONS));
+    if (source) srcset = source.getAttribute('srcset');
+  }
 
-  // Disable all buttons during save
-  const allButtons = popover.querySelectorAll('.cwa-save-btn');
-  allButtons.forEach(b => b.disabled = true);
+  const fallback = img.currentSrc || img.src;
+  const candidates = parseSrcset(srcset);
+  if (candidates.length === 0) return fallback;
 
-  btn.innerHTML = '<span>Saving...</span>';
+  // Width descriptors are compared in pixels, densities relative to the displayed width
+  const displayWidth = img.width || img.naturalWidth || 1;
+  const resolution = candidate => candidate.width || candidate.density * displayWidth;
+  return candidates.reduce((top, candidate) => (resolution(candidate) > resolution(top) ? candidate : top)).url;
+}
 
+/**
+ * Build a file name that matches the image format
+ * @param {string} url - Image URL
+ * @param {string} mimeType - Image MIME type
+ * @param {string} [fallbackName='image'] - Name when the URL has none (data: and blob: URLs)
+ * @returns {string} File name
+ */
+function getImageFileName(url, mimeType, fallbackName = 'image') {
+  let name = '';
   try {
-    if (!isExtensionContextValid()) {
-      throw new Error('Extension was reloaded. Please refresh this page.');
-    }
-
-    if (saveType === 'both') {
-      // Save all detected elements sequentially
-      if (detectedElements.image) {
-        await saveImageElement(detectedElements.image, noteText, projectId);
-      }
-      if (detectedElements.link) {
-        await saveLinkElement(detectedElements.link, noteText, projectId);
-      }
-      if (detectedElements.table) {
-        await saveTableElement(detectedElements.table, noteText, projectId);
-      }
-    } else if (saveType === 'image') {
-      await saveImageElement(detectedElements.image, noteText, projectId);
-    } else if (saveType === 'link') {
-      await saveLinkElement(detectedElements.link, noteText, projectId);
-    } else if (saveType === 'table') {
-      await saveTableElement(detectedElements.table, noteText, projectId);
-    }
-
-    // Hide popover instantly
-    hidePopover();
-
-  } catch (error) {
-    console.error('Error saving element:', error);
-
-    let errorMessage = 'Error!';
-    if (error.message.includes('Extension was reloaded') ||
-        error.message.includes('Extension context invalidated')) {
-      errorMessage = 'Refresh page';
-    } else if (error.message.includes('CORS') ||
-               error.message.includes('tainted') ||
-               error.message.includes('insecure')) {
-      errorMessage = 'Image protected';
+    const parsed = new URL(url);
+    if (parsed.protocol === 'http:' || parsed.protocol === 'https:') {
+      name = decodeURIComponent(parsed.pathname.split('/').pop());
     }
+  } catch {
+    // Keep the fallback name
+  }
 
-    btn.innerHTML = `<span>${errorMessage}</span>`;
-    btn.classList.add('error');
+  const base = (name || fallbackName).replace(/\.[a-z0-9]{2,5}$/i, '');
+  const type = mimeType.split(';')[0].trim().toLowerCase();
+  const extension = IMAGE_EXTENSIONS[type] || (type.split('/')[1] || '').replace(/[^a-z0-9].*$/, '') || 'png';
+  return `${base}.${extension}`;
+}
 
-    setTimeout(() => {
-      btn.innerHTML = originalContent;
-      allButtons.forEach(b => b.disabled = false);
-      btn.classList.remove('error');
-    }, 2000);
+/**
+ * Convert a blob to the image data sent to the background (Base64, since messages can't carry blobs)
+ * @param {Blob} blob - Image blob
+ * @param {string} name - File name
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Promise<Object>} Image data ({arrayBuffer, mimeType, name, width, height})
+ */
+async function blobToImageData(blob, name, width, height) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
   }
+
+  return {
+    arrayBuffer: btoa(binary),  // Base64 string, not an ArrayBuffer
+    mimeType: blob.type,
+    name: name,
+    width: width,
+    height: height
+  };
 }
 
 /**
- * Save an image element
+ * Serialize an inline SVG graphic to a standalone SVG file
+ * Styles set by the page's CSS and symbols referenced with <use> are copied in.
+ * @param {SVGSVGElement} svg - Outermost <svg> element
+ * @returns {Promise<Object>} Image data
  */
-async function saveImageElement(img, noteText, projectId) {
-  const imageData = await fetchImageData(img);
+async function fetchSvgImageData(svg) {
+  const rect = svg.getBoundingClientRect();
+  const clone = svg.cloneNode(true);
+
+  const originals = [svg, ...svg.querySelectorAll('*')];
+  const copies = [clone, ...clone.querySelectorAll('*')];
+  if (originals.length <= SVG_MAX_STYLED_ELEMENTS) {
+    originals.forEach((original, i) => {
+      const style = getComputedStyle(original);
+      SVG_STYLE_PROPERTIES.forEach(property => {
+        copies[i].style.setProperty(property, style.getPropertyValue(property));
+      });
+    });
+  }
 
-  const response = await chrome.runtime.sendMessage({
-    action: 'saveSelection',
-    data: {
-      type: 'image',
-      imageData: {
-        arrayBuffer: imageData.arrayBuffer,
-        mimeType: imageData.mimeType,
-        name: imageData.name
-      },
-      note: noteText,
-      url: window.location.href,
-      title: document.title,
-      projectId: projectId
+  if (!clone.hasAttribute('width')) clone.setAttribute('width', Math.round(rect.width));
+  if (!clone.hasAttribute('height')) clone.setAttribute('height', Math.round(rect.height));
+
+  // Icon sprites keep their symbols elsewhere in the page
+  let defs = null;
+  clone.querySelectorAll('use').forEach(use => {
+    const href = use.getAttribute('href') || use.getAttributeNS('http://www.w3.org/1999/xlink', 'href') || '';
+    const id = href.startsWith('#') ? href.slice(1) : '';
+    if (!id || clone.querySelector(`[id="${CSS.escape(id)}"]`)) return;
+
+    const symbol = document.getElementById(id);
+    if (!symbol) return;
+    if (!defs) {
+      defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+      clone.insertBefore(defs, clone.firstChild);
     }
+    defs.appendChild(symbol.cloneNode(true));
   });
 
-  if (!response.success) {
-    throw new Error(response.error || 'Failed to save image');
-  }
+  const source = new XMLSerializer().serializeToString(clone);
+  const blob = new Blob([source], { type: 'image/svg+xml' });
+  const label = svg.getAttribute('aria-label') || svg.querySelector('title')?.textContent || '';
+  const name = label.trim().replace(/[^\w\s-]/g, '').replace(/\s+/g, '-').substring(0, 60) || 'graphic';
 
-  return response;
+  return blobToImageData(blob, `${name}.svg`, Math.round(rect.width), Math.round(rect.height));
 }
 
 /**
- * Save a link element
+ * Fetch an image file in the page (for same-origin, data: and blob: URLs)
+ * @param {string} url - Image URL
+ * @returns {Promise<Blob>} Image blob in its original format
  */
-async function saveLinkElement(link, noteText, projectId) {
-  const linkText = link.textContent.trim();
-  const linkHref = link.href;
+async function fetchImageInPage(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
 
-  let textToSave = linkText || linkHref;
-  if (noteText) {
-    textToSave = textToSave + '\n\nNote: ' + noteText;
+  const blob = await response.blob();
+  if (!blob.type.startsWith('image/')) {
+    throw new Error(`Not an image: ${blob.type || 'unknown type'}`);
   }
+  return blob;
+}
 
-  const response = await chrome.runtime.sendMessage({
-    action: 'saveSelection',
-    data: {
-      type: 'link',
-      text: textToSave,
-      linkUrl: linkHref,
-      url: window.location.href,
-      title: document.title,
-      projectId: projectId
-    }
-  });
+/**
+ * Fetch an image file as it is stored on the server
+ * Same-origin, data: and blob: URLs are read in the page, others by the background worker.
+ * @param {string} url - Image URL
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Promise<Object>} Image data ({arrayBuffer, mimeType, name, width, height})
+ */
+async function fetchOriginalImage(url, width, height) {
+  let isPageReadable = url.startsWith('data:') || url.startsWith('blob:');
+  try {
+    isPageReadable = isPageReadable || new URL(url).origin === window.location.origin;
+  } catch {
+    // Invalid URL: let the background worker report it
+  }
 
-  if (!response.success) {
-    throw new Error(response.error || 'Failed to save link');
+  if (isPageReadable) {
+    const blob = await fetchImageInPage(url);
+    return blobToImageData(blob, getImageFileName(url, blob.type), width, height);
   }
 
-  return response;
+  const imageData = await fetchViaBackgroundWorker({ src: url });
+  if (!imageData.mimeType.startsWith('image/')) {
+    throw new Error(`Not an image: ${imageData.mimeType}`);
+  }
+  return {
+    ...imageData,
+    name: getImageFileName(url, imageData.mimeType),
+    width: width,
+    height: height
+  };
+}
+
+/**
+ * Fetch image data as Base64 for message passing
+ * Handles <img> (the highest-resolution srcset candidate), inline <svg> graphics and
+ * elements with a CSS background image. The original file is kept (JPEG, WebP, animated GIF...);
+ * only if it can't be fetched is the displayed image re-encoded as PNG through a canvas.
+ * @param {Element} element - Image element (see getCapturableImage)
+ * @returns {Promise<Object>} Image data ({arrayBuffer, mimeType, name, width, height})
+ */
+async function fetchImageData(element) {
+  if (element instanceof SVGSVGElement) {
+    return fetchSvgImageData(element);
+  }
+
+  const img = element.tagName === 'IMG' ? element : null;
+  const url = img ? getBestImageUrl(img) : getBackgroundImageUrl(element);
+  if (!url) {
+    throw new Error('Unable to save image. No image found.');
+  }
+
+  // Capture original dimensions (displayed size for background images)
+  const rect = img ? null : element.getBoundingClientRect();
+  const width = img ? img.naturalWidth || img.width : Math.round(rect.width);
+  const height = img ? img.naturalHeight || img.height : Math.round(rect.height);
+
+  // STRATEGY 1: The original file
+  try {
+    return await fetchOriginalImage(url, width, height);
+  } catch (error) {
+    // STRATEGY 2: Canvas extraction of the displayed image (same-origin or CORS-enabled images only)
+    if (!img || !canUseCanvasExtraction(img)) {
+      console.error('[CWA] Image fetch failed:', error);
+      throw new Error('Unable to save image. It may be protected by CORS restrictions.');
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0);
+
+    // Convert canvas to blob
+    const blob = await new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (blob) => {
+          if (blob) resolve(blob);
+          else reject(new Error('Failed to convert canvas to blob'));
+        },
+        'image/png'
+      );
+    });
+
+    return blobToImageData(blob, getImageFileName(img.currentSrc || img.src, 'image/png'), width, height);
+  }
+}
+
+// Video and audio captures: the poster frame, a link to the current time and (if small) the file
+const MEDIA_STREAM_PATTERN = /\.(m3u8|mpd|ism)(\/|\?|#|$)/i;
+
+/**
+ * Find the video or audio element under the mouse
+ * Custom players cover the video with their own controls, so the point is checked too.
+ * @param {EventTarget} target - Hovered element
+ * @param {number} x - Mouse position (viewport)
+ * @param {number} y - Mouse position (viewport)
+ * @returns {HTMLMediaElement|null} Media element, or null if there's nothing large enough to capture
+ */
+function getMediaElement(target, x, y) {
+  if (!(target instanceof Element) || target.closest('.cwa-save-popover, .cwa-region-overlay')) return null;
+
+  let media = target.closest('video, audio');
+  if (!media && document.getElementsByTagName('video').length > 0) {
+    media = document.elementsFromPoint(x, y).find(element => element.tagName === 'VIDEO') || null;
+  }
+  if (!media) return null;
+
+  // Audio players are short; hidden ones (no controls) have no size at all
+  const rect = media.getBoundingClientRect();
+  const isLargeEnough = media.tagName === 'AUDIO'
+    ? rect.width >= 50 && rect.height > 0
+    : isCapturableSize(rect.width, rect.height);
+  return isLargeEnough ? media : null;
+}
+
+/**
+ * Get the file URL a media element plays
+ * @param {HTMLMediaElement} media - Media element
+ * @returns {string|null} File URL, or null for streams (MediaSource, HLS, DASH, live)
+ */
+function getMediaFileUrl(media) {
+  const url = media.currentSrc || media.src || media.querySelector('source[src]')?.src || '';
+  if (!/^https?:/.test(url) || MEDIA_STREAM_PATTERN.test(url)) return null;
+  if (media.readyState > 0 && !Number.isFinite(media.duration)) return null;
+  return url;
+}
+
+/**
+ * Format a media time as m:ss or h:mm:ss
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time
+ */
+function formatMediaTime(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Build a link that starts playback at a time
+ * Video sites take the time as a parameter of the page URL; media files take a media fragment (#t=).
+ * @param {string|null} fileUrl - Media file URL (null for streams)
+ * @param {number} seconds - Start time
+ * @returns {string} Link
+ */
+function buildMediaDeepLink(fileUrl, seconds) {
+  const page = new URL(window.location.href);
+  if (/(^|\.)youtube\.com$/.test(page.hostname) || page.hostname === 'youtu.be') {
+    page.searchParams.set('t', `${seconds}s`);
+    return page.href;
+  }
+  if (/(^|\.)vimeo\.com$/.test(page.hostname)) {
+    page.hash = `t=${seconds}s`;
+    return page.href;
+  }
+
+  if (!fileUrl) return page.href;
+  const file = new URL(fileUrl);
+  file.hash = `t=${seconds}`;
+  return file.href;
+}
+
+/**
+ * Get the frame shown for a video: its poster image, or the current frame if it has none
+ * @param {HTMLVideoElement} video - Video element
+ * @returns {Promise<Object|null>} Image data, or null if the frame can't be read (cross-origin video)
+ */
+async function fetchVideoFrame(video) {
+  if (video.poster) {
+    try {
+      return await fetchOriginalImage(video.poster, video.videoWidth || video.width, video.videoHeight || video.height);
+    } catch (error) {
+      console.warn('[CWA] Could not fetch poster:', error);
+    }
+  }
+
+  if (video.readyState < HTMLMediaElement.HAVE_CURRENT_DATA || !video.videoWidth) return null;
+  try {
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+
+    const blob = await new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Failed to convert canvas to blob'))), 'image/jpeg', 0.9);
+    });
+    return blobToImageData(blob, `frame-${formatMediaTime(video.currentTime).replace(/:/g, '-')}.jpg`, canvas.width, canvas.height);
+  } catch (error) {
+    // Frames of cross-origin videos can't be read
+    console.warn('[CWA] Could not capture video frame:', error);
+    return null;
+  }
+}
+
+/**
+ * Build saveSelection data for a video or audio element
+ * @param {HTMLMediaElement} media - Media element
+ * @param {Object} [options]
+ * @param {boolean} [options.includeFile=false] - Ask the background to download the file too
+ * @returns {Promise<Object>} Data for saveSelection
+ */
+async function buildMediaCapture(media, { includeFile = false } = {}) {
+  const kind = media.tagName === 'VIDEO' ? 'video' : 'audio';
+  const fileUrl = getMediaFileUrl(media);
+  const seconds = Math.floor(media.currentTime || 0);
+  const label = media.getAttribute('title') || media.getAttribute('aria-label') ||
+    media.closest('figure')?.querySelector('figcaption')?.textContent || '';
+
+  return {
+    type: 'media',
+    mediaKind: kind,
+    text: label.replace(/\s+/g, ' ').trim(),
+    fileUrl: fileUrl,
+    deepLink: buildMediaDeepLink(fileUrl, seconds),
+    timestamp: seconds,
+    frameData: kind === 'video' ? await fetchVideoFrame(media) : null,
+    includeFile: includeFile && !!fileUrl,
+    url: window.location.href,
+    title: document.title,
+    citation: extractCitationMetadata()
+  };
+}
+
+/**
+ * Read the content attribute of the first matching <meta> tag
+ * @param {string[]} names - name/property values, in order of preference
+ * @returns {string} Content or empty string
+ */
+function getMetaContent(names) {
+  for (const name of names) {
+    const meta = document.querySelector(`meta[name="${name}" i], meta[property="${name}" i]`);
+    const content = meta?.getAttribute('content')?.trim();
+    if (content) return content;
+  }
+  return '';
+}
+
+/**
+ * Collect schema.org objects from JSON-LD scripts (flattening @graph and arrays)
+ * @returns {Object[]} JSON-LD objects
+ */
+function getJsonLdObjects() {
+  const objects = [];
+  document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    try {
+      const queue = [JSON.parse(script.textContent)];
+      while (queue.length > 0) {
+        const item = queue.shift();
+        if (Array.isArray(item)) {
+          queue.push(...item);
+        } else if (item && typeof item === 'object') {
+          objects.push(item);
+          if (item['@graph']) queue.push(item['@graph']);
+        }
+      }
+    } catch {
+      // Ignore malformed JSON-LD
+    }
+  });
+  return objects;
+}
+
+/**
+ * Extract citation metadata (authors, dates, site name, DOI, canonical URL)
+ * Sources in order of preference: Highwire/Dublin Core meta tags, JSON-LD, OpenGraph
+ * @returns {Object} Citation metadata (empty fields omitted by the database)
+ */
+function extractCitationMetadata() {
+  const asText = value => (typeof value === 'string' ? value : value?.name || '');
+  const toList = value => (Array.isArray(value) ? value : value ? [value] : []);
+
+  // Prefer article-like JSON-LD objects over WebSite/Organization entries
+  const jsonLd = getJsonLdObjects();
+  const article = jsonLd.find(item => toList(item['@type']).some(type =>
+    /Article|BlogPosting|Report|ScholarlyArticle|WebPage|CreativeWork/.test(type) && (item.author || item.datePublished)
+  )) || {};
+  const publisher = article.publisher || jsonLd.find(item => toList(item['@type']).includes('Organization')) || {};
+
+  let authors = [...document.querySelectorAll('meta[name="citation_author" i], meta[name="dc.creator" i]')]
+    .map(meta => meta.getAttribute('content')?.trim())
+    .filter(Boolean);
+  if (authors.length === 0) {
+    authors = toList(article.author).map(asText).filter(Boolean);
+  }
+  if (authors.length === 0) {
+    // article:author is often a profile URL, not a name
+    authors = [getMetaContent(['author', 'article:author', 'parsely-author'])]
+      .filter(name => name && !/^https?:\/\//.test(name));
+  }
+
+  const doiSource = getMetaContent(['citation_doi', 'dc.identifier', 'prism.doi']) ||
+    toList(article.identifier).map(asText).find(id => /10\.\d{4,9}\//.test(id)) ||
+    article.sameAs && toList(article.sameAs).find(url => /doi\.org\//.test(url)) || '';
+  const doi = (doiSource.match(/10\.\d{4,9}\/[^\s"<>]+/) || [''])[0];
+
+  const canonicalLink = document.querySelector('link[rel="canonical"]')?.href;
+
+  return {
+    authors,
+    title: getMetaContent(['citation_title', 'dc.title']) || asText(article.headline) ||
+      getMetaContent(['og:title', 'twitter:title']) || document.title,
+    siteName: getMetaContent(['og:site_name', 'application-name']) || asText(publisher),
+    publisher: getMetaContent(['citation_publisher', 'dc.publisher']) || asText(publisher),
+    journal: getMetaContent(['citation_journal_title', 'prism.publicationName']),
+    publishedDate: getMetaContent(['citation_publication_date', 'citation_date', 'dc.date', 'article:published_time']) ||
+      article.datePublished || document.querySelector('time[datetime]')?.getAttribute('datetime') || '',
+    doi,
+    canonicalUrl: canonicalLink || getMetaContent(['og:url']) || window.location.href
+  };
+}
+
+// Text anchors: locate a saved quote on its page again ("Open at source")
+const ANCHOR_CONTEXT_LENGTH = 32;
+const ANCHOR_BLOCK_SELECTOR = 'address, article, aside, blockquote, dd, div, dl, dt, figcaption, figure, footer, ' +
+  'h1, h2, h3, h4, h5, h6, header, li, main, nav, ol, p, pre, section, table, td, th, tr, ul';
+const ANCHOR_HIGHLIGHT_NAME = 'cwa-source-quote';
+
+/**
+ * Collect the text of the page with whitespace collapsed
+ * Block boundaries count as a space, like in rendered text.
+ * @returns {{text: string, positions: number[], nodes: Array<{node: Text, start: number, end: number}>}}
+ *   text: collapsed text; positions: raw offset of each character of text; nodes: text nodes with their raw offsets
+ */
+function getPageText() {
+  const nodes = [];
+  let raw = '';
+  let previousBlock = null;
+
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => (node.parentElement.closest('script, style, noscript, template, textarea, .cwa-save-popover, .cwa-toast')
+      ? NodeFilter.FILTER_REJECT
+      : NodeFilter.FILTER_ACCEPT)
+  });
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    const block = node.parentElement.closest(ANCHOR_BLOCK_SELECTOR);
+    if (raw && block !== previousBlock) raw += ' ';
+    previousBlock = block;
+
+    nodes.push({ node, start: raw.length, end: raw.length + node.textContent.length });
+    raw += node.textContent;
+  }
+
+  let text = '';
+  const positions = [];
+  for (let i = 0; i < raw.length; i++) {
+    const isSpace = /\s/.test(raw[i]);
+    if (isSpace && (text === '' || text[text.length - 1] === ' ')) continue;
+    text += isSpace ? ' ' : raw[i];
+    positions.push(i);
+  }
+
+  return { text, positions, nodes };
+}
+
+/**
+ * Convert a DOM boundary point to an offset in the collapsed page text
+ * @param {Object} page - See getPageText
+ * @param {Node} container - Boundary container
+ * @param {number} offset - Boundary offset
+ * @returns {number} Offset in page.text
+ */
+function getPageTextOffset(page, container, offset) {
+  let raw;
+  const entry = container.nodeType === Node.TEXT_NODE && page.nodes.find(item => item.node === container);
+  if (entry) {
+    raw = entry.start + offset;
+  } else {
+    // Element boundary: the first text node after it
+    const boundary = document.createRange();
+    boundary.setStart(container, offset);
+    const next = page.nodes.find(item => boundary.comparePoint(item.node, 0) >= 0);
+    raw = next ? next.start : Infinity;
+  }
+
+  // First collapsed character at or after the raw offset
+  let low = 0;
+  let high = page.positions.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (page.positions[mid] < raw) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+/**
+ * Build a CSS path to an element (stops at the nearest ancestor with a unique ID)
+ * @param {Element} element - Element to locate
+ * @returns {string} Selector
+ */
+function getCssPath(element) {
+  const parts = [];
+  while (element && element !== document.body && element !== document.documentElement) {
+    if (element.id && /^[A-Za-z][\w-]*$/.test(element.id) && document.querySelectorAll(`#${element.id}`).length === 1) {
+      parts.unshift(`#${element.id}`);
+      return parts.join(' > ');
+    }
+    const tag = element.tagName.toLowerCase();
+    const sameTag = [...element.parentElement.children].filter(child => child.tagName === element.tagName);
+    parts.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(element) + 1})` : tag);
+    element = element.parentElement;
+  }
+  parts.unshift('body');
+  return parts.join(' > ');
+}
+
+/**
+ * Build a text fragment directive (the part after "#:~:") for a quote
+ * Long quotes are matched by their first and last words.
+ * @param {string} exact - Quote
+ * @param {string} prefix - Text before the quote
+ * @param {string} suffix - Text after the quote
+ * @returns {string} Directive, e.g. "text=words%20before-,quote,-words%20after"
+ */
+function buildTextFragment(exact, prefix, suffix) {
+  const encode = text => encodeURIComponent(text).replace(/-/g, '%2D');
+  const words = text => text.split(' ').filter(Boolean);
+
+  const exactWords = words(exact);
+  const target = exactWords.length > 10
+    ? `${encode(exactWords.slice(0, 5).join(' '))},${encode(exactWords.slice(-5).join(' '))}`
+    : encode(exact);
+
+  // The outermost context word may have been cut off by the context length
+  const prefixWords = words(prefix).slice(1).slice(-3).join(' ');
+  const suffixWords = words(suffix).slice(0, -1).slice(0, 3).join(' ');
+
+  return `text=${prefixWords ? `${encode(prefixWords)}-,` : ''}${target}${suffixWords ? `,-${encode(suffixWords)}` : ''}`;
+}
+
+/**
+ * Describe a selected range so it can be found again later
+ * Stores the quote with the text around it, its position in the page text,
+ * a CSS path to the element it starts in, and a matching text fragment.
+ * @param {Range} range - Selected range
+ * @returns {Object|null} Anchor ({exact, prefix, suffix, start, selector, textFragment}) or null
+ */
+function createTextAnchor(range) {
+  try {
+    const page = getPageText();
+    let start = getPageTextOffset(page, range.startContainer, range.startOffset);
+    let end = getPageTextOffset(page, range.endContainer, range.endOffset);
+    while (start < end && page.text[start] === ' ') start++;
+    while (end > start && page.text[end - 1] === ' ') end--;
+    if (start >= end) return null;
+
+    const exact = page.text.slice(start, end);
+    const prefix = page.text.slice(Math.max(0, start - ANCHOR_CONTEXT_LENGTH), start);
+    const suffix = page.text.slice(end, end + ANCHOR_CONTEXT_LENGTH);
+    const element = range.startContainer.nodeType === Node.ELEMENT_NODE
+      ? range.startContainer
+      : range.startContainer.parentElement;
+
+    return {
+      exact,
+      prefix,
+      suffix,
+      start,
+      selector: element ? getCssPath(element) : '',
+      textFragment: buildTextFragment(exact, prefix, suffix)
+    };
+  } catch (error) {
+    console.warn('[CWA] Could not anchor selection:', error);
+    return null;
+  }
+}
+
+/**
+ * Anchor the current selection
+ * @returns {Object|null} Anchor or null when nothing is selected
+ */
+function getSelectionAnchor() {
+  const selection = window.getSelection();
+  return selection.rangeCount > 0 ? createTextAnchor(selection.getRangeAt(0)) : null;
+}
+
+/**
+ * Find a saved quote on the page
+ * Tries the exact quote first, then (if the page has changed) its first and last
+ * characters, then the text around it, then either end of the quote on its own.
+ * Matches are ranked by their surrounding text, the saved CSS path and the
+ * distance from the saved position.
+ * @param {Object} anchor - Anchor from createTextAnchor
+ * @param {Object} [options]
+ * @param {boolean} [options.fuzzy=true] - Fall back to partial matches if the exact quote is gone
+ * @param {Object} [options.page] - Page text from getPageText (to reuse it for several anchors)
+ * @returns {Range|null} Range of the quote or null if it can't be found
+ */
+function findTextAnchor(anchor, { fuzzy = true, page = getPageText() } = {}) {
+  const lower = page.text.toLowerCase();
+  const haystack = lower.length === page.text.length ? lower : page.text;
+  const normalize = text => (text || '').replace(/\s+/g, ' ').toLowerCase();
+  const exact = normalize(anchor.exact).trim();
+  const prefix = normalize(anchor.prefix);
+  const suffix = normalize(anchor.suffix);
+  if (!exact) return null;
+
+  // Spans between occurrences of head and tail that are about as long as the quote
+  const findSpans = (head, tail, includeEdges) => {
+    const spans = [];
+    let index = haystack.indexOf(head);
+    while (index !== -1 && spans.length < 100) {
+      const spanStart = includeEdges ? index : index + head.length;
+      const tailIndex = haystack.indexOf(tail, spanStart);
+      const spanEnd = includeEdges ? tailIndex + tail.length : tailIndex;
+      if (tailIndex !== -1 && Math.abs(spanEnd - spanStart - exact.length) <= exact.length * 0.25 + 10) {
+        spans.push({ start: spanStart, end: spanEnd });
+      }
+      index = haystack.indexOf(head, index + 1);
+    }
+    return spans;
+  };
+
+  let candidates = [];
+  let index = haystack.indexOf(exact);
+  while (index !== -1 && candidates.length < 100) {
+    candidates.push({ start: index, end: index + exact.length });
+    index = haystack.indexOf(exact, index + 1);
+  }
+  const edge = Math.min(ANCHOR_CONTEXT_LENGTH, Math.floor(exact.length / 3));
+  if (candidates.length === 0 && !fuzzy) return null;
+  if (candidates.length === 0 && exact.length > 20) {
+    candidates = findSpans(exact.slice(0, edge), exact.slice(-edge), true);
+  }
+  if (candidates.length === 0 && prefix.trim() && suffix.trim()) {
+    candidates = findSpans(prefix, suffix, false);
+  }
+  if (candidates.length === 0 && exact.length > 20) {
+    // Only the start or the end of the quote is still there: take a span of the same length
+    const head = exact.slice(0, edge);
+    const tail = exact.slice(-edge);
+    for (let i = haystack.indexOf(head); i !== -1 && candidates.length < 100; i = haystack.indexOf(head, i + 1)) {
+      candidates.push({ start: i, end: Math.min(i + exact.length, haystack.length) });
+    }
+    for (let i = haystack.indexOf(tail); i !== -1 && candidates.length < 100; i = haystack.indexOf(tail, i + 1)) {
+      candidates.push({ start: Math.max(i + tail.length - exact.length, 0), end: i + tail.length });
+    }
+  }
+  if (candidates.length === 0) return null;
+
+  let locator = null;
+  try {
+    locator = anchor.selector ? document.querySelector(anchor.selector) : null;
+  } catch {
+    // Ignore selectors the page structure no longer supports
+  }
+
+  // Collapsed text offset -> DOM boundary point
+  const toBoundary = (offset, isEnd) => {
+    const raw = isEnd ? page.positions[offset - 1] + 1 : page.positions[offset];
+    const entry = isEnd
+      ? page.nodes.findLast(item => item.start < raw)
+      : page.nodes.find(item => item.end > raw);
+    if (!entry) return null;
+    return { node: entry.node, offset: Math.min(Math.max(raw - entry.start, 0), entry.node.textContent.length) };
+  };
+
+  const score = candidate => {
+    let value = 0;
+    const before = haystack.slice(Math.max(0, candidate.start - prefix.length), candidate.start);
+    while (value < before.length && before[before.length - 1 - value] === prefix[prefix.length - 1 - value]) value++;
+    const after = haystack.slice(candidate.end, candidate.end + suffix.length);
+    for (let i = 0; i < after.length && after[i] === suffix[i]; i++) value++;
+    if (locator && locator.contains(toBoundary(candidate.start, false)?.node)) value += 20;
+    if (Number.isFinite(anchor.start)) value -= Math.min(Math.abs(candidate.start - anchor.start) / 1000, 10);
+    return value;
+  };
+
+  const best = candidates.length === 1
+    ? candidates[0]
+    : candidates.map(candidate => ({ candidate, value: score(candidate) }))
+      .reduce((top, entry) => (entry.value > top.value ? entry : top)).candidate;
+  const startPoint = toBoundary(best.start, false);
+  const endPoint = toBoundary(best.end, true);
+  if (!startPoint || !endPoint) return null;
+
+  const range = document.createRange();
+  range.setStart(startPoint.node, startPoint.offset);
+  range.setEnd(endPoint.node, endPoint.offset);
+  return range;
+}
+
+/**
+ * Scroll to a saved quote and highlight it (retries while the page is still rendering)
+ * @param {Object} anchor - Anchor from createTextAnchor
+ * @returns {Promise<boolean>} Whether the quote was found
+ */
+async function revealTextAnchor(anchor) {
+  let range = null;
+  for (let attempt = 0; attempt < 5 && !range; attempt++) {
+    if (attempt > 0) await new Promise(resolve => setTimeout(resolve, 1000));
+    range = findTextAnchor(anchor);
+  }
+  if (!range) return false;
+
+  range.startContainer.parentElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+  // Highlight without changing the page (the highlight goes away on the next click)
+  if (window.CSS && CSS.highlights && typeof Highlight === 'function') {
+    CSS.highlights.set(ANCHOR_HIGHLIGHT_NAME, new Highlight(range));
+    document.addEventListener('mousedown', () => CSS.highlights.delete(ANCHOR_HIGHLIGHT_NAME), { once: true });
+  } else {
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+  return true;
+}
+
+// Highlights of text saved from this page before. They are drawn with the CSS Custom
+// Highlight API and the card lives in a shadow root, so the page's DOM and styles stay untouched.
+const SAVED_HIGHLIGHT_NAME = 'cwa-saved-capture';
+let savedHighlights = []; // [{capture, range}]
+let highlightCard = null;
+
+/**
+ * Highlight the text selections saved from this page
+ * @returns {Promise<number>} Number of saved selections that couldn't be found on the page
+ */
+async function refreshSavedHighlights() {
+  if (!window.CSS || !CSS.highlights || typeof Highlight !== 'function') return 0;
+  if (!/^https?:$/.test(window.location.protocol) || !document.body || !isExtensionContextValid()) return 0;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getPageCaptures', url: window.location.href });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Failed to get page captures');
+    }
+
+    const page = response.captures.length > 0 ? getPageText() : null;
+    const found = response.captures
+      .map(capture => ({
+        capture,
+        // Captures saved before anchors existed are only highlighted where their text appears as is
+        range: capture.anchor
+          ? findTextAnchor(capture.anchor, { page })
+          : findTextAnchor({ exact: capture.text }, { page, fuzzy: false })
+      }))
+      .filter(item => item.range);
+
+    savedHighlights = found;
+    if (found.length > 0) {
+      CSS.highlights.set(SAVED_HIGHLIGHT_NAME, new Highlight(...found.map(item => item.range)));
+    } else {
+      CSS.highlights.delete(SAVED_HIGHLIGHT_NAME);
+    }
+    return response.captures.length - found.length;
+  } catch (error) {
+    console.warn('[CWA] Could not highlight saved text:', error);
+    return 0;
+  }
+}
+
+/**
+ * Get the text position under the mouse
+ * @param {MouseEvent} event - Mouse event
+ * @returns {{node: Node, offset: number}|null} Boundary point
+ */
+function getPointFromEvent(event) {
+  if (document.caretPositionFromPoint) {
+    const position = document.caretPositionFromPoint(event.clientX, event.clientY);
+    return position ? { node: position.offsetNode, offset: position.offset } : null;
+  }
+  const range = document.caretRangeFromPoint?.(event.clientX, event.clientY);
+  return range ? { node: range.startContainer, offset: range.startOffset } : null;
+}
+
+/**
+ * Show the note and project of a saved selection when its highlight is clicked
+ * @param {MouseEvent} event - Click event
+ */
+function handleHighlightClick(event) {
+  if (savedHighlights.length === 0 || event.button !== 0) return;
+  // Leave links, form fields and text selections alone
+  if (!window.getSelection().isCollapsed || event.target.closest?.('a, button, input, select, textarea, [contenteditable]')) return;
+
+  const point = getPointFromEvent(event);
+  if (!point) return;
+
+  const captures = savedHighlights
+    .filter(({ range }) => {
+      try {
+        return range.isPointInRange(point.node, point.offset);
+      } catch {
+        return false;
+      }
+    })
+    .map(item => item.capture);
+
+  if (captures.length > 0) {
+    showHighlightCard(captures, event.clientX, event.clientY);
+  }
+}
+
+/**
+ * Show a card with the note, project and tags of saved selections
+ * @param {Object[]} captures - Captures from getPageCaptures
+ * @param {number} x - Click position (viewport)
+ * @param {number} y - Click position (viewport)
+ */
+function showHighlightCard(captures, x, y) {
+  hideHighlightCard();
+
+  highlightCard = document.createElement('cwa-highlight-card');
+  const shadow = highlightCard.attachShadow({ mode: 'closed' });
+  shadow.innerHTML = `
+    <style>
+      :host {
+        all: initial;
+        position: fixed;
+        z-index: 2147483647;
+      }
+      .card {
+        box-sizing: border-box;
+        width: 280px;
+        max-height: 320px;
+        overflow-y: auto;
+        padding: 12px 14px;
+        background: white;
+        color: #1F2937;
+        border: 1px solid #E5E7EB;
+        border-radius: 8px;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+        font-size: 13px;
+        line-height: 1.4;
+        animation: appear 0.15s ease-out;
+      }
+      .capture + .capture {
+        margin-top: 10px;
+        padding-top: 10px;
+        border-top: 1px solid #E5E7EB;
+      }
+      .project {
+        font-weight: 600;
+      }
+      .date {
+        color: #6B7280;
+        font-size: 12px;
+      }
+      .note {
+        margin: 6px 0 0;
+        white-space: pre-wrap;
+        word-wrap: break-word;
+      }
+      .note.empty {
+        color: #9CA3AF;
+        font-style: italic;
+      }
+      .tags {
+        margin-top: 6px;
+        color: #2563EB;
+        font-size: 12px;
+      }
+      @keyframes appear {
+        from { opacity: 0; transform: translateY(-4px); }
+        to { opacity: 1; transform: translateY(0); }
+      }
+    </style>
+    <div class="card" role="dialog" aria-label="Saved text">
+      ${captures.map(capture => `
+        <div class="capture">
+          <div class="project">Saved to ${escapeHtml(capture.projectName)}</div>
+          <div class="date">${new Date(capture.created).toLocaleDateString()}</div>
+          ${capture.note
+            ? `<p class="note">${escapeHtml(capture.note)}</p>`
+            : '<p class="note empty">No note</p>'}
+          ${capture.tags.length > 0 ? `<div class="tags">${capture.tags.map(tag => `#${escapeHtml(tag)}`).join(' ')}</div>` : ''}
+        </div>
+      `).join('')}
+    </div>
+  `;
+  document.documentElement.appendChild(highlightCard);
+
+  // Below the click, or above it near the bottom of the window
+  const { width, height } = highlightCard.getBoundingClientRect();
+  highlightCard.style.left = `${Math.max(8, Math.min(x, window.innerWidth - width - 8))}px`;
+  highlightCard.style.top = `${y + 12 + height > window.innerHeight ? Math.max(8, y - height - 12) : y + 12}px`;
+}
+
+/**
+ * Remove the highlight card
+ */
+function hideHighlightCard() {
+  if (highlightCard) {
+    highlightCard.remove();
+    highlightCard = null;
+  }
+}
+
+/**
+ * Handle save for a specific element type (used in multi-element UI)
+ * @param {Event} event - Click event
+ * @param {string} saveType - 'image', 'link', 'table', or 'both'
+ */
+async function handleSaveElement(event, saveType) {
+  event.stopPropagation();
+
+  const btn = event.currentTarget;
+  const originalContent = btn.innerHTML;
+
+  // Read note from the input field (shared across all buttons)
+  const noteInput = popover.querySelector('.cwa-note-input');
+  const noteText = noteInput ? noteInput.value.trim() : '';
+  const tags = getPopoverTags();
+
+  // Get selected project ID
+  const projectId = getSelectedProjectId();
+
+  // Disable all buttons during save
+  const allButtons = popover.querySelectorAll('.cwa-save-btn');
+  allButtons.forEach(b => b.disabled = true);
+
+  btn.innerHTML = '<span>Saving...</span>';
+
+  try {
+    if (!isExtensionContextValid()) {
+      throw new Error('Extension was reloaded. Please refresh this page.');
+    }
+
+    if (saveType === 'both') {
+      // Save all detected elements sequentially
+      if (detectedElements.image) {
+        await saveImageElement(detectedElements.image, noteText, projectId, tags);
+      }
+      if (detectedElements.link) {
+        await saveLinkElement(detectedElements.link, noteText, projectId, tags);
+      }
+      if (detectedElements.table) {
+        await saveTableElement(detectedElements.table, noteText, projectId, tags);
+      }
+    } else if (saveType === 'image') {
+      await saveImageElement(detectedElements.image, noteText, projectId, tags);
+    } else if (saveType === 'link') {
+      await saveLinkElement(detectedElements.link, noteText, projectId, tags);
+    } else if (saveType === 'table') {
+      await saveTableElement(detectedElements.table, noteText, projectId, tags);
+    }
+
+    // Hide popover instantly
+    hidePopover();
+
+  } catch (error) {
+    console.error('Error saving element:', error);
+
+    let errorMessage = 'Error!';
+    if (error.message.includes('Extension was reloaded') ||
+        error.message.includes('Extension context invalidated')) {
+      errorMessage = 'Refresh page';
+    } else if (error.message.includes('CORS') ||
+               error.message.includes('tainted') ||
+               error.message.includes('insecure')) {
+      errorMessage = 'Image protected';
+    }
+
+    btn.innerHTML = `<span>${errorMessage}</span>`;
+    btn.classList.add('error');
+
+    setTimeout(() => {
+      btn.innerHTML = originalContent;
+      allButtons.forEach(b => b.disabled = false);
+      btn.classList.remove('error');
+    }, 2000);
+  }
+}
+
+/**
+ * Save an image element
+ */
+async function saveImageElement(img, noteText, projectId, tags = []) {
+  const imageData = await fetchImageData(img);
+
+  const response = await chrome.runtime.sendMessage({
+    action: 'saveSelection',
+    data: {
+      type: 'image',
+      imageData: {
+        arrayBuffer: imageData.arrayBuffer,
+        mimeType: imageData.mimeType,
+        name: imageData.name
+      },
+      note: noteText,
+      tags: tags,
+      url: window.location.href,
+      title: document.title,
+      citation: extractCitationMetadata(),
+      projectId: projectId
+    }
+  });
+
+  if (!response.success) {
+    throw new Error(response.error || 'Failed to save image');
+  }
+
+  return response;
+}
+
+/**
+ * Save a link element
+ */
+async function saveLinkElement(link, noteText, projectId, tags = []) {
+  const linkText = link.textContent.trim();
+  const linkHref = link.href;
+
+  const response = await chrome.runtime.sendMessage({
+    action: 'saveSelection',
+    data: {
+      type: 'link',
+      text: linkText || linkHref,
+      note: noteText,
+      tags: tags,
+      linkUrl: linkHref,
+      url: window.location.href,
+      title: document.title,
+      citation: extractCitationMetadata(),
+      projectId: projectId
+    }
+  });
+
+  if (!response.success) {
+    throw new Error(response.error || 'Failed to save link');
+  }
+
+  return response;
 }
 
 /**
  * Save a table element
  */
-async function saveTableElement(table, noteText, projectId) {
+async function saveTableElement(table, noteText, projectId, tags = []) {
   const tableData = extractTableData(table);
 
   // Fetch all images embedded in the table
@@ -1070,10 +2177,7 @@ async function saveTableElement(table, noteText, projectId) {
   }
 
   // Remove images array from tableData before sending (we've extracted them)
-  const cleanTableData = {
-    headers: tableData.headers,
-    rows: tableData.rows
-  };
+  const { images, ...cleanTableData } = tableData;
 
   const response = await chrome.runtime.sendMessage({
     action: 'saveSelection',
@@ -1082,8 +2186,10 @@ async function saveTableElement(table, noteText, projectId) {
       tableData: cleanTableData,
       tableImages: imageDataArray,
       note: noteText,
+      tags: tags,
       url: window.location.href,
       title: document.title,
+      citation: extractCitationMetadata(),
       projectId: projectId
     }
   });
@@ -1095,13 +2201,490 @@ async function saveTableElement(table, noteText, projectId) {
   return response;
 }
 
+/**
+ * Build saveSelection data for a context menu capture
+ * Reads the right-clicked element so captures match the popover (link text, canvas image data).
+ * @param {Object} request - Capture request from background.js
+ * @param {string} request.kind - 'selection', 'image', 'link', 'page' or 'article'
+ * @param {string} [request.srcUrl] - Image URL reported by the context menu
+ * @param {string} [request.linkUrl] - Link URL reported by the context menu
+ * @param {string} [request.selectionText] - Selection reported by the context menu
+ * @returns {Promise<Object>} Data for the saveSelection message (without projectId)
+ */
+async function buildContextCapture({ kind, srcUrl, linkUrl, selectionText }) {
+  const pageFields = {
+    url: window.location.href,
+    title: document.title,
+    citation: extractCitationMetadata()
+  };
+
+  if (kind === 'selection') {
+    // The context menu collapses line breaks, the live selection keeps them
+    const selection = window.getSelection();
+    const text = selection.toString().trim();
+    if (!text) return { ...pageFields, type: 'text', text: selectionText };
+    return { ...pageFields, type: 'text', text, html: RichTextUtils.fromSelection(selection), anchor: getSelectionAnchor() };
+  }
+
+  if (kind === 'image') {
+    const target = contextMenuTarget?.closest?.('img');
+    const img = target && target.src === srcUrl
+      ? target
+      : [...document.images].find(image => image.src === srcUrl || image.currentSrc === srcUrl);
+    const imageData = img ? await fetchImageData(img) : await fetchViaBackgroundWorker({ src: srcUrl });
+    return { ...pageFields, type: 'image', imageData };
+  }
+
+  if (kind === 'link') {
+    const link = contextMenuTarget?.closest?.('a[href]');
+    const text = link && link.href === linkUrl ? link.textContent.trim() : '';
+    return { ...pageFields, type: 'link', text: text || linkUrl, linkUrl };
+  }
+
+  if (kind === 'article') {
+    return buildArticleCapture();
+  }
+
+  if (kind === 'region') {
+    return buildRegionCapture();
+  }
+
+  // Whole page: saved like a link to itself, described by the page summary
+  const description = getMetaContent(['description', 'og:description', 'twitter:description']);
+  return { ...pageFields, type: 'link', text: description || document.title || window.location.href, linkUrl: window.location.href };
+}
+
+// Readable article extraction ("Save article" captures)
+const ARTICLE_SKIP_SELECTOR = 'nav, aside, footer, form, button, select, script, style, noscript, template, iframe, svg, canvas, ' +
+  '[role="navigation"], [role="complementary"], [role="banner"], [role="contentinfo"], [role="dialog"], ' +
+  '[aria-hidden="true"], [hidden]';
+const ARTICLE_NOISE_PATTERN = /(^|[-_\s])(ads?|advert\w*|banner|breadcrumbs?|byline-share|cookie\w*|menu|modal|newsletter|outbrain|paywall|popup|promo\w*|recommended|related|share|sharing|sidebar|social|sponsor\w*|subscribe|taboola|toolbar|widget)([-_\s]|$)/i;
+const ARTICLE_CONTENT_PATTERN = /article|body|content|entry|main|post|story|text/i;
+const ARTICLE_COMMENTS_PATTERN = /comment|disqus|discussion/i;
+const ARTICLE_BLOCK_SELECTOR = 'p, h1, h2, h3, h4, h5, h6, ul, ol, blockquote, pre, table, figure, img, div, section, article, main, header';
+const ARTICLE_MIN_TEXT_LENGTH = 200;
+const ARTICLE_MAX_IMAGES = 30;
+
+/**
+ * Check whether an element is page chrome (navigation, ads, sharing, comments) rather than article content
+ * @param {Element} element - Element to check
+ * @returns {boolean} True if the element should be left out
+ */
+function isArticleNoise(element) {
+  if (element.matches(ARTICLE_SKIP_SELECTOR)) return true;
+
+  const names = `${element.getAttribute('class') || ''} ${element.id || ''}`;
+  if (ARTICLE_COMMENTS_PATTERN.test(names)) return true;
+  return ARTICLE_NOISE_PATTERN.test(names) && !ARTICLE_CONTENT_PATTERN.test(names);
+}
+
+/**
+ * Share of an element's text that sits inside links (menus and link lists score close to 1)
+ * @param {Element} element - Element to measure
+ * @returns {number} Ratio between 0 and 1
+ */
+function getLinkDensity(element) {
+  const textLength = element.innerText.trim().length;
+  if (!textLength) return 0;
+
+  let linkLength = 0;
+  element.querySelectorAll('a').forEach(link => {
+    linkLength += link.innerText.trim().length;
+  });
+  return Math.min(linkLength / textLength, 1);
+}
+
+/**
+ * Find the element holding the main readable content of the page
+ * Uses explicit article markup when present, otherwise scores containers by the
+ * paragraphs they hold (penalizing link-heavy blocks), like browser reader modes.
+ * @returns {Element} Article root
+ */
+function findArticleRoot() {
+  const marked = document.querySelector('[itemprop="articleBody"]');
+  if (marked && marked.innerText.trim().length > ARTICLE_MIN_TEXT_LENGTH) return marked;
+
+  const articles = [...document.querySelectorAll('article')]
+    .filter(article => !article.parentElement.closest('article') &&
+      article.innerText.trim().length > ARTICLE_MIN_TEXT_LENGTH);
+  if (articles.length === 1) return articles[0];
+
+  // Each paragraph adds to its parent's score, and half as much to its grandparent's
+  const scores = new Map();
+  document.body.querySelectorAll('p, pre, td, blockquote').forEach(block => {
+    const text = block.innerText.trim();
+    if (text.length < 25 || block.closest(ARTICLE_SKIP_SELECTOR)) return;
+
+    const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    const parent = block.parentElement;
+    const grandparent = parent && parent.parentElement;
+    if (parent) scores.set(parent, (scores.get(parent) || 0) + score);
+    if (grandparent) scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+  });
+
+  let bestElement = null;
+  let bestScore = 0;
+  scores.forEach((score, element) => {
+    if (element === document.documentElement || isArticleNoise(element)) return;
+    const adjustedScore = score * (1 - getLinkDensity(element));
+    if (adjustedScore > bestScore) {
+      bestElement = element;
+      bestScore = adjustedScore;
+    }
+  });
+
+  return bestElement || document.querySelector('main, [role="main"]') || document.body;
+}
+
+/**
+ * Check whether a table holds data (rather than page layout)
+ * @param {HTMLTableElement} table - Table element
+ * @returns {boolean} True for tables with at least 2 rows and no nested tables
+ */
+function isDataTable(table) {
+  return table.rows.length >= 2 && !table.querySelector('table') && table.getAttribute('role') !== 'presentation';
+}
+
+/**
+ * Convert the article root into a list of content blocks
+ * Images and tables are returned separately and referenced from their blocks by index.
+ * @param {Element} root - Article root (see findArticleRoot)
+ * @returns {{blocks: Object[], images: HTMLImageElement[], tables: HTMLTableElement[]}}
+ *   Blocks: {type: 'heading', level, text}, {type: 'paragraph', text}, {type: 'list', ordered, items},
+ *   {type: 'quote', text}, {type: 'code', text}, {type: 'image', image, caption}, {type: 'table', table}
+ */
+function collectArticleBlocks(root) {
+  const blocks = [];
+  const images = [];
+  const tables = [];
+
+  const cleanText = text => text.replace(/[^\S\n]+/g, ' ').replace(/ *\n */g, '\n').replace(/\n{2,}/g, '\n').trim();
+
+  const addText = (type, text) => {
+    const clean = cleanText(text);
+    if (clean) blocks.push({ type, text: clean });
+  };
+
+  const addImage = img => {
+    const width = img.naturalWidth || img.width;
+    const height = img.naturalHeight || img.height;
+    if (!img.src || width < 50 || height < 50 || images.length >= ARTICLE_MAX_IMAGES || images.includes(img)) return;
+
+    const figcaption = img.closest('figure')?.querySelector('figcaption');
+    const caption = figcaption ? cleanText(figcaption.innerText) : '';
+    images.push(img);
+    blocks.push({ type: 'image', image: images.length - 1, ...(caption && { caption }) });
+  };
+
+  const walk = element => {
+    // Text and inline elements between blocks are gathered into one paragraph
+    let inlineText = '';
+    let inlineLinkLength = 0;
+    const flushInline = () => {
+      const text = cleanText(inlineText);
+      if (text && inlineLinkLength / text.length < 0.5) blocks.push({ type: 'paragraph', text });
+      inlineText = '';
+      inlineLinkLength = 0;
+    };
+
+    for (const node of element.childNodes) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        inlineText += node.textContent.replace(/\s+/g, ' ');
+        continue;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE || isArticleNoise(node) || node.getClientRects().length === 0) continue;
+
+      const tag = node.tagName;
+      if (tag === 'BR') {
+        inlineText += '\n';
+        continue;
+      }
+      if (tag !== 'IMG' && getComputedStyle(node).display.startsWith('inline') &&
+          !node.querySelector(ARTICLE_BLOCK_SELECTOR)) {
+        inlineText += node.innerText;
+        if (tag === 'A') inlineLinkLength += node.innerText.trim().length;
+        continue;
+      }
+
+      flushInline();
+
+      if (/^H[1-6]$/.test(tag)) {
+        const text = cleanText(node.innerText);
+        if (text) blocks.push({ type: 'heading', level: parseInt(tag[1]), text });
+      } else if (tag === 'P') {
+        addText('paragraph', node.innerText);
+        node.querySelectorAll('img').forEach(addImage);
+      } else if (tag === 'UL' || tag === 'OL') {
+        const items = [...node.children]
+          .filter(item => item.tagName === 'LI')
+          .map(item => cleanText(item.innerText).replace(/\n/g, ' '))
+          .filter(Boolean);
+        if (items.length > 0) blocks.push({ type: 'list', ordered: tag === 'OL', items });
+        node.querySelectorAll('img').forEach(addImage);
+      } else if (tag === 'BLOCKQUOTE') {
+        addText('quote', node.innerText);
+      } else if (tag === 'PRE') {
+        const text = node.innerText.replace(/\s+$/, '');
+        if (text.trim()) blocks.push({ type: 'code', text });
+      } else if (tag === 'TABLE') {
+        if (isDataTable(node)) {
+          tables.push(node);
+          blocks.push({ type: 'table', table: tables.length - 1 });
+        } else {
+          walk(node);
+        }
+      } else if (tag === 'IMG') {
+        addImage(node);
+      } else if (tag === 'FIGCAPTION' && node.parentElement.querySelector('img')) {
+        // Already attached to the figure's image as its caption
+      } else if (tag !== 'HR') {
+        walk(node);
+      }
+    }
+
+    flushInline();
+  };
+
+  walk(root);
+
+  // Keep the headline when it sits outside the article body
+  if (!blocks.some(block => block.type === 'heading' && block.level === 1)) {
+    const headline = cleanText(document.querySelector('h1')?.innerText || document.title);
+    if (headline) blocks.unshift({ type: 'heading', level: 1, text: headline });
+  }
+
+  return { blocks, images, tables };
+}
+
+/**
+ * Build saveSelection data for a readable article capture of the page
+ * Images that cannot be read are left out; table image placeholders are numbered
+ * across the whole article so every table image has its own tableImageIndex.
+ * @returns {Promise<Object>} Data for the saveSelection message (without projectId)
+ */
+async function buildArticleCapture() {
+  const { blocks, images, tables } = collectArticleBlocks(findArticleRoot());
+
+  const articleImages = [];
+  const imageIndexes = new Map();
+  for (let i = 0; i < images.length; i++) {
+    try {
+      articleImages.push(await fetchImageData(images[i]));
+      imageIndexes.set(i, articleImages.length - 1);
+    } catch (error) {
+      console.warn(`[CWA] Skipping article image ${i + 1}:`, error);
+    }
+  }
+
+  const articleTables = [];
+  const tableImages = [];
+  for (const table of tables) {
+    const tableData = extractTableData(table);
+    const placeholders = new Map();
+    for (const image of tableData.images) {
+      try {
+        const imageData = await fetchImageData(image.element);
+        placeholders.set(image.index, tableImages.length);
+        tableImages.push(imageData);
+      } catch (error) {
+        console.warn('[CWA] Skipping table image:', error);
+      }
+    }
+
+    const renumber = text => text.replace(/\{\{img:(\d+)\}\}/g, (placeholder, index) =>
+      placeholders.has(parseInt(index)) ? `{{img:${placeholders.get(parseInt(index))}}}` : '');
+    const articleTable = TableUtils.mapText(tableData, renumber);
+    delete articleTable.images;
+    articleTables.push(articleTable);
+  }
+
+  return {
+    type: 'article',
+    blocks: blocks
+      .filter(block => block.type !== 'image' || imageIndexes.has(block.image))
+      .map(block => (block.type === 'image' ? { ...block, image: imageIndexes.get(block.image) } : block)),
+    articleImages,
+    articleTables,
+    tableImages,
+    url: window.location.href,
+    title: document.title,
+    citation: extractCitationMetadata()
+  };
+}
+
+// Region capture: the user drags a rectangle, the background screenshots the tab and crops it
+const REGION_MIN_SIZE = 10;
+
+/**
+ * Let the user drag a rectangle over the page
+ * @returns {Promise<{x: number, y: number, width: number, height: number}|null>}
+ *   Rectangle in viewport (CSS) pixels, or null if cancelled with Escape
+ */
+function selectScreenRegion() {
+  return new Promise(resolve => {
+    const overlay = document.createElement('div');
+    overlay.className = 'cwa-region-overlay';
+    overlay.innerHTML = `
+      <div class="cwa-region-hint">Drag to select an area to capture · Esc to cancel</div>
+      <div class="cwa-region-box"></div>
+    `;
+    const box = overlay.querySelector('.cwa-region-box');
+    let start = null;
+    let rect = null;
+
+    const finish = (result) => {
+      document.removeEventListener('keydown', handleKeydown, true);
+      overlay.remove();
+      resolve(result);
+    };
+
+    const handleKeydown = (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        event.stopPropagation();
+        finish(null);
+      }
+    };
+
+    overlay.addEventListener('mousedown', (event) => {
+      if (event.button !== 0) return;
+      event.preventDefault();
+      start = { x: event.clientX, y: event.clientY };
+      rect = null;
+      overlay.classList.add('dragging');
+    });
+
+    overlay.addEventListener('mousemove', (event) => {
+      if (!start) return;
+      rect = {
+        x: Math.min(start.x, event.clientX),
+        y: Math.min(start.y, event.clientY),
+        width: Math.abs(event.clientX - start.x),
+        height: Math.abs(event.clientY - start.y)
+      };
+      Object.assign(box.style, {
+        left: `${rect.x}px`,
+        top: `${rect.y}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`
+      });
+    });
+
+    overlay.addEventListener('mouseup', () => {
+      if (!start) return;
+      start = null;
+      // A click or a tiny drag starts over
+      if (!rect || rect.width < REGION_MIN_SIZE || rect.height < REGION_MIN_SIZE) {
+        overlay.classList.remove('dragging');
+        return;
+      }
+      finish(rect);
+    });
+
+    document.addEventListener('keydown', handleKeydown, true);
+    document.documentElement.appendChild(overlay);
+  });
+}
+
+/**
+ * Select a region of the page for the background to screenshot
+ * Works for content the other captures can't read: canvas charts, SVG graphics,
+ * embedded PDFs and video frames.
+ * @returns {Promise<Object|null>} Data for saveSelection, or null if cancelled
+ */
+async function buildRegionCapture() {
+  hidePopover();
+  hideHighlightCard();
+  document.querySelector('.cwa-toast')?.remove();
+
+  const rect = await selectScreenRegion();
+  if (!rect) return null;
+
+  // Let the page repaint without the overlay before the screenshot is taken
+  await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+
+  return {
+    type: 'region',
+    rect,
+    viewportWidth: window.innerWidth,
+    url: window.location.href,
+    title: document.title,
+    citation: extractCitationMetadata()
+  };
+}
+
+/**
+ * Check whether keyboard focus is in this frame itself
+ * hasFocus() is also true for the pages around a focused iframe, so those are ruled out here.
+ * @returns {boolean}
+ */
+function isFocusedFrame() {
+  const active = document.activeElement;
+  return document.hasFocus() && !(active && (active.tagName === 'IFRAME' || active.tagName === 'FRAME'));
+}
+
+/**
+ * Run a keyboard shortcut capture into the active project
+ * @param {string} command - 'save-selection', 'save-page-article' or 'capture-region'
+ * @returns {Promise<Object>} saveSelection response ({success: false, cancelled: true} if a region capture was cancelled)
+ */
+async function runCaptureCommand(command) {
+  const { activeProjectId } = await chrome.storage.local.get('activeProjectId');
+  let data;
+  if (command === 'save-selection') {
+    data = {
+      type: 'text',
+      text: window.getSelection().toString().trim(),
+      html: RichTextUtils.fromSelection(window.getSelection()),
+      anchor: getSelectionAnchor(),
+      url: window.location.href,
+      title: document.title,
+      citation: extractCitationMetadata()
+    };
+  } else if (command === 'capture-region') {
+    data = await buildRegionCapture();
+    if (!data) return { success: false, cancelled: true };
+  } else {
+    data = await buildArticleCapture();
+  }
+
+  const response = await chrome.runtime.sendMessage({
+    action: 'saveSelection',
+    data: { ...data, projectId: activeProjectId }
+  });
+
+  if (!response.success) {
+    throw new Error(response.error || 'Failed to save');
+  }
+
+  hidePopover();
+  return response;
+}
+
+/**
+ * Show a short confirmation in the corner of the page (used by shortcut and context menu captures)
+ * @param {string} message - Message to show
+ * @param {boolean} [isError=false] - Style as an error
+ */
+function showCaptureToast(message, isError = false) {
+  document.querySelector('.cwa-toast')?.remove();
+
+  const toast = document.createElement('div');
+  toast.className = `cwa-toast${isError ? ' error' : ''}`;
+  toast.setAttribute('role', 'status');
+  toast.textContent = message;
+  document.body.appendChild(toast);
+
+  setTimeout(() => toast.remove(), 2500);
+}
+
 /**
  * Handle save button click
  */
 async function handleSave(event) {
   event.stopPropagation();
 
-  if (!selectedText && !selectedImage && !selectedTable && !selectedLink) {
+  if (!selectedText && !selectedImage && !selectedTable && !selectedLink && !selectedMedia) {
     return;
   }
 
@@ -1123,6 +2706,7 @@ async function handleSave(event) {
     // Read note from the input field
     const noteInput = popover.querySelector('.cwa-note-input');
     const noteText = noteInput ? noteInput.value.trim() : '';
+    const tags = getPopoverTags();
 
     // Get selected project ID
     const projectId = getSelectedProjectId();
@@ -1157,10 +2741,7 @@ async function handleSave(event) {
       }
 
       // Remove images array from tableData before sending (we've extracted them)
-      const cleanTableData = {
-        headers: tableData.headers,
-        rows: tableData.rows
-      };
+      const { images, ...cleanTableData } = tableData;
 
       response = await chrome.runtime.sendMessage({
         action: 'saveSelection',
@@ -1169,8 +2750,10 @@ async function handleSave(event) {
           tableData: cleanTableData,
           tableImages: imageDataArray,  // Send fetched image data separately
           note: noteText,
+          tags: tags,
           url: window.location.href,
           title: document.title,
+          citation: extractCitationMetadata(),
           projectId: projectId
         }
       });
@@ -1188,46 +2771,55 @@ async function handleSave(event) {
             name: imageData.name
           },
           note: noteText,
+          tags: tags,
           url: window.location.href,
           title: document.title,
+          citation: extractCitationMetadata(),
           projectId: projectId
         }
       });
+    } else if (selectedMedia) {
+      // Handle video/audio saving (the file itself is downloaded by the background)
+      const fileCheckbox = popover.querySelector('.cwa-media-file-checkbox');
+      const mediaData = await buildMediaCapture(selectedMedia, { includeFile: !!fileCheckbox?.checked });
+
+      response = await chrome.runtime.sendMessage({
+        action: 'saveSelection',
+        data: { ...mediaData, note: noteText, tags: tags, projectId: projectId }
+      });
     } else if (selectedLink) {
       // Handle link saving
       const linkText = selectedLink.textContent.trim();
       const linkHref = selectedLink.href;
 
-      let textToSave = linkText || linkHref;
-      if (noteText) {
-        textToSave = textToSave + '\n\nNote: ' + noteText;
-      }
-
       response = await chrome.runtime.sendMessage({
         action: 'saveSelection',
         data: {
           type: 'link',
-          text: textToSave,
+          text: linkText || linkHref,
+          note: noteText,
+          tags: tags,
           linkUrl: linkHref,
           url: window.location.href,
           title: document.title,
+          citation: extractCitationMetadata(),
           projectId: projectId
         }
       });
     } else {
       // Handle text saving
-      let textToSave = selectedText;
-      if (noteText) {
-        textToSave = selectedText + '\n\nNote: ' + noteText;
-      }
-
       response = await chrome.runtime.sendMessage({
         action: 'saveSelection',
         data: {
           type: 'text',
-          text: textToSave,
+          text: selectedText,
+          html: selectedHtml,
+          anchor: savedSelectionRange ? createTextAnchor(savedSelectionRange) : null,
+          note: noteText,
+          tags: tags,
           url: window.location.href,
           title: document.title,
+          citation: extractCitationMetadata(),
           projectId: projectId
         }
       });
@@ -1278,6 +2870,11 @@ async function handleSave(event) {
   }
 }
 
+// Highlight what was saved from this page before (once more later for content that renders late)
+refreshSavedHighlights().then(missing => {
+  if (missing > 0) setTimeout(refreshSavedHighlights, 3000);
+});
+
 // Clean up on page unload
 window.addEventListener('beforeunload', () => {
   hidePopover();
@@ -7,12 +7,46 @@
  * - Object Store: items
  * - Key: string (e.g., "content:123" or "media:456")
  *
+ * Tag Object:
+ * {
+ *   "key": "tag:research",
+ *   "type": "tag",
+ *   "name": "research",
+ *   "created": timestamp
+ * }
+ *
+ * Term Object (full-text search index):
+ * {
+ *   "key": "term:writing",
+ *   "type": "term",
+ *   "term": "writing",
+ *   "postings": { "content:123": { "tf": 2, "projectId": "project:default" } }
+ * }
+ *
+ * History Object (undo/redo action, see undo-redo-utils.js):
+ * {
+ *   "key": "history:project:default:action_1712345678_abc",
+ *   "type": "history",
+ *   "stack": "undo" | "redo",
+ *   "seq": 12,
+ *   "blobIds": ["media:456"],
+ *   "action": { "id": "...", "type": "delete", "projectId": "...", "beforeSnapshot": {...}, ... }
+ * }
+ *
+ * History Blob Object (media blob referenced by history snapshots):
+ * {
+ *   "key": "historyBlob:media:456",
+ *   "type": "historyBlob",
+ *   "blob": Blob
+ * }
+ *
  * Content Object:
  * {
  *   "key": "content:123",
  *   "type": "content",
  *   "text": "User content text...",
- *   "links": ["https://example.com"],
+ *   "html": "<p>User <strong>content</strong>...</p>" (optional, formatting of a text selection, see rich-text-utils.js),
+ *   "links": ["https://example.com"] (multiEntry index "links"),
  *   "media": [
  *     {
  *       "id": "media:456",
@@ -21,19 +55,72 @@
  *       "blob": Blob,
  *       "size": 245678,
  *       "name": "photo.png"
- *     }
+ *     },
+ *     { "id": "media:789", "type": "table", "data": { "headers": [...], "rows": [[...]] }, "name": "..." }
+ *                                       (table data with its cell model, see table-utils.js)
+ *   ],
+ *   "note": "User note (optional)",
+ *   "sourceTitle": "Title of the captured page (optional)",
+ *   "sourceUrl": "https://example.com/cited (optional, linked URL for link captures)",
+ *   "pageUrl": "https://example.com/page (optional, page the capture was made on)",
+ *   "tags": ["research", "chapter-2"] (optional, multiEntry index "tags"),
+ *   "citation": {                       (optional, metadata of the source page)
+ *     "authors": ["Jane Doe"], "title": "...", "siteName": "...", "publisher": "...",
+ *     "journal": "...", "publishedDate": "2024-03-05", "doi": "10.1000/xyz",
+ *     "canonicalUrl": "https://example.com/article"
+ *   },
+ *   "anchor": {                         (optional, where a text selection sits on its page)
+ *     "exact": "quoted text", "prefix": "text before", "suffix": "text after",
+ *     "start": 1234, "selector": "#main > p:nth-of-type(3)",
+ *     "textFragment": "text=before-,quoted%20text,-after"
+ *   },
+ *   "contentType": "link" | "imagelink" | "article" | "video" | "audio" (optional, how the item was captured),
+ *   "mediaTimestamp": 83 (optional, playback position in seconds of a video/audio capture),
+ *   "importedFrom": "content:..." (optional, key of the original item of an archive import),
+ *   "blocks": [                         (optional, structure of an article capture)
+ *     { "type": "heading", "level": 2, "text": "..." },
+ *     { "type": "paragraph" | "quote" | "code", "text": "..." },
+ *     { "type": "list", "ordered": false, "items": ["...", "..."] },
+ *     { "type": "image", "mediaId": "media:456", "caption": "..." },
+ *     { "type": "table", "mediaId": "media:789" }
  *   ],
  *   "created": timestamp,
- *   "modified": timestamp
+ *   "modified": timestamp,
+ *   "deletedAt": timestamp (optional, set while the item is in the Trash, index "deletedAt"),
+ *   "deletedWithProject": true (optional, trashed together with its project)
  * }
+ *
+ * Projects in the Trash carry a "deletedAt" timestamp as well. Trashed records are
+ * hidden from the regular queries and removed from the search index.
  */
 
 const DBUtils = {
   DB_NAME: 'ContentWritingAssistant',
-  DB_VERSION: 3,
+  DB_VERSION: 8,
   STORE_NAME: 'items',
   DEFAULT_PROJECT_ID: 'project:default',
 
+  // Longest selection HTML kept next to the plain text (see RichTextUtils.MAX_HTML_LENGTH)
+  MAX_HTML_LENGTH: 200000,
+
+  // Longest quote kept in a text anchor
+  MAX_ANCHOR_LENGTH: 10000,
+
+  // Full-text search index (term records live in the items store)
+  SEARCH_TERM_PREFIX: 'term:',
+  SEARCH_MIN_TERM_LENGTH: 2,
+  SEARCH_STOP_WORDS: new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from',
+    'has', 'have', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the',
+    'this', 'to', 'was', 'were', 'will', 'with',
+    // URL noise from indexed links
+    'http', 'https', 'www', 'com', 'html'
+  ]),
+
+  // Undo history (action and snapshot blob records live in the items store)
+  HISTORY_PREFIX: 'history:',
+  HISTORY_BLOB_PREFIX: 'historyBlob:',
+
   // Connection pool properties
   _dbConnection: null,              // Cached database connection
   _idleTimeout: 60000,              // Close after 60 seconds of inactivity
@@ -161,10 +248,133 @@ const DBUtils = {
             }
           };
         }
+
+        // Migration to version 4 (full-text search index) and version 5 (structured capture fields)
+        // The index is (re)built after the field migration so its terms reflect the new fields
+        if (oldVersion < 5) {
+          const objectStore = transaction.objectStore(this.STORE_NAME);
+          this._migrateStructuredFields(objectStore, () => {
+            if (oldVersion >= 4) {
+              objectStore.delete(IDBKeyRange.bound(this.SEARCH_TERM_PREFIX, this.SEARCH_TERM_PREFIX + '\uffff'));
+            }
+            this._buildSearchIndex(objectStore);
+          });
+        }
+
+        // Migration from version 5 to version 6 (tags)
+        if (oldVersion < 6) {
+          const objectStore = transaction.objectStore(this.STORE_NAME);
+          if (!objectStore.indexNames.contains('tags')) {
+            objectStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+          }
+        }
+
+        // Migration from version 6 to version 7 (look up captures by page URL)
+        if (oldVersion < 7) {
+          const objectStore = transaction.objectStore(this.STORE_NAME);
+          if (!objectStore.indexNames.contains('links')) {
+            objectStore.createIndex('links', 'links', { unique: false, multiEntry: true });
+          }
+        }
+
+        // Migration from version 7 to version 8 (count trashed items without loading them)
+        if (oldVersion < 8) {
+          const objectStore = transaction.objectStore(this.STORE_NAME);
+          if (!objectStore.indexNames.contains('deletedAt')) {
+            objectStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+          }
+        }
       };
     });
   },
 
+  /**
+   * Split legacy capture text into structured fields
+   * Older captures baked metadata into text: "Image from: {title}", "Table from: {title}",
+   * "\n\nNote: {note}", "\n\n(Includes N embedded images)" and "\n---\nSource: {title}".
+   * @param {Object} content - Content object with legacy text
+   * @returns {Object} Fields to merge into the content object (text, note, sourceTitle, sourceUrl, pageUrl)
+   */
+  extractLegacyCaptureFields(content) {
+    let text = content.text || '';
+    const fields = {};
+    const links = content.links || [];
+    const media = content.media || [];
+    let isCapture = false;
+
+    // Header used by image, image+link and table captures
+    if (media.some(m => m.type === 'image' || m.type === 'table')) {
+      const headerMatch = text.match(/^(?:Image|Table) from: (.*)/);
+      if (headerMatch) {
+        fields.sourceTitle = headerMatch[1].trim();
+        text = text.slice(headerMatch[0].length);
+        isCapture = true;
+      } else if (/^Saved (?:image|table)(?:\n|$)/.test(text)) {
+        text = text.replace(/^Saved (?:image|table)/, '');
+        isCapture = true;
+      }
+      text = text.replace(/\n\n\(Includes \d+ embedded images?\)\s*$/, '');
+    }
+
+    // Footer used by text and link captures
+    const footerMatch = text.match(/\n---\nSource: (.*)$/);
+    if (footerMatch) {
+      fields.sourceTitle = footerMatch[1].trim();
+      text = text.slice(0, footerMatch.index);
+      isCapture = true;
+    }
+
+    // The note was always appended last (before the footer), so it runs to the end
+    const noteIndex = text.lastIndexOf('\n\nNote: ');
+    if (noteIndex !== -1) {
+      fields.note = text.slice(noteIndex + '\n\nNote: '.length).trim();
+      text = text.slice(0, noteIndex);
+    }
+
+    fields.text = isCapture ? text.trim() : text.replace(/\s+$/, '');
+
+    if (links.length > 0) {
+      fields.sourceUrl = links[0];
+      if (isCapture) {
+        // Link captures stored [linkUrl, pageUrl]
+        const isLinkCapture = content.contentType === 'link' || content.contentType === 'imagelink';
+        fields.pageUrl = isLinkCapture && links.length > 1 ? links[1] : links[0];
+      }
+    }
+
+    // Drop empty values so they don't show up as blank fields
+    Object.keys(fields).forEach(key => {
+      if (key !== 'text' && !fields[key]) delete fields[key];
+    });
+
+    return fields;
+  },
+
+  /**
+   * Move legacy text conventions into structured fields (used during DB upgrade)
+   * @param {IDBObjectStore} objectStore - Items store from the versionchange transaction
+   * @param {Function} onComplete - Called after every content item was visited
+   */
+  _migrateStructuredFields(objectStore, onComplete) {
+    const contentRequest = objectStore.index('type').openCursor(IDBKeyRange.only('content'));
+
+    contentRequest.onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (cursor) {
+        const content = cursor.value;
+        if (content.note === undefined && content.sourceTitle === undefined) {
+          Object.assign(content, this.extractLegacyCaptureFields(content));
+          // The version 3 migration may update this record concurrently
+          content.projectId = content.projectId || this.DEFAULT_PROJECT_ID;
+          cursor.update(content);
+        }
+        cursor.continue();
+      } else {
+        onComplete();
+      }
+    };
+  },
+
   /**
    * Initialize and open the database (backwards compatible alias)
    * @returns {Promise<IDBDatabase>} Database instance
@@ -281,13 +491,123 @@ const DBUtils = {
     }
   },
 
+  /**
+   * Sanitize citation metadata extracted from a page
+   * Drops empty fields, trims strings and validates the canonical URL.
+   * @param {Object} citation - Raw citation metadata
+   * @returns {Object|null} Citation object or null if nothing usable is left
+   */
+  normalizeCitation(citation) {
+    if (!citation || typeof citation !== 'object') return null;
+
+    const clean = value => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().substring(0, 500) : '');
+    const result = {};
+
+    const authors = (Array.isArray(citation.authors) ? citation.authors : [])
+      .map(clean)
+      .filter(Boolean);
+    if (authors.length > 0) result.authors = [...new Set(authors)].slice(0, 50);
+
+    ['title', 'siteName', 'publisher', 'journal', 'publishedDate'].forEach(field => {
+      const value = clean(citation[field]);
+      if (value) result[field] = value;
+    });
+
+    const doi = clean(citation.doi).match(/10\.\d{4,9}\/\S+/);
+    if (doi) result.doi = doi[0];
+
+    const canonicalUrl = citation.canonicalUrl ? this.validateUrl(citation.canonicalUrl) : null;
+    if (canonicalUrl) result.canonicalUrl = canonicalUrl;
+
+    return Object.keys(result).length > 0 ? result : null;
+  },
+
+  /**
+   * Sanitize the text anchor of a selection capture
+   * @param {Object} anchor - Raw anchor (see createTextAnchor in content-script.js)
+   * @returns {Object|null} Anchor or null if it has no quote
+   */
+  normalizeAnchor(anchor) {
+    if (!anchor || typeof anchor !== 'object' || typeof anchor.exact !== 'string') return null;
+
+    const clean = (value, maxLength) => (typeof value === 'string' ? value.substring(0, maxLength) : '');
+    const exact = clean(anchor.exact.trim(), this.MAX_ANCHOR_LENGTH);
+    if (!exact) return null;
+
+    return {
+      exact,
+      prefix: clean(anchor.prefix, 200),
+      suffix: clean(anchor.suffix, 200),
+      ...(Number.isInteger(anchor.start) && anchor.start >= 0 && { start: anchor.start }),
+      selector: clean(anchor.selector, 1000),
+      textFragment: /^text=[^#\s]{1,2000}$/.test(anchor.textFragment) ? anchor.textFragment : ''
+    };
+  },
+
+  /**
+   * Sanitize the blocks of an article capture
+   * Drops unknown block types, empty text and image/table blocks whose media is missing.
+   * @param {Object[]} blocks - Raw article blocks
+   * @param {Object[]} media - Processed media of the item (block mediaIds must match)
+   * @returns {Object[]|null} Blocks or null if none are left
+   */
+  normalizeArticleBlocks(blocks, media) {
+    if (!Array.isArray(blocks)) return null;
+
+    const clean = value => (typeof value === 'string' ? value.trim() : '');
+    const mediaTypes = new Map(media.map(m => [m.id, m.type]));
+
+    const result = blocks.map(block => {
+      if (!block || typeof block !== 'object') return null;
+
+      switch (block.type) {
+        case 'heading': {
+          const level = Math.min(Math.max(parseInt(block.level) || 2, 1), 6);
+          return clean(block.text) ? { type: 'heading', level, text: clean(block.text) } : null;
+        }
+        case 'paragraph':
+        case 'quote':
+          return clean(block.text) ? { type: block.type, text: clean(block.text) } : null;
+        case 'code':
+          return clean(block.text) ? { type: 'code', text: block.text } : null;
+        case 'list': {
+          const items = (Array.isArray(block.items) ? block.items : []).map(clean).filter(Boolean);
+          return items.length > 0 ? { type: 'list', ordered: !!block.ordered, items } : null;
+        }
+        case 'image':
+        case 'table':
+          if (mediaTypes.get(block.mediaId) !== block.type) return null;
+          return {
+            type: block.type,
+            mediaId: block.mediaId,
+            ...(block.type === 'image' && clean(block.caption) && { caption: clean(block.caption) })
+          };
+        default:
+          return null;
+      }
+    }).filter(Boolean);
+
+    return result.length > 0 ? result : null;
+  },
+
   /**
    * Save content with embedded media
    * @param {string} id - Content ID (optional, will generate if not provided)
    * @param {Object} data - Content data
    * @param {string} data.text - Text content
+   * @param {string} [data.html] - Sanitized formatting of the text (dropped if empty or too long)
    * @param {string[]} [data.links] - Array of URLs
    * @param {Array} [data.media] - Array of media objects with blobs
+   * @param {string} [data.note] - User note
+   * @param {string} [data.sourceTitle] - Title of the captured page
+   * @param {string} [data.sourceUrl] - URL being cited (the linked URL for link captures)
+   * @param {string} [data.pageUrl] - URL of the page the capture was made on
+   * @param {string[]} [data.tags] - Tag names (normalized; missing tag records are created)
+   * @param {Object} [data.citation] - Citation metadata of the source page (see normalizeCitation)
+   * @param {Object[]} [data.blocks] - Structure of an article capture (see normalizeArticleBlocks)
+   * @param {Object} [data.anchor] - Position of a text selection on its page (see normalizeAnchor)
+   * @param {number} [data.mediaTimestamp] - Playback position in seconds of a video/audio capture
+   * @param {string} [data.importedFrom] - Key of the original item this one was imported from
    * @returns {Promise<string>} Content ID
    */
   async saveContent(id, data) {
@@ -299,6 +619,11 @@ const DBUtils = {
       const validLinks = (data.links || [])
         .map(link => this.validateUrl(link))
         .filter(link => link !== null);
+      const sourceUrl = data.sourceUrl ? this.validateUrl(data.sourceUrl) : null;
+      const pageUrl = data.pageUrl ? this.validateUrl(data.pageUrl) : null;
+      const tags = this.normalizeTags(data.tags);
+      const citation = this.normalizeCitation(data.citation);
+      const anchor = this.normalizeAnchor(data.anchor);
 
       // Process media array
       const processedMedia = (data.media || []).map(mediaItem => {
@@ -331,11 +656,14 @@ const DBUtils = {
         }
         return processedItem;
       });
+      const blocks = this.normalizeArticleBlocks(data.blocks, processedMedia);
+      const html = typeof data.html === 'string' && data.html.length <= this.MAX_HTML_LENGTH ? data.html.trim() : '';
 
       const contentObject = {
         key: contentId,
         type: 'content',
         text: data.text || '',
+        ...(html && { html }),
         links: validLinks,
         media: processedMedia,
         created: data.created || Date.now(),
@@ -345,20 +673,43 @@ const DBUtils = {
         // Preserve order if specified (for drag-drop reordering)
         ...(data.order !== undefined && { order: data.order }),
         // Preserve contentType if specified (e.g., 'link' for saved links)
-        ...(data.contentType && { contentType: data.contentType })
+        ...(data.contentType && { contentType: data.contentType }),
+        // Structured capture metadata
+        ...(data.note && { note: data.note }),
+        ...(data.sourceTitle && { sourceTitle: data.sourceTitle }),
+        ...(sourceUrl && { sourceUrl }),
+        ...(pageUrl && { pageUrl }),
+        ...(tags.length > 0 && { tags }),
+        ...(citation && { citation }),
+        ...(anchor && { anchor }),
+        ...(Number.isFinite(data.mediaTimestamp) && data.mediaTimestamp >= 0 && { mediaTimestamp: data.mediaTimestamp }),
+        ...(typeof data.importedFrom === 'string' && data.importedFrom && { importedFrom: data.importedFrom }),
+        ...(blocks && { blocks })
       };
 
       return new Promise((resolve, reject) => {
         const transaction = db.transaction([this.STORE_NAME], 'readwrite');
         const objectStore = transaction.objectStore(this.STORE_NAME);
-        const request = objectStore.put(contentObject);
 
-        request.onsuccess = () => {
+        // Read the previous version first so stale index terms can be removed
+        const getRequest = objectStore.get(contentId);
+
+        getRequest.onsuccess = () => {
+          const request = objectStore.put(contentObject);
+
+          request.onerror = () => {
+            console.error('[DB] Failed to save content:', request.error);
+          };
+
+          this._updateSearchIndex(objectStore, contentId, getRequest.result, contentObject);
+          this._ensureTagRecords(objectStore, tags);
+        };
+
+        transaction.oncomplete = () => {
           resolve(contentId);
         };
 
-        request.onerror = () => {
-          console.error('[DB] Failed to save content:', request.error);
+        transaction.onerror = () => {
           reject(new Error('Failed to save content'));
         };
       });
@@ -397,7 +748,7 @@ const DBUtils = {
   },
 
   /**
-   * Get all content entries
+   * Get all content entries (excluding the Trash)
    * @returns {Promise<Object[]>} Array of content objects
    */
   async getAllContent() {
@@ -411,7 +762,7 @@ const DBUtils = {
         const request = index.getAll('content');
 
         request.onsuccess = () => {
-          const content = request.result || [];
+          const content = (request.result || []).filter(item => !item.deletedAt);
           // Sort by order field (ascending), then by modified date (descending)
           resolve(content.sort((a, b) => {
             // Items with order field come first, sorted by order
@@ -497,7 +848,8 @@ const DBUtils = {
   },
 
   /**
-   * Delete content by ID
+   * Move content to the Trash (see restoreContent and purgeContent)
+   * Items that are already in the Trash keep their original deletion time.
    * @param {string} id - Content ID
    * @returns {Promise<void>}
    */
@@ -508,13 +860,22 @@ const DBUtils = {
       return new Promise((resolve, reject) => {
         const transaction = db.transaction([this.STORE_NAME], 'readwrite');
         const objectStore = transaction.objectStore(this.STORE_NAME);
-        const request = objectStore.delete(id);
+        const getRequest = objectStore.get(id);
 
-        request.onsuccess = () => {
+        getRequest.onsuccess = () => {
+          const content = getRequest.result;
+          if (!content || content.type !== 'content' || content.deletedAt) return;
+
+          const trashed = { ...content, deletedAt: Date.now() };
+          objectStore.put(trashed);
+          this._updateSearchIndex(objectStore, id, content, trashed);
+        };
+
+        transaction.oncomplete = () => {
           resolve();
         };
 
-        request.onerror = () => {
+        transaction.onerror = () => {
           reject(new Error('Failed to delete content'));
         };
       });
@@ -666,7 +1027,7 @@ const DBUtils = {
   },
 
   /**
-   * Get all projects
+   * Get all projects (excluding the Trash)
    * @returns {Promise<Object[]>} Array of project objects
    */
   async getAllProjects() {
@@ -680,7 +1041,7 @@ const DBUtils = {
         const request = index.getAll('project');
 
         request.onsuccess = () => {
-          const projects = request.result || [];
+          const projects = (request.result || []).filter(project => !project.deletedAt);
           // Sort: default project first, then by name
           resolve(projects.sort((a, b) => {
             if (a.isDefault) return -1;
@@ -717,9 +1078,10 @@ const DBUtils = {
   },
 
   /**
-   * Delete project by ID
+   * Move a project and its content to the Trash (see restoreProject and purgeProject)
+   * Content that was already in the Trash stays there as individual items.
    * @param {string} id - Project ID
-   * @returns {Promise<void>}
+   * @returns {Promise<{project: Object|null, content: Object[]}>} The records as they were before (for undo)
    */
   async deleteProject(id) {
     try {
@@ -728,30 +1090,47 @@ const DBUtils = {
       }
 
       const db = await this.getConnection();
+      const deletedAt = Date.now();
 
-      return new Promise(async (resolve, reject) => {
+      return new Promise((resolve, reject) => {
         const transaction = db.transaction([this.STORE_NAME], 'readwrite');
         const objectStore = transaction.objectStore(this.STORE_NAME);
+        const deletedContent = [];
+        let deletedProject = null;
 
-        // Delete all content items in this project
+        // Trash all content items in this project
         const projectIndex = objectStore.index('projectId');
         const contentRequest = projectIndex.openCursor(IDBKeyRange.only(id));
 
         contentRequest.onsuccess = (e) => {
           const cursor = e.target.result;
           if (cursor) {
-            cursor.delete();
+            const content = cursor.value;
+            if (content.type === 'content' && !content.deletedAt) {
+              const trashed = { ...content, deletedAt, deletedWithProject: true };
+              deletedContent.push(content);
+              this._updateSearchIndex(objectStore, cursor.primaryKey, content, trashed);
+              cursor.update(trashed);
+            }
             cursor.continue();
           } else {
-            // Then delete the project itself
-            const deleteRequest = objectStore.delete(id);
-            deleteRequest.onsuccess = () => resolve();
-            deleteRequest.onerror = () => reject(new Error('Failed to delete project'));
+            // Then trash the project itself
+            const getRequest = objectStore.get(id);
+            getRequest.onsuccess = () => {
+              deletedProject = getRequest.result || null;
+              if (deletedProject && !deletedProject.deletedAt) {
+                objectStore.put({ ...deletedProject, deletedAt });
+              }
+            };
           }
         };
 
-        contentRequest.onerror = () => {
-          reject(new Error('Failed to delete project content'));
+        transaction.oncomplete = () => {
+          resolve({ project: deletedProject, content: deletedContent });
+        };
+
+        transaction.onerror = () => {
+          reject(new Error('Failed to delete project'));
         };
       });
     } catch (error) {
@@ -776,7 +1155,7 @@ const DBUtils = {
         const request = index.getAll(projectId);
 
         request.onsuccess = () => {
-          const content = (request.result || []).filter(item => item.type === 'content');
+          const content = (request.result || []).filter(item => item.type === 'content' && !item.deletedAt);
           // Sort by order field (ascending), then by modified date (descending)
           resolve(content.sort((a, b) => {
             if (a.order !== undefined && b.order !== undefined) {
@@ -799,7 +1178,7 @@ const DBUtils = {
   },
 
   /**
-   * Get count of content items in a project
+   * Get count of content items in a project (excluding the Trash)
    * @param {string} projectId - Project ID
    * @returns {Promise<number>} Count of content items
    */
@@ -811,10 +1190,10 @@ const DBUtils = {
         const transaction = db.transaction([this.STORE_NAME], 'readonly');
         const objectStore = transaction.objectStore(this.STORE_NAME);
         const index = objectStore.index('projectId');
-        const request = index.count(projectId);
+        const request = index.getAll(projectId);
 
         request.onsuccess = () => {
-          resolve(request.result || 0);
+          resolve((request.result || []).filter(item => item.type === 'content' && !item.deletedAt).length);
         };
 
         request.onerror = () => {
@@ -855,14 +1234,19 @@ const DBUtils = {
             return;
           }
 
+          const previousContent = { ...content };
           content.projectId = targetProjectId;
           content.modified = Date.now();
 
           const putRequest = objectStore.put(content);
-          putRequest.onsuccess = () => resolve();
           putRequest.onerror = () => reject(new Error('Failed to move content'));
+
+          // Postings carry the projectId so project-scoped searches stay correct
+          this._updateSearchIndex(objectStore, contentId, previousContent, content);
         };
 
+        transaction.oncomplete = () => resolve();
+
         getRequest.onerror = () => {
           reject(new Error('Failed to get content'));
         };
@@ -871,6 +1255,937 @@ const DBUtils = {
       console.error('Error moving content to project:', error);
       throw error;
     }
+  },
+
+  // ============================================
+  // Trash
+  // ============================================
+
+  /**
+   * Get everything in the Trash
+   * Content trashed together with its project is listed under the project, not on its own.
+   * @returns {Promise<{projects: Object[], content: Object[]}>} Trashed projects (with "itemCount")
+   *   and individually trashed content, most recently deleted first
+   */
+  async getTrash() {
+    try {
+      const db = await this.getConnection();
+
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction([this.STORE_NAME], 'readonly');
+        const objectStore = transaction.objectStore(this.STORE_NAME);
+        const index = objectStore.index('type');
+        const projectRequest = index.getAll('project');
+        const contentRequest = index.getAll('content');
+
+        transaction.oncomplete = () => {
+          const trashedContent = contentRequest.result.filter(item => item.deletedAt);
+          const byDeletedAt = (a, b) => b.deletedAt - a.deletedAt;
+
+          const projects = projectRequest.result
+            .filter(project => project.deletedAt)
+            .map(project => ({
+              ...project,
+              itemCount: trashedContent.filter(item => item.deletedWithProject && item.projectId === project.key).length
+            }))
+            .sort(byDeletedAt);
+
+          const content = trashedContent
+            .filter(item => !item.deletedWithProject)
+            .sort(byDeletedAt);
+
+          resolve({ projects, content });
+        };
+
+        transaction.onerror = () => {
+          reject(new Error('Failed to get trash'));
+        };
+      });
+    } catch (error) {
+      console.error('Error getting trash:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Restore content from the Trash
+   * Items whose project is gone or in the Trash are restored into the default project.
+   * @param {string} id - Content ID
+   * @returns {Promise<Object>} Restored content object
+   */
+  async restoreContent(id) {
+    try {
+      const db = await this.getConnection();
+
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction([this.STORE_NAME], 'readwrite');
+        const objectStore = transaction.objectStore(this.STORE_NAME);
+        const getRequest = objectStore.get(id);
+        let restored = null;
+
+        getRequest.onsuccess = () => {
+          const content = getRequest.result;
+          if (!content || content.type !== 'content') {
+            reject(new Error('Content not found'));
+            return;
+          }
+
+          const projectRequest = objectStore.get(content.projectId);
+          projectRequest.onsuccess = () => {
+            const project = projectRequest.result;
+            const { deletedAt, deletedWithProject, ...rest } = content;
+            restored = {
+              ...rest,
+              projectId: project && !project.deletedAt ? content.projectId : this.DEFAULT_PROJECT_ID
+            };
+
+            objectStore.put(restored);
+            this._updateSearchIndex(objectStore, id, content, restored);
+          };
+        };
+
+        transaction.oncomplete = () => resolve(restored);
+
+        transaction.onerror = () => {
+          reject(new Error('Failed to restore content'));
+        };
+      });
+    } catch (error) {
+      console.error('Error restoring content:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Restore a project from the Trash together with the content trashed with it
+   * @param {string} id - Project ID
+   * @returns {Promise<Object>} Restored project object
+   */
+  async restoreProject(id) {
+    try {
+      const db = await this.getConnection();
+
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction([this.STORE_NAME], 'readwrite');
+        const objectStore = transaction.objectStore(this.STORE_NAME);
+        const getRequest = objectStore.get(id);
+        let restored = null;
+
+        getRequest.onsuccess = () => {
+          const project = getRequest.result;
+          if (!project || project.type !== 'project') {
+            reject(new Error('Project not found'));
+            return;
+          }
+
+          const { deletedAt, ...rest } = project;
+          restored = rest;
+          objectStore.put(restored);
+
+          const contentRequest = objectStore.index('projectId').openCursor(IDBKeyRange.only(id));
+          contentRequest.onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+
+            const content = cursor.value;
+            if (content.type === 'content' && content.deletedWithProject) {
+              const { deletedAt, deletedWithProject, ...restoredContent } = content;
+              this._updateSearchIndex(objectStore, cursor.primaryKey, content, restoredContent);
+              cursor.update(restoredContent);
+            }
+            cursor.continue();
+          };
+        };
+
+        transaction.oncomplete = () => resolve(restored);
+
+        transaction.onerror = () => {
+          reject(new Error('Failed to restore project'));
+        };
+      });
+    } catch (error) {
+      console.error('Error restoring project:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Permanently delete content (whether or not it is in the Trash)
+   * Media is embedded, so it is deleted with the record.
+   * @param {string} id - Content ID
+   * @returns {Promise<void>}
+   */
+  async purgeContent(id) {
+    try {
+      const db = await this.getConnection();
+
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction([this.STORE_NAME], 'readwrite');
+        const objectStore = transaction.objectStore(this.STORE_NAME);
+        const getRequest = objectStore.get(id);
+
+        getRequest.onsuccess = () => {
+          objectStore.delete(id);
+          this._updateSearchIndex(objectStore, id, getRequest.result, null);
+        };
+
+        transaction.oncomplete = () => {
+          resolve();
+        };
+
+        transaction.onerror = () => {
+          reject(new Error('Failed to purge content'));
+        };
+      });
+    } catch (error) {
+      console.error('Error purging content:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Permanently delete a project and all of its content
+   * @param {string} id - Project ID
+   * @returns {Promise<void>}
+   */
+  async purgeProject(id) {
+    try {
+      if (id === this.DEFAULT_PROJECT_ID) {
+        throw new Error('Cannot delete default project');
+      }
+
+      const db = await this.getConnection();
+
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction([this.STORE_NAME], 'readwrite');
+        const objectStore = transaction.objectStore(this.STORE_NAME);
+        const contentRequest = objectStore.index('projectId').openCursor(IDBKeyRange.only(id));
+
+        contentRequest.onsuccess = (e) => {
+          const cursor = e.target.result;
+          if (cursor) {
+            this._updateSearchIndex(objectStore, cursor.primaryKey, cursor.value, null);
+            cursor.delete();
+            cursor.continue();
+          } else {
+            objectStore.delete(id);
+          }
+        };
+
+        transaction.oncomplete = () => {
+          resolve();
+        };
+
+        transaction.onerror = () => {
+          reject(new Error('Failed to purge project'));
+        };
+      });
+    } catch (error) {
+      console.error('Error purging project:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Permanently delete Trash entries deleted before a point in time
+   * @param {number} [before=Infinity] - Cutoff timestamp (omit to empty the whole Trash)
+   * @returns {Promise<{content: number, projectIds: string[]}>} Number of purged items and IDs of purged projects
+   */
+  async purgeTrash(before = Infinity) {
+    try {
+      const db = await this.getConnection();
+
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction([this.STORE_NAME], 'readwrite');
+        const objectStore = transaction.objectStore(this.STORE_NAME);
+        const index = objectStore.index('type');
+        const projectRequest = index.getAll('project');
+        const contentRequest = index.getAll('content');
+        const projectIds = [];
+        let purgedContent = 0;
+
+        contentRequest.onsuccess = () => {
+          projectRequest.result
+            .filter(project => project.deletedAt && project.deletedAt < before && !project.isDefault)
+            .forEach(project => {
+              projectIds.push(project.key);
+              objectStore.delete(project.key);
+            });
+
+          contentRequest.result
+            .filter(item => (item.deletedAt && item.deletedAt < before) || projectIds.includes(item.projectId))
+            .forEach(item => {
+              this._updateSearchIndex(objectStore, item.key, item, null);
+              objectStore.delete(item.key);
+              purgedContent++;
+            });
+        };
+
+        transaction.oncomplete = () => resolve({ content: purgedContent, projectIds });
+
+        transaction.onerror = () => {
+          reject(new Error('Failed to purge trash'));
+        };
+      });
+    } catch (error) {
+      console.error('Error purging trash:', error);
+      throw error;
+    }
+  },
+
+  // ============================================
+  // Tag Management Functions
+  // ============================================
+
+  /**
+   * Normalize a tag name (lowercase, no leading "#", whitespace -> "-")
+   * @param {string} name - Raw tag name
+   * @returns {string} Normalized tag name (empty if invalid)
+   */
+  normalizeTag(name) {
+    return String(name || '')
+      .trim()
+      .replace(/^#+/, '')
+      .toLowerCase()
+      .replace(/\s+/g, '-')
+      .replace(/[^\p{L}\p{N}_-]/gu, '')
+      .substring(0, 30);
+  },
+
+  /**
+   * Normalize and de-duplicate a list of tag names
+   * @param {string[]} [tags] - Raw tag names
+   * @returns {string[]} Normalized unique tag names
+   */
+  normalizeTags(tags) {
+    return [...new Set((tags || []).map(tag => this.normalizeTag(tag)).filter(Boolean))];
+  },
+
+  /**
+   * Create tag records that don't exist yet inside an open transaction
+   * @param {IDBObjectStore} objectStore - Items store from a readwrite transaction
+   * @param {string[]} tags - Normalized tag names
+   */
+  _ensureTagRecords(objectStore, tags) {
+    tags.forEach(name => {
+      const tagKey = `tag:${name}`;
+      const getRequest = objectStore.get(tagKey);
+      getRequest.onsuccess = () => {
+        if (!getRequest.result) {
+          objectStore.put({ key: tagKey, type: 'tag', name, created: Date.now() });
+        }
+      };
+    });
+  },
+
+  /**
+   * Get all tags
+   * @returns {Promise<Object[]>} Tag objects sorted by name
+   */
+  async getAllTags() {
+    try {
+      const db = await this.getConnection();
+
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction([this.STORE_NAME], 'readonly');
+        const objectStore = transaction.objectStore(this.STORE_NAME);
+        const request = objectStore.index('type').getAll('tag');
+
+        request.onsuccess = () => {
+          resolve((request.result || []).sort((a, b) => a.name.localeCompare(b.name)));
+        };
+
+        request.onerror = () => {
+          reject(new Error('Failed to get tags'));
+        };
+      });
+    } catch (error) {
+      console.error('Error getting tags:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get content items with a tag (read through the "tags" index, in list order)
+   * @param {string} tag - Tag name
+   * @param {string} [projectId] - Restrict to a project
+   * @returns {Promise<Object[]>} Array of content objects
+   */
+  async getContentByTag(tag, projectId) {
+    try {
+      const db = await this.getConnection();
+      const name = this.normalizeTag(tag);
+
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction([this.STORE_NAME], 'readonly');
+        const objectStore = transaction.objectStore(this.STORE_NAME);
+        const request = objectStore.index('tags').getAll(name);
+
+        request.onsuccess = () => {
+          const content = (request.result || []).filter(item =>
+            item.type === 'content' && !item.deletedAt && (!projectId || item.projectId === projectId)
+          );
+          // Same order as getContentByProject
+          resolve(content.sort((a, b) => {
+            if (a.order !== undefined && b.order !== undefined) {
+              return a.order - b.order;
+            }
+            if (a.order !== undefined) return -1;
+            if (b.order !== undefined) return 1;
+            return b.modified - a.modified;
+          }));
+        };
+
+        request.onerror = () => {
+          reject(new Error('Failed to get content by tag'));
+        };
+      });
+    } catch (error) {
+      console.error('Error getting content by tag:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Strip the fragment from a page URL, so "page#section" and "page" count as the same page
+   * @param {string} url - Page URL
+   * @returns {string|null} URL without fragment, or null if it isn't a web URL
+   */
+  getPageKey(url) {
+    const validUrl = this.validateUrl(url);
+    return validUrl ? validUrl.split('#')[0] : null;
+  },
+
+  /**
+   * Get content items captured on a page (across all projects)
+   * @param {string} url - Page URL (the fragment is ignored)
+   * @returns {Promise<Object[]>} Array of content objects
+   */
+  async getContentByPage(url) {
+    try {
+      const pageKey = this.getPageKey(url);
+      if (!pageKey) return [];
+      const db = await this.getConnection();
+
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction([this.STORE_NAME], 'readonly');
+        const objectStore = transaction.objectStore(this.STORE_NAME);
+        // The page itself and the page with any fragment
+        const request = objectStore.index('links').getAll(IDBKeyRange.bound(pageKey, `${pageKey}#\uffff`));
+
+        request.onsuccess = () => {
+          const seen = new Set();
+          resolve((request.result || []).filter(item => {
+            if (item.type !== 'content' || item.deletedAt || seen.has(item.key)) return false;
+            seen.add(item.key);
+            return this.getPageKey(item.pageUrl || item.links[0]) === pageKey;
+          }));
+        };
+
+        request.onerror = () => {
+          reject(new Error('Failed to get content by page'));
+        };
+      });
+    } catch (error) {
+      console.error('Error getting content by page:', error);
+      throw error;
+    }
+  },
+
+  // ============================================
+  // Undo History Storage
+  // ============================================
+
+  /**
+   * Build the record key of a history action
+   * @param {string} projectId - Project ID
+   * @param {string} actionId - Action ID
+   * @returns {string} Key ("history:<projectId>:<actionId>")
+   */
+  getHistoryKey(projectId, actionId) {
+    return `${this.HISTORY_PREFIX}${projectId}:${actionId}`;
+  },
+
+  /**
+   * Get history records of a project, or of every project
+   * @param {string} [projectId] - Project ID (omit for all projects)
+   * @returns {Promise<Object[]>} History records ({key, type: 'history', stack, seq, blobIds, action}) sorted by seq
+   */
+  async getHistory(projectId) {
+    try {
+      const db = await this.getConnection();
+      const prefix = projectId ? `${this.HISTORY_PREFIX}${projectId}:` : this.HISTORY_PREFIX;
+
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction([this.STORE_NAME], 'readonly');
+        const objectStore = transaction.objectStore(this.STORE_NAME);
+        const request = objectStore.getAll(IDBKeyRange.bound(prefix, prefix + '\uffff'));
+
+        request.onsuccess = () => {
+          resolve((request.result || []).sort((a, b) => a.seq - b.seq));
+        };
+
+        request.onerror = () => {
+          reject(new Error('Failed to get history'));
+        };
+      });
+    } catch (error) {
+      console.error('Error getting history:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Write history changes in one transaction
+   * Snapshot blobs are stored once per media ID and shared by every action that references them.
+   * @param {Object} changes - Changes to apply
+   * @param {Object[]} [changes.put] - History records to save
+   * @param {string[]} [changes.remove] - Keys of history records to delete
+   * @param {Map<string, Blob>} [changes.blobs] - Snapshot blobs by media ID
+   * @returns {Promise<void>}
+   */
+  async updateHistory({ put = [], remove = [], blobs = new Map() }) {
+    try {
+      const db = await this.getConnection();
+
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction([this.STORE_NAME], 'readwrite');
+        const objectStore = transaction.objectStore(this.STORE_NAME);
+
+        this._writeHistory(objectStore, { put, remove, blobs });
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(new Error('Failed to update history'));
+      });
+    } catch (error) {
+      console.error('Error updating history:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Read a project's history and write changes computed from it in the same transaction
+   * Use this when the changes depend on the current records (e.g. the next "seq"), so that
+   * the popup and the background script can't both build on the same read.
+   * @param {string} projectId - Project ID
+   * @param {Function} getChanges - (records sorted by seq) => {put, remove}; runs inside the
+   *   transaction, so it must not await anything. Throwing cancels the update.
+   * @param {Map<string, Blob>} [blobs] - Snapshot blobs by media ID
+   * @returns {Promise<{put: Object[], remove: string[]}>} Changes that were written
+   */
+  async modifyHistory(projectId, getChanges, blobs = new Map()) {
+    try {
+      const db = await this.getConnection();
+      const prefix = `${this.HISTORY_PREFIX}${projectId}:`;
+
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction([this.STORE_NAME], 'readwrite');
+        const objectStore = transaction.objectStore(this.STORE_NAME);
+        const request = objectStore.getAll(IDBKeyRange.bound(prefix, prefix + '\uffff'));
+        let changes = null;
+        let failure = null;
+
+        request.onsuccess = () => {
+          try {
+            const { put = [], remove = [] } = getChanges((request.result || []).sort((a, b) => a.seq - b.seq));
+            changes = { put, remove };
+            this._writeHistory(objectStore, { put, remove, blobs });
+          } catch (error) {
+            failure = error;
+            transaction.abort();
+          }
+        };
+
+        transaction.oncomplete = () => resolve(changes);
+        transaction.onabort = () => reject(failure || new Error('Failed to update history'));
+      });
+    } catch (error) {
+      console.error('Error updating history:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Apply history changes in an open readwrite transaction (see updateHistory)
+   * @param {IDBObjectStore} objectStore - Items store
+   * @param {{put: Object[], remove: string[], blobs: Map<string, Blob>}} changes - Changes to apply
+   * @private
+   */
+  _writeHistory(objectStore, { put, remove, blobs }) {
+    remove.forEach(key => objectStore.delete(key));
+    put.forEach(record => objectStore.put(record));
+
+    blobs.forEach((blob, mediaId) => {
+      const blobKey = this.HISTORY_BLOB_PREFIX + mediaId;
+      const getRequest = objectStore.get(blobKey);
+      getRequest.onsuccess = () => {
+        if (!getRequest.result) {
+          objectStore.put({ key: blobKey, type: 'historyBlob', blob, created: Date.now() });
+        }
+      };
+    });
+  },
+
+  /**
+   * Get snapshot blobs by media ID
+   * @param {string[]} mediaIds - Media IDs
+   * @returns {Promise<Map<string, Blob>>} Blobs that were found
+   */
+  async getHistoryBlobs(mediaIds) {
+    try {
+      const db = await this.getConnection();
+
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction([this.STORE_NAME], 'readonly');
+        const objectStore = transaction.objectStore(this.STORE_NAME);
+        const blobs = new Map();
+
+        mediaIds.forEach(mediaId => {
+          const request = objectStore.get(this.HISTORY_BLOB_PREFIX + mediaId);
+          request.onsuccess = () => {
+            if (request.result) blobs.set(mediaId, request.result.blob);
+          };
+        });
+
+        transaction.oncomplete = () => resolve(blobs);
+        transaction.onerror = () => reject(new Error('Failed to get history blobs'));
+      });
+    } catch (error) {
+      console.error('Error getting history blobs:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete all history records of a project
+   * Call pruneHistoryBlobs afterwards to release snapshot blobs.
+   * @param {string} projectId - Project ID
+   * @returns {Promise<void>}
+   */
+  async clearHistory(projectId) {
+    try {
+      const db = await this.getConnection();
+      const prefix = `${this.HISTORY_PREFIX}${projectId}:`;
+
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction([this.STORE_NAME], 'readwrite');
+        const objectStore = transaction.objectStore(this.STORE_NAME);
+        objectStore.delete(IDBKeyRange.bound(prefix, prefix + '\uffff'));
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(new Error('Failed to clear history'));
+      });
+    } catch (error) {
+      console.error('Error clearing history:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete snapshot blobs that no history record references anymore
+   * @returns {Promise<number>} Number of blobs deleted
+   */
+  async pruneHistoryBlobs() {
+    try {
+      const db = await this.getConnection();
+
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction([this.STORE_NAME], 'readwrite');
+        const objectStore = transaction.objectStore(this.STORE_NAME);
+        const historyRequest = objectStore.getAll(
+          IDBKeyRange.bound(this.HISTORY_PREFIX, this.HISTORY_PREFIX + '\uffff')
+        );
+        let deleted = 0;
+
+        historyRequest.onsuccess = () => {
+          const referenced = new Set(historyRequest.result.flatMap(record => record.blobIds || []));
+          const blobRequest = objectStore.getAllKeys(
+            IDBKeyRange.bound(this.HISTORY_BLOB_PREFIX, this.HISTORY_BLOB_PREFIX + '\uffff')
+          );
+
+          blobRequest.onsuccess = () => {
+            blobRequest.result.forEach(blobKey => {
+              if (!referenced.has(blobKey.substring(this.HISTORY_BLOB_PREFIX.length))) {
+                objectStore.delete(blobKey);
+                deleted++;
+              }
+            });
+          };
+        };
+
+        transaction.oncomplete = () => resolve(deleted);
+        transaction.onerror = () => reject(new Error('Failed to prune history blobs'));
+      });
+    } catch (error) {
+      console.error('Error pruning history blobs:', error);
+      throw error;
+    }
+  },
+
+  // ============================================
+  // Full-Text Search Index
+  // ============================================
+
+  /**
+   * Normalize a word for indexing (lowercase, strip diacritics)
+   * @param {string} word - Raw word
+   * @returns {string} Normalized term
+   */
+  normalizeTerm(word) {
+    return word.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  },
+
+  /**
+   * Split text into normalized search terms
+   * @param {string} text - Text to tokenize
+   * @param {Object} [options]
+   * @param {boolean} [options.keepStopWords=false] - Keep stop words and short terms (for queries)
+   * @returns {string[]} Terms in document order (may contain duplicates)
+   */
+  tokenize(text, { keepStopWords = false } = {}) {
+    if (!text) return [];
+
+    const words = String(text).match(/[\p{L}\p{N}]+/gu) || [];
+    return words
+      .map(word => this.normalizeTerm(word))
+      .filter(term => keepStopWords || this.isIndexedTerm(term));
+  },
+
+  /**
+   * Check whether a term is kept in the index (not a stop word or too short)
+   * @param {string} term - Normalized term
+   * @returns {boolean}
+   */
+  isIndexedTerm(term) {
+    return term.length >= this.SEARCH_MIN_TERM_LENGTH && !this.SEARCH_STOP_WORDS.has(term);
+  },
+
+  /**
+   * Collect the searchable text of a content item
+   * @param {Object} content - Content object
+   * @returns {string} Concatenated searchable text
+   */
+  getSearchableText(content) {
+    const parts = [
+      content.text || '',
+      content.note || '',
+      content.sourceTitle || '',
+      ...(content.citation?.authors || []),
+      content.citation?.siteName || '',
+      ...(content.tags || []),
+      ...(content.links || [])
+    ];
+
+    (content.media || []).forEach(mediaItem => {
+      if (mediaItem.name) parts.push(mediaItem.name);
+      if (mediaItem.type === 'table' && mediaItem.data) {
+        const { headers = [], rows = [], caption = '' } = mediaItem.data;
+        parts.push(caption, ...headers, ...rows.flat());
+      }
+    });
+
+    // Table cells carry {{img:N}} placeholders for embedded images
+    return parts.join(' ').replace(/\{\{img:\d+\}\}/g, ' ');
+  },
+
+  /**
+   * Count term frequencies for a content item
+   * @param {Object} content - Content object
+   * @returns {Map<string, number>} Term -> frequency
+   */
+  _getTermFrequencies(content) {
+    const frequencies = new Map();
+    this.tokenize(this.getSearchableText(content)).forEach(term => {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    });
+    return frequencies;
+  },
+
+  /**
+   * Update index postings for one content item inside an open transaction
+   * @param {IDBObjectStore} objectStore - Items store from a readwrite transaction
+   * @param {string} contentId - Content ID
+   * @param {Object|null} oldContent - Previously stored version (null if new)
+   * @param {Object|null} newContent - Version being stored (null if deleted)
+   *   Items with "deletedAt" count as not indexed on either side.
+   */
+  _updateSearchIndex(objectStore, contentId, oldContent, newContent) {
+    // Trashed items are not searchable
+    const oldTerms = oldContent && oldContent.type === 'content' && !oldContent.deletedAt
+      ? this._getTermFrequencies(oldContent)
+      : new Map();
+    const newTerms = newContent && !newContent.deletedAt ? this._getTermFrequencies(newContent) : new Map();
+    const projectChanged = oldContent?.projectId !== newContent?.projectId;
+
+    const affectedTerms = new Set([...oldTerms.keys(), ...newTerms.keys()]);
+
+    affectedTerms.forEach(term => {
+      const frequency = newTerms.get(term);
+
+      // Skip postings that would be rewritten unchanged
+      if (!projectChanged && oldTerms.get(term) === frequency) return;
+
+      const termKey = this.SEARCH_TERM_PREFIX + term;
+      const getRequest = objectStore.get(termKey);
+
+      getRequest.onsuccess = () => {
+        const record = getRequest.result || { key: termKey, type: 'term', term, postings: {} };
+
+        if (frequency) {
+          record.postings[contentId] = { tf: frequency, projectId: newContent.projectId };
+        } else {
+          delete record.postings[contentId];
+        }
+
+        if (Object.keys(record.postings).length > 0) {
+          objectStore.put(record);
+        } else if (getRequest.result) {
+          objectStore.delete(termKey);
+        }
+      };
+    });
+  },
+
+  /**
+   * Build the search index from scratch (used during DB upgrade)
+   * @param {IDBObjectStore} objectStore - Items store from the versionchange transaction
+   */
+  _buildSearchIndex(objectStore) {
+    const postingsByTerm = new Map();
+    const contentRequest = objectStore.index('type').openCursor(IDBKeyRange.only('content'));
+
+    contentRequest.onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (cursor) {
+        const content = cursor.value;
+        const projectId = content.projectId || this.DEFAULT_PROJECT_ID;
+
+        if (content.deletedAt) {
+          cursor.continue();
+          return;
+        }
+
+        this._getTermFrequencies(content).forEach((tf, term) => {
+          if (!postingsByTerm.has(term)) postingsByTerm.set(term, {});
+          postingsByTerm.get(term)[content.key] = { tf, projectId };
+        });
+        cursor.continue();
+      } else {
+        postingsByTerm.forEach((postings, term) => {
+          objectStore.put({ key: this.SEARCH_TERM_PREFIX + term, type: 'term', term, postings });
+        });
+      }
+    };
+  },
+
+  /**
+   * Search content using the inverted index
+   * Every query word must match (as a prefix) at least one indexed term. Stop words and
+   * one-letter words are never indexed, so they are left out unless the query has nothing else.
+   * Results are ranked with a BM25-style score; exact term matches outrank prefix matches.
+   * @param {string} query - Free-text query
+   * @param {Object} [options]
+   * @param {string} [options.projectId] - Restrict results to a project
+   * @returns {Promise<Array<{key: string, score: number, matchedTerms: string[]}>>} Ranked results
+   */
+  async searchContent(query, { projectId } = {}) {
+    try {
+      const allTerms = [...new Set(this.tokenize(query, { keepStopWords: true }))];
+      const indexedTerms = allTerms.filter(term => this.isIndexedTerm(term));
+      const queryTerms = indexedTerms.length > 0 ? indexedTerms : allTerms;
+      if (queryTerms.length === 0) {
+        return [];
+      }
+
+      const db = await this.getConnection();
+
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction([this.STORE_NAME], 'readonly');
+        const objectStore = transaction.objectStore(this.STORE_NAME);
+        const countRequest = objectStore.index('type').count('content');
+        const termRecords = queryTerms.map(() => []);
+
+        // Trashed items have no postings, so they don't count as documents either.
+        // Only keys are read: the index also holds trashed projects, which are skipped.
+        let trashedCount = 0;
+        const trashedRequest = objectStore.index('deletedAt').openKeyCursor();
+        trashedRequest.onsuccess = () => {
+          const cursor = trashedRequest.result;
+          if (cursor) {
+            if (String(cursor.primaryKey).startsWith('content:')) trashedCount++;
+            cursor.continue();
+          }
+        };
+
+        queryTerms.forEach((queryTerm, i) => {
+          const prefixKey = this.SEARCH_TERM_PREFIX + queryTerm;
+          const request = objectStore.getAll(IDBKeyRange.bound(prefixKey, prefixKey + '\uffff'));
+          request.onsuccess = () => {
+            termRecords[i] = request.result || [];
+          };
+        });
+
+        transaction.oncomplete = () => {
+          const totalDocs = countRequest.result - trashedCount;
+          const k1 = 1.2;
+          let results = null;
+
+          queryTerms.forEach((queryTerm, i) => {
+            // contentId -> { score, terms } for this query word (best matching term wins)
+            const matches = new Map();
+
+            termRecords[i].forEach(record => {
+              const postings = Object.entries(record.postings);
+              const idf = Math.log(1 + (totalDocs - postings.length + 0.5) / (postings.length + 0.5));
+              const weight = record.term === queryTerm ? 1 : 0.6;
+
+              postings.forEach(([contentId, posting]) => {
+                if (projectId && posting.projectId !== projectId) return;
+
+                const score = weight * idf * (posting.tf * (k1 + 1)) / (posting.tf + k1);
+                const match = matches.get(contentId);
+                if (!match) {
+                  matches.set(contentId, { score, terms: [record.term] });
+                } else {
+                  match.score = Math.max(match.score, score);
+                  match.terms.push(record.term);
+                }
+              });
+            });
+
+            // Intersect with matches for previous query words
+            if (results === null) {
+              results = matches;
+            } else {
+              const intersected = new Map();
+              results.forEach((result, contentId) => {
+                const match = matches.get(contentId);
+                if (match) {
+                  intersected.set(contentId, {
+                    score: result.score + match.score,
+                    terms: [...result.terms, ...match.terms]
+                  });
+                }
+              });
+              results = intersected;
+            }
+          });
+
+          resolve(Array.from(results || new Map(), ([key, result]) => ({
+            key,
+            score: result.score,
+            matchedTerms: [...new Set(result.terms)]
+          })).sort((a, b) => b.score - a.score));
+        };
+
+        transaction.onerror = () => {
+          reject(new Error('Failed to search content'));
+        };
+      });
+    } catch (error) {
+      console.error('Error searching content:', error);
+      throw error;
+    }
   }
 };
 
@@ -0,0 +1,425 @@
+/**
+ * Word (.docx) Document Utilities
+ * Builds WordprocessingML packages with native images, tables and hyperlinks
+ *
+ * Usage:
+ *   const docx = DocxUtils.createContext();
+ *   const body = [
+ *     DocxUtils.heading('Title', 1),
+ *     DocxUtils.paragraph([DocxUtils.run('URL: '), DocxUtils.hyperlink(docx, url, url)]),
+ *     await DocxUtils.image(docx, blob)
+ *   ];
+ *   const file = await DocxUtils.createDocx(docx, body.join(''));
+ *
+ * Depends on ZipUtils.
+ */
+
+const DocxUtils = {
+  // Package namespaces
+  NS: {
+    w: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+    r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+    wp: 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing',
+    a: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+    pic: 'http://schemas.openxmlformats.org/drawingml/2006/picture',
+    rel: 'http://schemas.openxmlformats.org/package/2006/relationships',
+    ct: 'http://schemas.openxmlformats.org/package/2006/content-types'
+  },
+
+  // Relationship types
+  REL_IMAGE: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image',
+  REL_HYPERLINK: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink',
+  REL_STYLES: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles',
+  REL_DOCUMENT: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument',
+
+  // Image types Word renders natively (others are converted to PNG)
+  IMAGE_EXTENSIONS: {
+    'image/png': 'png',
+    'image/jpeg': 'jpeg',
+    'image/gif': 'gif',
+    'image/bmp': 'bmp'
+  },
+
+  // Layout (US Letter, 1" margins): 1px = 9525 EMU = 15 twips at 96 DPI
+  EMU_PER_PX: 9525,
+  TWIPS_PER_PX: 15,
+  PAGE_WIDTH_TWIPS: 12240,
+  PAGE_HEIGHT_TWIPS: 15840,
+  MARGIN_TWIPS: 1440,
+  MAX_IMAGE_WIDTH_PX: 624,
+  MAX_CELL_IMAGE_PX: 150,
+
+  /**
+   * Create the state shared by everything added to one document
+   * @returns {{relationships: Object[], media: Object[], nextDrawingId: number}}
+   */
+  createContext() {
+    return {
+      relationships: [],
+      media: [],
+      nextDrawingId: 1
+    };
+  },
+
+  /**
+   * Escape text for XML, dropping characters XML 1.0 does not allow
+   * @param {string} text - Text
+   * @returns {string}
+   */
+  escapeXml(text) {
+    return String(text ?? '')
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  },
+
+  /**
+   * Add a relationship to document.xml.rels
+   * @param {Object} context - Document context
+   * @param {string} type - Relationship type
+   * @param {string} target - Target path or URL
+   * @param {boolean} [external] - Target is an external URL
+   * @returns {string} Relationship ID
+   */
+  addRelationship(context, type, target, external = false) {
+    // rId1 is reserved for styles.xml
+    const id = `rId${context.relationships.length + 2}`;
+    context.relationships.push({ id, type, target, external });
+    return id;
+  },
+
+  /**
+   * Build a text run
+   * @param {string} text - Text (newlines become line breaks)
+   * @param {Object} [format]
+   * @param {boolean} [format.bold]
+   * @param {boolean} [format.italic]
+   * @param {string} [format.color] - Hex color without "#"
+   * @param {number} [format.size] - Font size in points
+   * @returns {string} w:r XML
+   */
+  run(text, { bold = false, italic = false, color = null, size = null } = {}) {
+    const props = [
+      bold ? '<w:b/>' : '',
+      italic ? '<w:i/>' : '',
+      color ? `<w:color w:val="${color}"/>` : '',
+      size ? `<w:sz w:val="${Math.round(size * 2)}"/>` : ''
+    ].join('');
+
+    const content = String(text ?? '')
+      .split('\n')
+      .map(line => `<w:t xml:space="preserve">${this.escapeXml(line)}</w:t>`)
+      .join('<w:br/>');
+
+    return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}${content}</w:r>`;
+  },
+
+  /**
+   * Build a paragraph
+   * @param {string|string[]} content - Plain text, or run/hyperlink/drawing XML fragments
+   * @param {Object} [options]
+   * @param {string} [options.style] - Paragraph style ID (e.g. "Heading2")
+   * @param {Object} [options.format] - Run format when content is plain text
+   * @returns {string} w:p XML
+   */
+  paragraph(content, { style = null, format = {} } = {}) {
+    const runs = Array.isArray(content) ? content.join('') : this.run(content, format);
+    const props = style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : '';
+    return `<w:p>${props}${runs}</w:p>`;
+  },
+
+  /**
+   * Build a heading paragraph
+   * @param {string} text - Heading text
+   * @param {number} [level] - 0 for the document title, 1-3 for headings
+   * @returns {string} w:p XML
+   */
+  heading(text, level = 1) {
+    return this.paragraph(text, { style: level === 0 ? 'Title' : `Heading${level}` });
+  },
+
+  /**
+   * Build a hyperlink run
+   * @param {Object} context - Document context
+   * @param {string} text - Link text
+   * @param {string} url - Link target
+   * @returns {string} w:hyperlink XML
+   */
+  hyperlink(context, text, url) {
+    const id = this.addRelationship(context, this.REL_HYPERLINK, url, true);
+    return `<w:hyperlink r:id="${id}" w:history="1"><w:r><w:rPr><w:rStyle w:val="Hyperlink"/></w:rPr>` +
+      `<w:t xml:space="preserve">${this.escapeXml(text)}</w:t></w:r></w:hyperlink>`;
+  },
+
+  /**
+   * Read the pixel size of an image blob
+   * @param {Blob} blob - Image
+   * @returns {Promise<{width: number, height: number}|null>}
+   */
+  async getImageSize(blob) {
+    try {
+      const bitmap = await createImageBitmap(blob);
+      const size = { width: bitmap.width, height: bitmap.height };
+      bitmap.close();
+      return size;
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * Convert an image Word can't display (WebP, AVIF, SVG...) to PNG
+   * @param {Blob} blob - Image
+   * @returns {Promise<Blob|null>} PNG blob, or null if the image can't be decoded
+   */
+  async convertToPng(blob) {
+    let source = null;
+    try {
+      source = await createImageBitmap(blob);
+    } catch {
+      // createImageBitmap can't decode SVG blobs; fall back to an <img> in DOM contexts
+      if (typeof Image === 'undefined') return null;
+      const url = URL.createObjectURL(blob);
+      try {
+        source = await new Promise((resolve, reject) => {
+          const img = new Image();
+          img.onload = () => resolve(img);
+          img.onerror = reject;
+          img.src = url;
+        });
+      } catch {
+        return null;
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    }
+
+    const width = source.width || 300;
+    const height = source.height || 150;
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d').drawImage(source, 0, 0, width, height);
+    if (source.close) source.close();
+    return canvas.convertToBlob({ type: 'image/png' });
+  },
+
+  /**
+   * Build an inline picture run, adding the image to the package
+   * @param {Object} context - Document context
+   * @param {Blob} blob - Image
+   * @param {Object} [options]
+   * @param {number} [options.width] - Display width in px (defaults to the image's own size)
+   * @param {number} [options.height] - Display height in px
+   * @param {number} [options.maxWidth] - Largest display width in px
+   * @param {string} [options.name] - Picture name (alt text)
+   * @returns {Promise<string>} w:r XML, or an empty string if the image can't be used
+   */
+  async imageRun(context, blob, { width = null, height = null, maxWidth = this.MAX_IMAGE_WIDTH_PX, name = 'image' } = {}) {
+    let imageBlob = blob;
+    if (!this.IMAGE_EXTENSIONS[imageBlob.type]) {
+      imageBlob = await this.convertToPng(blob);
+      if (!imageBlob) return '';
+    }
+
+    if (!width || !height) {
+      const size = await this.getImageSize(imageBlob);
+      width = size ? size.width : 400;
+      height = size ? size.height : 300;
+    }
+    if (width > maxWidth) {
+      height = Math.round(height * maxWidth / width);
+      width = maxWidth;
+    }
+
+    const fileName = `image${context.media.length + 1}.${this.IMAGE_EXTENSIONS[imageBlob.type]}`;
+    context.media.push({ name: `word/media/${fileName}`, data: imageBlob });
+    const relId = this.addRelationship(context, this.REL_IMAGE, `media/${fileName}`);
+
+    const drawingId = context.nextDrawingId++;
+    const cx = Math.round(width * this.EMU_PER_PX);
+    const cy = Math.round(height * this.EMU_PER_PX);
+    const safeName = this.escapeXml(name);
+
+    return '<w:r><w:drawing>' +
+      '<wp:inline distT="0" distB="0" distL="0" distR="0">' +
+      `<wp:extent cx="${cx}" cy="${cy}"/>` +
+      `<wp:docPr id="${drawingId}" name="Picture ${drawingId}" descr="${safeName}"/>` +
+      '<wp:cNvGraphicFramePr><a:graphicFrameLocks noChangeAspect="1"/></wp:cNvGraphicFramePr>' +
+      `<a:graphic><a:graphicData uri="${this.NS.pic}">` +
+      '<pic:pic>' +
+      `<pic:nvPicPr><pic:cNvPr id="${drawingId}" name="${safeName}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+      `<pic:blipFill><a:blip r:embed="${relId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+      `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm>` +
+      '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>' +
+      '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>';
+  },
+
+  /**
+   * Build a paragraph holding a single image
+   * @param {Object} context - Document context
+   * @param {Blob} blob - Image
+   * @param {Object} [options] - See imageRun
+   * @returns {Promise<string>} w:p XML (empty if the image can't be used)
+   */
+  async image(context, blob, options = {}) {
+    const run = await this.imageRun(context, blob, options);
+    return run ? this.paragraph([run]) : '';
+  },
+
+  /**
+   * Build a table from table media data, placing {{img:N}} images in their cells
+   * @param {Object} context - Document context
+   * @param {{headers: string[], rows: string[][]}} tableData - Table data
+   * @param {Map<number, {blob: Blob, width?: number, height?: number, name?: string}>} [images]
+   *   tableImageIndex -> image media
+   * @returns {Promise<string>} w:tbl XML
+   */
+  async table(context, tableData, images = new Map()) {
+    const headers = tableData.headers || [];
+    const rows = tableData.rows || [];
+    const columnCount = Math.max(headers.length, ...rows.map(row => row.length), 1);
+    const tableWidth = this.PAGE_WIDTH_TWIPS - this.MARGIN_TWIPS * 2;
+    const columnWidth = Math.floor(tableWidth / columnCount);
+    const maxImageWidth = Math.min(this.MAX_CELL_IMAGE_PX, Math.floor(columnWidth / this.TWIPS_PER_PX) - 16);
+
+    const cell = async (value, isHeader) => {
+      const runs = [];
+      for (const part of String(value ?? '').split(/(\{\{img:\d+\}\})/g)) {
+        const match = part.match(/^\{\{img:(\d+)\}\}$/);
+        if (match) {
+          const img = images.get(parseInt(match[1]));
+          if (img && img.blob) {
+            runs.push(await this.imageRun(context, img.blob, {
+              width: img.width,
+              height: img.height,
+              maxWidth: Math.max(maxImageWidth, 24),
+              name: img.name
+            }));
+          }
+        } else if (part) {
+          runs.push(this.run(part, { bold: isHeader }));
+        }
+      }
+
+      const shading = isHeader ? '<w:shd w:val="clear" w:color="auto" w:fill="F0F0F0"/>' : '';
+      return `<w:tc><w:tcPr><w:tcW w:w="${columnWidth}" w:type="dxa"/>${shading}</w:tcPr>` +
+        `<w:p>${runs.join('')}</w:p></w:tc>`;
+    };
+
+    const row = async (values, isHeader) => {
+      const cells = [];
+      for (let i = 0; i < columnCount; i++) {
+        cells.push(await cell(values[i], isHeader));
+      }
+      const rowProps = isHeader ? '<w:trPr><w:tblHeader/></w:trPr>' : '';
+      return `<w:tr>${rowProps}${cells.join('')}</w:tr>`;
+    };
+
+    const xmlRows = [];
+    if (headers.length > 0) {
+      xmlRows.push(await row(headers, true));
+    }
+    for (const values of rows) {
+      xmlRows.push(await row(values, false));
+    }
+
+    const grid = Array.from({ length: columnCount }, () => `<w:gridCol w:w="${columnWidth}"/>`).join('');
+
+    // An empty paragraph after the table keeps consecutive tables from merging
+    return '<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/>' +
+      `<w:tblW w:w="${tableWidth}" w:type="dxa"/><w:tblLook w:val="04A0" w:firstRow="1"/></w:tblPr>` +
+      `<w:tblGrid>${grid}</w:tblGrid>${xmlRows.join('')}</w:tbl><w:p/>`;
+  },
+
+  /**
+   * Build word/styles.xml
+   * @returns {string}
+   */
+  getStylesXml() {
+    const heading = (id, name, size, outline) =>
+      `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/><w:basedOn w:val="Normal"/>` +
+      `<w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/>` +
+      `${outline !== null ? `<w:outlineLvl w:val="${outline}"/>` : ''}</w:pPr>` +
+      `<w:rPr><w:b/><w:sz w:val="${size}"/></w:rPr></w:style>`;
+    const border = side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/>`;
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      `<w:styles xmlns:w="${this.NS.w}">` +
+      '<w:docDefaults><w:rPrDefault><w:rPr>' +
+      '<w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/>' +
+      '<w:sz w:val="22"/><w:szCs w:val="22"/></w:rPr></w:rPrDefault>' +
+      '<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault>' +
+      '</w:docDefaults>' +
+      '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+      heading('Title', 'Title', 48, null) +
+      heading('Heading1', 'heading 1', 32, 0) +
+      heading('Heading2', 'heading 2', 26, 1) +
+      heading('Heading3', 'heading 3', 22, 2) +
+      '<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/>' +
+      '<w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>' +
+      '<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/>' +
+      '<w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr>' +
+      `<w:tblPr><w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders>` +
+      '<w:tblCellMar><w:top w:w="60" w:type="dxa"/><w:left w:w="108" w:type="dxa"/>' +
+      '<w:bottom w:w="60" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>' +
+      '</w:styles>';
+  },
+
+  /**
+   * Package a document body into a .docx file
+   * @param {Object} context - Document context
+   * @param {string} bodyXml - Paragraph/table XML
+   * @returns {Promise<Blob>} .docx file
+   */
+  async createDocx(context, bodyXml) {
+    const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+
+    const imageDefaults = Object.values(this.IMAGE_EXTENSIONS)
+      .map(ext => `<Default Extension="${ext}" ContentType="image/${ext}"/>`)
+      .join('');
+
+    const contentTypes = `${xmlHeader}<Types xmlns="${this.NS.ct}">` +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      imageDefaults +
+      '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+      '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+      '</Types>';
+
+    const packageRels = `${xmlHeader}<Relationships xmlns="${this.NS.rel}">` +
+      `<Relationship Id="rId1" Type="${this.REL_DOCUMENT}" Target="word/document.xml"/>` +
+      '</Relationships>';
+
+    const documentRels = `${xmlHeader}<Relationships xmlns="${this.NS.rel}">` +
+      `<Relationship Id="rId1" Type="${this.REL_STYLES}" Target="styles.xml"/>` +
+      context.relationships.map(rel =>
+        `<Relationship Id="${rel.id}" Type="${rel.type}" Target="${this.escapeXml(rel.target)}"` +
+        `${rel.external ? ' TargetMode="External"' : ''}/>`
+      ).join('') +
+      '</Relationships>';
+
+    const namespaces = ['w', 'r', 'wp', 'a', 'pic'].map(prefix => `xmlns:${prefix}="${this.NS[prefix]}"`).join(' ');
+    const margin = this.MARGIN_TWIPS;
+    const documentXml = `${xmlHeader}<w:document ${namespaces}><w:body>${bodyXml}` +
+      `<w:sectPr><w:pgSz w:w="${this.PAGE_WIDTH_TWIPS}" w:h="${this.PAGE_HEIGHT_TWIPS}"/>` +
+      `<w:pgMar w:top="${margin}" w:right="${margin}" w:bottom="${margin}" w:left="${margin}" w:header="720" w:footer="720" w:gutter="0"/>` +
+      '</w:sectPr></w:body></w:document>';
+
+    const zip = await ZipUtils.createZip([
+      { name: '[Content_Types].xml', data: contentTypes },
+      { name: '_rels/.rels', data: packageRels },
+      { name: 'word/document.xml', data: documentXml },
+      { name: 'word/styles.xml', data: this.getStylesXml() },
+      { name: 'word/_rels/document.xml.rels', data: documentRels },
+      ...context.media.map(media => ({ ...media, compress: false }))
+    ]);
+
+    return new Blob([zip], { type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' });
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DocxUtils;
+}
@@ -13,7 +13,7 @@ let sortableInstance = null;
 let dropIndicator = null;
 let orderBeforeDrag = [];
 
-// In-memory undo/redo stacks (synced with chrome.storage.session)
+// In-memory copies of the undo/redo stacks (persisted in IndexedDB)
 // Constants and utilities are in undo-redo-utils.js (shared with background.js)
 let undoStack = [];
 let redoStack = [];
@@ -22,6 +22,21 @@ let redoStack = [];
 let currentProjectId = null;
 let projectsCache = null;
 
+// Search scope (false = active project only)
+let searchAllProjects = false;
+
+// Tags being edited in the new/edit content modal
+let editingTags = [];
+
+// Archive read from the import file input, waiting for the user's choice
+let pendingImportArchive = null;
+
+// Table being edited in the table editor ({contentId, mediaId, caption, headers, rows, ...})
+let tableEditor = null;
+
+// Cards selected with Ctrl/Cmd+click (content IDs), copied together
+let selectedContentIds = new Set();
+
 // Initialize popup
 document.addEventListener('DOMContentLoaded', async () => {
   await initializeStorage();
@@ -39,6 +54,39 @@ function initializeEventListeners() {
   document.getElementById('btn-undo').addEventListener('click', undo);
   document.getElementById('btn-redo').addEventListener('click', redo);
 
+  // History panel
+  document.getElementById('btn-history').addEventListener('click', showHistoryDialog);
+  document.getElementById('btn-close-history').addEventListener('click', hideHistoryDialog);
+  document.getElementById('btn-clear-history').addEventListener('click', handleClearHistory);
+  document.getElementById('history-max-actions').addEventListener('change', handleHistoryRetentionChange);
+  document.getElementById('history-max-age').addEventListener('change', handleHistoryRetentionChange);
+  document.getElementById('history-list').addEventListener('click', (e) => {
+    const item = e.target.closest('.history-item');
+    if (item) {
+      handleHistoryItemClick(item.dataset.actionId, item.dataset.stack);
+    }
+  });
+
+  // Table editor
+  document.getElementById('btn-close-table-editor').addEventListener('click', () => hideTableEditor());
+  document.getElementById('btn-table-editor-cancel').addEventListener('click', () => hideTableEditor());
+  document.getElementById('btn-table-editor-save').addEventListener('click', saveTableEditor);
+  document.getElementById('table-editor-select').addEventListener('change', handleTableEditorSelect);
+  document.getElementById('table-editor-dialog').addEventListener('input', handleTableEditorInput);
+  document.getElementById('table-editor-dialog').addEventListener('click', handleTableEditorAction);
+
+  // Trash panel
+  document.getElementById('btn-trash').addEventListener('click', showTrashDialog);
+  document.getElementById('btn-close-trash').addEventListener('click', hideTrashDialog);
+  document.getElementById('btn-empty-trash').addEventListener('click', handleEmptyTrash);
+  document.getElementById('trash-retention').addEventListener('change', handleTrashRetentionChange);
+  document.getElementById('trash-list').addEventListener('click', (e) => {
+    const button = e.target.closest('.trash-restore');
+    if (button) {
+      handleTrashRestore(button.dataset.kind, button.dataset.id);
+    }
+  });
+
   // Delete all button
   document.getElementById('btn-delete-all').addEventListener('click', deleteAllContent);
 
@@ -47,11 +95,27 @@ function initializeEventListeners() {
   document.querySelectorAll('.copy-menu-item').forEach(item => {
     item.addEventListener('click', async (e) => {
       const format = e.currentTarget.dataset.format;
+      const tag = document.getElementById('copy-tag-filter').value;
+      const citationStyle = document.getElementById('copy-citation-style').value;
 
-      copyAllContent(format);
+      if (format === 'markdown-download') {
+        downloadMarkdownExport(tag || null);
+      } else if (format === 'docx-download') {
+        downloadDocxExport(tag || null);
+      } else {
+        copyAllContent(format, tag || null, citationStyle || null);
+      }
       closeCopyMenu();
     });
   });
+  // Remember the bibliography style between sessions
+  const citationStyleSelect = document.getElementById('copy-citation-style');
+  chrome.storage.local.get('citationStyle').then(result => {
+    citationStyleSelect.value = result.citationStyle || '';
+  });
+  citationStyleSelect.addEventListener('change', () => {
+    chrome.storage.local.set({ citationStyle: citationStyleSelect.value });
+  });
   // Close dropdown when clicking outside
   document.addEventListener('click', (e) => {
     if (!e.target.closest('.copy-dropdown')) {
@@ -59,6 +123,14 @@ function initializeEventListeners() {
     }
   });
 
+  // Selection bar (cards selected with Ctrl/Cmd+click)
+  document.getElementById('btn-copy-selected').addEventListener('click', (e) => {
+    e.stopPropagation();
+    const rect = e.currentTarget.getBoundingClientRect();
+    showCopyItemsMenu(rect.left + window.scrollX, rect.bottom + window.scrollY, getSelectedContentIds());
+  });
+  document.getElementById('btn-clear-selection').addEventListener('click', clearContentSelection);
+
   // New content button
   document.getElementById('btn-new-content').addEventListener('click', showNewContentModal);
 
@@ -81,6 +153,26 @@ function initializeEventListeners() {
     }, 300);
   });
 
+  // Search scope toggle (active project / all projects)
+  document.getElementById('btn-search-scope').addEventListener('click', toggleSearchScope);
+
+  // Tag editor in the content modal
+  document.getElementById('input-tags').addEventListener('keydown', handleTagInputKeydown);
+  document.getElementById('input-tags').addEventListener('change', (e) => {
+    // Datalist picks fire "change" without a key press
+    if (e.target.value.trim()) {
+      addEditingTags(e.target.value);
+      e.target.value = '';
+    }
+  });
+  document.getElementById('tags-editor-chips').addEventListener('click', (e) => {
+    const removeBtn = e.target.closest('.tag-chip-remove');
+    if (removeBtn) {
+      editingTags = editingTags.filter(tag => tag !== removeBtn.dataset.tag);
+      renderEditingTags();
+    }
+  });
+
   // Add link button
   document.getElementById('btn-add-link').addEventListener('click', addLinkRow);
 
@@ -102,6 +194,13 @@ function initializeEventListeners() {
   document.getElementById('project-dropdown-btn').addEventListener('click', toggleProjectDropdown);
   document.getElementById('btn-new-project').addEventListener('click', handleNewProject);
 
+  // Project archive import
+  document.getElementById('btn-import-project').addEventListener('click', (e) => {
+    e.stopPropagation();
+    document.getElementById('input-import-archive').click();
+  });
+  document.getElementById('input-import-archive').addEventListener('change', handleImportFileSelected);
+
   // Close project dropdown when clicking outside
   document.addEventListener('click', (e) => {
     if (!e.target.closest('.project-selector')) {
@@ -133,18 +232,37 @@ function initializeEventListeners() {
   document.getElementById('btn-migrate-copy').addEventListener('click', handleMigrationCopy);
   document.getElementById('btn-migrate-skip').addEventListener('click', handleMigrationSkip);
 
+  // Import dialog buttons
+  document.getElementById('btn-import-new').addEventListener('click', () => handleImportArchive(false));
+  document.getElementById('btn-import-merge').addEventListener('click', () => handleImportArchive(true));
+  document.getElementById('btn-import-cancel').addEventListener('click', hideImportDialog);
+
   // Keyboard shortcuts
   document.addEventListener('keydown', (e) => {
     // Escape to close modals
     if (e.key === 'Escape') {
       const modal = document.getElementById('new-content-form');
       const migrationDialog = document.getElementById('migration-dialog');
+      const importDialog = document.getElementById('import-dialog');
+      const historyDialog = document.getElementById('history-dialog');
+      const trashDialog = document.getElementById('trash-dialog');
+      const tableEditorDialog = document.getElementById('table-editor-dialog');
 
       if (!modal.classList.contains('hidden')) {
         closeModal();
       } else if (!migrationDialog.classList.contains('hidden')) {
         // Escape on migration dialog = skip migration
         handleMigrationSkip();
+      } else if (!importDialog.classList.contains('hidden')) {
+        hideImportDialog();
+      } else if (!historyDialog.classList.contains('hidden')) {
+        hideHistoryDialog();
+      } else if (!trashDialog.classList.contains('hidden')) {
+        hideTrashDialog();
+      } else if (!tableEditorDialog.classList.contains('hidden')) {
+        hideTableEditor();
+      } else if (selectedContentIds.size > 0) {
+        clearContentSelection();
       }
     }
 
@@ -185,13 +303,17 @@ function initializeEventListeners() {
     }
   });
 
-  // Listen for undo/redo state changes from background.js (popover saves)
+  // Listen for undo/redo history changes from background.js (popover saves)
   chrome.storage.session.onChanged.addListener((changes) => {
-    if (changes[UndoRedoUtils.UNDO_REDO_KEY]) {
+    if (UndoRedoUtils.isExternalChange(changes[UndoRedoUtils.HISTORY_CHANGED_KEY])) {
       // Reload stacks when changed externally (e.g., by background.js after popover save)
-      initUndoRedo();
-      // Also refresh content list to show new items
-      renderContentList();
+      initUndoRedo().then(() => {
+        if (!document.getElementById('history-dialog').classList.contains('hidden')) {
+          renderHistoryList();
+        }
+      });
+      // Also refresh content list to show new items (keep any active search)
+      renderContentList(document.getElementById('search-input').value);
     }
   });
 
@@ -204,7 +326,7 @@ function initializeEventListeners() {
 // ============================================
 
 /**
- * Initialize undo/redo from chrome.storage.session for current project
+ * Initialize undo/redo from the stored history of the current project
  */
 async function initUndoRedo() {
   try {
@@ -236,14 +358,6 @@ async function loadProjectUndoRedo(projectId) {
   }
 }
 
-/**
- * Save undo/redo state to chrome.storage.session for current project
- */
-async function saveUndoRedoState() {
-  const projectId = await getActiveProjectId();
-  await UndoRedoUtils.saveState(projectId, undoStack, redoStack);
-}
-
 /**
  * Update undo/redo button states
  */
@@ -265,92 +379,129 @@ function updateUndoRedoButtons() {
  * Record an action to the undo stack
  */
 async function recordUndoAction(type, contentId, beforeSnapshot, afterSnapshot) {
-  const action = {
-    id: UndoRedoUtils.generateActionId(),
-    type,
-    contentId,
-    timestamp: Date.now(),
-    beforeSnapshot: await UndoRedoUtils.serializeContent(beforeSnapshot),
-    afterSnapshot: await UndoRedoUtils.serializeContent(afterSnapshot)
-  };
+  const projectId = await getActiveProjectId();
+  await UndoRedoUtils.recordAction(projectId, type, contentId, beforeSnapshot, afterSnapshot);
+  await loadProjectUndoRedo(projectId);
+}
 
-  undoStack.push(action);
+/**
+ * Record a compound action (several changes undone together) for the current project
+ * @param {string} label - Description shown in the history panel
+ * @param {Array<{kind: string, id: string, before: Object|null, after: Object|null}>} steps - Changes
+ */
+async function recordCompoundUndoAction(label, steps) {
+  const projectId = await getActiveProjectId();
+  await UndoRedoUtils.recordCompoundAction(projectId, label, steps);
+  await loadProjectUndoRedo(projectId);
+}
 
-  // Limit history size
-  if (undoStack.length > UndoRedoUtils.MAX_UNDO_HISTORY) {
-    undoStack.shift();
+/**
+ * Apply the before (undo) or after (redo) states of a compound action
+ * A missing state removes the record: redo moves it to the Trash again, while undo
+ * deletes it permanently (it didn't exist before the action, and redo recreates it).
+ * @param {Object} action - Compound action from UndoRedoUtils.recordCompoundAction
+ * @param {string} direction - 'undo' or 'redo'
+ */
+async function applyCompoundAction(action, direction) {
+  const steps = direction === 'undo' ? action.steps.slice().reverse() : action.steps;
+  const touchesProjects = steps.some(step => step.kind === 'project');
+
+  for (const step of steps) {
+    const state = direction === 'undo' ? step.before : step.after;
+
+    if (step.kind === 'project') {
+      if (state) {
+        await DBUtils.saveProject(step.id, state);
+      } else if (direction === 'undo') {
+        await DBUtils.purgeProject(step.id);
+        await UndoRedoUtils.clearProjectHistory(step.id);
+      } else {
+        // Trashes the project's content too, so later content steps are no-ops
+        await DBUtils.deleteProject(step.id);
+      }
+    } else if (state) {
+      await DBUtils.saveContent(step.id, await UndoRedoUtils.deserializeContent(state));
+    } else if (direction === 'undo') {
+      await DBUtils.purgeContent(step.id);
+    } else {
+      await DBUtils.deleteContent(step.id);
+    }
   }
 
-  // Clear redo stack on new action
-  redoStack = [];
+  if (touchesProjects) {
+    invalidateProjectsCache();
 
-  await saveUndoRedoState();
-  updateUndoRedoButtons();
+    // Fall back to the default project if the active one no longer exists
+    const activeProject = await DBUtils.getProject(currentProjectId);
+    if (!activeProject || activeProject.deletedAt) {
+      await setActiveProjectId(DBUtils.DEFAULT_PROJECT_ID);
+    }
+    renderProjectDropdown();
+  }
+  await updateProjectUI();
 }
 
 /**
  * Undo the last action
+ * @returns {Promise<boolean>} Whether an action was undone
  */
 async function undo() {
-  if (undoStack.length === 0) return;
+  if (undoStack.length === 0) return false;
 
   const action = undoStack.pop();
 
   try {
     switch (action.type) {
       case 'create':
-        // Undo create = delete the created content
-        await DBUtils.deleteContent(action.contentId);
+        // Undo create = delete the created content (redo recreates it, so skip the Trash)
+        await DBUtils.purgeContent(action.contentId);
         break;
 
       case 'update':
-        // Undo update = restore beforeSnapshot
-        const beforeContent = UndoRedoUtils.deserializeContent(action.beforeSnapshot);
-        await DBUtils.saveContent(action.contentId, {
-          text: beforeContent.text,
-          links: beforeContent.links,
-          media: beforeContent.media,
-          created: beforeContent.created,
-          contentType: beforeContent.contentType
-        });
+        // Undo update = restore beforeSnapshot (all stored fields, including project and order)
+        const beforeContent = await UndoRedoUtils.deserializeContent(action.beforeSnapshot);
+        await DBUtils.saveContent(action.contentId, beforeContent);
         break;
 
       case 'delete':
         // Undo delete = recreate content with same ID
-        const deletedContent = UndoRedoUtils.deserializeContent(action.beforeSnapshot);
-        await DBUtils.saveContent(action.contentId, {
-          text: deletedContent.text,
-          links: deletedContent.links,
-          media: deletedContent.media,
-          created: deletedContent.created,
-          contentType: deletedContent.contentType
-        });
+        const deletedContent = await UndoRedoUtils.deserializeContent(action.beforeSnapshot);
+        await DBUtils.saveContent(action.contentId, deletedContent);
         break;
 
       case 'reorder':
         // Undo reorder = restore beforeOrder
         await DBUtils.updateContentOrder(action.beforeOrder);
         break;
+
+      case 'compound':
+        // Undo compound = restore every step's before state (in reverse order)
+        await applyCompoundAction(action, 'undo');
+        break;
     }
 
     // Move to redo stack
+    await UndoRedoUtils.moveAction(action.projectId, action.id, 'redo');
     redoStack.push(action);
 
-    await saveUndoRedoState();
     updateUndoRedoButtons();
     await renderContentList();
+    return true;
   } catch (error) {
     console.error('Error during undo:', error);
     // Push back to undo stack on error
     undoStack.push(action);
+    showCopyFeedback('Undo failed', true);
+    return false;
   }
 }
 
 /**
  * Redo the last undone action
+ * @returns {Promise<boolean>} Whether an action was redone
  */
 async function redo() {
-  if (redoStack.length === 0) return;
+  if (redoStack.length === 0) return false;
 
   const action = redoStack.pop();
 
@@ -358,26 +509,14 @@ async function redo() {
     switch (action.type) {
       case 'create':
         // Redo create = recreate the content
-        const createdContent = UndoRedoUtils.deserializeContent(action.afterSnapshot);
-        await DBUtils.saveContent(action.contentId, {
-          text: createdContent.text,
-          links: createdContent.links,
-          media: createdContent.media,
-          created: createdContent.created,
-          contentType: createdContent.contentType
-        });
+        const createdContent = await UndoRedoUtils.deserializeContent(action.afterSnapshot);
+        await DBUtils.saveContent(action.contentId, createdContent);
         break;
 
       case 'update':
         // Redo update = restore afterSnapshot
-        const afterContent = UndoRedoUtils.deserializeContent(action.afterSnapshot);
-        await DBUtils.saveContent(action.contentId, {
-          text: afterContent.text,
-          links: afterContent.links,
-          media: afterContent.media,
-          created: afterContent.created,
-          contentType: afterContent.contentType
-        });
+        const afterContent = await UndoRedoUtils.deserializeContent(action.afterSnapshot);
+        await DBUtils.saveContent(action.contentId, afterContent);
         break;
 
       case 'delete':
@@ -389,19 +528,161 @@ async function redo() {
         // Redo reorder = restore afterOrder
         await DBUtils.updateContentOrder(action.afterOrder);
         break;
+
+      case 'compound':
+        // Redo compound = restore every step's after state
+        await applyCompoundAction(action, 'redo');
+        break;
     }
 
     // Move back to undo stack
+    await UndoRedoUtils.moveAction(action.projectId, action.id, 'undo');
     undoStack.push(action);
 
-    await saveUndoRedoState();
     updateUndoRedoButtons();
     await renderContentList();
+    return true;
   } catch (error) {
     console.error('Error during redo:', error);
     // Push back to redo stack on error
     redoStack.push(action);
+    showCopyFeedback('Redo failed', true);
+    return false;
+  }
+}
+
+/**
+ * Format an action time for the history panel ("just now", "5 min ago", "14:05", "10/18/2026")
+ */
+function formatHistoryTime(timestamp) {
+  const elapsed = Date.now() - timestamp;
+  if (elapsed < 60 * 1000) return 'just now';
+  if (elapsed < 60 * 60 * 1000) return `${Math.floor(elapsed / 60000)} min ago`;
+
+  const date = new Date(timestamp);
+  if (date.toDateString() === new Date().toDateString()) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleDateString();
+}
+
+/**
+ * Render the history panel list (newest first, undone actions on top)
+ */
+function renderHistoryList() {
+  const list = document.getElementById('history-list');
+
+  if (undoStack.length === 0 && redoStack.length === 0) {
+    list.innerHTML = '<li class="history-empty">No actions yet</li>';
+    return;
+  }
+
+  // The bottom of the redo stack is the furthest "future" action
+  const entries = [
+    ...redoStack.map(action => ({ action, stack: 'redo' })),
+    ...undoStack.slice().reverse().map(action => ({ action, stack: 'undo' }))
+  ];
+
+  list.innerHTML = entries.map(({ action, stack }, index) => {
+    const isCurrent = stack === 'undo' && index === redoStack.length;
+    const title = stack === 'undo' ? 'Undo back to before this action' : 'Redo up to this action';
+    return `
+      <li>
+        <button class="history-item ${stack === 'redo' ? 'undone' : ''} ${isCurrent ? 'current' : ''}"
+                data-action-id="${action.id}" data-stack="${stack}" title="${title}">
+          <span class="history-item-label">${escapeHtml(UndoRedoUtils.describeAction(action))}</span>
+          <span class="history-item-time">${formatHistoryTime(action.timestamp)}</span>
+        </button>
+      </li>
+    `;
+  }).join('');
+}
+
+/**
+ * Fill the retention selects with the stored settings
+ */
+async function populateHistoryRetention() {
+  const retention = await UndoRedoUtils.getRetention();
+  const maxActionsSelect = document.getElementById('history-max-actions');
+  const maxAgeSelect = document.getElementById('history-max-age');
+
+  const actionOptions = [...new Set([...UndoRedoUtils.RETENTION_ACTION_OPTIONS, retention.maxActions])].sort((a, b) => a - b);
+  maxActionsSelect.innerHTML = actionOptions
+    .map(count => `<option value="${count}">last ${count} actions</option>`)
+    .join('');
+  maxActionsSelect.value = String(retention.maxActions);
+
+  const ageOptions = [...new Set([...UndoRedoUtils.RETENTION_AGE_OPTIONS, retention.maxAgeDays])].sort((a, b) => a - b);
+  maxAgeSelect.innerHTML = ageOptions
+    .map(days => `<option value="${days}">${days === 0 ? 'No limit' : `${days} day${days !== 1 ? 's' : ''}`}</option>`)
+    .join('');
+  maxAgeSelect.value = String(retention.maxAgeDays);
+}
+
+/**
+ * Show the history panel
+ */
+async function showHistoryDialog() {
+  try {
+    await loadProjectUndoRedo(await getActiveProjectId());
+    await populateHistoryRetention();
+    renderHistoryList();
+    document.getElementById('history-dialog').classList.remove('hidden');
+  } catch (error) {
+    console.error('Error showing history:', error);
+  }
+}
+
+/**
+ * Hide the history panel
+ */
+function hideHistoryDialog() {
+  document.getElementById('history-dialog').classList.add('hidden');
+}
+
+/**
+ * Undo or redo until the clicked history entry is reached
+ * @param {string} actionId - Clicked action
+ * @param {string} stack - Stack the action is on ('undo' or 'redo')
+ */
+async function handleHistoryItemClick(actionId, stack) {
+  if (stack === 'undo') {
+    // Undo everything after the action, then the action itself
+    while (undoStack.some(action => action.id === actionId)) {
+      if (!await undo()) break;
+    }
+  } else {
+    while (redoStack.some(action => action.id === actionId)) {
+      if (!await redo()) break;
+    }
+  }
+  renderHistoryList();
+}
+
+/**
+ * Save retention settings changed in the history panel
+ */
+async function handleHistoryRetentionChange() {
+  await UndoRedoUtils.setRetention({
+    maxActions: Number(document.getElementById('history-max-actions').value),
+    maxAgeDays: Number(document.getElementById('history-max-age').value)
+  });
+  await loadProjectUndoRedo(await getActiveProjectId());
+  renderHistoryList();
+}
+
+/**
+ * Clear the current project's history after confirmation
+ */
+async function handleClearHistory() {
+  if (!confirm('Clear the undo history of this project? This cannot be undone.')) {
+    return;
   }
+
+  const projectId = await getActiveProjectId();
+  await UndoRedoUtils.clearProjectHistory(projectId);
+  await loadProjectUndoRedo(projectId);
+  renderHistoryList();
 }
 
 // ============================================
@@ -517,7 +798,7 @@ async function createProject(name) {
       itemCount: 0
     });
 
-    projectsCache = null; // Invalidate cache
+    invalidateProjectsCache();
 
     return projectId;
   } catch (error) {
@@ -551,7 +832,11 @@ async function renameProject(projectId, newName) {
       name: newName.trim()
     });
 
-    projectsCache = null; // Invalidate cache
+    await recordCompoundUndoAction(`Renamed project "${project.name}" to "${newName.trim()}"`, [
+      { kind: 'project', id: projectId, before: project, after: await DBUtils.getProject(projectId) }
+    ]);
+
+    invalidateProjectsCache();
 
     return project;
   } catch (error) {
@@ -581,23 +866,27 @@ async function deleteProject(projectId) {
 
     const projectContent = await DBUtils.getContentByProject(projectId);
 
-    const confirmMessage = `Delete project "${project.name}"?\n\nThis will permanently delete ${projectContent.length} item${projectContent.length !== 1 ? 's' : ''}.\n\nThis action can be undone.`;
+    const confirmMessage = `Delete project "${project.name}"?\n\nThe project and its ${projectContent.length} item${projectContent.length !== 1 ? 's' : ''} will be moved to the Trash.\n\nThis action can be undone.`;
 
     if (!confirm(confirmMessage)) {
       return null;
     }
 
-    await DBUtils.deleteProject(projectId);
-
-    // Clear undo/redo history for the deleted project
-    await UndoRedoUtils.clearProjectHistory(projectId);
+    // The project's undo history is kept until it is purged from the Trash
+    const deleted = await DBUtils.deleteProject(projectId);
 
     if (currentProjectId === projectId) {
       const remainingProjects = projects.filter(p => p.key !== projectId);
       await switchProject(remainingProjects[0].key);
     }
 
-    projectsCache = null; // Invalidate cache
+    // Undo restores the project with all of its content (recorded in the project now active)
+    await recordCompoundUndoAction(`Deleted project "${project.name}"`, [
+      { kind: 'project', id: projectId, before: deleted.project, after: null },
+      ...deleted.content.map(content => ({ kind: 'content', id: content.key, before: content, after: null }))
+    ]);
+
+    invalidateProjectsCache();
 
     return project;
   } catch (error) {
@@ -641,6 +930,17 @@ async function getAllProjectsCached() {
   return projectsCache;
 }
 
+/**
+ * Drop the cached project list after projects were created, renamed, deleted or restored
+ * Also lets background.js rebuild the "Save to project" context menu.
+ */
+function invalidateProjectsCache() {
+  projectsCache = null;
+  chrome.runtime.sendMessage({ action: 'projectsChanged' }).catch(error => {
+    console.warn('Could not refresh context menus:', error);
+  });
+}
+
 /**
  * Update project UI display (name + item count)
  */
@@ -733,6 +1033,11 @@ async function renderProjectDropdown() {
           <div class="project-list-count">${itemCount} item${itemCount !== 1 ? 's' : ''}</div>
         </div>
         <div class="project-list-actions">
+          <button class="project-action-btn export" data-project-id="${project.key}" title="Export project archive" aria-label="Export project archive">
+            <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M8 2v8M5 5l3-3 3 3M2.667 10v2.667A1.333 1.333 0 0 0 4 14h8a1.333 1.333 0 0 0 1.333-1.333V10" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+            </svg>
+          </button>
           <button class="project-action-btn rename" data-project-id="${project.key}" title="Rename project" aria-label="Rename project">
             <svg viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
               <path d="M11.333 2A1.886 1.886 0 0 1 14 4.667l-9 9-3.667.667.667-3.667 9-9Z" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
@@ -753,6 +1058,13 @@ async function renderProjectDropdown() {
         }
       });
 
+      // Export button
+      const exportBtn = projectItem.querySelector('.export');
+      exportBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        handleExportProject(project.key);
+      });
+
       // Rename button
       const renameBtn = projectItem.querySelector('.rename');
       renameBtn.addEventListener('click', (e) => {
@@ -910,6 +1222,7 @@ async function handleMigrationMove() {
   try {
     // Get all content from default project
     const defaultContent = await DBUtils.getContentByProject(DBUtils.DEFAULT_PROJECT_ID);
+    const steps = [];
 
     // Move each content item to new project
     for (const content of defaultContent) {
@@ -917,10 +1230,12 @@ async function handleMigrationMove() {
         ...content,
         projectId: toProjectId
       });
+      steps.push({ kind: 'content', id: content.key, before: content, after: await DBUtils.getContent(content.key) });
     }
 
     // Switch to new project
     await switchProject(toProjectId);
+    await recordCompoundUndoAction(`Moved ${defaultContent.length} item${defaultContent.length !== 1 ? 's' : ''} into "${dialog.dataset.projectName}"`, steps);
 
     // Update UI
     await renderContentList();
@@ -949,6 +1264,8 @@ async function handleMigrationCopy() {
     // Get all content from default project
     const defaultContent = await DBUtils.getContentByProject(DBUtils.DEFAULT_PROJECT_ID);
 
+    const steps = [];
+
     // Copy each content item to new project (create duplicates)
     for (const content of defaultContent) {
       // Remove key to create new content
@@ -956,11 +1273,13 @@ async function handleMigrationCopy() {
       delete contentCopy.key;
       contentCopy.projectId = toProjectId;
 
-      await DBUtils.saveContent(null, contentCopy);
+      const copyId = await DBUtils.saveContent(null, contentCopy);
+      steps.push({ kind: 'content', id: copyId, before: null, after: await DBUtils.getContent(copyId) });
     }
 
     // Switch to new project
     await switchProject(toProjectId);
+    await recordCompoundUndoAction(`Copied ${defaultContent.length} item${defaultContent.length !== 1 ? 's' : ''} into "${dialog.dataset.projectName}"`, steps);
 
     // Update UI
     await renderContentList();
@@ -1056,12 +1375,47 @@ async function showContextMenu(x, y, contentId) {
       `;
     }
 
+    // Citation styles for the item's source
+    const citationStyles = Object.entries(CitationUtils.STYLES);
+    menuHtml += '<div class="context-menu-divider"></div><div class="context-menu-header">Copy Citation</div>';
+    for (const [style, { label }] of citationStyles) {
+      menuHtml += `
+        <button class="context-menu-item" data-citation-style="${style}" data-content-id="${contentId}">
+          <svg class="context-menu-icon" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M4 11.333h2.667L8 8.667V4H4v4.667h2M9.333 11.333H12l1.333-2.666V4H9.333v4.667h2" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/></svg>
+          ${label}
+        </button>
+      `;
+    }
+
+    // Downloads and merging for each table of the item
+    const content = allContentCache.find(c => c.key === contentId);
+    const tables = ((content && content.media) || []).filter(m => m.type === 'table' && m.data);
+    const tableActions = [
+      { action: 'csv', label: 'Download CSV' },
+      { action: 'xlsx', label: 'Download Excel (.xlsx)' },
+      { action: 'merge', label: 'Merge matching tables' }
+    ];
+    if (tables.length > 0) {
+      menuHtml += '<div class="context-menu-divider"></div><div class="context-menu-header">Table</div>';
+      tables.forEach((table, i) => {
+        for (const { action, label } of tableActions) {
+          menuHtml += `
+            <button class="context-menu-item" data-table-action="${action}" data-content-id="${contentId}" data-media-id="${table.id}">
+              <svg class="context-menu-icon" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg"><rect x="2" y="2.667" width="12" height="10.667" rx="1.333" stroke="currentColor" stroke-width="1.5"/><path d="M2 6.667h12M6 2.667v10.666" stroke="currentColor" stroke-width="1.5"/></svg>
+              ${tables.length > 1 ? `Table ${i + 1}: ` : ''}${label}
+            </button>
+          `;
+        }
+      });
+    }
+
     contextMenu.innerHTML = menuHtml;
 
     // Position context menu at mouse coordinates
     // Adjust if it would go off-screen
     const menuWidth = 180;
-    const menuHeight = projects.length * 36 + 30; // Approximate
+    const menuItemCount = projects.length + citationStyles.length + tables.length * tableActions.length;
+    const menuHeight = menuItemCount * 36 + (tables.length > 0 ? 105 : 70); // Approximate
     const viewportWidth = window.innerWidth;
     const viewportHeight = window.innerHeight;
 
@@ -1081,7 +1435,7 @@ async function showContextMenu(x, y, contentId) {
     contextMenu.classList.add('show');
 
     // Add click handlers to menu items
-    contextMenu.querySelectorAll('.context-menu-item:not(.active)').forEach(item => {
+    contextMenu.querySelectorAll('.context-menu-item[data-project-id]:not(.active)').forEach(item => {
       item.addEventListener('click', async () => {
         const projectId = item.dataset.projectId;
         const contentId = item.dataset.contentId;
@@ -1089,6 +1443,25 @@ async function showContextMenu(x, y, contentId) {
         closeContextMenu();
       });
     });
+
+    contextMenu.querySelectorAll('.context-menu-item[data-citation-style]').forEach(item => {
+      item.addEventListener('click', async () => {
+        closeContextMenu();
+        await copyCitation(item.dataset.contentId, item.dataset.citationStyle);
+      });
+    });
+
+    contextMenu.querySelectorAll('.context-menu-item[data-table-action]').forEach(item => {
+      item.addEventListener('click', async () => {
+        closeContextMenu();
+        const { tableAction, contentId, mediaId } = item.dataset;
+        if (tableAction === 'merge') {
+          await mergeMatchingTables(contentId, mediaId);
+        } else {
+          await downloadTable(contentId, mediaId, tableAction);
+        }
+      });
+    });
   } catch (error) {
     console.error('Error showing context menu:', error);
   }
@@ -1102,6 +1475,34 @@ function closeContextMenu() {
   contextMenu.classList.remove('show');
 }
 
+/**
+ * Copy the citation of a content item's source to the clipboard
+ * @param {string} contentId - Content ID
+ * @param {string} style - Citation style (apa, mla, chicago, bibtex)
+ */
+async function copyCitation(contentId, style) {
+  try {
+    const content = await DBUtils.getContent(contentId);
+    if (!content || !CitationUtils.hasSource(content)) {
+      showCopyFeedback('This item has no source to cite');
+      return;
+    }
+
+    const citation = CitationUtils.formatCitation(content, style);
+    await navigator.clipboard.write([
+      new ClipboardItem({
+        'text/html': new Blob([citation.html], { type: 'text/html' }),
+        'text/plain': new Blob([citation.text], { type: 'text/plain' })
+      })
+    ]);
+
+    showCopyFeedback(`${CitationUtils.STYLES[style].label} citation copied`);
+  } catch (error) {
+    console.error('Error copying citation:', error);
+    showCopyFeedback('Failed to copy citation');
+  }
+}
+
 /**
  * Move content item to a different project
  */
@@ -1127,16 +1528,18 @@ async function handleMoveToProject(contentId, targetProjectId) {
     // Get the content after moving
     const afterState = await DBUtils.getContent(contentId);
 
-    // Record undo action to the SOURCE project (where item came from)
-    await UndoRedoUtils.recordAction(sourceProjectId, 'update', contentId, beforeState, afterState);
+    // Get project name for toast message
+    const targetProject = await DBUtils.getProject(targetProjectId);
+
+    // Record undo action in the active project (items from other projects can be listed by in:all searches)
+    await recordCompoundUndoAction(`Moved ${UndoRedoUtils.describeContent(content)} to "${targetProject.name}"`, [
+      { kind: 'content', id: contentId, before: beforeState, after: afterState }
+    ]);
 
     // Update UI
     await renderContentList();
     await updateProjectUI();
 
-    // Get project name for toast message
-    const targetProject = await DBUtils.getProject(targetProjectId);
-
     // Show success toast
     showCopyFeedback(`Moved to "${targetProject.name}"`);
   } catch (error) {
@@ -1150,110 +1553,835 @@ async function handleMoveToProject(contentId, targetProjectId) {
 // ============================================
 
 // ============================================
-// Drag and Drop / Reordering System
+// Project Archive Export/Import
 // ============================================
 
 /**
- * Create drop indicator element
+ * Trigger a browser download for a blob
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
  */
-function createDropIndicator() {
-  const indicator = document.createElement('div');
-  indicator.className = 'drop-indicator';
-  indicator.style.display = 'none';
-  return indicator;
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the download a moment to start before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 /**
- * Position drop indicator
+ * Export a project as a ZIP archive download
+ * @param {string} projectId - Project ID
  */
-function positionDropIndicator(indicator, targetEl, insertAfter) {
-  if (!targetEl) {
-    indicator.style.display = 'none';
-    return;
-  }
-
-  const rect = targetEl.getBoundingClientRect();
-  const containerRect = targetEl.parentElement.getBoundingClientRect();
-
-  indicator.style.display = 'block';
-  if (insertAfter) {
-    indicator.style.top = (rect.bottom - containerRect.top) + 'px';
-  } else {
-    indicator.style.top = (rect.top - containerRect.top) + 'px';
+async function handleExportProject(projectId) {
+  try {
+    showCopyFeedback('Preparing archive...');
+    const { blob, fileName, itemCount } = await ArchiveUtils.exportProject(projectId);
+    downloadBlob(blob, fileName);
+    showCopyFeedback(`Exported ${itemCount} item${itemCount !== 1 ? 's' : ''}`);
+  } catch (error) {
+    console.error('Error exporting project:', error);
+    showCopyFeedback(error.message || 'Failed to export project', true);
   }
 }
 
 /**
- * Update cache with new order
+ * Read the chosen archive file and ask how to import it
  */
-function updateCacheOrder(newOrder) {
-  const orderMap = new Map(newOrder.map((item, index) => [item.key, index]));
-  allContentCache.forEach(item => {
-    if (orderMap.has(item.key)) {
-      item.order = orderMap.get(item.key);
-    }
-  });
-  allContentCache.sort((a, b) => (a.order || 0) - (b.order || 0));
+async function handleImportFileSelected(event) {
+  const file = event.target.files[0];
+  // Reset so choosing the same file again fires "change"
+  event.target.value = '';
+  if (!file) return;
+
+  try {
+    pendingImportArchive = await ArchiveUtils.readArchive(file);
+    await showImportDialog(pendingImportArchive.manifest);
+  } catch (error) {
+    console.error('Error reading archive:', error);
+    pendingImportArchive = null;
+    showCopyFeedback(error.message || 'Failed to read archive', true);
+  }
 }
 
 /**
- * Initialize SortableJS for drag-and-drop reordering
+ * Show import dialog for a parsed archive
+ * @param {Object} manifest - Archive manifest
  */
-function initializeSortable() {
-  const contentList = document.getElementById('content-list');
-  if (!contentList) return;
-
-  // Destroy existing sortable instance
-  if (sortableInstance) {
-    sortableInstance.destroy();
-    sortableInstance = null;
-  }
-
-  // Create drop indicator if not exists
-  if (!dropIndicator) {
-    dropIndicator = createDropIndicator();
-    contentList.appendChild(dropIndicator);
-  }
+async function showImportDialog(manifest) {
+  const dialog = document.getElementById('import-dialog');
+  const activeProjectId = await getActiveProjectId();
+  const activeProject = await DBUtils.getProject(activeProjectId);
+  const itemCount = manifest.items.length;
 
-  // Initialize SortableJS
-  sortableInstance = Sortable.create(contentList, {
-    animation: 150,
-    easing: 'cubic-bezier(0.4, 0, 0.2, 1)',
-    delay: 150,
-    fallbackTolerance: 5,
-    filter: '.expanded, .btn-edit, .btn-delete, .content-actions-hover',
-    draggable: '.content-item:not(.expanded)',
-    ghostClass: 'sortable-ghost',
-    chosenClass: 'sortable-chosen',
-    dragClass: 'sortable-drag',
+  document.getElementById('import-project-name').textContent = manifest.project?.name || 'Untitled';
+  document.getElementById('import-count').textContent = `${itemCount} item${itemCount !== 1 ? 's' : ''}`;
+  document.getElementById('import-target-name').textContent = activeProject ? activeProject.name : 'current project';
 
-    onStart: (evt) => handleDragStart(evt),
-    onMove: (evt) => handleDragMove(evt),
-    onEnd: (evt) => handleDragEnd(evt)
-  });
+  closeProjectDropdown();
+  dialog.classList.remove('hidden');
 }
 
 /**
- * Handle drag start
+ * Hide import dialog and drop the pending archive
  */
-function handleDragStart(evt) {
-  const contentList = document.getElementById('content-list');
-  contentList.classList.add('drag-active');
-
-  // Capture order before drag
-  orderBeforeDrag = allContentCache.map((item, index) => ({
-    key: item.key,
-    order: index
-  }));
+function hideImportDialog() {
+  document.getElementById('import-dialog').classList.add('hidden');
+  pendingImportArchive = null;
 }
 
 /**
- * Handle drag move
+ * Import the pending archive
+ * @param {boolean} merge - Merge into the active project instead of creating a new one
  */
-function handleDragMove(evt) {
-  const { related, willInsertAfter } = evt;
+async function handleImportArchive(merge) {
+  if (!pendingImportArchive) return;
 
-  if (related && related.classList.contains('content-item')) {
+  const archive = pendingImportArchive;
+  hideImportDialog();
+
+  try {
+    showCopyFeedback('Importing...');
+    const targetProjectId = merge ? await getActiveProjectId() : null;
+    const result = await ArchiveUtils.importArchive(archive, { targetProjectId });
+
+    invalidateProjectsCache();
+    await updateProjectItemCount(result.projectId);
+
+    if (result.projectId !== currentProjectId) {
+      await switchProject(result.projectId);
+    } else {
+      await renderContentList();
+    }
+    renderProjectDropdown();
+
+    const skippedText = result.skipped > 0 ? ` (${result.skipped} already present)` : '';
+    showCopyFeedback(`Imported ${result.imported} item${result.imported !== 1 ? 's' : ''} into "${result.projectName}"${skippedText}`);
+  } catch (error) {
+    console.error('Error importing archive:', error);
+    showCopyFeedback(error.message || 'Failed to import archive', true);
+  }
+}
+
+// ============================================
+// End Project Archive Export/Import
+// ============================================
+
+// ============================================
+// Trash
+// ============================================
+
+/**
+ * Describe when a Trash entry will be purged ("purged in 3 days")
+ * @param {Object} record - Trashed content or project
+ * @param {number} retentionDays - Retention period (0 = no limit)
+ * @returns {string} Description (empty if it is kept until the Trash is emptied)
+ */
+function formatTrashPurgeTime(record, retentionDays) {
+  const purgeTime = TrashUtils.getPurgeTime(record, retentionDays);
+  if (purgeTime === null) return '';
+
+  const days = Math.ceil((purgeTime - Date.now()) / (24 * 60 * 60 * 1000));
+  return days > 1 ? `purged in ${days} days` : 'purged within a day';
+}
+
+/**
+ * Render the Trash panel list (projects first, most recently deleted first)
+ */
+async function renderTrashList() {
+  const list = document.getElementById('trash-list');
+  const [trash, retentionDays, projects] = await Promise.all([
+    DBUtils.getTrash(),
+    TrashUtils.getRetentionDays(),
+    getAllProjectsCached()
+  ]);
+  const projectNames = new Map([...projects, ...trash.projects].map(project => [project.key, project.name]));
+
+  document.getElementById('btn-empty-trash').disabled = trash.projects.length === 0 && trash.content.length === 0;
+
+  if (trash.projects.length === 0 && trash.content.length === 0) {
+    list.innerHTML = '<li class="trash-empty">The Trash is empty</li>';
+    return;
+  }
+
+  const entries = [
+    ...trash.projects.map(project => ({
+      kind: 'project',
+      record: project,
+      label: `Project "${project.name}"`,
+      detail: `${project.itemCount} item${project.itemCount !== 1 ? 's' : ''}`
+    })),
+    ...trash.content.map(content => ({
+      kind: 'content',
+      record: content,
+      label: UndoRedoUtils.describeContent(content),
+      detail: projectNames.get(content.projectId) || 'Deleted project'
+    }))
+  ];
+
+  list.innerHTML = entries.map(({ kind, record, label, detail }) => {
+    const meta = [detail, `deleted ${formatHistoryTime(record.deletedAt)}`, formatTrashPurgeTime(record, retentionDays)]
+      .filter(Boolean)
+      .join(' · ');
+    return `
+      <li class="trash-item">
+        <div class="trash-item-info">
+          <span class="trash-item-label">${escapeHtml(label)}</span>
+          <span class="trash-item-meta">${escapeHtml(meta)}</span>
+        </div>
+        <button class="btn-secondary trash-restore" data-kind="${kind}" data-id="${escapeHtml(record.key)}">Restore</button>
+      </li>
+    `;
+  }).join('');
+}
+
+/**
+ * Fill the retention select with the stored setting
+ */
+async function populateTrashRetention() {
+  const retentionDays = await TrashUtils.getRetentionDays();
+  const select = document.getElementById('trash-retention');
+
+  const options = [...new Set([...TrashUtils.RETENTION_OPTIONS, retentionDays])]
+    .sort((a, b) => (a || Infinity) - (b || Infinity));
+  select.innerHTML = options
+    .map(days => `<option value="${days}">${days === 0 ? 'until emptied' : `${days} day${days !== 1 ? 's' : ''}`}</option>`)
+    .join('');
+  select.value = String(retentionDays);
+}
+
+/**
+ * Show the Trash panel
+ */
+async function showTrashDialog() {
+  try {
+    await populateTrashRetention();
+    await renderTrashList();
+    document.getElementById('trash-dialog').classList.remove('hidden');
+  } catch (error) {
+    console.error('Error showing trash:', error);
+  }
+}
+
+/**
+ * Hide the Trash panel
+ */
+function hideTrashDialog() {
+  document.getElementById('trash-dialog').classList.add('hidden');
+}
+
+/**
+ * Restore a project or content item from the Trash
+ * @param {string} kind - 'project' or 'content'
+ * @param {string} id - Record key
+ */
+async function handleTrashRestore(kind, id) {
+  try {
+    if (kind === 'project') {
+      const project = await DBUtils.restoreProject(id);
+      invalidateProjectsCache();
+      renderProjectDropdown();
+      showCopyFeedback(`Restored project "${project.name}"`);
+    } else {
+      const content = await DBUtils.restoreContent(id);
+      showCopyFeedback(`Restored ${UndoRedoUtils.describeContent(content)}`);
+    }
+
+    await renderContentList(document.getElementById('search-input').value);
+    await updateProjectUI();
+    await renderTrashList();
+  } catch (error) {
+    console.error('Error restoring from trash:', error);
+    showCopyFeedback('Failed to restore', true);
+  }
+}
+
+/**
+ * Save the retention period changed in the Trash panel
+ */
+async function handleTrashRetentionChange() {
+  await TrashUtils.setRetentionDays(Number(document.getElementById('trash-retention').value));
+  await renderTrashList();
+}
+
+/**
+ * Permanently delete everything in the Trash after confirmation
+ */
+async function handleEmptyTrash() {
+  if (!confirm('Permanently delete everything in the Trash? This cannot be undone.')) {
+    return;
+  }
+
+  try {
+    const purged = await TrashUtils.purge();
+    await renderTrashList();
+    showCopyFeedback(`Permanently deleted ${purged.content} item${purged.content !== 1 ? 's' : ''}`);
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    showCopyFeedback('Failed to empty the Trash', true);
+  }
+}
+
+// ============================================
+// End Trash
+// ============================================
+
+// ============================================
+// Table Editor
+// ============================================
+
+/**
+ * Load a captured table into the editor state
+ * Cells are edited as a plain grid: merged cells are split, nested tables become text,
+ * header rows are joined into one ("A / B") and footer rows become body rows.
+ * Image placeholders are kept out of the inputs and stay with their cell.
+ * @param {Object} tableMedia - Table media item
+ * @returns {Object} Editor state ({mediaId, caption, headers, rows, isSimplified})
+ */
+function createTableEditorState(tableMedia) {
+  const sections = TableUtils.getSections(tableMedia.data);
+  const columnCount = Math.max(TableUtils.getColumnCount(sections), 1);
+  const { headers } = TableUtils.flatten(sections);
+
+  const toEditorCell = (text, cell = {}) => ({
+    text: text.replace(/\{\{img:\d+\}\}/g, '').trim(),
+    images: (text.match(/\{\{img:\d+\}\}/g) || []).join(''),
+    links: cell.links,
+    header: cell.header
+  });
+
+  const rows = TableUtils.getBodyGrid(sections, columnCount)
+    .map(row => row.map(slot => (slot ? toEditorCell(slot.text, slot.cell) : toEditorCell(''))));
+
+  const allCells = [...sections.head, ...sections.body, ...sections.foot].flat();
+  return {
+    mediaId: tableMedia.id,
+    caption: tableMedia.data.caption || '',
+    headers: Array.from({ length: columnCount }, (_, c) => headers[c] || ''),
+    rows: rows.length > 0 ? rows : [Array.from({ length: columnCount }, () => toEditorCell(''))],
+    sort: null,
+    isSimplified: sections.head.length > 1 || sections.foot.length > 0 ||
+      allCells.some(cell => cell.colspan > 1 || cell.rowspan > 1 || cell.rowspan === 0 || cell.table),
+    changed: false
+  };
+}
+
+/**
+ * Open the table editor for an item's table
+ * @param {string} contentId - Content ID
+ * @param {string} [mediaId] - Table to edit (defaults to the item's first table)
+ */
+async function openTableEditor(contentId, mediaId = null) {
+  try {
+    const content = await DBUtils.getContent(contentId);
+    const tables = (content?.media || []).filter(m => m.type === 'table' && m.data);
+    const table = tables.find(m => m.id === mediaId) || tables[0];
+    if (!table) {
+      throw new Error('Item has no table');
+    }
+
+    tableEditor = { contentId, ...createTableEditorState(table) };
+
+    // Items with several tables (articles) pick the table to edit
+    const select = document.getElementById('table-editor-select');
+    select.innerHTML = tables
+      .map((m, i) => `<option value="${m.id}">Table ${i + 1}${m.data.caption ? `: ${escapeHtml(m.data.caption)}` : ''}</option>`)
+      .join('');
+    select.value = table.id;
+    select.classList.toggle('hidden', tables.length < 2);
+
+    renderTableEditor();
+    document.getElementById('table-editor-dialog').classList.remove('hidden');
+  } catch (error) {
+    console.error('Error opening table editor:', error);
+    showCopyFeedback('Could not open table', true);
+  }
+}
+
+/**
+ * Close the table editor (unsaved changes are discarded after confirmation)
+ * @param {boolean} [force=false] - Close without asking
+ */
+function hideTableEditor(force = false) {
+  if (!force && tableEditor && tableEditor.changed && !confirm('Discard your changes to this table?')) {
+    return;
+  }
+  tableEditor = null;
+  document.getElementById('table-editor-dialog').classList.add('hidden');
+}
+
+/**
+ * Switch the editor to another table of the same item
+ */
+async function handleTableEditorSelect(e) {
+  const mediaId = e.target.value;
+  if (tableEditor.changed && !confirm('Discard your changes to this table?')) {
+    e.target.value = tableEditor.mediaId;
+    return;
+  }
+  await openTableEditor(tableEditor.contentId, mediaId);
+}
+
+/**
+ * Render the editable grid
+ */
+function renderTableEditor() {
+  const { caption, headers, rows, sort, isSimplified } = tableEditor;
+  const columnCount = headers.length;
+  const rowCount = rows.length;
+
+  document.getElementById('table-editor-caption').value = caption;
+  document.getElementById('table-editor-hint').classList.toggle('hidden', !isSimplified);
+
+  const toolButton = (action, index, label, title, disabled = false) =>
+    `<button class="table-editor-btn" data-action="${action}" data-index="${index}" title="${title}" aria-label="${title}"${disabled ? ' disabled' : ''}>${label}</button>`;
+
+  const headerHtml = headers.map((header, c) => {
+    const sortLabel = sort && sort.column === c ? (sort.direction > 0 ? '▲' : '▼') : '↕';
+    return `
+      <th>
+        <div class="table-editor-column-tools">
+          ${toolButton('move-left', c, '◀', 'Move column left', c === 0)}
+          ${toolButton('sort', c, sortLabel, 'Sort by this column')}
+          ${toolButton('move-right', c, '▶', 'Move column right', c === columnCount - 1)}
+          ${toolButton('delete-column', c, '&times;', 'Delete column', columnCount < 2)}
+        </div>
+        <input type="text" class="table-editor-input table-editor-header" data-column="${c}" value="${escapeHtml(header)}" placeholder="Column ${c + 1}" aria-label="Header of column ${c + 1}" />
+      </th>
+    `;
+  }).join('');
+
+  const bodyHtml = rows.map((row, r) => `
+    <tr>
+      <td class="table-editor-row-tools">${toolButton('delete-row', r, '&times;', 'Delete row', rowCount < 2)}</td>
+      ${row.map((cell, c) => `
+        <td>
+          <input type="text" class="table-editor-input table-editor-cell" data-row="${r}" data-column="${c}" value="${escapeHtml(cell.text)}" aria-label="Row ${r + 1}, column ${c + 1}" />
+          ${cell.images ? `<span class="table-editor-images" title="Images in this cell are kept">🖼 ${cell.images.match(/\{\{img:\d+\}\}/g).length}</span>` : ''}
+        </td>
+      `).join('')}
+    </tr>
+  `).join('');
+
+  document.getElementById('table-editor-grid').innerHTML = `
+    <thead><tr><th class="table-editor-row-tools"></th>${headerHtml}</tr></thead>
+    <tbody>${bodyHtml}</tbody>
+  `;
+}
+
+/**
+ * Keep typed text in the editor state
+ */
+function handleTableEditorInput(e) {
+  const input = e.target;
+  if (input.id === 'table-editor-caption') {
+    tableEditor.caption = input.value;
+  } else if (input.classList.contains('table-editor-header')) {
+    tableEditor.headers[parseInt(input.dataset.column)] = input.value;
+  } else if (input.classList.contains('table-editor-cell')) {
+    tableEditor.rows[parseInt(input.dataset.row)][parseInt(input.dataset.column)].text = input.value;
+  } else {
+    return;
+  }
+  tableEditor.changed = true;
+}
+
+/**
+ * Compare two cell texts for sorting (numbers by value, other text naturally)
+ * @param {string} a - Cell text
+ * @param {string} b - Cell text
+ * @returns {number} Sort order
+ */
+function compareTableCellText(a, b) {
+  const x = TableUtils.parseNumber(a);
+  const y = TableUtils.parseNumber(b);
+  if (x !== null && y !== null) return x - y;
+  return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Handle the row and column buttons of the editor
+ */
+function handleTableEditorAction(e) {
+  const button = e.target.closest('.table-editor-btn');
+  if (!button) return;
+
+  const index = parseInt(button.dataset.index);
+  const { headers, rows } = tableEditor;
+  const emptyCell = () => ({ text: '', images: '' });
+  const moveColumn = (from, to) => {
+    [headers[from], headers[to]] = [headers[to], headers[from]];
+    rows.forEach(row => {
+      [row[from], row[to]] = [row[to], row[from]];
+    });
+  };
+
+  switch (button.dataset.action) {
+    case 'add-row':
+      rows.push(headers.map(emptyCell));
+      break;
+    case 'add-column':
+      headers.push('');
+      rows.forEach(row => row.push(emptyCell()));
+      break;
+    case 'delete-row':
+      rows.splice(index, 1);
+      break;
+    case 'delete-column':
+      headers.splice(index, 1);
+      rows.forEach(row => row.splice(index, 1));
+      break;
+    case 'move-left':
+      moveColumn(index, index - 1);
+      break;
+    case 'move-right':
+      moveColumn(index, index + 1);
+      break;
+    case 'sort': {
+      // Click again to reverse; empty cells always go last
+      const direction = tableEditor.sort && tableEditor.sort.column === index ? -tableEditor.sort.direction : 1;
+      rows.sort((rowA, rowB) => {
+        const a = rowA[index].text.trim();
+        const b = rowB[index].text.trim();
+        if (!a || !b) return !a - !b;
+        return direction * compareTableCellText(a, b);
+      });
+      tableEditor.sort = { column: index, direction };
+      break;
+    }
+    default:
+      return;
+  }
+
+  // The sort indicator only describes the order until the table changes shape
+  if (button.dataset.action !== 'sort') tableEditor.sort = null;
+  tableEditor.changed = true;
+  renderTableEditor();
+
+  if (button.dataset.action === 'add-row') {
+    document.querySelector(`.table-editor-cell[data-row="${rows.length - 1}"][data-column="0"]`)?.focus();
+  }
+}
+
+/**
+ * Save the edited table to its item (undoable as an edit)
+ */
+async function saveTableEditor() {
+  const { contentId, mediaId, caption, headers, rows } = tableEditor;
+
+  try {
+    const existingContent = await DBUtils.getContent(contentId);
+    if (!existingContent) {
+      throw new Error('Content not found');
+    }
+
+    // Deep copy for beforeSnapshot
+    const beforeSnapshot = {
+      ...existingContent,
+      media: existingContent.media.map(m => ({ ...m }))
+    };
+
+    // Tables without any header labels are saved without a header row
+    const data = TableUtils.fromGrid(
+      headers.some(header => header.trim()) ? headers : [],
+      rows.map(row => row.map(cell => ({ ...cell, text: `${cell.text.trim()}${cell.images}` }))),
+      { caption }
+    );
+
+    await DBUtils.saveContent(contentId, {
+      ...existingContent,
+      media: existingContent.media.map(m => (m.id === mediaId ? { ...m, data } : m))
+    });
+
+    // Record undo action
+    const afterSnapshot = await DBUtils.getContent(contentId);
+    await recordUndoAction('update', contentId, beforeSnapshot, afterSnapshot);
+
+    hideTableEditor(true);
+    await renderContentList(document.getElementById('search-input').value);
+    showCopyFeedback('Table saved');
+  } catch (error) {
+    console.error('Error saving table:', error);
+    showCopyFeedback('Could not save table', true);
+  }
+}
+
+// ============================================
+// End Table Editor
+// ============================================
+
+// ============================================
+// Table Downloads and Merging
+// ============================================
+
+/**
+ * Download one table of an item as CSV or Excel
+ * @param {string} contentId - Content ID
+ * @param {string} mediaId - Table media ID
+ * @param {string} format - "csv" or "xlsx"
+ */
+async function downloadTable(contentId, mediaId, format) {
+  try {
+    const content = await DBUtils.getContent(contentId);
+    const table = content && content.media.find(m => m.id === mediaId && m.type === 'table' && m.data);
+    if (!table) {
+      throw new Error('Table not found');
+    }
+
+    const name = table.data.caption || content.sourceTitle || table.name;
+    const fileName = ArchiveUtils.sanitizeFileName(name, 'table');
+
+    if (format === 'xlsx') {
+      const tableImages = new Map(content.media
+        .filter(m => m.type === 'image' && m.tableImageIndex !== undefined)
+        .map(m => [m.tableImageIndex, m]));
+      const blob = await XlsxUtils.createXlsx(table.data, tableImages, { sheetName: name });
+      downloadBlob(blob, `${fileName}.xlsx`);
+    } else {
+      // The byte order mark makes Excel read the file as UTF-8
+      const blob = new Blob(['\ufeff', TableUtils.toCSV(table.data)], { type: 'text/csv;charset=utf-8' });
+      downloadBlob(blob, `${fileName}.csv`);
+    }
+
+    showCopyFeedback(`Table downloaded as ${format === 'xlsx' ? 'Excel' : 'CSV'}`);
+  } catch (error) {
+    console.error('Table download failed:', error);
+    showCopyFeedback('Table download failed', true);
+  }
+}
+
+/**
+ * Get the key tables are matched on for merging: their header labels, in any order and case
+ * @param {string[]} headers - Header labels
+ * @returns {string} Key (empty if the table has no header labels)
+ */
+function getTableHeaderKey(headers) {
+  const labels = headers.map(header => TableUtils.normalizeText(header.replace(/\{\{img:\d+\}\}/g, '')).toLowerCase());
+  return labels.some(Boolean) ? [...labels].sort().join('\u0000') : '';
+}
+
+/**
+ * Append the rows of every table in the project whose headers match a table into a new table item
+ * Tables are taken in list order; columns are put in the order of the chosen table, and
+ * columns with the same label keep their order among themselves.
+ * Footer rows (totals) are left out, since they only describe their own table.
+ * @param {string} contentId - Content ID of the chosen table
+ * @param {string} mediaId - Table media ID
+ */
+async function mergeMatchingTables(contentId, mediaId) {
+  try {
+    const content = await DBUtils.getContent(contentId);
+    const table = content && content.media.find(m => m.id === mediaId && m.type === 'table' && m.data);
+    if (!table) {
+      throw new Error('Table not found');
+    }
+
+    const headers = TableUtils.flatten(TableUtils.getSections(table.data)).headers;
+    const headerKey = getTableHeaderKey(headers);
+    if (!headerKey) {
+      showCopyFeedback('This table has no headers to match');
+      return;
+    }
+
+    // The chosen table first, then the other matching tables in list order
+    const matches = [{ content, table }];
+    for (const item of getContentForExport()) {
+      for (const other of (item.media || []).filter(m => m.type === 'table' && m.data)) {
+        if (other.id === mediaId) continue;
+        if (getTableHeaderKey(TableUtils.flatten(TableUtils.getSections(other.data)).headers) === headerKey) {
+          matches.push({ content: item, table: other });
+        }
+      }
+    }
+
+    if (matches.length < 2) {
+      showCopyFeedback('No other tables with the same columns');
+      return;
+    }
+    if (!confirm(`Merge ${matches.length} tables with the columns "${headers.join(', ')}" into a new item?`)) {
+      return;
+    }
+
+    const headerLabels = headers.map(header => getTableHeaderKey([header]));
+    const rows = [];
+    const images = [];
+
+    for (const match of matches) {
+      const sections = TableUtils.getSections(match.table.data);
+      const columnCount = TableUtils.getColumnCount(sections);
+      const columns = TableUtils.flatten(sections).headers.map(header => getTableHeaderKey([header]));
+      // Repeated labels (or several empty ones) are matched in order: the second "Notes" column to the second
+      const seen = new Map();
+      const columnMap = headerLabels.map(label => {
+        const occurrence = seen.get(label) || 0;
+        seen.set(label, occurrence + 1);
+        return columns.findIndex((column, i) =>
+          column === label && columns.slice(0, i).filter(c => c === label).length === occurrence);
+      });
+
+      // Give this table's images new placeholder numbers in the merged table
+      const tableImages = new Map(match.content.media
+        .filter(m => m.type === 'image' && m.tableImageIndex !== undefined && m.blob)
+        .map(m => [m.tableImageIndex, m]));
+      const renumbered = new Map();
+      const renumber = text => text.replace(/\{\{img:(\d+)\}\}/g, (placeholder, index) => {
+        const image = tableImages.get(parseInt(index));
+        if (!image) return '';
+        if (!renumbered.has(image)) {
+          renumbered.set(image, images.length);
+          images.push({ ...image, id: undefined, tableImageIndex: images.length });
+        }
+        return `{{img:${renumbered.get(image)}}}`;
+      });
+
+      for (const row of TableUtils.getBodyGrid({ ...sections, foot: [] }, columnCount)) {
+        rows.push(columnMap.map(c => {
+          const slot = c === -1 ? null : row[c];
+          return slot ? { text: renumber(slot.text), links: slot.cell.links, header: slot.cell.header } : '';
+        }));
+      }
+    }
+
+    const data = TableUtils.fromGrid(headers, rows, { caption: table.data.caption || '' });
+    const links = [...new Set(matches.map(match => match.content.sourceUrl || (match.content.links || [])[0]).filter(Boolean))];
+
+    const newContentId = await DBUtils.saveContent(null, {
+      text: '',
+      links,
+      media: [{ type: 'table', data, name: 'merged table' }, ...images],
+      note: `Merged from ${matches.length} tables`,
+      projectId: await getActiveProjectId()
+    });
+
+    // Record undo action (create: beforeSnapshot is null, afterSnapshot is created content)
+    const createdContent = await DBUtils.getContent(newContentId);
+    await recordUndoAction('create', newContentId, null, createdContent);
+
+    await renderContentList(document.getElementById('search-input').value);
+    showCopyFeedback(`Merged ${matches.length} tables (${rows.length} rows)`);
+  } catch (error) {
+    console.error('Error merging tables:', error);
+    showCopyFeedback('Could not merge tables', true);
+  }
+}
+
+// ============================================
+// End Table Downloads and Merging
+// ============================================
+
+// ============================================
+// Drag and Drop / Reordering System
+// ============================================
+
+/**
+ * Create drop indicator element
+ */
+function createDropIndicator() {
+  const indicator = document.createElement('div');
+  indicator.className = 'drop-indicator';
+  indicator.style.display = 'none';
+  return indicator;
+}
+
+/**
+ * Position drop indicator
+ */
+function positionDropIndicator(indicator, targetEl, insertAfter) {
+  if (!targetEl) {
+    indicator.style.display = 'none';
+    return;
+  }
+
+  const rect = targetEl.getBoundingClientRect();
+  const containerRect = targetEl.parentElement.getBoundingClientRect();
+
+  indicator.style.display = 'block';
+  if (insertAfter) {
+    indicator.style.top = (rect.bottom - containerRect.top) + 'px';
+  } else {
+    indicator.style.top = (rect.top - containerRect.top) + 'px';
+  }
+}
+
+/**
+ * Update cache with new order
+ */
+function updateCacheOrder(newOrder) {
+  const orderMap = new Map(newOrder.map((item, index) => [item.key, index]));
+  allContentCache.forEach(item => {
+    if (orderMap.has(item.key)) {
+      item.order = orderMap.get(item.key);
+    }
+  });
+  allContentCache.sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+/**
+ * Initialize SortableJS for drag-and-drop reordering
+ * @param {Object} [options]
+ * @param {boolean} [options.disabled=false] - Turn reordering off (e.g. while search results are shown)
+ */
+function initializeSortable({ disabled = false } = {}) {
+  const contentList = document.getElementById('content-list');
+  if (!contentList) return;
+  contentList.classList.toggle('reorder-disabled', disabled);
+
+  // Destroy existing sortable instance
+  if (sortableInstance) {
+    sortableInstance.destroy();
+    sortableInstance = null;
+  }
+
+  // Create drop indicator if not exists
+  if (!dropIndicator) {
+    dropIndicator = createDropIndicator();
+    contentList.appendChild(dropIndicator);
+  }
+
+  // Initialize SortableJS
+  sortableInstance = Sortable.create(contentList, {
+    animation: 150,
+    easing: 'cubic-bezier(0.4, 0, 0.2, 1)',
+    delay: 150,
+    fallbackTolerance: 5,
+    filter: '.expanded, .btn-open-source, .btn-copy-item, .btn-edit-table, .btn-edit, .btn-delete, .content-actions-hover',
+    draggable: '.content-item:not(.expanded)',
+    disabled,
+    ghostClass: 'sortable-ghost',
+    chosenClass: 'sortable-chosen',
+    dragClass: 'sortable-drag',
+
+    onStart: (evt) => handleDragStart(evt),
+    onMove: (evt) => handleDragMove(evt),
+    onEnd: (evt) => handleDragEnd(evt)
+  });
+}
+
+/**
+ * Handle drag start
+ */
+function handleDragStart(evt) {
+  const contentList = document.getElementById('content-list');
+  contentList.classList.add('drag-active');
+
+  // Capture order before drag
+  orderBeforeDrag = allContentCache.map((item, index) => ({
+    key: item.key,
+    order: index
+  }));
+}
+
+/**
+ * Handle drag move
+ */
+function handleDragMove(evt) {
+  const { related, willInsertAfter } = evt;
+
+  if (related && related.classList.contains('content-item')) {
     positionDropIndicator(dropIndicator, related, willInsertAfter);
   }
 
@@ -1327,6 +2455,9 @@ function showNewContentModal() {
   // Store currently focused element
   modal.dataset.previousFocus = document.activeElement;
 
+  renderEditingTags();
+  populateTagSuggestions();
+
   // Focus first input
   setTimeout(() => {
     document.getElementById('input-text').focus();
@@ -1383,6 +2514,10 @@ function closeModal() {
 
   // Reset form
   document.getElementById('input-text').value = '';
+  document.getElementById('input-note').value = '';
+  document.getElementById('input-tags').value = '';
+  editingTags = [];
+  renderEditingTags();
   document.getElementById('input-media').value = '';
   document.getElementById('media-preview').innerHTML = '';
 
@@ -1410,6 +2545,61 @@ function closeModal() {
   }
 }
 
+/**
+ * Add one or more comma-separated tags to the modal's tag list
+ * @param {string} value - Raw input value
+ */
+function addEditingTags(value) {
+  const tags = DBUtils.normalizeTags(value.split(','));
+  editingTags = [...new Set([...editingTags, ...tags])];
+  renderEditingTags();
+}
+
+/**
+ * Handle Enter/comma (add tag) and Backspace (remove last tag) in the tag input
+ */
+function handleTagInputKeydown(e) {
+  const input = e.target;
+
+  if (e.key === 'Enter' || e.key === ',') {
+    e.preventDefault();
+    if (input.value.trim()) {
+      addEditingTags(input.value);
+      input.value = '';
+    }
+  } else if (e.key === 'Backspace' && !input.value && editingTags.length > 0) {
+    editingTags.pop();
+    renderEditingTags();
+  }
+}
+
+/**
+ * Render the tag chips in the content modal
+ */
+function renderEditingTags() {
+  const container = document.getElementById('tags-editor-chips');
+  container.innerHTML = editingTags.map(tag => `
+    <span class="tag-chip">
+      #${escapeHtml(tag)}
+      <button type="button" class="tag-chip-remove" data-tag="${escapeHtml(tag)}" aria-label="Remove tag ${escapeHtml(tag)}">&times;</button>
+    </span>
+  `).join('');
+}
+
+/**
+ * Fill the tag input's datalist with existing tags
+ */
+async function populateTagSuggestions() {
+  try {
+    const tags = await DBUtils.getAllTags();
+    document.getElementById('tags-datalist').innerHTML = tags
+      .map(tag => `<option value="${escapeHtml(tag.name)}"></option>`)
+      .join('');
+  } catch (error) {
+    console.error('Error loading tag suggestions:', error);
+  }
+}
+
 /**
  * Handle media file selection with preview
  */
@@ -1509,6 +2699,14 @@ function formatFileSize(bytes) {
 async function saveNewContent() {
   try {
     const text = document.getElementById('input-text').value;
+    const note = document.getElementById('input-note').value.trim();
+
+    // Include a tag that was typed but not yet confirmed with Enter
+    const pendingTag = document.getElementById('input-tags').value;
+    if (pendingTag.trim()) {
+      addEditingTags(pendingTag);
+    }
+    const tags = [...editingTags];
 
     // Collect all links from multiple inputs
     const linkInputs = document.querySelectorAll('.link-input');
@@ -1525,10 +2723,10 @@ async function saveNewContent() {
 
     if (editingContentId) {
       // Update existing content
-      await updateContent(editingContentId, text, links, mediaFiles);
+      await updateContent(editingContentId, text, links, mediaFiles, note, tags);
     } else {
       // Create new content
-      await createContent(text, links, mediaFiles);
+      await createContent(text, links, mediaFiles, note, tags);
     }
 
     closeModal();
@@ -1541,7 +2739,7 @@ async function saveNewContent() {
 /**
  * Update existing content
  */
-async function updateContent(contentId, text, links = [], mediaFiles = []) {
+async function updateContent(contentId, text, links = [], mediaFiles = [], note = '', tags = []) {
   try {
     // Load existing content (beforeSnapshot for undo)
     const existingContent = await DBUtils.getContent(contentId);
@@ -1579,10 +2777,17 @@ async function updateContent(contentId, text, links = [], mediaFiles = []) {
     // Combine existing media with new media
     const allMedia = [...existingContent.media, ...newMedia];
 
-    // Save updated content
+    // Save updated content (keep project, order and capture metadata)
+    // Article structure and selection formatting no longer match once the text is edited
+    const textUnchanged = text === existingContent.text;
     await DBUtils.saveContent(contentId, {
+      ...existingContent,
+      blocks: textUnchanged ? existingContent.blocks : undefined,
+      html: textUnchanged ? existingContent.html : undefined,
       text,
       links,
+      note,
+      tags,
       media: allMedia
     });
 
@@ -1597,6 +2802,23 @@ async function updateContent(contentId, text, links = [], mediaFiles = []) {
   }
 }
 
+/**
+ * Open the page an item was captured on
+ * The background opens a new tab and scrolls to the quote of text captures.
+ * @param {string} contentId - Content ID
+ */
+async function openAtSource(contentId) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'openAtSource', contentId });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response');
+    }
+  } catch (error) {
+    console.error('Error opening source:', error);
+    showCopyFeedback('Could not open source', true);
+  }
+}
+
 /**
  * Edit content (open modal with existing data)
  */
@@ -1608,8 +2830,10 @@ async function editContent(contentId) {
       return;
     }
 
-    // Populate text
+    // Populate text and note
     document.getElementById('input-text').value = content.text;
+    document.getElementById('input-note').value = content.note || '';
+    editingTags = [...(content.tags || [])];
 
     // Clear and populate links
     const container = document.getElementById('links-container');
@@ -1664,7 +2888,7 @@ async function initializeStorage() {
 /**
  * Create new content with media
  */
-async function createContent(text, links = [], mediaFiles = []) {
+async function createContent(text, links = [], mediaFiles = [], note = '', tags = []) {
   try {
     const media = [];
 
@@ -1694,6 +2918,8 @@ async function createContent(text, links = [], mediaFiles = []) {
       text,
       links,
       media,
+      note,
+      tags,
       projectId: activeProjectId
     });
 
@@ -1754,8 +2980,8 @@ async function deleteAllContent() {
       return; // User cancelled
     }
 
-    // Record each deletion for undo (in reverse order for proper restoration)
-    // We'll record all items as individual undo actions
+    // Delete every item, recording them as one undo action
+    const steps = [];
     for (const content of allContent) {
       // Capture content before deletion
       const beforeSnapshot = await DBUtils.getContent(content.key);
@@ -1763,12 +2989,15 @@ async function deleteAllContent() {
       // Delete the content
       await DBUtils.deleteContent(content.key);
 
-      // Record undo action
       if (beforeSnapshot) {
-        await recordUndoAction('delete', content.key, beforeSnapshot, null);
+        steps.push({ kind: 'content', id: content.key, before: beforeSnapshot, after: null });
       }
     }
 
+    if (steps.length > 0) {
+      await recordCompoundUndoAction(`Deleted all ${steps.length} item${steps.length !== 1 ? 's' : ''} from "${projectName}"`, steps);
+    }
+
     // Refresh the content list
     await renderContentList();
 
@@ -1805,19 +3034,52 @@ async function renderContentList(searchQuery = '') {
     // Update cache with project-filtered content (important for Copy All)
     allContentCache = projectContent;
 
-    // Filter based on search
-    const filtered = searchQuery
-      ? projectContent.filter(c =>
-          c.text.toLowerCase().includes(searchQuery.toLowerCase()) ||
-          c.links.some(l => l.toLowerCase().includes(searchQuery.toLowerCase()))
-        )
-      : projectContent;
+    // Filter based on search (query filters + ranked results from the full-text index)
+    let filtered = projectContent;
+    let highlightTerms = [];
+    let projectNames = null;
+
+    if (searchQuery.trim()) {
+      const parsedQuery = SearchUtils.parseQuery(searchQuery);
+      const searchEverywhere = searchAllProjects || parsedQuery.allProjects;
+      const projects = await getAllProjectsCached();
+      // A tag: filter reads its items from the tags index instead of scanning every item
+      const tagFilter = parsedQuery.filters.find(f => f.key === 'tag' && !f.negate);
+      let candidates;
+      if (tagFilter) {
+        candidates = await DBUtils.getContentByTag(tagFilter.value, searchEverywhere ? undefined : activeProjectId);
+      } else {
+        candidates = searchEverywhere ? await DBUtils.getAllContent() : projectContent;
+      }
+
+      if (parsedQuery.text) {
+        const results = await DBUtils.searchContent(parsedQuery.text, {
+          projectId: searchEverywhere ? undefined : activeProjectId
+        });
+        const contentByKey = new Map(candidates.map(c => [c.key, c]));
+
+        candidates = results.map(result => contentByKey.get(result.key)).filter(Boolean);
+        highlightTerms = [...new Set(results.flatMap(result => result.matchedTerms))];
+      }
+
+      filtered = candidates.filter(c => SearchUtils.matches(c, parsedQuery, projects));
+
+      // Label cards that come from other projects
+      if (searchEverywhere) {
+        projectNames = new Map(projects.map(p => [p.key, p.name]));
+      }
+    }
 
     container.innerHTML = '';
 
+    // Keep only the selected cards that are still listed
+    const listedIds = new Set(filtered.map(c => c.key));
+    selectedContentIds = new Set([...selectedContentIds].filter(id => listedIds.has(id)));
+    updateSelectionBar();
+
     if (filtered.length === 0) {
       if (searchQuery) {
-        container.innerHTML = '<div class="empty-state">No results found for "' + searchQuery + '"</div>';
+        container.innerHTML = '<div class="empty-state">No results found for "' + escapeHtml(searchQuery) + '"</div>';
       } else {
         container.innerHTML = '<div class="empty-state">No content yet. Create your first item!</div>';
       }
@@ -1825,12 +3087,17 @@ async function renderContentList(searchQuery = '') {
     }
 
     for (const content of filtered) {
-      const itemEl = createContentItemElement(content);
+      const projectName = projectNames && content.projectId !== activeProjectId
+        ? projectNames.get(content.projectId)
+        : null;
+      const itemEl = createContentItemElement(content, highlightTerms, projectName);
       container.appendChild(itemEl);
     }
 
     // Reinitialize sortable after DOM updates
-    initializeSortable();
+    // Search results are a subset (possibly from several projects), so their positions can't be saved as the order
+    const spansProjects = new Set(filtered.map(c => c.projectId)).size > 1;
+    initializeSortable({ disabled: Boolean(searchQuery.trim()) || spansProjects });
 
     // Update project UI
     await updateProjectUI();
@@ -1849,46 +3116,30 @@ window.addEventListener('beforeunload', () => {
 
 /**
  * Create table preview HTML from table data
+ * @param {Object} tableData - Table data (see table-utils.js)
+ * @param {number} [maxPreviewRows=3] - Rows shown before the "more row(s)" line
  */
-function createTablePreview(tableData) {
+function createTablePreview(tableData, maxPreviewRows = 3) {
   if (!tableData || !tableData.headers || !tableData.rows) {
     return '<div class="table-preview-error">Invalid table data</div>';
   }
 
-  const { headers, rows } = tableData;
-  const maxPreviewRows = 3;
-  const previewRows = rows.slice(0, maxPreviewRows);
-  const hasMoreRows = rows.length > maxPreviewRows;
+  const sections = TableUtils.getSections(tableData);
+  const rowCount = sections.body.length + sections.foot.length;
 
   let html = '<div class="table-preview-container">';
-  html += '<table class="table-preview">';
-
-  // Headers
-  if (headers.length > 0) {
-    html += '<thead><tr>';
-    headers.forEach(header => {
-      html += `<th>${escapeHtml(header)}</th>`;
-    });
-    html += '</tr></thead>';
-  }
 
-  // Data rows (limited to preview)
-  html += '<tbody>';
-  previewRows.forEach(row => {
-    html += '<tr>';
-    row.forEach(cell => {
-      // Strip image placeholders from preview (images shown separately as thumbnails)
-      const cleanCell = cell.replace(/\{\{img:\d+\}\}/g, '').trim();
-      html += `<td>${escapeHtml(cleanCell)}</td>`;
-    });
-    html += '</tr>';
+  // Strip image placeholders from preview (images shown separately as thumbnails)
+  html += TableUtils.toHTML(tableData, {
+    renderText: text => escapeHtml(text.replace(/\{\{img:\d+\}\}/g, '')),
+    maxBodyRows: maxPreviewRows,
+    tableAttributes: 'class="table-preview"',
+    numberCellAttributes: 'class="table-cell-number"',
+    linkAttributes: 'target="_blank" rel="noopener noreferrer"'
   });
-  html += '</tbody>';
 
-  html += '</table>';
-
-  if (hasMoreRows) {
-    html += `<div class="table-preview-more">... ${rows.length - maxPreviewRows} more row(s)</div>`;
+  if (sections.body.length > maxPreviewRows) {
+    html += `<div class="table-preview-more">... ${rowCount - maxPreviewRows} more row(s)</div>`;
   }
 
   html += '</div>';
@@ -1905,25 +3156,113 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+/**
+ * Escape text and wrap words matching search terms in <mark> tags
+ * @param {string} text - Raw text
+ * @param {string[]} terms - Normalized index terms to highlight
+ * @returns {string} Safe HTML
+ */
+function highlightSearchTerms(text, terms = []) {
+  if (!terms.length) return escapeHtml(text);
+
+  const termSet = new Set(terms);
+  let html = '';
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    if (termSet.has(DBUtils.normalizeTerm(match[0]))) {
+      html += escapeHtml(text.slice(lastIndex, match.index));
+      html += `<mark class="search-highlight">${escapeHtml(match[0])}</mark>`;
+      lastIndex = match.index + match[0].length;
+    }
+  }
+
+  return html + escapeHtml(text.slice(lastIndex));
+}
+
+/**
+ * Render captured selection HTML for a card
+ * The HTML is sanitized again, search terms are highlighted and links open in a new tab.
+ * @param {string} html - Captured HTML
+ * @param {string[]} [terms] - Normalized index terms to highlight
+ * @returns {string} Safe HTML
+ */
+function renderRichText(html, terms = []) {
+  const template = document.createElement('template');
+  template.innerHTML = RichTextUtils.sanitize(html);
+
+  if (terms.length > 0) {
+    const walker = document.createTreeWalker(template.content, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    textNodes.forEach(node => {
+      const highlighted = document.createElement('template');
+      highlighted.innerHTML = highlightSearchTerms(node.textContent, terms);
+      node.replaceWith(highlighted.content);
+    });
+  }
+
+  template.content.querySelectorAll('a[href]').forEach(link => {
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+  });
+
+  return template.innerHTML;
+}
+
+/**
+ * Toggle search between the active project and all projects
+ */
+async function toggleSearchScope() {
+  searchAllProjects = !searchAllProjects;
+
+  const scopeBtn = document.getElementById('btn-search-scope');
+  scopeBtn.classList.toggle('active', searchAllProjects);
+  scopeBtn.setAttribute('aria-pressed', String(searchAllProjects));
+
+  const searchInput = document.getElementById('search-input');
+  searchInput.placeholder = searchAllProjects ? 'Search all projects...' : 'Search content...';
+  await renderContentList(searchInput.value);
+}
+
+/**
+ * Filter the content list by a tag through the search box
+ * @param {string} tag - Tag name
+ */
+function filterByTag(tag) {
+  const searchInput = document.getElementById('search-input');
+  searchInput.value = `tag:${tag}`;
+  renderContentList(searchInput.value);
+}
+
 /**
  * Create DOM element for a content item with new design
+ * @param {Object} content - Content object
+ * @param {string[]} [highlightTerms] - Search terms to highlight on the card
+ * @param {string} [projectName] - Project label for cross-project search results
  */
-function createContentItemElement(content) {
+function createContentItemElement(content, highlightTerms = [], projectName = null) {
   const div = document.createElement('div');
   div.className = 'content-item';
   div.dataset.contentId = content.key;
+  if (selectedContentIds.has(content.key)) {
+    div.classList.add('selected');
+  }
 
   // Format date with time
   const date = new Date(content.modified);
   const dateStr = date.toLocaleDateString() + ', ' +
                   date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 
-  // Determine content type and badge class
-  const hasImage = content.media.some(m => m.type === 'image');
+  // Determine content type and badge class (a video capture's poster frame doesn't make it an image)
+  const isMediaCapture = content.contentType === 'video' || content.contentType === 'audio';
+  const hasImage = !isMediaCapture && content.media.some(m => m.type === 'image');
   const hasTable = content.media.some(m => m.type === 'table');
-  const hasAudio = content.media.some(m => m.type === 'audio');
-  const hasVideo = content.media.some(m => m.type === 'video');
+  const hasAudio = content.contentType === 'audio' || content.media.some(m => m.type === 'audio');
+  const hasVideo = content.contentType === 'video' || content.media.some(m => m.type === 'video');
   const isLinkType = content.contentType === 'link';
+  const isArticleType = content.contentType === 'article';
 
   let contentTypeBadge = 'TEXT';
   let badgeClass = 'badge-text';
@@ -1932,7 +3271,14 @@ function createContentItemElement(content) {
     <path d="M14 2v6h6M16 13H8M16 17H8M10 9H8"/>
   </svg>`;
 
-  if (hasTable) {
+  if (isArticleType) {
+    contentTypeBadge = 'ARTICLE';
+    badgeClass = 'badge-article';
+    typeIcon = `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <path d="M4 4h16v16H4z"/>
+      <path d="M8 8h8M8 12h8M8 16h5"/>
+    </svg>`;
+  } else if (hasTable) {
     contentTypeBadge = 'TABLE';
     badgeClass = 'badge-table';
     typeIcon = `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -1972,26 +3318,51 @@ function createContentItemElement(content) {
 
   // Extract source domain
   let sourceDomain = '';
-  if (content.links.length > 0) {
+  const sourceUrl = content.sourceUrl || content.links[0];
+  if (sourceUrl) {
     try {
-      const url = new URL(content.links[0]);
+      const url = new URL(sourceUrl);
       sourceDomain = url.hostname.replace('www.', '');
     } catch {}
   }
 
   // Text preview - 80 chars for compact mode
-  const textPreview = content.text.substring(0, 80) +
-                     (content.text.length > 80 ? '...' : '');
+  const displayText = getContentDisplayText(content);
+  const textPreview = displayText.substring(0, 80) +
+                     (displayText.length > 80 ? '...' : '');
 
-  // Generate table preview HTML
+  // Generate table preview HTML (articles show their tables inline when expanded)
   const tablePreviewsHtml = content.media
-    .filter(m => m.type === 'table')
+    .filter(m => m.type === 'table' && !isArticleType)
     .slice(0, 1)
     .map(m => createTablePreview(m.data))
     .join('');
 
   // Action buttons HTML (reused)
+  const pageUrl = content.pageUrl || content.links[0];
   const actionButtonsHtml = `
+    ${pageUrl ? `
+    <button class="btn-open-source" data-content-id="${content.key}" title="${content.anchor ? 'Open at source (scrolls to the quote)' : 'Open at source'}">
+      <svg width="14" height="14" viewBox="0 0 24 24" fill="none">
+        <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6" stroke="currentColor" stroke-width="2"/>
+        <path d="M15 3h6v6M10 14L21 3" stroke="currentColor" stroke-width="2"/>
+      </svg>
+    </button>
+    ` : ''}
+    <button class="btn-copy-item" data-content-id="${content.key}" title="Copy">
+      <svg width="14" height="14" viewBox="0 0 24 24" fill="none">
+        <rect x="9" y="9" width="13" height="13" rx="2" stroke="currentColor" stroke-width="2"/>
+        <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1" stroke="currentColor" stroke-width="2"/>
+      </svg>
+    </button>
+    ${hasTable ? `
+    <button class="btn-edit-table" data-content-id="${content.key}" title="Edit table">
+      <svg width="14" height="14" viewBox="0 0 24 24" fill="none">
+        <rect x="3" y="3" width="18" height="18" rx="2" stroke="currentColor" stroke-width="2"/>
+        <path d="M3 9h18M9 3v18" stroke="currentColor" stroke-width="2"/>
+      </svg>
+    </button>
+    ` : ''}
     <button class="btn-edit" data-content-id="${content.key}" title="Edit">
       <svg width="14" height="14" viewBox="0 0 24 24" fill="none">
         <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7" stroke="currentColor" stroke-width="2"/>
@@ -2024,9 +3395,15 @@ function createContentItemElement(content) {
 
     <div class="content-body">
       <span class="content-type-icon ${badgeClass}">${typeIcon}</span>
-      <div class="content-text">${textPreview ? escapeHtml(textPreview) : '<em>No text</em>'}</div>
+      <div class="content-text">${textPreview ? highlightSearchTerms(textPreview, highlightTerms) : '<em>No text</em>'}</div>
 
       ${sourceDomain ? `<div class="content-source">Source: ${sourceDomain}</div>` : ''}
+      ${projectName ? `<div class="content-project">📁 ${escapeHtml(projectName)}</div>` : ''}
+      ${content.tags && content.tags.length > 0 ? `
+        <div class="content-tags">
+          ${content.tags.map(tag => `<button class="tag-chip" data-tag="${escapeHtml(tag)}" title="Show items tagged #${escapeHtml(tag)}">#${escapeHtml(tag)}</button>`).join('')}
+        </div>
+      ` : ''}
 
       ${tablePreviewsHtml}
 
@@ -2051,10 +3428,38 @@ function createContentItemElement(content) {
         e.target.closest('button') || e.target.closest('a')) {
       return;
     }
-    toggleCardExpansion(div, content);
+    // Ctrl/Cmd+click selects cards to copy together
+    if (e.ctrlKey || e.metaKey) {
+      toggleContentSelection(content.key, div);
+      return;
+    }
+    toggleCardExpansion(div, content, highlightTerms);
+  });
+
+  // Add event listeners for all open/edit/delete buttons
+  div.querySelectorAll('.btn-open-source').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openAtSource(content.key);
+    });
+  });
+
+  div.querySelectorAll('.btn-copy-item').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      // A selected card copies the whole selection
+      const contentIds = selectedContentIds.has(content.key) ? getSelectedContentIds() : [content.key];
+      showCopyItemsMenu(e.pageX, e.pageY, contentIds);
+    });
+  });
+
+  div.querySelectorAll('.btn-edit-table').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openTableEditor(content.key);
+    });
   });
 
-  // Add event listeners for all edit/delete buttons
   div.querySelectorAll('.btn-edit').forEach(btn => {
     btn.addEventListener('click', (e) => {
       e.stopPropagation();
@@ -2069,13 +3474,87 @@ function createContentItemElement(content) {
     });
   });
 
+  // Tag chips filter the list by that tag
+  div.querySelectorAll('.content-tags .tag-chip').forEach(chip => {
+    chip.addEventListener('click', (e) => {
+      e.stopPropagation();
+      filterByTag(chip.dataset.tag);
+    });
+  });
+
   return div;
 }
 
+/**
+ * Summarize a capture's citation metadata ("Jane Doe, John Roe · The Times · 2024-03-05")
+ * @param {Object} content - Content object
+ * @returns {string} Summary or empty string when no metadata was extracted
+ */
+function getCitationSummary(content) {
+  const citation = content.citation;
+  if (!citation) return '';
+
+  return [
+    (citation.authors || []).join(', '),
+    citation.journal || citation.siteName,
+    citation.publishedDate && citation.publishedDate.slice(0, 10),
+    citation.doi && `doi:${citation.doi}`
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Render the blocks of an article capture for the expanded card
+ * @param {Object} content - Content object with blocks
+ * @param {string[]} [highlightTerms] - Search terms to highlight
+ * @returns {string} HTML
+ */
+function renderArticleBlocks(content, highlightTerms = []) {
+  const mediaById = new Map(content.media.map(m => [m.id, m]));
+
+  return content.blocks.map(block => {
+    switch (block.type) {
+      case 'heading':
+        return `<div class="article-heading article-heading-${Math.min(block.level, 3)}">${highlightSearchTerms(block.text, highlightTerms)}</div>`;
+
+      case 'list': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        return `<${tag} class="article-list">${block.items.map(item => `<li>${highlightSearchTerms(item, highlightTerms)}</li>`).join('')}</${tag}>`;
+      }
+
+      case 'quote':
+        return `<blockquote class="article-quote">${highlightSearchTerms(block.text, highlightTerms)}</blockquote>`;
+
+      case 'code':
+        return `<pre class="article-code">${escapeHtml(block.text)}</pre>`;
+
+      case 'image': {
+        const image = mediaById.get(block.mediaId);
+        if (!image || !image.blob) return '';
+        const url = DBUtils.createObjectURL(image.blob);
+        activeObjectURLs.push(url);
+        return `
+          <figure class="article-figure">
+            <img src="${url}" alt="${escapeHtml(block.caption || image.name || '')}" />
+            ${block.caption ? `<figcaption>${highlightSearchTerms(block.caption, highlightTerms)}</figcaption>` : ''}
+          </figure>
+        `;
+      }
+
+      case 'table': {
+        const table = mediaById.get(block.mediaId);
+        return table ? createTablePreview(table.data, 10) : '';
+      }
+
+      default:
+        return `<p class="article-paragraph">${highlightSearchTerms(block.text, highlightTerms)}</p>`;
+    }
+  }).join('');
+}
+
 /**
  * Toggle card expansion
  */
-function toggleCardExpansion(cardElement, content) {
+function toggleCardExpansion(cardElement, content, highlightTerms = []) {
   const isExpanded = cardElement.classList.contains('expanded');
 
   if (isExpanded) {
@@ -2100,9 +3579,51 @@ function toggleCardExpansion(cardElement, content) {
     const expandedSection = document.createElement('div');
     expandedSection.className = 'content-expanded';
 
-    let expandedHTML = `
-      <div class="content-full-text">${escapeHtml(content.text)}</div>
-    `;
+    const articleBlocks = content.contentType === 'article' && content.blocks;
+    let expandedHTML = '';
+    if (articleBlocks) {
+      expandedHTML = `<div class="content-article">${renderArticleBlocks(content, highlightTerms)}</div>`;
+    } else if (content.html) {
+      expandedHTML = `<div class="content-rich-text">${renderRichText(content.html, highlightTerms)}</div>`;
+    } else if (content.text) {
+      expandedHTML = `
+        <div class="content-full-text">${highlightSearchTerms(content.text, highlightTerms)}</div>
+      `;
+    }
+
+    // Video/audio captures link to the moment they were saved at, and play saved files
+    const mediaTimestampLabel = getMediaTimestampLabel(content);
+    if (mediaTimestampLabel && content.sourceUrl) {
+      expandedHTML += `
+        <a href="${content.sourceUrl}" target="_blank" class="content-media-timestamp">▶ ${mediaTimestampLabel}</a>
+      `;
+    }
+    content.media.filter(m => (m.type === 'video' || m.type === 'audio') && m.blob).forEach(m => {
+      const url = DBUtils.createObjectURL(m.blob);
+      activeObjectURLs.push(url);
+      expandedHTML += `<${m.type} src="${url}" class="content-media-player" controls preload="metadata"></${m.type}>`;
+    });
+
+    // Show note and source title
+    if (content.note) {
+      expandedHTML += `
+        <div class="content-note">
+          <div class="section-label">Note:</div>
+          <div class="content-note-text">${highlightSearchTerms(content.note, highlightTerms)}</div>
+        </div>
+      `;
+    }
+
+    if (content.sourceTitle) {
+      const citationSummary = getCitationSummary(content);
+      expandedHTML += `
+        <div class="content-source-title">
+          <div class="section-label">Source:</div>
+          ${highlightSearchTerms(content.sourceTitle, highlightTerms)}
+          ${citationSummary ? `<div class="content-source-meta">${escapeHtml(citationSummary)}</div>` : ''}
+        </div>
+      `;
+    }
 
     // Show all links
     if (content.links.length > 0) {
@@ -2121,8 +3642,9 @@ function toggleCardExpansion(cardElement, content) {
       `;
     }
 
-    // Show all media
-    const allImages = content.media.filter(m => m.type === 'image');
+    // Show all media (except images already placed in the article)
+    const placedMediaIds = new Set((articleBlocks || []).map(block => block.mediaId));
+    const allImages = content.media.filter(m => m.type === 'image' && !placedMediaIds.has(m.id));
     if (allImages.length > 0) {
       expandedHTML += `
         <div class="content-all-media">
@@ -2159,6 +3681,25 @@ function toggleCopyMenu(e) {
   e.stopPropagation();
   const menu = document.getElementById('copy-menu');
   menu.classList.toggle('show');
+
+  if (menu.classList.contains('show')) {
+    populateCopyTagFilter();
+  }
+}
+
+/**
+ * Fill the copy menu's tag filter with tags used in the active project
+ */
+function populateCopyTagFilter() {
+  const select = document.getElementById('copy-tag-filter');
+  const selected = select.value;
+  const tags = [...new Set(allContentCache.flatMap(c => c.tags || []))].sort();
+
+  select.innerHTML = '<option value="">All items</option>' + tags
+    .map(tag => `<option value="${escapeHtml(tag)}">#${escapeHtml(tag)}</option>`)
+    .join('');
+  select.value = tags.includes(selected) ? selected : '';
+  select.closest('.copy-tag-filter-row').classList.toggle('hidden', tags.length === 0);
 }
 
 /**
@@ -2169,6 +3710,128 @@ function closeCopyMenu() {
   menu.classList.remove('show');
 }
 
+/**
+ * Get the content IDs of the selected cards, in list order
+ * @returns {string[]} Content IDs
+ */
+function getSelectedContentIds() {
+  return Array.from(document.querySelectorAll('#content-list .content-item.selected'))
+    .map(card => card.dataset.contentId)
+    .filter(id => selectedContentIds.has(id));
+}
+
+/**
+ * Select or deselect a card
+ * @param {string} contentId - Content ID
+ * @param {HTMLElement} cardElement - Card element
+ */
+function toggleContentSelection(contentId, cardElement) {
+  if (selectedContentIds.has(contentId)) {
+    selectedContentIds.delete(contentId);
+  } else {
+    selectedContentIds.add(contentId);
+  }
+  cardElement.classList.toggle('selected', selectedContentIds.has(contentId));
+  updateSelectionBar();
+}
+
+/**
+ * Deselect all cards
+ */
+function clearContentSelection() {
+  selectedContentIds.clear();
+  document.querySelectorAll('#content-list .content-item.selected').forEach(card => card.classList.remove('selected'));
+  updateSelectionBar();
+}
+
+/**
+ * Show the selection bar while cards are selected
+ */
+function updateSelectionBar() {
+  const count = selectedContentIds.size;
+  document.getElementById('selection-bar').classList.toggle('hidden', count === 0);
+  document.getElementById('selection-count').textContent = `${count} item${count !== 1 ? 's' : ''} selected`;
+}
+
+/**
+ * Show the copy formats for one or more items
+ * @param {number} x - Menu position (page coordinates)
+ * @param {number} y - Menu position (page coordinates)
+ * @param {string[]} contentIds - Items to copy, in output order
+ */
+function showCopyItemsMenu(x, y, contentIds) {
+  const contextMenu = document.getElementById('context-menu');
+  const formats = [
+    { format: 'full', icon: '📋', label: 'Full (Structured)' },
+    { format: 'content-notes', icon: '📝', label: 'Content + Notes' },
+    { format: 'content-notes-source', icon: '🔗', label: 'Content + Notes + Source' },
+    { format: 'ai-delimited', icon: '🤖', label: 'AI Chatbot Format' }
+  ];
+
+  const count = contentIds.length;
+  contextMenu.innerHTML = `<div class="context-menu-header">Copy ${count > 1 ? `${count} items` : 'item'}</div>` +
+    formats.map(({ format, icon, label }) => `
+      <button class="context-menu-item" data-copy-format="${format}">
+        <span class="context-menu-icon" aria-hidden="true">${icon}</span>
+        ${label}
+      </button>
+    `).join('');
+
+  // Keep the menu on screen
+  const menuWidth = 200;
+  const menuHeight = formats.length * 36 + 40; // Approximate
+  contextMenu.style.left = Math.max(0, Math.min(x, window.innerWidth - menuWidth - 10)) + 'px';
+  contextMenu.style.top = Math.max(0, Math.min(y, window.innerHeight - menuHeight - 10)) + 'px';
+  contextMenu.classList.add('show');
+
+  contextMenu.querySelectorAll('.context-menu-item[data-copy-format]').forEach(item => {
+    item.addEventListener('click', async () => {
+      closeContextMenu();
+      await copyItems(contentIds, item.dataset.copyFormat);
+    });
+  });
+}
+
+/**
+ * Copy some items in the specified format, numbered as in the whole-project copy
+ * @param {string[]} contentIds - Content IDs, in output order
+ * @param {string} format - Copy format (full, content-notes, content-notes-source, ai-delimited)
+ */
+async function copyItems(contentIds, format) {
+  try {
+    const projectContent = getContentForExport();
+    const items = [];
+    const indexes = [];
+
+    for (const contentId of contentIds) {
+      const index = projectContent.findIndex(c => c.key === contentId);
+      const content = index !== -1 ? projectContent[index] : await DBUtils.getContent(contentId);
+      if (content) {
+        items.push(content);
+        indexes.push(index);
+      }
+    }
+
+    // Items from other projects (in:all searches) are numbered after the project's items
+    let nextIndex = Math.max(-1, ...indexes) + 1;
+    indexes.forEach((index, i) => {
+      if (index === -1) indexes[i] = nextIndex++;
+    });
+
+    if (items.length === 0) {
+      showCopyFeedback('No content to copy');
+      return;
+    }
+
+    // The bibliography style picked in the Copy All menu applies here too
+    const citationStyle = document.getElementById('copy-citation-style').value;
+    await copyContentItems(items, format, citationStyle || null, indexes);
+  } catch (error) {
+    console.error('Copy failed:', error);
+    showCopyFeedback('Copy failed', true);
+  }
+}
+
 /**
  * Convert a Blob to base64 data URI
  */
@@ -2183,27 +3846,32 @@ function blobToBase64(blob) {
 
 /**
  * Convert table data to tab-separated values (for Word paste)
+ * Spanned cells are expanded (see TableUtils.flatten).
  */
 function tableToTSV(tableData) {
-  const { headers, rows } = tableData;
+  const { headers, rows } = TableUtils.flatten(TableUtils.getSections(tableData));
+  const toLine = cells => cells.map(cell => cell.replace(/[\t\r\n]+/g, ' ')).join('\t');
+
   const lines = [];
-  if (headers && headers.length > 0) {
-    lines.push(headers.join('\t'));
-  }
-  if (rows) {
-    rows.forEach(row => lines.push(row.join('\t')));
+  if (headers.length > 0) {
+    lines.push(toLine(headers));
   }
+  rows.forEach(row => lines.push(toLine(row)));
   return lines.join('\n');
 }
 
 /**
- * Convert table data to markdown format for AI chatbots
+ * Convert table data to markdown format for AI chatbots and Markdown export
+ * The caption becomes a bold line above the table, links stay links and numeric columns
+ * are right-aligned. Spanned cells are expanded (see TableUtils.flatten).
+ * @param {Object} tableData - Table data (see table-utils.js)
+ * @param {Map<number, string>} [imagePaths] - tableImageIndex -> relative image path
  */
-function tableToMarkdown(tableData) {
-  const { headers, rows } = tableData;
-  const lines = [];
+function tableToMarkdown(tableData, imagePaths = null) {
+  const sections = TableUtils.getSections(tableData);
+  const columnCount = TableUtils.getColumnCount(sections);
 
-  if (!headers && !rows) {
+  if (columnCount === 0) {
     return '[Empty table]';
   }
 
@@ -2211,8 +3879,11 @@ function tableToMarkdown(tableData) {
   const escapeCell = (cell) => {
     if (cell === null || cell === undefined) return '';
     let str = String(cell);
-    // Replace image placeholders with [img]
-    str = str.replace(/\{\{img:\d+\}\}/g, '[img]');
+    // Replace image placeholders with a relative image link, or [img] when no file exists
+    str = str.replace(/\{\{img:(\d+)\}\}/g, (placeholder, index) => {
+      const path = imagePaths && imagePaths.get(parseInt(index));
+      return path ? `![](${toMarkdownPath(path)})` : '[img]';
+    });
     // Replace newlines with space
     str = str.replace(/\n/g, ' ');
     // Escape pipes
@@ -2220,116 +3891,205 @@ function tableToMarkdown(tableData) {
     return str;
   };
 
-  // Add headers
-  if (headers && headers.length > 0) {
-    const headerRow = headers.map(escapeCell).join(' | ');
-    lines.push(`| ${headerRow} |`);
-    // Add separator row
-    const separator = headers.map(() => '----------').join(' | ');
-    lines.push(`| ${separator} |`);
+  // Cells with links are rebuilt from their parts (nested tables are kept as flattened text)
+  const renderSlot = (slot) => {
+    if (!slot || !slot.text) return '';
+    if (!slot.cell.links || slot.cell.table) return escapeCell(slot.text);
+    return TableUtils.splitLinks(slot.cell).map(part => (part.href
+      ? `[${escapeCell(escapeMarkdownLinkText(part.text))}](${toMarkdownUrl(part.href)})`
+      : escapeCell(part.text))).join('');
+  };
+
+  const { headers } = TableUtils.flatten(sections);
+  const numericColumns = TableUtils.getNumericColumns(sections);
+  const lines = [];
+
+  if (tableData.caption) {
+    lines.push(`**${escapeCell(tableData.caption)}**`, '');
   }
 
+  // Add headers (Markdown tables always need a header row)
+  const headerRow = Array.from({ length: columnCount }, (_, i) => escapeCell(headers[i] || '')).join(' | ');
+  lines.push(`| ${headerRow} |`);
+  // Add separator row
+  const separator = numericColumns.map(isNumeric => (isNumeric ? '---------:' : '----------')).join(' | ');
+  lines.push(`| ${separator} |`);
+
   // Add data rows
-  if (rows && rows.length > 0) {
-    rows.forEach(row => {
-      const rowStr = row.map(escapeCell).join(' | ');
-      lines.push(`| ${rowStr} |`);
-    });
+  TableUtils.getBodyGrid(sections, columnCount).forEach(row => {
+    lines.push(`| ${row.map(renderSlot).join(' | ')} |`);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Convert table data to HTML table with optional embedded images
+ * Keeps the caption, spans, header rows, footer and links of the captured table.
+ */
+function tableToHTML(tableData, images = []) {
+  // Build lookup map: index -> image data
+  const imageMap = new Map();
+  images.forEach(img => {
+    if (img.tableImageIndex !== undefined && img.base64) {
+      imageMap.set(img.tableImageIndex, img);
+    }
+  });
+
+  // Replace image placeholders with actual images BEFORE escaping
+  // Split by placeholder pattern, escape text parts, insert images between
+  const renderText = text => text.split(/(\{\{img:\d+\}\})/g).map(part => {
+    const match = part.match(/^\{\{img:(\d+)\}\}$/);
+    if (!match) return escapeHtml(part);
+
+    const imgData = imageMap.get(parseInt(match[1]));
+    if (!imgData) return '';
+    // Apply exact dimensions if both are available, otherwise fallback to constrained size
+    if (imgData.width && imgData.height) {
+      return `<img src="${imgData.base64}" width="${imgData.width}" height="${imgData.height}" style="vertical-align:middle;">`;
+    }
+    return `<img src="${imgData.base64}" style="max-width:100px; max-height:100px; vertical-align:middle;">`;
+  }).join('');
+
+  return TableUtils.toHTML(tableData, {
+    renderText,
+    tableAttributes: 'border="1" cellpadding="5" cellspacing="0" style="border-collapse: collapse;"',
+    headerCellAttributes: 'style="background-color: #f0f0f0; font-weight: bold;"',
+    numberCellAttributes: 'style="text-align: right;"'
+  });
+}
+
+/**
+ * Convert an article capture to HTML with embedded images and tables
+ * @param {Object} content - Content object with blocks
+ * @returns {Promise<string>} HTML
+ */
+async function articleToHTML(content) {
+  const media = content.media || [];
+  const mediaById = new Map(media.map(m => [m.id, m]));
+  const tableImages = media.filter(m => m.type === 'image' && m.tableImageIndex !== undefined);
+
+  // Convert image blobs to base64 for embedding in cells
+  for (const img of tableImages) {
+    if (img.blob) {
+      img.base64 = await blobToBase64(img.blob);
+    }
+  }
+
+  const parts = [];
+  for (const block of content.blocks) {
+    switch (block.type) {
+      case 'heading':
+        parts.push(`<h${block.level}>${escapeHtml(block.text)}</h${block.level}>`);
+        break;
+
+      case 'list': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        parts.push(`<${tag}>${block.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</${tag}>`);
+        break;
+      }
+
+      case 'quote':
+        parts.push(`<blockquote>${escapeHtml(block.text).replace(/\n/g, '<br>')}</blockquote>`);
+        break;
+
+      case 'code':
+        parts.push(`<pre>${escapeHtml(block.text)}</pre>`);
+        break;
+
+      case 'image': {
+        const img = mediaById.get(block.mediaId);
+        if (!img || !img.blob) break;
+        const base64 = await blobToBase64(img.blob);
+        // Keep wide article images within the page
+        const scale = img.width > 600 ? 600 / img.width : 1;
+        const imgStyle = img.width && img.height
+          ? `width: ${Math.round(img.width * scale)}px; height: ${Math.round(img.height * scale)}px; margin: 10px 0;`
+          : 'max-width: 600px; height: auto; margin: 10px 0;';
+        parts.push(`<img src="${base64}" alt="${escapeHtml(block.caption || img.name || 'image')}" style="${imgStyle}" />`);
+        if (block.caption) {
+          parts.push(`<p style="color: #666; font-size: 12px;">${escapeHtml(block.caption)}</p>`);
+        }
+        break;
+      }
+
+      case 'table': {
+        const table = mediaById.get(block.mediaId);
+        if (table && table.data) {
+          parts.push(tableToHTML(table.data, tableImages));
+        }
+        break;
+      }
+
+      default:
+        parts.push(`<p>${escapeHtml(block.text).replace(/\n/g, '<br>')}</p>`);
+        break;
+    }
   }
 
-  return lines.join('\n');
+  return parts.join('');
 }
 
 /**
- * Convert table data to HTML table with optional embedded images
+ * Convert an article capture to Markdown
+ * @param {Object} content - Content object with blocks
+ * @param {Map<Object, string>} [assetPaths] - Media object -> relative file path (images without one become placeholders)
+ * @returns {string} Markdown
  */
-function tableToHTML(tableData, images = []) {
-  const { headers, rows } = tableData;
-
-  // Build lookup map: index -> image data
-  const imageMap = new Map();
-  images.forEach(img => {
-    if (img.tableImageIndex !== undefined && img.base64) {
-      imageMap.set(img.tableImageIndex, img);
+function articleToMarkdown(content, assetPaths = null) {
+  const media = content.media || [];
+  const mediaById = new Map(media.map(m => [m.id, m]));
+  const tableImagePaths = new Map();
+  media.forEach(m => {
+    if (m.tableImageIndex !== undefined && assetPaths && assetPaths.has(m)) {
+      tableImagePaths.set(m.tableImageIndex, assetPaths.get(m));
     }
   });
 
-  let html = '<table border="1" cellpadding="5" cellspacing="0" style="border-collapse: collapse;">';
+  return content.blocks.map(block => {
+    switch (block.type) {
+      case 'heading':
+        // Nested below the item's own "##" heading
+        return `${'#'.repeat(Math.min(block.level + 2, 6))} ${block.text.replace(/\s+/g, ' ')}`;
 
-  if (headers && headers.length > 0) {
-    html += '<thead><tr>';
-    headers.forEach(h => {
-      html += `<th style="background-color: #f0f0f0; font-weight: bold;">${escapeHtml(h)}</th>`;
-    });
-    html += '</tr></thead>';
-  }
+      case 'list':
+        return block.items.map((item, i) => `${block.ordered ? `${i + 1}.` : '-'} ${item}`).join('\n');
 
-  if (rows && rows.length > 0) {
-    html += '<tbody>';
-    rows.forEach(row => {
-      html += '<tr>';
-      row.forEach(cell => {
-        // Replace image placeholders with actual images BEFORE escaping
-        // Split by placeholder pattern, escape text parts, insert images between
-        const parts = cell.split(/(\{\{img:\d+\}\})/g);
-        let cellHtml = parts.map(part => {
-          const match = part.match(/^\{\{img:(\d+)\}\}$/);
-          if (match) {
-            const imgData = imageMap.get(parseInt(match[1]));
-            if (imgData && imgData.base64) {
-              // Use stored dimensions if available, otherwise fallback to constrained size
-              const widthAttr = imgData.width ? `width="${imgData.width}"` : 'style="max-width:100px;"';
-              const heightAttr = imgData.height ? `height="${imgData.height}"` : 'style="max-height:100px;"';
-              const style = imgData.width && imgData.height ? '' : (imgData.width ? heightAttr : (imgData.height ? widthAttr : 'style="max-width:100px; max-height:100px;"'));
-
-              // Apply exact dimensions if both are available
-              if (imgData.width && imgData.height) {
-                return `<img src="${imgData.base64}" width="${imgData.width}" height="${imgData.height}" style="vertical-align:middle;">`;
-              }
-              return `<img src="${imgData.base64}" style="max-width:100px; max-height:100px; vertical-align:middle;">`;
-            }
-            return '';
-          }
-          return escapeHtml(part);
-        }).join('');
-        html += `<td>${cellHtml}</td>`;
-      });
-      html += '</tr>';
-    });
-    html += '</tbody>';
-  }
+      case 'quote':
+        return block.text.split('\n').map(line => `> ${line}`).join('\n');
 
-  html += '</table>';
-  return html;
-}
+      case 'code':
+        return '```\n' + block.text + '\n```';
 
-/**
- * Extract note from content text (notes are appended with "\n\nNote: ")
- */
-function extractNote(text) {
-  if (!text) return null;
-  const match = text.match(/\n\nNote: (.+?)(?:\n|$)/);
-  return match ? match[1] : null;
-}
+      case 'image': {
+        const img = mediaById.get(block.mediaId);
+        const label = block.caption || (img && img.name) || 'image';
+        const path = img && assetPaths && assetPaths.get(img);
+        return path ? `![${escapeMarkdownLinkText(label)}](${toMarkdownPath(path)})` : `[Image: ${label}]`;
+      }
 
-/**
- * Extract source title from content text (format: "\n---\nSource: Title")
- */
-function extractSourceTitle(text) {
-  if (!text) return null;
-  const match = text.match(/\n---\nSource: (.+)$/);
-  return match ? match[1] : null;
+      case 'table': {
+        const table = mediaById.get(block.mediaId);
+        return table && table.data ? tableToMarkdown(table.data, tableImagePaths) : '';
+      }
+
+      default:
+        return block.text;
+    }
+  }).filter(Boolean).join('\n\n');
 }
 
 /**
- * Extract main content text (remove note and source sections)
+ * Get the text shown on a card, falling back to a label for media captures without text
  */
-function extractMainContent(text) {
-  if (!text) return '';
-  return text
-    .replace(/\n\nNote: .+?(?=\n|$)/, '')
-    .replace(/\n---\nSource: .+$/, '')
-    .trim();
+function getContentDisplayText(content) {
+  if (content.text) return content.text;
+
+  const contentType = getContentType(content);
+  if (contentType === 'text') return '';
+
+  const label = contentType.charAt(0).toUpperCase() + contentType.slice(1);
+  return content.sourceTitle ? `${label} from: ${content.sourceTitle}` : '';
 }
 
 /**
@@ -2342,6 +4102,8 @@ function getContentType(content) {
   const hasVideo = content.media && content.media.some(m => m.type === 'video');
   const isLinkType = content.contentType === 'link';
 
+  if (content.contentType === 'article') return 'article';
+  if (content.contentType === 'video' || content.contentType === 'audio') return content.contentType;
   if (hasTable) return 'table';
   if (hasImage) return 'image';
   if (hasVideo) return 'video';
@@ -2350,15 +4112,59 @@ function getContentType(content) {
   return 'text';
 }
 
+/**
+ * Format a playback position as m:ss or h:mm:ss
+ * @param {number} seconds - Position in seconds
+ * @returns {string} Formatted time
+ */
+function formatMediaTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Describe where a video/audio capture was saved ("Video at 1:23")
+ * @param {Object} content - Content object
+ * @returns {string} Label, or empty string for other items
+ */
+function getMediaTimestampLabel(content) {
+  if (content.mediaTimestamp === undefined) return '';
+  const kind = content.contentType === 'audio' ? 'Audio' : 'Video';
+  return `${kind} at ${formatMediaTimestamp(content.mediaTimestamp)}`;
+}
+
+/**
+ * Add the poster frame and timestamp link of a video/audio capture to copied HTML and text
+ * @param {Object} content - Content object
+ * @param {string|null} sourceUrl - Link to the capture's playback position
+ * @param {string[]} htmlParts - HTML output
+ * @param {string[]} textParts - Plain text output
+ */
+async function appendMediaCaptureHTML(content, sourceUrl, htmlParts, textParts) {
+  for (const frame of content.media.filter(m => m.type === 'image' && m.blob)) {
+    const base64 = await blobToBase64(frame.blob);
+    htmlParts.push(`<img src="${base64}" alt="${escapeHtml(frame.name || 'frame')}" style="max-width: 400px; height: auto; margin: 10px 0;" />`);
+  }
+
+  const label = getMediaTimestampLabel(content);
+  if (label && sourceUrl) {
+    htmlParts.push(`<p><a href="${sourceUrl}">${escapeHtml(label)}</a></p>`);
+    textParts.push(`${label}: ${sourceUrl}`);
+  }
+}
+
 /**
  * Format a single content item for copying
  */
 async function formatContentItem(content, format, index) {
   const contentType = getContentType(content);
-  const note = extractNote(content.text);
-  const sourceTitle = extractSourceTitle(content.text);
-  const mainText = extractMainContent(content.text);
-  const sourceUrl = content.links && content.links.length > 0 ? content.links[0] : null;
+  const note = content.note || null;
+  const sourceTitle = content.sourceTitle || null;
+  const mainText = (content.text || '').trim();
+  const sourceUrl = content.sourceUrl || (content.links && content.links.length > 0 ? content.links[0] : null);
   const date = new Date(content.modified || content.created).toLocaleDateString();
 
   let htmlParts = [];
@@ -2369,7 +4175,8 @@ async function formatContentItem(content, format, index) {
     const itemParts = [];
 
     // Opening tag with metadata
-    itemParts.push(`<item id="${index + 1}" type="${contentType}" date="${date}">`);
+    const tagsAttr = content.tags && content.tags.length > 0 ? ` tags="${content.tags.join(',')}"` : '';
+    itemParts.push(`<item id="${index + 1}" type="${contentType}" date="${date}"${tagsAttr}>`);
 
     // Content by type
     switch (contentType) {
@@ -2411,6 +4218,9 @@ async function formatContentItem(content, format, index) {
             itemParts.push(`[Video: ${v.name || 'video'}]`);
           });
         }
+        if (getMediaTimestampLabel(content) && sourceUrl) {
+          itemParts.push(`[${getMediaTimestampLabel(content)}: ${sourceUrl}]`);
+        }
         if (mainText) {
           itemParts.push('');
           itemParts.push(mainText);
@@ -2424,12 +4234,23 @@ async function formatContentItem(content, format, index) {
             itemParts.push(`[Audio: ${a.name || 'audio'}]`);
           });
         }
+        if (getMediaTimestampLabel(content) && sourceUrl) {
+          itemParts.push(`[${getMediaTimestampLabel(content)}: ${sourceUrl}]`);
+        }
         if (mainText) {
           itemParts.push('');
           itemParts.push(mainText);
         }
         break;
 
+      case 'article':
+        if (content.blocks) {
+          itemParts.push(articleToMarkdown(content));
+        } else {
+          itemParts.push(mainText || '[Empty item]');
+        }
+        break;
+
       case 'link':
         if (sourceUrl) {
           itemParts.push(sourceUrl);
@@ -2442,7 +4263,7 @@ async function formatContentItem(content, format, index) {
 
       default: // text
         if (mainText) {
-          itemParts.push(mainText);
+          itemParts.push((content.html && RichTextUtils.toMarkdown(content.html, { headingOffset: 2 })) || mainText);
         } else {
           itemParts.push('[Empty item]');
         }
@@ -2526,6 +4347,7 @@ async function formatContentItem(content, format, index) {
         htmlParts.push(`<p>[Video: ${escapeHtml(v.name || 'video')}]</p>`);
         textParts.push(`[Video: ${v.name || 'video'}]`);
       });
+      await appendMediaCaptureHTML(content, sourceUrl, htmlParts, textParts);
       if (mainText) {
         htmlParts.push(`<p>${escapeHtml(mainText)}</p>`);
         textParts.push(mainText);
@@ -2538,12 +4360,22 @@ async function formatContentItem(content, format, index) {
         htmlParts.push(`<p>[Audio: ${escapeHtml(a.name || 'audio')}]</p>`);
         textParts.push(`[Audio: ${a.name || 'audio'}]`);
       });
+      await appendMediaCaptureHTML(content, sourceUrl, htmlParts, textParts);
       if (mainText) {
         htmlParts.push(`<p>${escapeHtml(mainText)}</p>`);
         textParts.push(mainText);
       }
       break;
 
+    case 'article':
+      if (content.blocks) {
+        htmlParts.push(await articleToHTML(content));
+      } else if (mainText) {
+        htmlParts.push(`<p>${escapeHtml(mainText).replace(/\n/g, '<br>')}</p>`);
+      }
+      if (mainText) textParts.push(mainText);
+      break;
+
     case 'link':
       if (sourceUrl) {
         htmlParts.push(`<p><a href="${sourceUrl}">${escapeHtml(sourceUrl)}</a></p>`);
@@ -2556,7 +4388,10 @@ async function formatContentItem(content, format, index) {
       break;
 
     default: // text
-      if (mainText) {
+      if (content.html) {
+        htmlParts.push(RichTextUtils.sanitize(content.html));
+        textParts.push(mainText);
+      } else if (mainText) {
         htmlParts.push(`<p>${escapeHtml(mainText).replace(/\n/g, '<br>')}</p>`);
         textParts.push(mainText);
       }
@@ -2565,7 +4400,7 @@ async function formatContentItem(content, format, index) {
 
   // Add note if present
   if (note) {
-    htmlParts.push(`<p style="color: #666; font-style: italic;">Note: ${escapeHtml(note)}</p>`);
+    htmlParts.push(`<p style="color: #666; font-style: italic;">Note: ${escapeHtml(note).replace(/\n/g, '<br>')}</p>`);
     textParts.push(`\nNote: ${note}`);
   }
 
@@ -2581,6 +4416,12 @@ async function formatContentItem(content, format, index) {
     }
   }
 
+  if (format === 'full' && content.tags && content.tags.length > 0) {
+    const tagList = content.tags.map(tag => `#${tag}`).join(' ');
+    htmlParts.push(`<p style="color: #888; font-size: 12px;">Tags: ${escapeHtml(tagList)}</p>`);
+    textParts.push(`Tags: ${tagList}`);
+  }
+
   if (format === 'full') {
     htmlParts.push('</div>');
     textParts.push('\n---\n');
@@ -2592,36 +4433,70 @@ async function formatContentItem(content, format, index) {
   };
 }
 
+/**
+ * Get the active project's content in display order, optionally limited to a tag
+ * @param {string} [tag] - Only include items with this tag
+ * @returns {Object[]} Content objects
+ */
+function getContentForExport(tag = null) {
+  // Use cached content (already filtered by active project)
+  const allContent = tag
+    ? allContentCache.filter(c => (c.tags || []).includes(tag))
+    : [...allContentCache];
+
+  // Sort by order or modified date
+  return allContent.sort((a, b) => {
+    if (a.order !== undefined && b.order !== undefined) {
+      return a.order - b.order;
+    }
+    return (b.modified || b.created) - (a.modified || a.created);
+  });
+}
+
 /**
  * Copy all content to clipboard in the specified format
+ * @param {string} format - Copy format (full, content-notes, content-notes-source, ai-delimited)
+ * @param {string} [tag] - Only copy items with this tag
+ * @param {string} [citationStyle] - Append a bibliography in this style (apa, mla, chicago, bibtex)
  */
-async function copyAllContent(format) {
-  try {
-    // Use cached content (already filtered by active project)
-    const allContent = [...allContentCache];
+async function copyAllContent(format, tag = null, citationStyle = null) {
+  const allContent = getContentForExport(tag);
 
-    if (!allContent || allContent.length === 0) {
-      showCopyFeedback('No content to copy');
-      return;
-    }
+  if (!allContent || allContent.length === 0) {
+    showCopyFeedback(tag ? `No items tagged #${tag}` : 'No content to copy');
+    return;
+  }
 
-    // Sort by order or modified date
-    allContent.sort((a, b) => {
-      if (a.order !== undefined && b.order !== undefined) {
-        return a.order - b.order;
-      }
-      return (b.modified || b.created) - (a.modified || a.created);
-    });
+  await copyContentItems(allContent, format, citationStyle);
+}
+
+/**
+ * Copy content items to clipboard in the specified format
+ * @param {Object[]} allContent - Content objects, in output order
+ * @param {string} format - Copy format (full, content-notes, content-notes-source, ai-delimited)
+ * @param {string} [citationStyle] - Append a bibliography in this style (apa, mla, chicago, bibtex)
+ * @param {number[]} [indexes] - Item numbers passed to formatContentItem (defaults to the position in allContent)
+ */
+async function copyContentItems(allContent, format, citationStyle = null, indexes = allContent.map((_, i) => i)) {
+  try {
+    const bibliography = citationStyle
+      ? CitationUtils.formatBibliography(allContent, citationStyle)
+      : null;
+    const hasBibliography = bibliography && bibliography.count > 0;
 
     // AI delimited format - plain text only
     if (format === 'ai-delimited') {
       const textParts = [];
 
       for (let i = 0; i < allContent.length; i++) {
-        const formatted = await formatContentItem(allContent[i], format, i);
+        const formatted = await formatContentItem(allContent[i], format, indexes[i]);
         textParts.push(formatted.text);
       }
 
+      if (hasBibliography) {
+        textParts.push(`<sources style="${citationStyle}">\n${bibliography.text}\n</sources>`);
+      }
+
       const finalText = textParts.join('\n\n');
 
       // Copy plain text to clipboard
@@ -2636,7 +4511,7 @@ async function copyAllContent(format) {
 
     // Process each content item
     for (let i = 0; i < allContent.length; i++) {
-      const formatted = await formatContentItem(allContent[i], format, i);
+      const formatted = await formatContentItem(allContent[i], format, indexes[i]);
       htmlContent += formatted.html;
       plainText += formatted.text;
 
@@ -2647,6 +4522,11 @@ async function copyAllContent(format) {
       }
     }
 
+    if (hasBibliography) {
+      htmlContent += '<hr style="margin: 20px 0; border: none; border-top: 1px solid #ddd;" />' + bibliography.html;
+      plainText += '\n\n' + bibliography.text;
+    }
+
     htmlContent += '</body></html>';
 
     // Capture content as image for Word compatibility
@@ -2710,6 +4590,390 @@ async function copyAllContent(format) {
   }
 }
 
+// ============================================
+// Markdown Export
+// ============================================
+
+/**
+ * Escape parentheses so a URL can't end a Markdown link target early
+ */
+function toMarkdownUrl(url) {
+  return url.replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+/**
+ * Encode a relative path for use as a Markdown link target
+ */
+function toMarkdownPath(path) {
+  return toMarkdownUrl(encodeURI(path));
+}
+
+/**
+ * Escape characters that would end Markdown link text or alt text
+ */
+function escapeMarkdownLinkText(text) {
+  return String(text).replace(/([\[\]\\])/g, '\\$1').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Format a footnote definition (continuation lines are indented)
+ */
+function formatMarkdownFootnote(id, text) {
+  return `[^${id}]: ${text.replace(/\n/g, '\n    ')}`;
+}
+
+/**
+ * Build a Markdown section for one content item
+ * @param {Object} content - Content object
+ * @param {number} index - Item index (used in headings and asset names)
+ * @param {Object} context - Shared export state
+ * @param {Array<{name: string, data: Blob}>} context.assets - Asset files to write
+ * @param {string[]} context.footnotes - Footnote definitions
+ * @returns {string} Markdown
+ */
+function formatContentItemMarkdown(content, index, context) {
+  const contentType = getContentType(content);
+  const mainText = (content.text || '').trim();
+  const sourceUrl = content.sourceUrl || (content.links && content.links.length > 0 ? content.links[0] : null);
+  const media = content.media || [];
+  const parts = [];
+
+  // Write every blob to assets/ and remember its relative path
+  const assetPaths = new Map();
+  media.forEach((m, mediaIndex) => {
+    if (m.type !== 'table' && m.blob) {
+      const path = ArchiveUtils.getMediaPath(m, index, mediaIndex, 'assets/');
+      context.assets.push({ name: path, data: m.blob, compress: !ArchiveUtils.isCompressedMimeType(m.mimeType) });
+      assetPaths.set(m, path);
+    }
+  });
+
+  // Heading with footnote references for source and note
+  const firstLine = mainText.split('\n')[0];
+  let heading = content.sourceTitle ||
+    (firstLine ? firstLine.substring(0, 60) + (firstLine.length > 60 ? '...' : '') : `Item ${index + 1}`);
+  heading = heading.replace(/\s+/g, ' ').replace(/^#+\s*/, '');
+
+  const footnoteRefs = [];
+  if (sourceUrl || content.sourceTitle) {
+    const id = context.footnotes.length + 1;
+    const sourceText = sourceUrl
+      ? `Source: [${escapeMarkdownLinkText(content.sourceTitle || sourceUrl)}](${toMarkdownUrl(sourceUrl)})`
+      : `Source: ${content.sourceTitle}`;
+    context.footnotes.push(formatMarkdownFootnote(id, sourceText));
+    footnoteRefs.push(`[^${id}]`);
+  }
+  if (content.note) {
+    const id = context.footnotes.length + 1;
+    context.footnotes.push(formatMarkdownFootnote(id, `Note: ${content.note}`));
+    footnoteRefs.push(`[^${id}]`);
+  }
+  parts.push(`## ${index + 1}. ${heading}${footnoteRefs.join('')}`);
+
+  switch (contentType) {
+    case 'table': {
+      const table = media.find(m => m.type === 'table');
+      const imagePaths = new Map();
+      media.forEach(m => {
+        if (m.tableImageIndex !== undefined && assetPaths.has(m)) {
+          imagePaths.set(m.tableImageIndex, assetPaths.get(m));
+        }
+      });
+      if (table && table.data) {
+        parts.push(tableToMarkdown(table.data, imagePaths));
+      }
+      // Images that aren't placed in a cell
+      media.filter(m => m.type === 'image' && m.tableImageIndex === undefined && assetPaths.has(m)).forEach(m => {
+        parts.push(`![${escapeMarkdownLinkText(m.name || 'image')}](${toMarkdownPath(assetPaths.get(m))})`);
+      });
+      if (mainText) parts.push(mainText);
+      break;
+    }
+
+    case 'link':
+      if (sourceUrl) {
+        parts.push(`[${escapeMarkdownLinkText(mainText || sourceUrl)}](${toMarkdownUrl(sourceUrl)})`);
+      } else if (mainText) {
+        parts.push(mainText);
+      }
+      media.filter(m => m.type === 'image' && assetPaths.has(m)).forEach(m => {
+        parts.push(`![${escapeMarkdownLinkText(m.name || 'image')}](${toMarkdownPath(assetPaths.get(m))})`);
+      });
+      break;
+
+    case 'article':
+      if (content.blocks) {
+        parts.push(articleToMarkdown(content, assetPaths));
+        break;
+      }
+      // Edited articles lose their blocks and are exported as text
+      // falls through
+
+    default:
+      if (content.html) {
+        parts.push(RichTextUtils.toMarkdown(content.html, { headingOffset: 2 }) || mainText);
+      } else if (mainText) {
+        parts.push(mainText);
+      }
+      if (getMediaTimestampLabel(content) && sourceUrl) {
+        parts.push(`[${getMediaTimestampLabel(content)}](${toMarkdownUrl(sourceUrl)})`);
+      }
+      media.filter(m => assetPaths.has(m)).forEach(m => {
+        const path = toMarkdownPath(assetPaths.get(m));
+        const label = escapeMarkdownLinkText(m.name || m.type);
+        parts.push(m.type === 'image' ? `![${label}](${path})` : `[${m.type === 'video' ? 'Video' : 'Audio'}: ${label}](${path})`);
+      });
+      break;
+  }
+
+  if (content.tags && content.tags.length > 0) {
+    parts.push(content.tags.map(tag => `#${tag}`).join(' '));
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Download the active project as a Markdown document with an assets folder (zipped)
+ * @param {string} [tag] - Only export items with this tag
+ */
+async function downloadMarkdownExport(tag = null) {
+  try {
+    const allContent = getContentForExport(tag);
+
+    if (allContent.length === 0) {
+      showCopyFeedback(tag ? `No items tagged #${tag}` : 'No content to export');
+      return;
+    }
+
+    const project = await DBUtils.getProject(await getActiveProjectId());
+    const projectName = project ? project.name : 'Content';
+    const folder = ArchiveUtils.sanitizeFileName(projectName, 'content') + (tag ? `-${tag}` : '');
+    const context = { assets: [], footnotes: [] };
+
+    const sections = allContent.map((content, i) => formatContentItemMarkdown(content, i, context));
+
+    const date = new Date().toLocaleDateString();
+    let markdown = `# ${projectName}${tag ? ` #${tag}` : ''}\n\n` +
+      `_Exported ${date} · ${allContent.length} item${allContent.length > 1 ? 's' : ''}_\n\n` +
+      sections.join('\n\n---\n\n') + '\n';
+    if (context.footnotes.length > 0) {
+      markdown += '\n' + context.footnotes.join('\n') + '\n';
+    }
+
+    // Assets are referenced relative to the .md file inside the folder
+    const files = [
+      { name: `${folder}/${folder}.md`, data: markdown },
+      ...context.assets.map(asset => ({ ...asset, name: `${folder}/${asset.name}` }))
+    ];
+    const blob = await ZipUtils.createZip(files);
+    downloadBlob(blob, `${folder}-markdown.zip`);
+
+    showCopyFeedback(`Exported ${allContent.length} item${allContent.length > 1 ? 's' : ''} as Markdown`);
+  } catch (error) {
+    console.error('Markdown export failed:', error);
+    showCopyFeedback('Markdown export failed', true);
+  }
+}
+
+// ============================================
+// End Markdown Export
+// ============================================
+
+// ============================================
+// Word (.docx) Export
+// ============================================
+
+/**
+ * Build Word XML for the blocks of an article capture
+ * @param {Object} content - Content object with blocks
+ * @param {Object} docx - DocxUtils context
+ * @returns {Promise<string>} Paragraph/table XML
+ */
+async function articleToDocx(content, docx) {
+  const media = content.media || [];
+  const mediaById = new Map(media.map(m => [m.id, m]));
+  const tableImages = new Map(media
+    .filter(m => m.type === 'image' && m.tableImageIndex !== undefined)
+    .map(m => [m.tableImageIndex, m]));
+  const parts = [];
+
+  for (const block of content.blocks) {
+    switch (block.type) {
+      case 'heading':
+        // Below the item's Heading2
+        parts.push(DocxUtils.heading(block.text, 3));
+        break;
+
+      case 'list':
+        block.items.forEach((item, i) => {
+          parts.push(DocxUtils.paragraph(`${block.ordered ? `${i + 1}.` : '•'} ${item}`));
+        });
+        break;
+
+      case 'quote':
+        parts.push(DocxUtils.paragraph(block.text, { format: { italic: true, color: '555555' } }));
+        break;
+
+      case 'image': {
+        const img = mediaById.get(block.mediaId);
+        if (img && img.blob) {
+          parts.push(await DocxUtils.image(docx, img.blob, { width: img.width, height: img.height, name: img.name }));
+        }
+        if (block.caption) {
+          parts.push(DocxUtils.paragraph(block.caption, { format: { italic: true, color: '666666', size: 9 } }));
+        }
+        break;
+      }
+
+      case 'table': {
+        const table = mediaById.get(block.mediaId);
+        if (table && table.data) {
+          parts.push(await DocxUtils.table(docx, table.data, tableImages));
+        }
+        break;
+      }
+
+      default:
+        parts.push(DocxUtils.paragraph(block.text));
+        break;
+    }
+  }
+
+  return parts.join('');
+}
+
+/**
+ * Build Word XML for one content item, mirroring formatContentItem's "full" format
+ * @param {Object} content - Content object
+ * @param {number} index - Item index
+ * @param {Object} docx - DocxUtils context
+ * @returns {Promise<string>} Paragraph/table XML
+ */
+async function formatContentItemDocx(content, index, docx) {
+  const contentType = getContentType(content);
+  const note = content.note || null;
+  const sourceTitle = content.sourceTitle || null;
+  const mainText = (content.text || '').trim();
+  const sourceUrl = content.sourceUrl || (content.links && content.links.length > 0 ? content.links[0] : null);
+  const date = new Date(content.modified || content.created).toLocaleDateString();
+  const media = content.media || [];
+  const parts = [];
+
+  parts.push(DocxUtils.heading(`[${contentType.toUpperCase()}] Item #${index + 1} - ${date}`, 2));
+
+  switch (contentType) {
+    case 'table': {
+      const table = media.find(m => m.type === 'table');
+      const tableImages = new Map(media
+        .filter(m => m.type === 'image' && m.tableImageIndex !== undefined)
+        .map(m => [m.tableImageIndex, m]));
+      if (table && table.data) {
+        parts.push(await DocxUtils.table(docx, table.data, tableImages));
+      }
+      break;
+    }
+
+    case 'image':
+      for (const img of media.filter(m => m.type === 'image' && m.blob)) {
+        parts.push(await DocxUtils.image(docx, img.blob, { width: img.width, height: img.height, name: img.name }));
+      }
+      if (mainText) parts.push(DocxUtils.paragraph(mainText));
+      break;
+
+    case 'video':
+    case 'audio': {
+      const label = contentType === 'video' ? 'Video' : 'Audio';
+      for (const frame of media.filter(m => m.type === 'image' && m.blob)) {
+        parts.push(await DocxUtils.image(docx, frame.blob, { width: frame.width, height: frame.height, name: frame.name }));
+      }
+      media.filter(m => m.type === contentType).forEach(m => {
+        parts.push(DocxUtils.paragraph(`[${label}: ${m.name || contentType}]`));
+      });
+      if (getMediaTimestampLabel(content) && sourceUrl) {
+        parts.push(DocxUtils.paragraph([DocxUtils.hyperlink(docx, sourceUrl, getMediaTimestampLabel(content))]));
+      }
+      if (mainText) parts.push(DocxUtils.paragraph(mainText));
+      break;
+    }
+
+    case 'article':
+      if (content.blocks) {
+        parts.push(await articleToDocx(content, docx));
+      } else if (mainText) {
+        parts.push(DocxUtils.paragraph(mainText));
+      }
+      break;
+
+    case 'link':
+      if (sourceUrl) {
+        parts.push(DocxUtils.paragraph([DocxUtils.hyperlink(docx, sourceUrl, sourceUrl)]));
+      }
+      if (mainText) parts.push(DocxUtils.paragraph(mainText));
+      break;
+
+    default: // text
+      if (mainText) parts.push(DocxUtils.paragraph(mainText));
+      break;
+  }
+
+  if (note) {
+    parts.push(DocxUtils.paragraph(`Note: ${note}`, { format: { italic: true, color: '666666' } }));
+  }
+
+  const metaFormat = { color: '888888', size: 9 };
+  if (sourceTitle) {
+    parts.push(DocxUtils.paragraph(`Source: ${sourceTitle}`, { format: metaFormat }));
+  }
+  if (sourceUrl) {
+    parts.push(DocxUtils.paragraph([DocxUtils.run('URL: ', metaFormat), DocxUtils.hyperlink(docx, sourceUrl, sourceUrl)]));
+  }
+  if (content.tags && content.tags.length > 0) {
+    parts.push(DocxUtils.paragraph(`Tags: ${content.tags.map(tag => `#${tag}`).join(' ')}`, { format: metaFormat }));
+  }
+
+  return parts.join('');
+}
+
+/**
+ * Download the active project as a Word document
+ * @param {string} [tag] - Only export items with this tag
+ */
+async function downloadDocxExport(tag = null) {
+  try {
+    const allContent = getContentForExport(tag);
+
+    if (allContent.length === 0) {
+      showCopyFeedback(tag ? `No items tagged #${tag}` : 'No content to export');
+      return;
+    }
+
+    showCopyFeedback('Preparing Word document...');
+
+    const project = await DBUtils.getProject(await getActiveProjectId());
+    const projectName = project ? project.name : 'Content';
+    const docx = DocxUtils.createContext();
+    const body = [DocxUtils.heading(`${projectName}${tag ? ` #${tag}` : ''}`, 0)];
+
+    for (let i = 0; i < allContent.length; i++) {
+      body.push(await formatContentItemDocx(allContent[i], i, docx));
+    }
+
+    const blob = await DocxUtils.createDocx(docx, body.join(''));
+    const fileName = ArchiveUtils.sanitizeFileName(projectName, 'content') + (tag ? `-${tag}` : '');
+    downloadBlob(blob, `${fileName}.docx`);
+
+    showCopyFeedback(`Exported ${allContent.length} item${allContent.length > 1 ? 's' : ''} to Word`);
+  } catch (error) {
+    console.error('Word export failed:', error);
+    showCopyFeedback('Word export failed', true);
+  }
+}
+
+// ============================================
+// End Word (.docx) Export
+// ============================================
+
 /**
  * Show copy success/error feedback toast
  */
@@ -0,0 +1,318 @@
+/**
+ * Shared Rich Text Utilities
+ * Used by both content-script.js and popup.js
+ *
+ * Text selections keep their formatting (headings, bold, lists, links, code, quotes)
+ * as HTML in the content item's "html" field, next to the plain text. The HTML is
+ * reduced to a safe subset when it is captured and again before it is displayed or copied.
+ */
+
+const RichTextUtils = {
+  // Tags kept in captured HTML, with the attributes each may keep
+  ALLOWED_TAGS: new Map([
+    ['h1', []], ['h2', []], ['h3', []], ['h4', []], ['h5', []], ['h6', []],
+    ['p', []], ['br', []], ['hr', []], ['pre', []], ['blockquote', []],
+    ['ul', []], ['ol', ['start']], ['li', []],
+    ['b', []], ['strong', []], ['i', []], ['em', []], ['u', []], ['s', []], ['del', []],
+    ['mark', []], ['sub', []], ['sup', []], ['code', []], ['a', ['href']],
+    ['table', []], ['thead', []], ['tbody', []], ['tr', []],
+    ['th', ['colspan', 'rowspan']], ['td', ['colspan', 'rowspan']]
+  ]),
+
+  // Tags removed together with their content (images and media are captured separately)
+  DROPPED_TAGS: new Set([
+    'script', 'style', 'noscript', 'template', 'iframe', 'frame', 'object', 'embed', 'svg', 'math',
+    'canvas', 'img', 'picture', 'video', 'audio', 'source', 'track', 'map', 'form', 'input', 'button',
+    'select', 'textarea', 'head', 'title', 'meta', 'link', 'base'
+  ]),
+
+  // Other block containers become paragraphs (or are unwrapped when they hold blocks themselves)
+  BLOCK_SELECTOR: 'address, article, aside, blockquote, dd, div, dl, dt, figcaption, figure, footer, h1, h2, h3, h4, h5, h6, ' +
+    'header, hr, li, main, nav, ol, p, pre, section, table, ul',
+
+  // Larger selections are stored as plain text only
+  MAX_HTML_LENGTH: 200000,
+
+  /**
+   * Reduce HTML to the allowed tags and attributes
+   * Parsing happens in an inert document, so scripts don't run and nothing is fetched.
+   * @param {string|Node} source - HTML string, element or fragment
+   * @param {string} [baseUrl] - URL relative links are resolved against
+   * @returns {string} Sanitized HTML
+   */
+  sanitize(source, baseUrl = '') {
+    const doc = document.implementation.createHTMLDocument('');
+    let root = source;
+    if (typeof source === 'string') {
+      root = doc.createElement('div');
+      root.innerHTML = source;
+    }
+
+    const output = doc.createElement('div');
+    this._appendClean(output, root, baseUrl);
+    return output.innerHTML.trim();
+  },
+
+  /**
+   * Copy the allowed parts of a node's children into a clean parent
+   * @param {Element} parent - Element in the output document
+   * @param {Node} source - Node whose children are copied
+   * @param {string} baseUrl - URL relative links are resolved against
+   * @private
+   */
+  _appendClean(parent, source, baseUrl) {
+    const doc = parent.ownerDocument;
+
+    for (const node of source.childNodes) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        parent.appendChild(doc.createTextNode(node.textContent));
+        continue;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) continue;
+
+      let tag = node.tagName.toLowerCase();
+      if (this.DROPPED_TAGS.has(tag)) continue;
+
+      if (!this.ALLOWED_TAGS.has(tag)) {
+        if (!node.matches(this.BLOCK_SELECTOR) || node.querySelector(this.BLOCK_SELECTOR)) {
+          // Unknown inline wrapper (span, font...) or container of blocks: keep only its content
+          this._appendClean(parent, node, baseUrl);
+          continue;
+        }
+        tag = 'p';
+      }
+
+      const clean = doc.createElement(tag);
+      for (const name of this.ALLOWED_TAGS.get(tag)) {
+        const value = node.getAttribute(name);
+        if (value === null) continue;
+
+        if (name === 'href') {
+          const url = this.sanitizeUrl(value, baseUrl);
+          if (url) clean.setAttribute('href', url);
+        } else if (/^\d{1,4}$/.test(value)) {
+          clean.setAttribute(name, value);
+        }
+      }
+
+      // Links to anything but web and mail addresses keep only their text
+      if (tag === 'a' && !clean.hasAttribute('href')) {
+        this._appendClean(parent, node, baseUrl);
+        continue;
+      }
+
+      this._appendClean(clean, node, baseUrl);
+
+      // Drop elements left empty (e.g. a link around a removed image)
+      if (!clean.hasChildNodes() && !['br', 'hr', 'td', 'th'].includes(tag)) continue;
+      parent.appendChild(clean);
+    }
+  },
+
+  /**
+   * Resolve a link target and allow only web and mail links
+   * @param {string} value - href attribute
+   * @param {string} [baseUrl] - URL relative links are resolved against
+   * @returns {string|null} Absolute URL or null
+   */
+  sanitizeUrl(value, baseUrl = '') {
+    try {
+      const url = baseUrl ? new URL(value, baseUrl) : new URL(value);
+      return ['http:', 'https:', 'mailto:'].includes(url.protocol) ? url.href : null;
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * Check whether sanitized HTML carries formatting beyond line breaks
+   * @param {string} html - Sanitized HTML
+   * @returns {boolean} True if storing the HTML adds something to the plain text
+   */
+  hasFormatting(html) {
+    return /<(?!br\b)[a-z]/i.test(html);
+  },
+
+  /**
+   * Capture the HTML of the current selection
+   * Elements the selection starts inside of (a list item, a heading, a bold run) are
+   * re-created around it so partial selections keep their formatting.
+   * @param {Selection} selection - Page selection
+   * @returns {string} Sanitized HTML, or empty string if the selection is plain text
+   */
+  fromSelection(selection) {
+    if (!selection || selection.rangeCount === 0) return '';
+
+    const container = document.createElement('div');
+    for (let i = 0; i < selection.rangeCount; i++) {
+      const range = selection.getRangeAt(i);
+      let fragment = range.cloneContents();
+
+      let ancestor = range.commonAncestorContainer;
+      if (ancestor.nodeType !== Node.ELEMENT_NODE) ancestor = ancestor.parentElement;
+      while (ancestor && ancestor !== document.body && ancestor !== document.documentElement) {
+        if (this.ALLOWED_TAGS.has(ancestor.tagName.toLowerCase())) {
+          const wrapper = ancestor.cloneNode(false);
+          wrapper.appendChild(fragment);
+          fragment = wrapper;
+        }
+        ancestor = ancestor.parentElement;
+      }
+
+      container.appendChild(fragment);
+    }
+
+    const html = this.sanitize(container, document.baseURI);
+    return html.length <= this.MAX_HTML_LENGTH && this.hasFormatting(html) ? html : '';
+  },
+
+  /**
+   * Convert captured HTML to Markdown
+   * @param {string} html - Captured HTML (sanitized again before conversion)
+   * @param {Object} [options]
+   * @param {number} [options.headingOffset=0] - Levels added to headings (to nest them below an item heading)
+   * @returns {string} Markdown
+   */
+  toMarkdown(html, { headingOffset = 0 } = {}) {
+    const doc = document.implementation.createHTMLDocument('');
+    const root = doc.createElement('div');
+    root.innerHTML = this.sanitize(html);
+
+    return this._blocksToMarkdown(root, headingOffset).join('\n\n').replace(/\n{3,}/g, '\n\n').trim();
+  },
+
+  /**
+   * Convert the children of an element to Markdown blocks
+   * @param {Element} element - Container
+   * @param {number} headingOffset - Levels added to headings
+   * @returns {string[]} Markdown blocks
+   * @private
+   */
+  _blocksToMarkdown(element, headingOffset) {
+    const blocks = [];
+    let inline = '';
+    const flushInline = () => {
+      const text = inline.replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').trim();
+      if (text) blocks.push(text);
+      inline = '';
+    };
+
+    for (const node of element.childNodes) {
+      const tag = node.nodeType === Node.ELEMENT_NODE ? node.tagName.toLowerCase() : '';
+      if (!tag || !/^(h[1-6]|p|pre|blockquote|ul|ol|table|hr)$/.test(tag)) {
+        inline += this._inlineToMarkdown(node);
+        continue;
+      }
+
+      flushInline();
+
+      if (tag[0] === 'h' && tag !== 'hr') {
+        const level = Math.min(parseInt(tag[1]) + headingOffset, 6);
+        blocks.push(`${'#'.repeat(level)} ${this._inlineToMarkdown(node).replace(/\s+/g, ' ').trim()}`);
+      } else if (tag === 'p') {
+        inline = this._inlineToMarkdown(node);
+        flushInline();
+      } else if (tag === 'pre') {
+        blocks.push('```\n' + node.textContent.replace(/\n$/, '') + '\n```');
+      } else if (tag === 'blockquote') {
+        const quote = this._blocksToMarkdown(node, headingOffset).join('\n\n');
+        blocks.push(quote.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n'));
+      } else if (tag === 'ul' || tag === 'ol') {
+        blocks.push(this._listToMarkdown(node, headingOffset));
+      } else if (tag === 'table') {
+        blocks.push(this._tableToMarkdown(node));
+      } else {
+        blocks.push('---');
+      }
+    }
+
+    flushInline();
+    return blocks;
+  },
+
+  /**
+   * Convert inline content to Markdown
+   * @param {Node} node - Text node or inline element
+   * @returns {string} Markdown
+   * @private
+   */
+  _inlineToMarkdown(node) {
+    if (node.nodeType === Node.TEXT_NODE) return node.textContent.replace(/\s+/g, ' ');
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+    const tag = node.tagName.toLowerCase();
+    if (tag === 'br') return '\n';
+
+    const content = [...node.childNodes].map(child => this._inlineToMarkdown(child)).join('');
+    if (!content.trim()) return content;
+
+    // Keep surrounding spaces outside the markers ("** bold**" isn't bold in Markdown)
+    const wrap = marker => content.replace(/^(\s*)([\s\S]*?)(\s*)$/, `$1${marker}$2${marker}$3`);
+    switch (tag) {
+      case 'b':
+      case 'strong':
+        return wrap('**');
+      case 'i':
+      case 'em':
+        return wrap('*');
+      case 's':
+      case 'del':
+        return wrap('~~');
+      case 'code':
+        return wrap('`');
+      case 'a': {
+        const href = node.getAttribute('href');
+        return href ? `[${content.trim()}](${href.replace(/\(/g, '%28').replace(/\)/g, '%29')})` : content;
+      }
+      default:
+        return content;
+    }
+  },
+
+  /**
+   * Convert a list to Markdown (nested lists are indented below their item)
+   * @param {Element} list - ul or ol element
+   * @param {number} headingOffset - Levels added to headings
+   * @returns {string} Markdown
+   * @private
+   */
+  _listToMarkdown(list, headingOffset) {
+    const ordered = list.tagName.toLowerCase() === 'ol';
+    let number = parseInt(list.getAttribute('start')) || 1;
+
+    return [...list.children]
+      .filter(item => item.tagName.toLowerCase() === 'li')
+      .map(item => {
+        const marker = ordered ? `${number++}.` : '-';
+        const content = this._blocksToMarkdown(item, headingOffset).join('\n');
+        return `${marker} ${content.split('\n').join('\n' + ' '.repeat(marker.length + 1))}`;
+      })
+      .join('\n');
+  },
+
+  /**
+   * Convert a table to a Markdown table (first row is the header)
+   * @param {Element} table - table element
+   * @returns {string} Markdown
+   * @private
+   */
+  _tableToMarkdown(table) {
+    const rows = [...table.querySelectorAll('tr')].map(row => [...row.children].map(cell =>
+      this._inlineToMarkdown(cell).replace(/\s+/g, ' ').trim().replace(/\|/g, '\\|')));
+    if (rows.length === 0) return '';
+
+    const columnCount = Math.max(...rows.map(row => row.length), 1);
+    const formatRow = row => `| ${Array.from({ length: columnCount }, (_, i) => row[i] || '').join(' | ')} |`;
+
+    return [
+      formatRow(rows[0]),
+      formatRow(Array(columnCount).fill('----------')),
+      ...rows.slice(1).map(formatRow)
+    ].join('\n');
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RichTextUtils;
+}
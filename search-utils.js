@@ -0,0 +1,194 @@
+/**
+ * Search Query Utilities
+ * Parses the popup search box syntax and evaluates filters against content objects
+ *
+ * Query syntax:
+ * - Free text:   climate policy        (ranked through the full-text index)
+ * - Filters:     type:table  source:nytimes.com  has:note  project:"Thesis"  tag:chapter-2
+ *                before:2026-01-01  after:2025-06-01  updated-before:...  updated-after:...
+ * - Negation:    -type:image  -has:link  -draft
+ * - Scope:       in:all                (search every project)
+ */
+
+const SearchUtils = {
+  // Supported filter keys
+  FILTER_KEYS: ['type', 'source', 'has', 'project', 'tag', 'before', 'after', 'updated-before', 'updated-after', 'in'],
+
+  // Splits a query into optional "-", optional "key:", then a quoted or bare value
+  TOKEN_PATTERN: /(-?)(?:([a-z][a-z-]*):)?(?:"([^"]*)"?|(\S+))/gi,
+
+  /**
+   * Parse a search query into free text, negated terms and filters
+   * @param {string} query - Raw search box value
+   * @returns {{text: string, excludedTerms: string[], filters: Array<{key: string, value: string, negate: boolean}>, allProjects: boolean}}
+   */
+  parseQuery(query) {
+    const parsed = {
+      text: '',
+      excludedTerms: [],
+      filters: [],
+      allProjects: false
+    };
+    const textParts = [];
+
+    for (const match of (query || '').matchAll(this.TOKEN_PATTERN)) {
+      const negate = match[1] === '-';
+      const key = match[2] ? match[2].toLowerCase() : null;
+      const value = match[3] !== undefined ? match[3] : match[4];
+
+      if (key && this.FILTER_KEYS.includes(key)) {
+        if (key === 'in') {
+          parsed.allProjects = value.toLowerCase() === 'all';
+        } else if (value) {
+          parsed.filters.push({ key, value, negate });
+        }
+        continue;
+      }
+
+      // Unknown keys (e.g. "http://...") are treated as plain text
+      const text = key ? match[0].replace(/^-/, '') : value;
+      if (negate) {
+        parsed.excludedTerms.push(...DBUtils.tokenize(text, { keepStopWords: true }));
+      } else {
+        textParts.push(text);
+      }
+    }
+
+    parsed.text = textParts.join(' ').trim();
+
+    // A project filter implies searching beyond the active project
+    if (parsed.filters.some(f => f.key === 'project')) {
+      parsed.allProjects = true;
+    }
+
+    return parsed;
+  },
+
+  /**
+   * Parse a YYYY-MM-DD (or any Date-parsable) value to a local-midnight timestamp
+   * @param {string} value - Date string
+   * @returns {number|null} Timestamp or null if invalid
+   */
+  parseDate(value) {
+    const isoMatch = value.match(/^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?$/);
+    const date = isoMatch
+      ? new Date(Number(isoMatch[1]), Number(isoMatch[2]) - 1, Number(isoMatch[3] || 1))
+      : new Date(value);
+    return isNaN(date.getTime()) ? null : date.getTime();
+  },
+
+  /**
+   * Get the hostname of a URL without "www."
+   * @param {string} url - URL
+   * @returns {string} Hostname or empty string
+   */
+  getHostname(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+    } catch {
+      return '';
+    }
+  },
+
+  /**
+   * Check whether a content item has a user note
+   * @param {Object} content - Content object
+   * @returns {boolean}
+   */
+  hasNote(content) {
+    return !!(content.note && content.note.trim());
+  },
+
+  /**
+   * Evaluate a single filter (ignoring negation)
+   * @param {Object} content - Content object
+   * @param {{key: string, value: string}} filter - Filter
+   * @param {Object[]} projects - All projects (for project:"Name")
+   * @returns {boolean}
+   */
+  matchesFilter(content, filter, projects) {
+    const value = filter.value.toLowerCase();
+    const media = content.media || [];
+    const links = content.links || [];
+
+    switch (filter.key) {
+      case 'type':
+        if (value === 'text') {
+          return media.length === 0 && !content.contentType;
+        }
+        return content.contentType === value || media.some(m => m.type === value);
+
+      case 'source': {
+        const domain = value.replace(/^www\./, '');
+        return links.some(link => {
+          const hostname = this.getHostname(link);
+          return hostname === domain || hostname.endsWith('.' + domain) ||
+            (!domain.includes('.') && hostname.includes(domain));
+        });
+      }
+
+      case 'has':
+        switch (value) {
+          case 'note': return this.hasNote(content);
+          case 'link':
+          case 'links': return links.length > 0;
+          case 'media': return media.some(m => m.type !== 'table');
+          case 'tag':
+          case 'tags': return (content.tags || []).length > 0;
+          case 'image':
+          case 'images': return media.some(m => m.type === 'image');
+          default: return media.some(m => m.type === value);
+        }
+
+      case 'tag':
+        return (content.tags || []).includes(DBUtils.normalizeTag(value));
+
+      case 'project': {
+        if (value === '*' || value === 'all') return true;
+        const project = projects.find(p => p.name.toLowerCase() === value) ||
+          projects.find(p => p.name.toLowerCase().includes(value));
+        return !!project && content.projectId === project.key;
+      }
+
+      case 'before':
+      case 'after':
+      case 'updated-before':
+      case 'updated-after': {
+        const timestamp = this.parseDate(filter.value);
+        if (timestamp === null) return true; // Ignore unparseable dates
+        const field = filter.key.startsWith('updated') ? content.modified : content.created;
+        // "before" excludes the given day, "after" includes it
+        return filter.key.endsWith('before') ? field < timestamp : field >= timestamp;
+      }
+
+      default:
+        return true;
+    }
+  },
+
+  /**
+   * Check whether a content item satisfies all filters and excluded terms
+   * @param {Object} content - Content object
+   * @param {Object} parsed - Result of parseQuery
+   * @param {Object[]} [projects] - All projects (for project:"Name")
+   * @returns {boolean}
+   */
+  matches(content, parsed, projects = []) {
+    const filtersPass = parsed.filters.every(filter =>
+      this.matchesFilter(content, filter, projects) !== filter.negate
+    );
+    if (!filtersPass) return false;
+
+    if (parsed.excludedTerms.length > 0) {
+      const terms = DBUtils.tokenize(DBUtils.getSearchableText(content), { keepStopWords: true });
+      return !parsed.excludedTerms.some(excluded => terms.some(term => term.startsWith(excluded)));
+    }
+
+    return true;
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchUtils;
+}
@@ -0,0 +1,778 @@
+/**
+ * Table Utilities
+ * Used by both content-script.js (extraction) and popup.js (preview, copy and export)
+ *
+ * Tables are read from <table> elements, ARIA tables and grids, definition lists and
+ * CSS grid or flex layouts; all of them are stored in the same format.
+ *
+ * Table Media Data (media.data of a "table" media item):
+ * {
+ *   "headers": ["Region", "Revenue / 2023", "Revenue / 2024"],   (one label per column)
+ *   "rows": [["North", "1,200", "1,450"], ...],                   (body and footer rows, spans expanded)
+ *   "caption": "Quarterly results" (optional),
+ *   "sections": {                                                 (optional, cell model of the captured table)
+ *     "head": [[{ "text": "Region", "rowspan": 2, "header": true }, { "text": "Revenue", "colspan": 2, "header": true }], ...],
+ *     "body": [[{ "text": "North", "header": true }, { "text": "1,200", "number": 1200 },
+ *               { "text": "Report", "links": [{ "text": "Report", "href": "https://example.com/r" }] }], ...],
+ *     "foot": [...]
+ *   }
+ * }
+ *
+ * Cells hold their text ({{img:N}} placeholders mark embedded images), spans, whether they
+ * are header cells, links, the parsed value of numeric text and nested tables ("table").
+ * "headers" and "rows" are always stored too, so tables captured before the cell model
+ * existed and code that only needs plain values keep working.
+ */
+
+const TableUtils = {
+  // Tables nested deeper than this are kept as text
+  MAX_NESTING_DEPTH: 3,
+
+  // Spans larger than this are treated as the HTML maximum (browsers clamp them too)
+  MAX_COLSPAN: 1000,
+  MAX_ROWSPAN: 65534,
+
+  // Numbers as tables show them: 1,234.5  -12%  $3.50  (1,200)  −4
+  NUMBER_PATTERN: /^(\()?([-+−])?\s*([$€£¥₹])?\s*(\d{1,3}(?:,\d{3})+|\d*)(\.\d+)?\s*(%)?(\))?$/,
+
+  // Elements with table semantics besides <table> (ARIA tables and grids, definition lists)
+  ARIA_TABLE_SELECTOR: '[role="table"], [role="grid"], [role="treegrid"]',
+  ARIA_CELL_SELECTOR: '[role="cell"], [role="gridcell"], [role="columnheader"], [role="rowheader"]',
+
+  // Tables laid out with CSS (no table markup) need this many rows, with cells of at most this much text
+  MIN_LAYOUT_ROWS: 3,
+  MAX_LAYOUT_CELL_LENGTH: 200,
+
+  // Ancestors of the hovered element checked for a CSS grid or flex table
+  LAYOUT_SEARCH_DEPTH: 4,
+
+  // Whether an element was found to be a CSS grid or flex table (checked on every hover)
+  _layoutCache: new WeakMap(),
+
+  /**
+   * Find the table the hovered element belongs to
+   * Besides <table>, this finds ARIA tables and grids (role="table"/"grid"/"treegrid"),
+   * definition lists (<dl>) and tables built from CSS grid or flex rows.
+   * @param {Element} target - Hovered element
+   * @returns {Element|null} Table element
+   */
+  findTableElement(target) {
+    if (!(target instanceof Element)) return null;
+
+    const table = target.closest(`table, ${this.ARIA_TABLE_SELECTOR}, dl`);
+    if (table) return table;
+
+    let element = target;
+    for (let i = 0; element && i < this.LAYOUT_SEARCH_DEPTH; i++, element = element.parentElement) {
+      if (element === document.body || element === document.documentElement) break;
+      if (!this._layoutCache.has(element)) {
+        this._layoutCache.set(element, this._getLayoutRows(element) !== null);
+      }
+      if (this._layoutCache.get(element)) return element;
+    }
+    return null;
+  },
+
+  /**
+   * Count the rows of a table element (header rows included)
+   * @param {Element} element - Element returned by findTableElement
+   * @returns {number} Row count
+   */
+  countRows(element) {
+    if (element.tagName === 'TABLE') return element.rows.length;
+    if (element.tagName === 'DL') return this._getDefinitionGroups(element).length;
+    if (element.matches(this.ARIA_TABLE_SELECTOR)) return this._getAriaRows(element).length;
+    return (this._getLayoutRows(element) || []).length;
+  },
+
+  /**
+   * Extract the cell model of any element found by findTableElement
+   * @param {Element} element - Table element
+   * @param {Object} [options] - See fromElement
+   * @returns {Object} Table data ({headers, rows, caption, sections})
+   */
+  extract(element, options = {}) {
+    if (element.tagName === 'TABLE') return this.fromElement(element, options);
+    if (element.tagName === 'DL') return this.fromDefinitionList(element, options);
+    if (element.matches(this.ARIA_TABLE_SELECTOR)) return this.fromAriaGrid(element, options);
+    return this.fromLayout(element, options);
+  },
+
+  /**
+   * Check whether a node belongs to a cell itself rather than to a table nested in it
+   * @param {Element} cell - Cell element
+   * @param {Node} node - Node inside the cell
+   * @returns {boolean} True if no nested table lies between the cell and the node
+   */
+  isOwnContent(cell, node) {
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    const table = element && element.parentElement && element.parentElement.closest(`table, ${this.ARIA_TABLE_SELECTOR}`);
+    return !table || !cell.contains(table);
+  },
+
+  /**
+   * Extract the cell model of a <table> element
+   * Only the table's own rows are read; tables inside cells become nested tables of their cell.
+   * Without a <thead>, leading rows of <th> cells (or else the first row) are the header.
+   * @param {HTMLTableElement} table - Table element
+   * @param {Object} [options]
+   * @param {Function} [options.onCell] - (cellElement, rowIndex, colIndex) => text appended to the cell (e.g. image placeholders)
+   * @param {number} [options.depth=0] - Nesting depth (used for nested tables)
+   * @returns {Object} Table data ({headers, rows, caption, sections})
+   */
+  fromElement(table, { onCell = null, depth = 0 } = {}) {
+    const sections = { head: [], body: [], foot: [] };
+
+    Array.from(table.rows).forEach((row, rowIndex) => {
+      const cells = Array.from(row.cells).map((cell, colIndex) =>
+        this._cellFromElement(cell, rowIndex, colIndex, { onCell, depth }));
+      if (cells.length === 0) return;
+
+      const section = row.parentElement.tagName;
+      if (section === 'THEAD') {
+        sections.head.push(cells);
+      } else if (section === 'TFOOT') {
+        sections.foot.push(cells);
+      } else {
+        sections.body.push(cells);
+      }
+    });
+
+    const caption = table.caption ? this.normalizeText(table.caption.textContent) : '';
+    return this._buildTableData(sections, caption);
+  },
+
+  /**
+   * Extract the cell model of an ARIA table or grid
+   * Cells with role="columnheader" or "rowheader" are header cells; aria-colspan and
+   * aria-rowspan are kept. Rows split across containers (e.g. grids with pinned columns)
+   * are joined by their aria-rowindex.
+   * @param {Element} grid - Element with role="table", "grid" or "treegrid"
+   * @param {Object} [options] - See fromElement
+   * @returns {Object} Table data ({headers, rows, caption, sections})
+   */
+  fromAriaGrid(grid, { onCell = null, depth = 0 } = {}) {
+    const body = this._getAriaRows(grid).map((cellElements, rowIndex) => cellElements.map((element, colIndex) =>
+      this._cellFromElement(element, rowIndex, colIndex, {
+        onCell,
+        depth,
+        spanPrefix: 'aria-',
+        header: ['columnheader', 'rowheader'].includes(element.getAttribute('role'))
+      })));
+
+    return this._buildTableData({ head: [], body, foot: [] }, this._getAccessibleName(grid));
+  },
+
+  /**
+   * Get the rows of an ARIA table as lists of cell elements
+   * @param {Element} grid - ARIA table element
+   * @returns {Element[][]} Cell elements per row (rows without cells are left out)
+   * @private
+   */
+  _getAriaRows(grid) {
+    const rows = new Map();
+    grid.querySelectorAll('[role="row"]').forEach(row => {
+      if (row.closest(this.ARIA_TABLE_SELECTOR) !== grid) return;
+
+      const cells = Array.from(row.querySelectorAll(this.ARIA_CELL_SELECTOR))
+        .filter(cell => cell.closest('[role="row"]') === row);
+      const key = row.getAttribute('aria-rowindex') || row;
+      rows.set(key, [...(rows.get(key) || []), ...cells]);
+    });
+
+    const colIndex = cell => parseInt(cell.getAttribute('aria-colindex')) || 0;
+    return Array.from(rows.values())
+      .filter(cells => cells.length > 0)
+      .map(cells => (cells.every(colIndex) ? cells.sort((a, b) => colIndex(a) - colIndex(b)) : cells));
+  },
+
+  /**
+   * Get the label of an element (aria-labelledby, then aria-label)
+   * @param {Element} element - Element
+   * @returns {string} Label or empty string
+   * @private
+   */
+  _getAccessibleName(element) {
+    const labelledBy = (element.getAttribute('aria-labelledby') || '').split(/\s+/)
+      .map(id => id && document.getElementById(id))
+      .filter(Boolean)
+      .map(label => label.textContent)
+      .join(' ');
+    return this.normalizeText(labelledBy || element.getAttribute('aria-label'));
+  },
+
+  /**
+   * Extract a definition list (<dl>) as a two-column table of terms and descriptions
+   * Several terms or descriptions of one entry are joined into one cell.
+   * @param {HTMLDListElement} list - dl element
+   * @param {Object} [options] - See fromElement
+   * @returns {Object} Table data ({headers, rows, caption, sections})
+   */
+  fromDefinitionList(list, { onCell = null, depth = 0 } = {}) {
+    const body = this._getDefinitionGroups(list).map((group, rowIndex) => [
+      this._mergeCells(group.terms.map(element => this._cellFromElement(element, rowIndex, 0, { onCell, depth, header: true })), ', '),
+      this._mergeCells(group.descriptions.map(element => this._cellFromElement(element, rowIndex, 1, { onCell, depth })), '; ')
+    ]);
+
+    const head = [[{ text: 'Term', header: true }, { text: 'Description', header: true }]];
+    return this._buildTableData({ head, body, foot: [] }, this._getAccessibleName(list));
+  },
+
+  /**
+   * Group the terms (dt) and descriptions (dd) of a definition list into entries
+   * @param {HTMLDListElement} list - dl element
+   * @returns {Array<{terms: Element[], descriptions: Element[]}>} Entries
+   * @private
+   */
+  _getDefinitionGroups(list) {
+    const groups = [];
+    // Entries may be wrapped in <div> elements
+    const items = Array.from(list.children).flatMap(child => (child.tagName === 'DIV' ? Array.from(child.children) : [child]));
+
+    items.forEach(item => {
+      let group = groups[groups.length - 1];
+      if (item.tagName === 'DT') {
+        if (!group || group.descriptions.length > 0) {
+          group = { terms: [], descriptions: [] };
+          groups.push(group);
+        }
+        group.terms.push(item);
+      } else if (item.tagName === 'DD') {
+        if (!group) {
+          group = { terms: [], descriptions: [] };
+          groups.push(group);
+        }
+        group.descriptions.push(item);
+      }
+    });
+    return groups;
+  },
+
+  /**
+   * Join several cells into one
+   * @param {Object[]} cells - Cells
+   * @param {string} separator - Text between the cells' texts
+   * @returns {Object} Cell
+   * @private
+   */
+  _mergeCells(cells, separator) {
+    if (cells.length === 1) return cells[0];
+
+    const cell = { text: cells.map(c => c.text).filter(Boolean).join(separator) };
+    if (cells.some(c => c.header)) cell.header = true;
+    const links = cells.flatMap(c => c.links || []);
+    if (links.length > 0) cell.links = links;
+    const number = this.parseNumber(cell.text);
+    if (number !== null) cell.number = number;
+    return cell;
+  },
+
+  /**
+   * Extract a table built from CSS grid or flex rows
+   * @param {Element} element - Element found by findTableElement
+   * @param {Object} [options] - See fromElement
+   * @returns {Object} Table data ({headers, rows, caption, sections})
+   */
+  fromLayout(element, { onCell = null, depth = 0 } = {}) {
+    const body = (this._getLayoutRows(element) || []).map((cellElements, rowIndex) => cellElements.map((cell, colIndex) =>
+      this._cellFromElement(cell, rowIndex, colIndex, {
+        onCell,
+        depth,
+        header: cell.getAttribute('role') === 'columnheader' || cell.getAttribute('role') === 'rowheader'
+      })));
+
+    return this._buildTableData({ head: [], body, foot: [] }, this._getAccessibleName(element));
+  },
+
+  /**
+   * Read the rows of an element laid out like a table
+   * Either a CSS grid with at least two columns (rows may be display: contents wrappers),
+   * or a list of flex rows with the same number of cells. To tell data apart from page
+   * layout and card galleries, cells must be short, most rows must have two or more cells
+   * with text, and at most half the cells may contain images.
+   * @param {Element} element - Candidate element
+   * @returns {Element[][]|null} Cell elements per row, or null if the element isn't table-like
+   * @private
+   */
+  _getLayoutRows(element) {
+    const style = window.getComputedStyle(element);
+    let rows = null;
+
+    if (style.display === 'grid' || style.display === 'inline-grid') {
+      const columnCount = style.gridTemplateColumns.split(/\s+/).filter(track => track && !track.startsWith('[')).length;
+      const cells = this._getVisibleChildren(element, true);
+      if (columnCount >= 2 && cells.length >= columnCount * 2) {
+        rows = [];
+        for (let i = 0; i < cells.length; i += columnCount) {
+          rows.push(cells.slice(i, i + columnCount));
+        }
+      }
+    } else {
+      const children = this._getVisibleChildren(element, false);
+      const isFlexRow = child => {
+        const childStyle = window.getComputedStyle(child);
+        return (childStyle.display === 'flex' || childStyle.display === 'inline-flex') && !childStyle.flexDirection.startsWith('column');
+      };
+      if (children.length >= 2 && children.every(isFlexRow)) {
+        rows = children.map(child => this._getVisibleChildren(child, false));
+        if (rows[0].length < 2 || rows.some(row => row.length !== rows[0].length)) rows = null;
+      }
+    }
+
+    if (!rows || rows.length < this.MIN_LAYOUT_ROWS) return null;
+
+    const cells = rows.flat();
+    const withText = cell => cell.textContent.trim() !== '';
+    const rowsWithText = rows.filter(row => row.filter(withText).length >= 2).length;
+    const looksTabular = cells.every(cell => cell.textContent.trim().length <= this.MAX_LAYOUT_CELL_LENGTH) &&
+      rowsWithText >= rows.length - 1 &&
+      cells.filter(cell => cell.querySelector('img, picture, video')).length <= cells.length / 2;
+    return looksTabular ? rows : null;
+  },
+
+  /**
+   * Get the rendered element children of an element
+   * @param {Element} element - Parent
+   * @param {boolean} expandContents - Replace display: contents children (grid row wrappers) by their children
+   * @returns {Element[]} Children
+   * @private
+   */
+  _getVisibleChildren(element, expandContents) {
+    return Array.from(element.children).flatMap(child => {
+      if (['SCRIPT', 'STYLE', 'TEMPLATE'].includes(child.tagName)) return [];
+      const display = window.getComputedStyle(child).display;
+      if (display === 'none') return [];
+      return expandContents && display === 'contents' ? this._getVisibleChildren(child, false) : [child];
+    });
+  },
+
+  /**
+   * Finish extracted sections into table data
+   * Without a header section, leading rows of header cells (or else the first row) are the header.
+   * @param {Object} sections - Sections ({head, body, foot})
+   * @param {string} caption - Caption (may be empty)
+   * @returns {Object} Table data ({headers, rows, caption, sections})
+   * @private
+   */
+  _buildTableData(sections, caption) {
+    if (sections.head.length === 0) {
+      while (sections.body.length > 1 && sections.body[0].every(cell => cell.header)) {
+        sections.head.push(sections.body.shift());
+      }
+    }
+
+    // Tables without any header cells use their first row as the header
+    if (sections.head.length === 0 && sections.body.length > 1) {
+      sections.head.push(sections.body.shift().map(cell => ({ ...cell, header: true })));
+    }
+
+    return {
+      ...this.flatten(sections),
+      ...(caption && { caption }),
+      sections
+    };
+  },
+
+  /**
+   * Read one table cell
+   * @param {HTMLTableCellElement} element - td or th element
+   * @param {number} rowIndex - Row position in the table
+   * @param {number} colIndex - Cell position in the row
+   * @param {Object} options - onCell and depth (see fromElement)
+   * @param {string} [options.spanPrefix=''] - Prefix of the span attributes ('aria-' for ARIA cells)
+   * @param {boolean} [options.header] - Whether this is a header cell (default: th elements)
+   * @returns {Object} Cell
+   * @private
+   */
+  _cellFromElement(element, rowIndex, colIndex, { onCell, depth, spanPrefix = '', header = element.tagName === 'TH' }) {
+    const nestedTable = depth < this.MAX_NESTING_DEPTH ? element.querySelector('table') : null;
+
+    // Text of the cell itself, without nested tables, scripts and styles
+    let source = element;
+    if (element.querySelector('table, script, style, template')) {
+      source = element.cloneNode(true);
+      source.querySelectorAll(`${nestedTable ? 'table, ' : ''}script, style, template`).forEach(node => node.remove());
+    }
+
+    const cell = { text: this.normalizeText(source.textContent) + (onCell ? onCell(element, rowIndex, colIndex) : '') };
+
+    const colspan = Math.min(parseInt(element.getAttribute(`${spanPrefix}colspan`)) || 1, this.MAX_COLSPAN);
+    const rowspan = parseInt(element.getAttribute(`${spanPrefix}rowspan`));
+    if (colspan > 1) cell.colspan = colspan;
+    if (rowspan > 1 || rowspan === 0) cell.rowspan = Math.min(rowspan, this.MAX_ROWSPAN);
+    if (header) cell.header = true;
+
+    const links = Array.from(source.querySelectorAll('a[href]'))
+      .map(link => ({ text: this.normalizeText(link.textContent), href: this._linkUrl(link) }))
+      .filter(link => link.text && link.href);
+    if (links.length > 0) cell.links = links;
+
+    const number = this.parseNumber(cell.text);
+    if (number !== null) cell.number = number;
+
+    if (nestedTable) {
+      const { caption, sections } = this.fromElement(nestedTable, { onCell, depth: depth + 1 });
+      cell.table = { ...(caption && { caption }), sections };
+    }
+
+    return cell;
+  },
+
+  /**
+   * Build table data from a plain grid (e.g. a table edited in the popup)
+   * Every value fills one cell; cells keep the links whose text is still part of their text.
+   * @param {string[]} headers - Header labels (empty for a table without header)
+   * @param {Array<Array<string|Object>>} rows - Cell texts, or cells ({text, links, header})
+   * @param {Object} [options]
+   * @param {string} [options.caption=''] - Caption
+   * @returns {Object} Table data ({headers, rows, caption, sections})
+   */
+  fromGrid(headers, rows, { caption = '' } = {}) {
+    const columnCount = Math.max(headers.length, ...rows.map(row => row.length), 0);
+    const pad = row => Array.from({ length: columnCount }, (_, c) => (row[c] === undefined ? '' : row[c]));
+
+    const toCell = (value, isHeader) => {
+      const source = value !== null && typeof value === 'object' ? value : { text: value };
+      const cell = { text: String(source.text === undefined || source.text === null ? '' : source.text).trim() };
+      if (isHeader || source.header) cell.header = true;
+
+      const links = (source.links || []).filter(link => cell.text.includes(link.text));
+      if (links.length > 0) cell.links = links;
+
+      const number = this.parseNumber(cell.text);
+      if (number !== null) cell.number = number;
+      return cell;
+    };
+
+    const sections = {
+      head: headers.length > 0 ? [pad(headers).map(header => toCell(header, true))] : [],
+      body: rows.map(row => pad(row).map(value => toCell(value, false))),
+      foot: []
+    };
+    caption = this.normalizeText(caption);
+    return {
+      ...this.flatten(sections),
+      ...(caption && { caption }),
+      sections
+    };
+  },
+
+  /**
+   * Get the absolute URL of a link if it points to a web or mail address
+   * @param {HTMLAnchorElement} link - Link element
+   * @returns {string|null} URL or null
+   * @private
+   */
+  _linkUrl(link) {
+    try {
+      const url = new URL(link.getAttribute('href'), link.baseURI);
+      return ['http:', 'https:', 'mailto:'].includes(url.protocol) ? url.href : null;
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * Collapse whitespace (cell text is stored on one line)
+   * @param {string} text - Raw text
+   * @returns {string} Normalized text
+   */
+  normalizeText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+  },
+
+  /**
+   * Parse numeric cell text ("1,234.5", "-12%", "$3.50", "(1,200)" for -1200)
+   * @param {string} text - Cell text
+   * @returns {number|null} Value (percentages keep their number, 12% is 12), or null if the text isn't a number
+   */
+  parseNumber(text) {
+    const match = String(text || '').trim().match(this.NUMBER_PATTERN);
+    if (!match || !(match[4] || match[5]) || !!match[1] !== !!match[7]) return null;
+
+    const value = parseFloat(match[4].replace(/,/g, '') + (match[5] || ''));
+    if (!Number.isFinite(value)) return null;
+    return match[1] || match[2] === '-' || match[2] === '−' ? -value : value;
+  },
+
+  /**
+   * Get the cell model of table data
+   * Tables saved before the cell model existed get one built from their headers and rows.
+   * @param {Object} tableData - Table data
+   * @returns {{head: Object[][], body: Object[][], foot: Object[][]}} Sections
+   */
+  getSections(tableData) {
+    if (tableData && tableData.sections) {
+      const { head = [], body = [], foot = [] } = tableData.sections;
+      return { head, body, foot };
+    }
+
+    const toCell = value => {
+      const cell = { text: value === null || value === undefined ? '' : String(value) };
+      const number = this.parseNumber(cell.text);
+      if (number !== null) cell.number = number;
+      return cell;
+    };
+    const headers = (tableData && tableData.headers) || [];
+    const rows = (tableData && tableData.rows) || [];
+    return {
+      head: headers.length > 0 ? [headers.map(header => ({ ...toCell(header), header: true }))] : [],
+      body: rows.map(row => row.map(toCell)),
+      foot: []
+    };
+  },
+
+  /**
+   * Lay out rows of cells on a grid, so every slot covered by a span points to its cell
+   * @param {Object[][]} rows - Rows of cells (one section)
+   * @param {number} [columnCount=0] - Minimum number of columns
+   * @returns {Array<Array<{cell: Object, rowOffset: number, colOffset: number}|null>>} Grid (null where no cell is)
+   */
+  expandSpans(rows, columnCount = 0) {
+    const grid = rows.map(() => []);
+
+    rows.forEach((row, r) => {
+      let c = 0;
+      row.forEach(cell => {
+        while (grid[r][c]) c++;
+
+        // rowspan="0" spans the rest of the section
+        const rowspan = cell.rowspan === 0 ? rows.length - r : Math.min(cell.rowspan || 1, rows.length - r);
+        const colspan = cell.colspan || 1;
+        for (let dr = 0; dr < rowspan; dr++) {
+          for (let dc = 0; dc < colspan; dc++) {
+            grid[r + dr][c + dc] = { cell, rowOffset: dr, colOffset: dc };
+          }
+        }
+        c += colspan;
+      });
+    });
+
+    const width = Math.max(columnCount, ...grid.map(row => row.length));
+    return grid.map(row => Array.from({ length: width }, (_, c) => row[c] || null));
+  },
+
+  /**
+   * Count the columns of a table (spans included)
+   * @param {Object} sections - Sections (see getSections)
+   * @returns {number} Column count
+   */
+  getColumnCount(sections) {
+    return Math.max(0, ...['head', 'body', 'foot'].map(name =>
+      Math.max(0, ...this.expandSpans(sections[name]).map(row => row.length))));
+  },
+
+  /**
+   * Get the text of a cell, with nested tables flattened ("a, b; c, d")
+   * @param {Object} cell - Cell
+   * @returns {string} Text
+   */
+  getCellText(cell) {
+    if (!cell) return '';
+    if (!cell.table) return cell.text || '';
+
+    const nested = this.flatten(this.getSections(cell.table));
+    const nestedText = [nested.headers, ...nested.rows]
+      .filter(row => row.some(Boolean))
+      .map(row => row.filter(Boolean).join(', '))
+      .join('; ');
+    return [cell.text, nestedText].filter(Boolean).join(' ');
+  },
+
+  /**
+   * Turn the cell model into one header label per column and rows of plain values
+   * Header rows are joined per column ("Revenue / 2023"). Cells spanning several rows repeat
+   * their text on each row; cells spanning several columns fill the first one.
+   * @param {Object} sections - Sections (see getSections)
+   * @returns {{headers: string[], rows: string[][]}} Plain table
+   */
+  flatten(sections) {
+    const columnCount = this.getColumnCount(sections);
+    const headGrid = this.expandSpans(sections.head, columnCount);
+
+    const headers = headGrid.length === 0 ? [] : Array.from({ length: columnCount }, (_, c) => {
+      const labels = [];
+      headGrid.forEach(row => {
+        const text = row[c] ? this.getCellText(row[c].cell) : '';
+        if (text && labels[labels.length - 1] !== text) labels.push(text);
+      });
+      return labels.join(' / ');
+    });
+
+    const rows = this.getBodyGrid(sections, columnCount)
+      .map(row => row.map(slot => (slot ? slot.text : '')));
+    return { headers, rows };
+  },
+
+  /**
+   * Get the body and footer rows laid out on a grid, with the text each slot shows
+   * @param {Object} sections - Sections (see getSections)
+   * @param {number} [columnCount] - Column count (computed if omitted)
+   * @returns {Array<Array<{cell: Object, text: string}|null>>} Rows
+   */
+  getBodyGrid(sections, columnCount = this.getColumnCount(sections)) {
+    return [sections.body, sections.foot].flatMap(rows =>
+      this.expandSpans(rows, columnCount).map(row => row.map(slot => {
+        if (!slot) return null;
+        return { cell: slot.cell, text: slot.colOffset === 0 ? this.getCellText(slot.cell) : '' };
+      })));
+  },
+
+  /**
+   * Find the columns whose values are all numbers
+   * @param {Object} sections - Sections (see getSections)
+   * @returns {boolean[]} Per column, true if every non-empty body cell is numeric
+   */
+  getNumericColumns(sections) {
+    const columnCount = this.getColumnCount(sections);
+    const grid = this.expandSpans(sections.body, columnCount);
+
+    return Array.from({ length: columnCount }, (_, c) => {
+      const cells = grid.map(row => row[c] && row[c].colOffset === 0 ? row[c].cell : null)
+        .filter(cell => cell && cell.text);
+      return cells.length > 0 && cells.every(cell => typeof cell.number === 'number');
+    });
+  },
+
+  /**
+   * Split cell text into plain and linked parts
+   * @param {Object} cell - Cell
+   * @returns {Array<{text: string, href: string|null}>} Parts in order
+   */
+  splitLinks(cell) {
+    const text = cell.text || '';
+    const parts = [];
+    let position = 0;
+
+    for (const link of cell.links || []) {
+      const index = text.indexOf(link.text, position);
+      if (index === -1) continue;
+      if (index > position) parts.push({ text: text.slice(position, index), href: null });
+      parts.push({ text: link.text, href: link.href });
+      position = index + link.text.length;
+    }
+
+    if (position < text.length) parts.push({ text: text.slice(position), href: null });
+    return parts;
+  },
+
+  /**
+   * Apply a function to every text of a table (e.g. to renumber image placeholders)
+   * @param {Object} tableData - Table data
+   * @param {Function} fn - (text) => new text
+   * @returns {Object} New table data
+   */
+  mapText(tableData, fn) {
+    const mapSections = sections => {
+      const mapped = {};
+      for (const name of ['head', 'body', 'foot']) {
+        mapped[name] = (sections[name] || []).map(row => row.map(cell => ({
+          ...cell,
+          text: fn(cell.text || ''),
+          ...(cell.table && { table: { ...cell.table, sections: mapSections(cell.table.sections || {}) } })
+        })));
+      }
+      return mapped;
+    };
+
+    return {
+      ...tableData,
+      headers: (tableData.headers || []).map(fn),
+      rows: (tableData.rows || []).map(row => row.map(fn)),
+      ...(tableData.sections && { sections: mapSections(tableData.sections) })
+    };
+  },
+
+  /**
+   * Escape HTML special characters
+   * @param {string} text - Text
+   * @returns {string}
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+
+  /**
+   * Render table data as an HTML table with its spans, caption, header rows, footer and links
+   * @param {Object} tableData - Table data
+   * @param {Object} [options]
+   * @param {Function} [options.renderText] - (text) => HTML for plain text parts (default: escaped)
+   * @param {number} [options.maxBodyRows=Infinity] - Body rows shown (the footer is left out when rows are cut)
+   * @param {string} [options.tableAttributes=''] - Attributes of the <table> tag
+   * @param {string} [options.headerCellAttributes=''] - Attributes of <th> cells
+   * @param {string} [options.numberCellAttributes=''] - Attributes of numeric <td> cells
+   * @param {string} [options.linkAttributes=''] - Attributes of <a> tags
+   * @returns {string} HTML
+   */
+  toHTML(tableData, {
+    renderText = text => this.escapeHtml(text),
+    maxBodyRows = Infinity,
+    tableAttributes = '',
+    headerCellAttributes = '',
+    numberCellAttributes = '',
+    linkAttributes = ''
+  } = {}) {
+    const options = { renderText, maxBodyRows, tableAttributes, headerCellAttributes, numberCellAttributes, linkAttributes };
+    const sections = this.getSections(tableData);
+    const attributes = value => (value ? ` ${value}` : '');
+
+    const renderCell = cell => {
+      const tag = cell.header ? 'th' : 'td';
+      const spans = (cell.colspan > 1 ? ` colspan="${cell.colspan}"` : '') +
+        (cell.rowspan > 1 || cell.rowspan === 0 ? ` rowspan="${cell.rowspan}"` : '');
+      const extra = cell.header ? headerCellAttributes : (typeof cell.number === 'number' ? numberCellAttributes : '');
+
+      let html = this.splitLinks(cell).map(part => (part.href
+        ? `<a href="${this.escapeHtml(part.href)}"${attributes(linkAttributes)}>${renderText(part.text)}</a>`
+        : renderText(part.text))).join('');
+      if (cell.table) {
+        html += this.toHTML(cell.table, options);
+      }
+      return `<${tag}${spans}${attributes(extra)}>${html}</${tag}>`;
+    };
+    const renderRows = rows => rows.map(row => `<tr>${row.map(renderCell).join('')}</tr>`).join('');
+
+    const bodyRows = sections.body.slice(0, maxBodyRows);
+    let html = `<table${attributes(tableAttributes)}>`;
+    if (tableData.caption) html += `<caption>${renderText(tableData.caption)}</caption>`;
+    if (sections.head.length > 0) html += `<thead>${renderRows(sections.head)}</thead>`;
+    if (bodyRows.length > 0) html += `<tbody>${renderRows(bodyRows)}</tbody>`;
+    if (sections.foot.length > 0 && bodyRows.length === sections.body.length) {
+      html += `<tfoot>${renderRows(sections.foot)}</tfoot>`;
+    }
+    return html + '</table>';
+  },
+
+  /**
+   * Render table data as CSV (RFC 4180): one header row, then body and footer rows
+   * Image placeholders are dropped; the caption has no place in CSV and is left out.
+   * Text that a spreadsheet would run as a formula (=, +, -, @ first) gets a leading "'";
+   * numbers such as "-12%" are written as they are.
+   * @param {Object} tableData - Table data
+   * @returns {string} CSV text (CRLF line endings)
+   */
+  toCSV(tableData) {
+    const { headers, rows } = this.flatten(this.getSections(tableData));
+    const field = value => {
+      let text = String(value || '').replace(/\{\{img:\d+\}\}/g, '').replace(/\s+/g, ' ').trim();
+      if (/^[=+\-@\t\r]/.test(text) && this.parseNumber(text) === null) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return (headers.length > 0 ? [headers, ...rows] : rows)
+      .map(row => row.map(field).join(','))
+      .join('\r\n') + '\r\n';
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TableUtils;
+}
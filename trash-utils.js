@@ -0,0 +1,92 @@
+/**
+ * Shared Trash Utilities
+ * Used by both popup.js and background.js
+ *
+ * Deleted items and projects stay in IndexedDB with a "deletedAt" timestamp
+ * (see DBUtils "Trash") until they are restored, the Trash is emptied, or the
+ * retention period runs out. background.js purges expired entries on a daily alarm.
+ */
+
+const TrashUtils = {
+  // chrome.storage.local key for the retention period (days)
+  RETENTION_KEY: 'trashRetentionDays',
+
+  // Default number of days items stay in the Trash
+  DEFAULT_RETENTION_DAYS: 30,
+
+  // Choices offered in the Trash panel (0 = keep until the Trash is emptied)
+  RETENTION_OPTIONS: [1, 7, 14, 30, 90, 0],
+
+  // chrome.alarms name for the periodic purge
+  PURGE_ALARM: 'purgeTrash',
+  PURGE_INTERVAL_MINUTES: 24 * 60,
+
+  /**
+   * Get the retention period
+   * @returns {Promise<number>} Days items stay in the Trash (0 = no limit)
+   */
+  async getRetentionDays() {
+    try {
+      const result = await chrome.storage.local.get(this.RETENTION_KEY);
+      const days = result[this.RETENTION_KEY];
+      return Number.isInteger(days) && days >= 0 ? days : this.DEFAULT_RETENTION_DAYS;
+    } catch (error) {
+      console.error('Error loading trash retention:', error);
+      return this.DEFAULT_RETENTION_DAYS;
+    }
+  },
+
+  /**
+   * Save the retention period and purge entries that are now expired
+   * @param {number} days - Days items stay in the Trash (0 = no limit)
+   */
+  async setRetentionDays(days) {
+    await chrome.storage.local.set({ [this.RETENTION_KEY]: days });
+    await this.purgeExpired();
+  },
+
+  /**
+   * Get the time an entry will be purged
+   * @param {Object} record - Trashed content or project
+   * @param {number} retentionDays - Retention period (0 = no limit)
+   * @returns {number|null} Timestamp, or null if it is kept until the Trash is emptied
+   */
+  getPurgeTime(record, retentionDays) {
+    return retentionDays > 0 ? record.deletedAt + retentionDays * 24 * 60 * 60 * 1000 : null;
+  },
+
+  /**
+   * Permanently delete Trash entries
+   * Undo history of purged projects is cleared as well.
+   * @param {number} [before] - Cutoff timestamp (omit to empty the whole Trash)
+   * @returns {Promise<{content: number, projectIds: string[]}>} What was purged
+   */
+  async purge(before) {
+    const purged = await DBUtils.purgeTrash(before);
+    for (const projectId of purged.projectIds) {
+      await UndoRedoUtils.clearProjectHistory(projectId);
+    }
+    return purged;
+  },
+
+  /**
+   * Permanently delete entries that have been in the Trash longer than the retention period
+   * @returns {Promise<{content: number, projectIds: string[]}|null>} What was purged (null if nothing can expire)
+   */
+  async purgeExpired() {
+    try {
+      const days = await this.getRetentionDays();
+      if (days === 0) return null;
+
+      return await this.purge(Date.now() - days * 24 * 60 * 60 * 1000);
+    } catch (error) {
+      console.error('Error purging trash:', error);
+      return null;
+    }
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TrashUtils;
+}
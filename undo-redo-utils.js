@@ -1,92 +1,131 @@
 /**
  * Shared Undo/Redo Utilities
  * Used by both popup.js and background.js
+ *
+ * History is stored per project in IndexedDB (see DBUtils "Undo History Storage"),
+ * so it survives browser restarts. Snapshot media blobs are stored once per media ID
+ * and referenced from snapshots by "blobId" instead of being re-encoded.
  */
 
 const UndoRedoUtils = {
-  // Storage key for undo/redo state
-  UNDO_REDO_KEY: 'undoRedoHistory',
+  // chrome.storage.session key bumped whenever history changes (lets open popups refresh)
+  HISTORY_CHANGED_KEY: 'undoRedoHistoryChanged',
 
-  // Maximum actions to store
+  // Identifies this script instance so a popup can ignore its own change signals
+  INSTANCE_ID: Math.random().toString(36).substr(2, 9),
+
+  // chrome.storage.local key for retention settings
+  RETENTION_KEY: 'undoHistoryRetention',
+
+  // Default number of undo actions kept per project
   MAX_UNDO_HISTORY: 50,
 
+  // Choices offered in the history panel (maxAgeDays 0 = keep until the action limit is reached)
+  RETENTION_ACTION_OPTIONS: [50, 100, 250, 500, 1000],
+  RETENTION_AGE_OPTIONS: [0, 1, 7, 30, 90],
+
   /**
-   * Convert blob to base64 for storage
+   * Get retention settings
+   * @returns {Promise<{maxActions: number, maxAgeDays: number}>}
    */
-  async blobToBase64(blob) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onloadend = () => resolve(reader.result);
-      reader.onerror = reject;
-      reader.readAsDataURL(blob);
-    });
+  async getRetention() {
+    try {
+      const result = await chrome.storage.local.get(this.RETENTION_KEY);
+      return {
+        maxActions: this.MAX_UNDO_HISTORY,
+        maxAgeDays: 0,
+        ...result[this.RETENTION_KEY]
+      };
+    } catch (error) {
+      console.error('Error loading history retention:', error);
+      return { maxActions: this.MAX_UNDO_HISTORY, maxAgeDays: 0 };
+    }
   },
 
   /**
-   * Convert base64 back to blob
+   * Save retention settings and apply them to every project's history
+   * @param {{maxActions?: number, maxAgeDays?: number}} retention - Settings to change
    */
-  base64ToBlob(base64, mimeType) {
-    const byteCharacters = atob(base64.split(',')[1]);
-    const byteNumbers = new Array(byteCharacters.length);
-    for (let i = 0; i < byteCharacters.length; i++) {
-      byteNumbers[i] = byteCharacters.charCodeAt(i);
-    }
-    const byteArray = new Uint8Array(byteNumbers);
-    return new Blob([byteArray], { type: mimeType });
+  async setRetention(retention) {
+    const current = await this.getRetention();
+    await chrome.storage.local.set({ [this.RETENTION_KEY]: { ...current, ...retention } });
+    await this.applyRetention();
   },
 
   /**
-   * Serialize content for storage (convert blobs to base64)
+   * Serialize content for storage (move blobs out of the snapshot)
+   * @param {Object} content - Content object
+   * @param {Map<string, Blob>} blobs - Collects blobs by media ID
+   * @returns {Object|null} Snapshot with media entries referencing blobs by "blobId"
    */
-  async serializeContent(content) {
+  serializeContent(content, blobs) {
     if (!content) return null;
 
     const serialized = { ...content };
     if (content.media && content.media.length > 0) {
-      serialized.media = await Promise.all(
-        content.media.map(async (m) => {
-          // Handle table type (no blob, has data property)
-          if (m.type === 'table') {
-            return { ...m };
-          }
-          // Handle blob-based media
-          const base64 = m.blob ? await this.blobToBase64(m.blob) : null;
-          return {
-            ...m,
-            blob: undefined,
-            base64Data: base64
-          };
-        })
-      );
+      serialized.media = content.media.map((m) => {
+        // Handle table type (no blob, has data property)
+        if (m.type === 'table' || !m.blob) {
+          return { ...m };
+        }
+        // Media saved before IDs were assigned get one so the blob can be shared
+        const blobId = m.id || DBUtils.generateMediaId(m.type);
+        blobs.set(blobId, m.blob);
+        return {
+          ...m,
+          id: blobId,
+          blob: undefined,
+          blobId
+        };
+      });
     }
     return serialized;
   },
 
   /**
-   * Deserialize content from storage (convert base64 back to blobs)
+   * Deserialize content from storage (load referenced blobs)
+   * @param {Object} serialized - Snapshot from serializeContent
+   * @returns {Promise<Object|null>} Content object with blobs
    */
-  deserializeContent(serialized) {
+  async deserializeContent(serialized) {
     if (!serialized) return null;
 
     const content = { ...serialized };
     if (serialized.media && serialized.media.length > 0) {
+      const blobIds = serialized.media.filter(m => m.blobId).map(m => m.blobId);
+      const blobs = blobIds.length > 0 ? await DBUtils.getHistoryBlobs(blobIds) : new Map();
+
       content.media = serialized.media.map((m) => {
         // Handle table type (no blob)
-        if (m.type === 'table') {
+        if (!m.blobId) {
           return { ...m };
         }
-        // Handle blob-based media
-        const blob = m.base64Data ? this.base64ToBlob(m.base64Data, m.mimeType) : null;
-        return {
-          ...m,
-          base64Data: undefined,
-          blob
-        };
+        const { blobId, ...media } = m;
+        const blob = blobs.get(blobId);
+        if (!blob) {
+          throw new Error(`Snapshot media is no longer available: ${media.name}`);
+        }
+        return { ...media, blob };
       });
     }
     return content;
   },
 
+  /**
+   * Get the media IDs an action's snapshots reference
+   * @param {Object} action - Action
+   * @returns {string[]}
+   */
+  getBlobIds(action) {
+    const snapshots = action.type === 'compound'
+      ? action.steps.flatMap(step => [step.before, step.after])
+      : [action.beforeSnapshot, action.afterSnapshot];
+    return snapshots
+      .flatMap(snapshot => (snapshot && snapshot.media) || [])
+      .filter(m => m.blobId)
+      .map(m => m.blobId);
+  },
+
   /**
    * Generate unique action ID
    */
@@ -95,22 +134,32 @@ const UndoRedoUtils = {
   },
 
   /**
-   * Load all project states from chrome.storage.session
+   * Signal open popups that history changed
+   * @param {string} projectId - Project whose history changed
    */
-  async loadAllStates() {
+  async notifyChange(projectId) {
     try {
-      const result = await chrome.storage.session.get(this.UNDO_REDO_KEY);
-      return result[this.UNDO_REDO_KEY] || {};
+      await chrome.storage.session.set({
+        [this.HISTORY_CHANGED_KEY]: { projectId, timestamp: Date.now(), origin: this.INSTANCE_ID }
+      });
     } catch (error) {
-      console.error('Error loading all undo/redo states:', error);
-      return {};
+      console.error('Error signaling history change:', error);
     }
   },
 
+  /**
+   * Check whether a history change signal came from another script instance
+   * @param {Object} [change] - chrome.storage change for HISTORY_CHANGED_KEY
+   * @returns {boolean}
+   */
+  isExternalChange(change) {
+    return !!change && change.newValue?.origin !== this.INSTANCE_ID;
+  },
+
   /**
    * Load undo/redo state for a specific project
    * @param {string} projectId - Project ID
-   * @returns {Promise<{undoStack: Array, redoStack: Array}>}
+   * @returns {Promise<{undoStack: Array, redoStack: Array}>} Actions, top of each stack last
    */
   async loadState(projectId) {
     try {
@@ -119,14 +168,11 @@ const UndoRedoUtils = {
         return { undoStack: [], redoStack: [] };
       }
 
-      const allStates = await this.loadAllStates();
-      if (allStates[projectId]) {
-        return {
-          undoStack: allStates[projectId].undoStack || [],
-          redoStack: allStates[projectId].redoStack || []
-        };
-      }
-      return { undoStack: [], redoStack: [] };
+      const records = await DBUtils.getHistory(projectId);
+      return {
+        undoStack: records.filter(r => r.stack === 'undo').map(r => r.action),
+        redoStack: records.filter(r => r.stack === 'redo').map(r => r.action)
+      };
     } catch (error) {
       console.error('Error loading undo/redo state for project:', projectId, error);
       return { undoStack: [], redoStack: [] };
@@ -134,26 +180,49 @@ const UndoRedoUtils = {
   },
 
   /**
-   * Save undo/redo state for a specific project
-   * @param {string} projectId - Project ID
-   * @param {Array} undoStack - Undo stack
-   * @param {Array} redoStack - Redo stack
+   * Find history records to drop under the retention settings
+   * @param {Object[]} records - History records of one project, sorted by seq
+   * @param {{maxActions: number, maxAgeDays: number}} retention - Retention settings
+   * @returns {string[]} Keys to delete
    */
-  async saveState(projectId, undoStack, redoStack) {
-    try {
-      if (!projectId) {
-        console.warn('saveState called without projectId');
-        return;
-      }
+  _getExpiredKeys(records, retention) {
+    const minTimestamp = retention.maxAgeDays > 0
+      ? Date.now() - retention.maxAgeDays * 24 * 60 * 60 * 1000
+      : 0;
+    const undoRecords = records.filter(r => r.stack === 'undo');
+    const overflow = new Set(undoRecords.slice(0, Math.max(0, undoRecords.length - retention.maxActions)));
 
-      const allStates = await this.loadAllStates();
-      allStates[projectId] = { undoStack, redoStack };
+    return records
+      .filter(r => overflow.has(r) || r.action.timestamp < minTimestamp)
+      .map(r => r.key);
+  },
 
-      await chrome.storage.session.set({
-        [this.UNDO_REDO_KEY]: allStates
+  /**
+   * Apply retention settings to one project's history, or to all projects
+   * @param {string} [projectId] - Project ID (omit for all projects)
+   */
+  async applyRetention(projectId) {
+    try {
+      const retention = await this.getRetention();
+      const records = await DBUtils.getHistory(projectId);
+
+      const byProject = new Map();
+      records.forEach(record => {
+        const list = byProject.get(record.action.projectId) || [];
+        list.push(record);
+        byProject.set(record.action.projectId, list);
       });
+
+      const remove = [...byProject.values()].flatMap(list => this._getExpiredKeys(list, retention));
+      if (remove.length > 0) {
+        await DBUtils.updateHistory({ remove });
+        await DBUtils.pruneHistoryBlobs();
+        for (const changedProjectId of byProject.keys()) {
+          await this.notifyChange(changedProjectId);
+        }
+      }
     } catch (error) {
-      console.error('Error saving undo/redo state for project:', projectId, error);
+      console.error('Error applying history retention:', error);
     }
   },
 
@@ -165,17 +234,77 @@ const UndoRedoUtils = {
     try {
       if (!projectId) return;
 
-      const allStates = await this.loadAllStates();
-      delete allStates[projectId];
-
-      await chrome.storage.session.set({
-        [this.UNDO_REDO_KEY]: allStates
-      });
+      await DBUtils.clearHistory(projectId);
+      await DBUtils.pruneHistoryBlobs();
+      await this.notifyChange(projectId);
     } catch (error) {
       console.error('Error clearing project history:', projectId, error);
     }
   },
 
+  /**
+   * Push a new action onto a project's undo stack
+   * Clears the redo stack and applies retention in the same write.
+   * @param {string} projectId - Project ID
+   * @param {Object} action - Action (id, type, timestamp and type-specific fields)
+   * @param {Map<string, Blob>} [blobs] - Snapshot blobs by media ID
+   * @returns {Promise<string>} Action ID
+   */
+  async pushAction(projectId, action, blobs = new Map()) {
+    const retention = await this.getRetention();
+
+    // The next seq is read and written in one transaction (the background script saves too)
+    const { remove } = await DBUtils.modifyHistory(projectId, records => {
+      const record = {
+        key: DBUtils.getHistoryKey(projectId, action.id),
+        type: 'history',
+        stack: 'undo',
+        seq: records.reduce((max, r) => Math.max(max, r.seq), 0) + 1,
+        blobIds: this.getBlobIds(action),
+        action: { ...action, projectId }
+      };
+
+      // A new action invalidates everything that was undone
+      const remaining = records.filter(r => r.stack === 'undo').concat(record);
+      const expired = [
+        ...records.filter(r => r.stack === 'redo').map(r => r.key),
+        ...this._getExpiredKeys(remaining, retention)
+      ];
+
+      return { put: expired.includes(record.key) ? [] : [record], remove: expired };
+    }, blobs);
+
+    if (remove.length > 0) {
+      await DBUtils.pruneHistoryBlobs();
+    }
+    await this.notifyChange(projectId);
+
+    return action.id;
+  },
+
+  /**
+   * Move an action to the top of the other stack (after undo or redo)
+   * @param {string} projectId - Project ID
+   * @param {string} actionId - Action ID
+   * @param {string} stack - Target stack ('undo' or 'redo')
+   */
+  async moveAction(projectId, actionId, stack) {
+    await DBUtils.modifyHistory(projectId, records => {
+      const record = records.find(r => r.action.id === actionId);
+      if (!record) {
+        throw new Error('History action not found');
+      }
+      return {
+        put: [{
+          ...record,
+          stack,
+          seq: records.reduce((max, r) => Math.max(max, r.seq), 0) + 1
+        }]
+      };
+    });
+    await this.notifyChange(projectId);
+  },
+
   /**
    * Record a new undo action (atomic operation)
    * This is the key function that background.js uses
@@ -192,34 +321,17 @@ const UndoRedoUtils = {
       return null;
     }
 
-    // Load current state for this project
-    const state = await this.loadState(projectId);
-
-    // Serialize snapshots
+    const blobs = new Map();
     const action = {
       id: this.generateActionId(),
       type,
       contentId,
       timestamp: Date.now(),
-      beforeSnapshot: await this.serializeContent(beforeSnapshot),
-      afterSnapshot: await this.serializeContent(afterSnapshot)
+      beforeSnapshot: this.serializeContent(beforeSnapshot, blobs),
+      afterSnapshot: this.serializeContent(afterSnapshot, blobs)
     };
 
-    // Add to undo stack
-    state.undoStack.push(action);
-
-    // Limit history size
-    if (state.undoStack.length > this.MAX_UNDO_HISTORY) {
-      state.undoStack.shift();
-    }
-
-    // Clear redo stack on new action
-    state.redoStack = [];
-
-    // Save state for this project
-    await this.saveState(projectId, state.undoStack, state.redoStack);
-
-    return action.id;
+    return this.pushAction(projectId, action, blobs);
   },
 
   /**
@@ -235,20 +347,84 @@ const UndoRedoUtils = {
       return null;
     }
 
-    const state = await this.loadState(projectId);
-    const action = {
+    return this.pushAction(projectId, {
       id: this.generateActionId(),
       type: 'reorder',
       timestamp: Date.now(),
       beforeOrder,
       afterOrder
+    });
+  },
+
+  /**
+   * Record several changes that are undone and redone together
+   * Undo restores each step's "before" state in reverse order; redo restores the "after" states in order.
+   * @param {string} projectId - Project whose history gets the action
+   * @param {string} label - Description shown in the history panel
+   * @param {Array<{kind: string, id: string, before: Object|null, after: Object|null}>} steps
+   *   kind is 'content' or 'project'; null before/after means the record doesn't exist on that side
+   * @returns {Promise<string>} Action ID
+   */
+  async recordCompoundAction(projectId, label, steps) {
+    if (!projectId) {
+      console.warn('recordCompoundAction called without projectId');
+      return null;
+    }
+
+    const blobs = new Map();
+    const action = {
+      id: this.generateActionId(),
+      type: 'compound',
+      label,
+      timestamp: Date.now(),
+      steps: steps.map(step => ({
+        kind: step.kind,
+        id: step.id,
+        before: step.kind === 'content' ? this.serializeContent(step.before, blobs) : step.before,
+        after: step.kind === 'content' ? this.serializeContent(step.after, blobs) : step.after
+      }))
     };
-    state.undoStack.push(action);
-    if (state.undoStack.length > this.MAX_UNDO_HISTORY) {
-      state.undoStack.shift();
+
+    return this.pushAction(projectId, action, blobs);
+  },
+
+  /**
+   * Get a short quoted subject for a content item ('"Climate policy…"', '"photo.png"')
+   * @param {Object} [content] - Content object or snapshot
+   * @returns {string}
+   */
+  describeContent(content) {
+    const media = ((content && content.media) || [])[0];
+    let subject = ((content && content.text) || '').replace(/\s+/g, ' ').trim();
+    if (!subject) {
+      subject = media ? (media.type === 'table' ? 'table' : media.name || media.type) : 'item';
     }
-    state.redoStack = [];
-    await this.saveState(projectId, state.undoStack, state.redoStack);
-    return action.id;
+    if (subject.length > 40) {
+      subject = subject.substring(0, 40).trim() + '…';
+    }
+    return `"${subject}"`;
+  },
+
+  /**
+   * Describe an action for the history panel
+   * @param {Object} action - Action
+   * @returns {string} Short description, e.g. 'Deleted "Climate policy…"'
+   */
+  describeAction(action) {
+    const verbs = { create: 'Added', update: 'Edited', delete: 'Deleted' };
+    if (action.type === 'reorder') {
+      return 'Reordered items';
+    }
+    if (action.type === 'compound') {
+      return action.label;
+    }
+
+    const snapshot = action.afterSnapshot || action.beforeSnapshot;
+    return `${verbs[action.type] || action.type} ${this.describeContent(snapshot)}`;
   }
 };
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UndoRedoUtils;
+}
@@ -0,0 +1,404 @@
+/**
+ * Excel (.xlsx) Workbook Utilities
+ * Builds a one-sheet SpreadsheetML workbook from table media data
+ *
+ * Usage:
+ *   const file = await XlsxUtils.createXlsx(table.data, tableImages, { sheetName: 'Prices' });
+ *
+ * - Merged cells, header rows, the caption and cell links are kept
+ * - Numeric cells are stored as numbers (percentages as percent values); amounts with a
+ *   currency symbol stay text so the symbol is kept
+ * - {{img:N}} placeholders become pictures anchored to their cell
+ *
+ * Depends on ZipUtils, TableUtils and DocxUtils (image conversion).
+ */
+
+const XlsxUtils = {
+  // Package namespaces
+  NS: {
+    main: 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+    r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+    xdr: 'http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing',
+    a: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+    rel: 'http://schemas.openxmlformats.org/package/2006/relationships',
+    ct: 'http://schemas.openxmlformats.org/package/2006/content-types'
+  },
+
+  // Relationship types
+  REL_DOCUMENT: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument',
+  REL_WORKSHEET: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet',
+  REL_STYLES: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles',
+  REL_DRAWING: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/drawing',
+  REL_IMAGE: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image',
+  REL_HYPERLINK: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink',
+
+  // Cell styles (indexes into cellXfs of getStylesXml)
+  STYLE: {
+    text: 0,
+    header: 1,
+    caption: 2,
+    link: 3,
+    thousands: 4,
+    thousandsDecimal: 5,
+    percent: 6,
+    percentDecimal: 7
+  },
+
+  // Sizes: column widths are in characters (~7px each), row heights in points (0.75pt per px)
+  PX_PER_CHARACTER: 7,
+  POINTS_PER_PX: 0.75,
+  EMU_PER_PX: 9525,
+  MIN_COLUMN_WIDTH: 8,
+  MAX_COLUMN_WIDTH: 60,
+  MAX_CELL_IMAGE_PX: 150,
+  MAX_SHEET_NAME_LENGTH: 31,
+
+  // Images in a cell that also has text are placed below one line of text
+  TEXT_LINE_PX: 20,
+
+  /**
+   * Get the letters of a column ("A", "Z", "AA")
+   * @param {number} index - Zero-based column index
+   * @returns {string}
+   */
+  columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    }
+    return name;
+  },
+
+  /**
+   * Get a cell reference ("B3")
+   * @param {number} row - Zero-based row index
+   * @param {number} column - Zero-based column index
+   * @returns {string}
+   */
+  cellRef(row, column) {
+    return `${this.columnName(column)}${row + 1}`;
+  },
+
+  /**
+   * Make a valid sheet name (at most 31 characters, none of \ / ? * [ ] :)
+   * @param {string} name - Wanted name
+   * @returns {string}
+   */
+  sheetName(name) {
+    const clean = String(name || '').replace(/[\\/?*[\]:]/g, ' ').replace(/\s+/g, ' ').trim()
+      .slice(0, this.MAX_SHEET_NAME_LENGTH).replace(/^'+|'+$/g, '').trim();
+    return clean || 'Table';
+  },
+
+  /**
+   * Choose how a numeric cell is stored
+   * @param {Object} cell - Table cell with a parsed number
+   * @returns {{value: number, style: number}|null} Stored value and style, or null to keep the text
+   */
+  numberValue(cell) {
+    const text = cell.text.trim();
+    if (typeof cell.number !== 'number' || /[$€£¥₹]/.test(text)) return null;
+
+    const hasDecimals = /\.\d/.test(text);
+    if (text.includes('%')) {
+      return { value: cell.number / 100, style: hasDecimals ? this.STYLE.percentDecimal : this.STYLE.percent };
+    }
+    if (text.includes(',')) {
+      // The built-in thousands formats show 0 or 2 decimals; other values keep the General format
+      if (!hasDecimals) return { value: cell.number, style: this.STYLE.thousands };
+      if (/\.\d{2}\D*$/.test(text)) return { value: cell.number, style: this.STYLE.thousandsDecimal };
+    }
+    return { value: cell.number, style: this.STYLE.text };
+  },
+
+  /**
+   * Lay out the caption and all sections of a table on sheet rows
+   * @param {Object} tableData - Table data
+   * @returns {{rows: Array<Array<Object|null>>, merges: string[], columnCount: number, headerRowCount: number}}
+   *   Rows of slots ({cell, text} on the first slot of each cell, null elsewhere)
+   */
+  layoutTable(tableData) {
+    const sections = TableUtils.getSections(tableData);
+    const columnCount = Math.max(TableUtils.getColumnCount(sections), 1);
+    const rows = [];
+    const merges = [];
+
+    if (tableData.caption) {
+      rows.push([{ cell: { text: tableData.caption }, text: tableData.caption, caption: true },
+        ...Array(columnCount - 1).fill(null)]);
+      if (columnCount > 1) merges.push(`A1:${this.cellRef(0, columnCount - 1)}`);
+    }
+
+    let headerRowCount = rows.length;
+    for (const name of ['head', 'body', 'foot']) {
+      const grid = TableUtils.expandSpans(sections[name], columnCount);
+      grid.forEach((gridRow, r) => {
+        const rowIndex = rows.length;
+        rows.push(gridRow.map((slot, c) => {
+          if (!slot || slot.rowOffset > 0 || slot.colOffset > 0) return null;
+
+          // Merge the area the cell spans (clamped to its section like expandSpans)
+          let rowspan = 1;
+          while (r + rowspan < grid.length && grid[r + rowspan][c] && grid[r + rowspan][c].cell === slot.cell) rowspan++;
+          let colspan = 1;
+          while (c + colspan < columnCount && gridRow[c + colspan] && gridRow[c + colspan].cell === slot.cell) colspan++;
+          if (rowspan > 1 || colspan > 1) {
+            merges.push(`${this.cellRef(rowIndex, c)}:${this.cellRef(rowIndex + rowspan - 1, c + colspan - 1)}`);
+          }
+
+          return { cell: slot.cell, text: TableUtils.getCellText(slot.cell) };
+        }));
+      });
+      if (name === 'head') headerRowCount = rows.length;
+    }
+
+    return { rows, merges, columnCount, headerRowCount };
+  },
+
+  /**
+   * Build the picture anchor of an image placed in a cell
+   * @param {number} id - Picture ID
+   * @param {string} relId - Relationship ID of the image
+   * @param {number} row - Zero-based row index
+   * @param {number} column - Zero-based column index
+   * @param {number} offsetX - Horizontal offset inside the cell in px
+   * @param {number} offsetY - Vertical offset inside the cell in px
+   * @param {number} width - Width in px
+   * @param {number} height - Height in px
+   * @param {string} name - Picture name (alt text)
+   * @returns {string} xdr:oneCellAnchor XML
+   */
+  pictureAnchor(id, relId, row, column, offsetX, offsetY, width, height, name) {
+    const cx = Math.round(width * this.EMU_PER_PX);
+    const cy = Math.round(height * this.EMU_PER_PX);
+    const safeName = DocxUtils.escapeXml(name);
+
+    return '<xdr:oneCellAnchor>' +
+      `<xdr:from><xdr:col>${column}</xdr:col><xdr:colOff>${Math.round(offsetX * this.EMU_PER_PX)}</xdr:colOff>` +
+      `<xdr:row>${row}</xdr:row><xdr:rowOff>${Math.round(offsetY * this.EMU_PER_PX)}</xdr:rowOff></xdr:from>` +
+      `<xdr:ext cx="${cx}" cy="${cy}"/>` +
+      '<xdr:pic>' +
+      `<xdr:nvPicPr><xdr:cNvPr id="${id}" name="Picture ${id}" descr="${safeName}"/>` +
+      '<xdr:cNvPicPr><a:picLocks noChangeAspect="1"/></xdr:cNvPicPr></xdr:nvPicPr>' +
+      `<xdr:blipFill><a:blip r:embed="${relId}"/><a:stretch><a:fillRect/></a:stretch></xdr:blipFill>` +
+      `<xdr:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm>` +
+      '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></xdr:spPr>' +
+      '</xdr:pic><xdr:clientData/></xdr:oneCellAnchor>';
+  },
+
+  /**
+   * Build xl/styles.xml (see STYLE for the cell formats)
+   * @returns {string}
+   */
+  getStylesXml() {
+    const xf = (fontId, fillId, numFmtId = 0) =>
+      `<xf numFmtId="${numFmtId}" fontId="${fontId}" fillId="${fillId}" borderId="0" xfId="0"` +
+      `${numFmtId ? ' applyNumberFormat="1"' : ''}${fontId ? ' applyFont="1"' : ''}${fillId ? ' applyFill="1"' : ''}` +
+      ' applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf>';
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      `<styleSheet xmlns="${this.NS.main}">` +
+      '<fonts count="4">' +
+      '<font><sz val="11"/><name val="Calibri"/><family val="2"/></font>' +
+      '<font><b/><sz val="11"/><name val="Calibri"/><family val="2"/></font>' +
+      '<font><b/><sz val="13"/><name val="Calibri"/><family val="2"/></font>' +
+      '<font><u/><sz val="11"/><color rgb="FF0563C1"/><name val="Calibri"/><family val="2"/></font>' +
+      '</fonts>' +
+      '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>' +
+      '<fill><patternFill patternType="solid"><fgColor rgb="FFF0F0F0"/><bgColor indexed="64"/></patternFill></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="8">' +
+      xf(0, 0) + xf(1, 2) + xf(2, 0) + xf(3, 0) + xf(0, 0, 3) + xf(0, 0, 4) + xf(0, 0, 9) + xf(0, 0, 10) +
+      '</cellXfs>' +
+      '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+      '</styleSheet>';
+  },
+
+  /**
+   * Create a workbook with one sheet holding a table
+   * @param {Object} tableData - Table data
+   * @param {Map<number, {blob: Blob, width?: number, height?: number, name?: string}>} [images]
+   *   tableImageIndex -> image media
+   * @param {Object} [options]
+   * @param {string} [options.sheetName] - Sheet name (made valid; defaults to the caption)
+   * @returns {Promise<Blob>} .xlsx file
+   */
+  async createXlsx(tableData, images = new Map(), { sheetName = tableData.caption } = {}) {
+    const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+    const escape = text => DocxUtils.escapeXml(text);
+    const { rows, merges, columnCount, headerRowCount } = this.layoutTable(tableData);
+
+    const media = [];
+    const sheetRelationships = [];
+    const drawingRelationships = [];
+    const anchors = [];
+    const columnWidths = Array(columnCount).fill(this.MIN_COLUMN_WIDTH);
+    const rowHeights = [];
+    const hyperlinks = [];
+
+    // Drawing relationships use rId1..n; rId1 of the sheet is reserved for the drawing
+    const addSheetRelationship = (type, target, external = false) => {
+      const id = `rId${sheetRelationships.length + 2}`;
+      sheetRelationships.push({ id, type, target, external });
+      return id;
+    };
+
+    const placeImages = async (text, rowIndex, column, hasText) => {
+      const top = hasText ? this.TEXT_LINE_PX : 0;
+      let offset = 0;
+      for (const match of text.matchAll(/\{\{img:(\d+)\}\}/g)) {
+        const img = images.get(parseInt(match[1]));
+        if (!img || !img.blob) continue;
+
+        let imageBlob = img.blob;
+        if (!DocxUtils.IMAGE_EXTENSIONS[imageBlob.type]) {
+          imageBlob = await DocxUtils.convertToPng(img.blob);
+          if (!imageBlob) continue;
+        }
+
+        let { width, height } = img;
+        if (!width || !height) {
+          const size = await DocxUtils.getImageSize(imageBlob);
+          width = size ? size.width : this.MAX_CELL_IMAGE_PX;
+          height = size ? size.height : this.MAX_CELL_IMAGE_PX;
+        }
+        const scale = Math.min(1, this.MAX_CELL_IMAGE_PX / Math.max(width, height));
+        width = Math.max(Math.round(width * scale), 1);
+        height = Math.max(Math.round(height * scale), 1);
+
+        const fileName = `image${media.length + 1}.${DocxUtils.IMAGE_EXTENSIONS[imageBlob.type]}`;
+        media.push({ name: `xl/media/${fileName}`, data: imageBlob, compress: false });
+        const relId = `rId${drawingRelationships.length + 1}`;
+        drawingRelationships.push({ id: relId, type: this.REL_IMAGE, target: `../media/${fileName}` });
+
+        anchors.push(this.pictureAnchor(anchors.length + 1, relId, rowIndex, column, offset, top, width, height, img.name || 'image'));
+        offset += width + 4;
+        columnWidths[column] = Math.max(columnWidths[column], Math.ceil(offset / this.PX_PER_CHARACTER) + 1);
+        rowHeights[rowIndex] = Math.max(rowHeights[rowIndex] || 0, (top + height + 4) * this.POINTS_PER_PX);
+      }
+    };
+
+    const xmlRows = [];
+    for (let r = 0; r < rows.length; r++) {
+      const cells = [];
+      for (let c = 0; c < columnCount; c++) {
+        const slot = rows[r][c];
+        if (!slot) continue;
+
+        const ref = this.cellRef(r, c);
+        const text = slot.text.replace(/\{\{img:\d+\}\}/g, '').replace(/\s+/g, ' ').trim();
+        await placeImages(slot.text, r, c, text.length > 0);
+
+        const number = !slot.caption && !slot.cell.header && text === slot.cell.text.trim() ? this.numberValue(slot.cell) : null;
+        if (number) {
+          cells.push(`<c r="${ref}"${number.style ? ` s="${number.style}"` : ''}><v>${number.value}</v></c>`);
+        } else if (text) {
+          const link = (slot.cell.links || [])[0];
+          let style = slot.caption ? this.STYLE.caption : (slot.cell.header ? this.STYLE.header : this.STYLE.text);
+          if (link && !slot.caption) {
+            hyperlinks.push(`<hyperlink ref="${ref}" r:id="${addSheetRelationship(this.REL_HYPERLINK, link.href, true)}"/>`);
+            if (style === this.STYLE.text) style = this.STYLE.link;
+          }
+          cells.push(`<c r="${ref}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${escape(text)}</t></is></c>`);
+        } else if (slot.cell.header) {
+          cells.push(`<c r="${ref}" s="${this.STYLE.header}"/>`);
+        }
+
+        // The caption spans the whole sheet and doesn't widen its first column
+        if (!slot.caption) {
+          columnWidths[c] = Math.max(columnWidths[c], Math.min(text.length + 2, this.MAX_COLUMN_WIDTH));
+        }
+      }
+
+      const height = rowHeights[r] ? ` ht="${rowHeights[r].toFixed(2)}" customHeight="1"` : '';
+      xmlRows.push(`<row r="${r + 1}"${height}>${cells.join('')}</row>`);
+    }
+
+    const lastCell = this.cellRef(Math.max(rows.length - 1, 0), columnCount - 1);
+    const pane = headerRowCount > 0 && headerRowCount < rows.length
+      ? `<pane ySplit="${headerRowCount}" topLeftCell="A${headerRowCount + 1}" activePane="bottomLeft" state="frozen"/>`
+      : '';
+    const cols = columnWidths
+      .map((width, c) => `<col min="${c + 1}" max="${c + 1}" width="${width}" customWidth="1"/>`)
+      .join('');
+
+    const sheetXml = `${xmlHeader}<worksheet xmlns="${this.NS.main}" xmlns:r="${this.NS.r}">` +
+      `<dimension ref="A1:${lastCell}"/>` +
+      `<sheetViews><sheetView workbookViewId="0">${pane}</sheetView></sheetViews>` +
+      '<sheetFormatPr defaultRowHeight="15"/>' +
+      `<cols>${cols}</cols>` +
+      `<sheetData>${xmlRows.join('')}</sheetData>` +
+      (merges.length > 0 ? `<mergeCells count="${merges.length}">${merges.map(ref => `<mergeCell ref="${ref}"/>`).join('')}</mergeCells>` : '') +
+      (hyperlinks.length > 0 ? `<hyperlinks>${hyperlinks.join('')}</hyperlinks>` : '') +
+      '<pageMargins left="0.7" right="0.7" top="0.75" bottom="0.75" header="0.3" footer="0.3"/>' +
+      (anchors.length > 0 ? '<drawing r:id="rId1"/>' : '') +
+      '</worksheet>';
+
+    if (anchors.length > 0) {
+      sheetRelationships.unshift({ id: 'rId1', type: this.REL_DRAWING, target: '../drawings/drawing1.xml' });
+    }
+
+    const relationshipsXml = relationships => `${xmlHeader}<Relationships xmlns="${this.NS.rel}">` +
+      relationships.map(rel =>
+        `<Relationship Id="${rel.id}" Type="${rel.type}" Target="${escape(rel.target)}"` +
+        `${rel.external ? ' TargetMode="External"' : ''}/>`
+      ).join('') +
+      '</Relationships>';
+
+    const imageDefaults = Object.values(DocxUtils.IMAGE_EXTENSIONS)
+      .map(ext => `<Default Extension="${ext}" ContentType="image/${ext}"/>`)
+      .join('');
+
+    const contentTypes = `${xmlHeader}<Types xmlns="${this.NS.ct}">` +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      imageDefaults +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      (anchors.length > 0 ? '<Override PartName="/xl/drawings/drawing1.xml" ContentType="application/vnd.openxmlformats-officedocument.drawing+xml"/>' : '') +
+      '</Types>';
+
+    const workbookXml = `${xmlHeader}<workbook xmlns="${this.NS.main}" xmlns:r="${this.NS.r}">` +
+      `<sheets><sheet name="${escape(this.sheetName(sheetName))}" sheetId="1" r:id="rId1"/></sheets>` +
+      '</workbook>';
+
+    const files = [
+      { name: '[Content_Types].xml', data: contentTypes },
+      { name: '_rels/.rels', data: relationshipsXml([{ id: 'rId1', type: this.REL_DOCUMENT, target: 'xl/workbook.xml' }]) },
+      { name: 'xl/workbook.xml', data: workbookXml },
+      {
+        name: 'xl/_rels/workbook.xml.rels',
+        data: relationshipsXml([
+          { id: 'rId1', type: this.REL_WORKSHEET, target: 'worksheets/sheet1.xml' },
+          { id: 'rId2', type: this.REL_STYLES, target: 'styles.xml' }
+        ])
+      },
+      { name: 'xl/styles.xml', data: this.getStylesXml() },
+      { name: 'xl/worksheets/sheet1.xml', data: sheetXml }
+    ];
+    if (sheetRelationships.length > 0) {
+      files.push({ name: 'xl/worksheets/_rels/sheet1.xml.rels', data: relationshipsXml(sheetRelationships) });
+    }
+    if (anchors.length > 0) {
+      files.push(
+        {
+          name: 'xl/drawings/drawing1.xml',
+          data: `${xmlHeader}<xdr:wsDr xmlns:xdr="${this.NS.xdr}" xmlns:a="${this.NS.a}" xmlns:r="${this.NS.r}">` +
+            `${anchors.join('')}</xdr:wsDr>`
+        },
+        { name: 'xl/drawings/_rels/drawing1.xml.rels', data: relationshipsXml(drawingRelationships) },
+        ...media
+      );
+    }
+
+    const zip = await ZipUtils.createZip(files);
+    return new Blob([zip], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = XlsxUtils;
+}
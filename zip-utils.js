@@ -0,0 +1,242 @@
+/**
+ * ZIP Archive Utilities
+ * Minimal ZIP writer/reader used by project export and import
+ *
+ * - Entries are stored (method 0) or deflated (method 8) via CompressionStream
+ * - File names are UTF-8 (general purpose flag bit 11)
+ * - No ZIP64: archives and entries must stay below 4 GB
+ */
+
+const ZipUtils = {
+  // Record signatures
+  LOCAL_FILE_HEADER: 0x04034b50,
+  CENTRAL_DIRECTORY_HEADER: 0x02014b50,
+  END_OF_CENTRAL_DIRECTORY: 0x06054b50,
+
+  // Compression methods
+  METHOD_STORE: 0,
+  METHOD_DEFLATE: 8,
+
+  // General purpose flag: file name is UTF-8
+  FLAG_UTF8: 0x0800,
+
+  // Largest size representable without ZIP64
+  MAX_SIZE: 0xffffffff,
+
+  // Lazily built CRC-32 lookup table
+  _crcTable: null,
+
+  /**
+   * Compute the CRC-32 checksum of a byte array
+   * @param {Uint8Array} bytes - Data
+   * @returns {number} Unsigned CRC-32
+   */
+  crc32(bytes) {
+    if (!this._crcTable) {
+      this._crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        this._crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = this._crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  },
+
+  /**
+   * Convert string/Blob/ArrayBuffer/typed array data to bytes
+   * @param {string|Blob|ArrayBuffer|Uint8Array} data - Entry data
+   * @returns {Promise<Uint8Array>}
+   */
+  async toBytes(data) {
+    if (typeof data === 'string') return new TextEncoder().encode(data);
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    if (data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+    throw new Error('Unsupported ZIP entry data');
+  },
+
+  /**
+   * Pipe bytes through a CompressionStream/DecompressionStream
+   * @param {Uint8Array} bytes - Input
+   * @param {CompressionStream|DecompressionStream} stream - Transform stream
+   * @returns {Promise<Uint8Array>}
+   */
+  async _transform(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+  },
+
+  /**
+   * Convert a Date to MS-DOS time and date fields
+   * @param {Date} date - Date (local time)
+   * @returns {{time: number, date: number}}
+   */
+  toDosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  },
+
+  /**
+   * Create a ZIP archive
+   * @param {Array<{name: string, data: string|Blob|ArrayBuffer|Uint8Array, compress?: boolean, modified?: Date}>} files
+   *   Entries; set compress: false for data that is already compressed (images, video)
+   * @returns {Promise<Blob>} ZIP file (application/zip)
+   */
+  async createZip(files) {
+    const encoder = new TextEncoder();
+    const canDeflate = typeof CompressionStream !== 'undefined';
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const nameBytes = encoder.encode(file.name);
+      const raw = await this.toBytes(file.data);
+      const crc = this.crc32(raw);
+
+      let method = this.METHOD_STORE;
+      let stored = raw;
+      if (file.compress !== false && canDeflate && raw.length > 0) {
+        const deflated = await this._transform(raw, new CompressionStream('deflate-raw'));
+        if (deflated.length < raw.length) {
+          method = this.METHOD_DEFLATE;
+          stored = deflated;
+        }
+      }
+
+      if (raw.length > this.MAX_SIZE || offset + stored.length > this.MAX_SIZE) {
+        throw new Error('Archive is too large (4 GB limit)');
+      }
+
+      const { time, date } = this.toDosDateTime(file.modified || new Date());
+
+      const header = new DataView(new ArrayBuffer(30));
+      header.setUint32(0, this.LOCAL_FILE_HEADER, true);
+      header.setUint16(4, 20, true);               // Version needed to extract
+      header.setUint16(6, this.FLAG_UTF8, true);
+      header.setUint16(8, method, true);
+      header.setUint16(10, time, true);
+      header.setUint16(12, date, true);
+      header.setUint32(14, crc, true);
+      header.setUint32(18, stored.length, true);
+      header.setUint32(22, raw.length, true);
+      header.setUint16(26, nameBytes.length, true);
+      header.setUint16(28, 0, true);               // Extra field length
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, this.CENTRAL_DIRECTORY_HEADER, true);
+      central.setUint16(4, 20, true);              // Version made by
+      central.setUint16(6, 20, true);              // Version needed to extract
+      central.setUint16(8, this.FLAG_UTF8, true);
+      central.setUint16(10, method, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, date, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, stored.length, true);
+      central.setUint32(24, raw.length, true);
+      central.setUint16(28, nameBytes.length, true);
+      // Extra/comment lengths, disk number and attributes stay 0
+      central.setUint32(42, offset, true);
+
+      parts.push(header, nameBytes, stored);
+      centralDirectory.push(central, nameBytes);
+      offset += 30 + nameBytes.length + stored.length;
+    }
+
+    const centralSize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, this.END_OF_CENTRAL_DIRECTORY, true);
+    end.setUint16(8, files.length, true);          // Entries on this disk
+    end.setUint16(10, files.length, true);         // Total entries
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);               // Central directory offset
+
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+  },
+
+  /**
+   * Read all entries of a ZIP archive
+   * @param {Blob|ArrayBuffer|Uint8Array} zipData - ZIP file
+   * @returns {Promise<Map<string, Uint8Array>>} Entry name -> uncompressed bytes (directories omitted)
+   */
+  async readZip(zipData) {
+    const bytes = await this.toBytes(zipData);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+
+    // The end record sits at the very end, followed by an optional comment (max 64 KB)
+    let endOffset = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+      if (view.getUint32(i, true) === this.END_OF_CENTRAL_DIRECTORY) {
+        endOffset = i;
+        break;
+      }
+    }
+    if (endOffset === -1) {
+      throw new Error('Not a ZIP file');
+    }
+
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let pointer = view.getUint32(endOffset + 16, true);
+    const entries = new Map();
+
+    for (let i = 0; i < entryCount; i++) {
+      if (view.getUint32(pointer, true) !== this.CENTRAL_DIRECTORY_HEADER) {
+        throw new Error('Corrupt ZIP central directory');
+      }
+
+      const method = view.getUint16(pointer + 10, true);
+      const crc = view.getUint32(pointer + 16, true);
+      const compressedSize = view.getUint32(pointer + 20, true);
+      const nameLength = view.getUint16(pointer + 28, true);
+      const extraLength = view.getUint16(pointer + 30, true);
+      const commentLength = view.getUint16(pointer + 32, true);
+      const localOffset = view.getUint32(pointer + 42, true);
+      const name = decoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+      pointer += 46 + nameLength + extraLength + commentLength;
+
+      if (name.endsWith('/')) continue;
+
+      // Local header name/extra lengths may differ from the central directory
+      const dataStart = localOffset + 30 +
+        view.getUint16(localOffset + 26, true) +
+        view.getUint16(localOffset + 28, true);
+      const stored = bytes.subarray(dataStart, dataStart + compressedSize);
+
+      let data;
+      if (method === this.METHOD_STORE) {
+        data = stored;
+      } else if (method === this.METHOD_DEFLATE) {
+        data = await this._transform(stored, new DecompressionStream('deflate-raw'));
+      } else {
+        throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+      }
+
+      if (this.crc32(data) !== crc) {
+        throw new Error(`Checksum mismatch for ${name}`);
+      }
+
+      entries.set(name, data);
+    }
+
+    return entries;
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ZipUtils;
+}